@@ -0,0 +1,157 @@
+const cleanupService = require("../../services/cleanup.service");
+const apiKeyService = require("../../services/apiKey.service");
+const logger = require("../../utils/logger");
+const { HTTP_STATUS, ERROR_MESSAGES } = require("../../utils/constants");
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9-]+\.)*[a-z0-9-]+$/i;
+
+async function getCleanupStats(req, res, next) {
+  try {
+    const stats = await cleanupService.getStats();
+    return res.status(HTTP_STATUS.OK).json(stats);
+  } catch (error) {
+    logger.error("Unexpected error in getCleanupStats", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Check a POST /api/admin/keys body
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, null if valid
+ */
+function validateKeyRequest(body) {
+  const { name, daily_quota, monthly_quota, allowed_domains } = body;
+
+  if (typeof name !== "string" || !name.trim() || name.length > 100) {
+    return "name must be a non-empty string of at most 100 characters";
+  }
+
+  for (const [field, value] of Object.entries({ daily_quota, monthly_quota })) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      return `${field} must be a positive integer`;
+    }
+  }
+
+  if (
+    allowed_domains !== undefined &&
+    (!Array.isArray(allowed_domains) ||
+      allowed_domains.some(
+        (domain) => typeof domain !== "string" || !HOSTNAME_PATTERN.test(domain)
+      ))
+  ) {
+    return "allowed_domains must be an array of hostnames";
+  }
+
+  return null;
+}
+
+async function createKey(req, res, next) {
+  try {
+    const validationError = validateKeyRequest(req.body || {});
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: "Invalid API key request",
+        message: validationError,
+      });
+    }
+
+    const { name, daily_quota, monthly_quota, allowed_domains } = req.body;
+
+    let apiKey;
+    try {
+      apiKey = await apiKeyService.createApiKey({
+        name: name.trim(),
+        daily_quota,
+        monthly_quota,
+        allowed_domains,
+      });
+    } catch (storageError) {
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to create API key. Please try again.",
+      });
+    }
+
+    logger.info("API key created via admin API", {
+      key_id: apiKey.key_id,
+      requestId: req.id,
+    });
+
+    return res.status(HTTP_STATUS.CREATED).json(apiKey);
+  } catch (error) {
+    logger.error("Unexpected error in createKey", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+async function listKeys(req, res, next) {
+  try {
+    let keys;
+    try {
+      keys = await apiKeyService.listApiKeys();
+    } catch (storageError) {
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to list API keys. Please try again.",
+      });
+    }
+
+    return res.status(HTTP_STATUS.OK).json({ keys, count: keys.length });
+  } catch (error) {
+    logger.error("Unexpected error in listKeys", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+async function revokeKey(req, res, next) {
+  const { key_id } = req.params;
+
+  try {
+    let apiKey;
+    try {
+      apiKey = await apiKeyService.revokeApiKey(key_id);
+    } catch (storageError) {
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to revoke API key. Please try again.",
+      });
+    }
+
+    if (!apiKey) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: "API key not found",
+        message: `No API key found with ID: ${key_id}`,
+      });
+    }
+
+    return res.status(HTTP_STATUS.OK).json(apiKey);
+  } catch (error) {
+    logger.error("Unexpected error in revokeKey", {
+      error: error.message,
+      stack: error.stack,
+      key_id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+module.exports = {
+  getCleanupStats,
+  createKey,
+  listKeys,
+  revokeKey,
+};
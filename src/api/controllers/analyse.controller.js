@@ -2,15 +2,435 @@ const { generateNumericJobId } = require("../../utils/jobIdGenerator");
 const { validateUrlComplete } = require("../../utils/urlValidator");
 const queueService = require("../../services/queue.service");
 const storageService = require("../../services/storage.service");
+const apiKeyService = require("../../services/apiKey.service");
+const idempotencyService = require("../../services/idempotency.service");
+const {
+  getUnknownAnalyzers,
+  getAnalyzerNames,
+} = require("../../worker/parser");
+const config = require("../../config/app.config");
 const logger = require("../../utils/logger");
+const { jobsCreatedTotal, jobsReusedTotal } = require("../../utils/metrics");
 const {
   HTTP_STATUS,
   JOB_STATUS,
   ERROR_MESSAGES,
 } = require("../../utils/constants");
 
+const IN_FLIGHT_STATUSES = [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING];
+
+// Parsing and storing the results after the link check stage
+const LINK_CHECK_JOB_MARGIN_MS = 30000;
+
+/**
+ * Bull timeout for a job, long enough for the page fetch plus, with
+ * check_links, the whole link check stage
+ * @param {object} jobData - Queue payload
+ * @returns {number} Timeout in milliseconds
+ */
+function getJobTimeout(jobData) {
+  if (!jobData.check_links) {
+    return 5000;
+  }
+  return (
+    config.fetcher.timeout +
+    config.linkCheck.totalBudgetMs +
+    LINK_CHECK_JOB_MARGIN_MS
+  );
+}
+
+/**
+ * Create a PENDING job record and enqueue it for the worker
+ * @param {object} jobData - Job fields (job_id, url, analyzers, check_links, ...)
+ * @param {object} req - Express request, used for log correlation
+ * @returns {Promise<object|null>} Error response body on failure, null on success
+ */
+async function submitJob(jobData, req) {
+  const { job_id, url, analyzers = null, check_links, ...extra } = jobData;
+
+  try {
+    await storageService.createJob({
+      job_id,
+      url,
+      status: JOB_STATUS.PENDING,
+      analyzers,
+      request_id: req.id,
+      ...(check_links && { check_links: true }),
+      ...extra,
+    });
+  } catch (storageError) {
+    logger.error("Failed to create job in storage", {
+      job_id,
+      url,
+      error: storageError.message,
+      requestId: req.id,
+    });
+
+    return {
+      error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+      message: "Failed to create job. Please try again.",
+    };
+  }
+
+  jobsCreatedTotal.inc();
+
+  return enqueueJob(
+    { job_id, url, analyzers, ...(check_links && { check_links: true }) },
+    req
+  );
+}
+
+/**
+ * Enqueue an existing job record for the worker
+ * @param {object} jobData - Queue payload (job_id, url, analyzers, check_links)
+ * @param {object} req - Express request, its ID is passed on to the worker
+ * @returns {Promise<object|null>} Error response body on failure, null on success
+ */
+async function enqueueJob(jobData, req) {
+  const { job_id, url } = jobData;
+
+  try {
+    // The worker logs under the ID of the request that queued this run
+    await queueService.enqueue(
+      { ...jobData, request_id: req.id },
+      {
+        timeout: getJobTimeout(jobData),
+        attempts: 3,
+        backoff: {
+          type: "exponential",
+          delay: 1000, // 1s, 2s, 4s
+        },
+        removeOnComplete: false,
+        removeOnFail: false,
+      }
+    );
+
+    logger.info("Job queued successfully", {
+      job_id,
+      url,
+      requestId: req.id,
+    });
+  } catch (queueError) {
+    logger.error("Failed to enqueue job", {
+      job_id,
+      url,
+      error: queueError.message,
+      requestId: req.id,
+    });
+
+    // Update status in Redis to FAILED
+    try {
+      await storageService.updateJob(job_id, {
+        status: JOB_STATUS.FAILED,
+        error: "Failed to queue job",
+      });
+    } catch (updateError) {
+      logger.error("Failed to update job status after queue error", {
+        job_id,
+        error: updateError.message,
+      });
+    }
+
+    return {
+      error: ERROR_MESSAGES.QUEUE_UNAVAILABLE,
+      message:
+        "Queue system is temporarily unavailable. Please try again later.",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Spend submission quota for the caller's API key, if any
+ * @param {object} req - Express request with req.apiKey
+ * @param {number} [count=1] - Jobs being submitted
+ * @returns {Promise<object|null>} { status, body } if rejected, null if allowed
+ */
+async function spendQuota(req, count = 1) {
+  if (!req.apiKey) {
+    return null;
+  }
+
+  let quota;
+  try {
+    quota = await apiKeyService.consumeQuota(req.apiKey, count);
+  } catch (error) {
+    logger.error("Failed to check API key quota", {
+      key_id: req.apiKey.key_id,
+      error: error.message,
+      requestId: req.id,
+    });
+
+    return {
+      status: HTTP_STATUS.SERVICE_UNAVAILABLE,
+      body: {
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to check API key quota. Please try again.",
+      },
+    };
+  }
+
+  if (quota.allowed) {
+    return null;
+  }
+
+  logger.warn("API key quota exceeded", {
+    key_id: req.apiKey.key_id,
+    period: quota.period,
+    requestId: req.id,
+  });
+
+  return {
+    status: HTTP_STATUS.TOO_MANY_REQUESTS,
+    body: {
+      error: ERROR_MESSAGES.QUOTA_EXCEEDED,
+      message: `The ${quota.period} quota of ${quota.limit} submissions has been used (${quota.used} so far)`,
+      period: quota.period,
+      limit: quota.limit,
+    },
+  };
+}
+
+/**
+ * Give back quota spent by spendQuota() for jobs that were not submitted
+ *
+ * Failures are logged rather than surfaced, the caller has already decided
+ * how to answer the request.
+ *
+ * @param {object} req - Express request with req.apiKey
+ * @param {number} [count=1] - Jobs that were not submitted
+ * @returns {Promise<void>}
+ */
+async function refundQuota(req, count = 1) {
+  if (!req.apiKey) {
+    return;
+  }
+
+  try {
+    await apiKeyService.refundQuota(req.apiKey, count);
+  } catch (error) {
+    logger.error("Failed to refund API key quota", {
+      key_id: req.apiKey.key_id,
+      error: error.message,
+      requestId: req.id,
+    });
+  }
+}
+
+/**
+ * Namespace of a caller's Idempotency-Keys: its API key, or its client IP
+ * for anonymous callers so unrelated clients can't collide
+ * @param {object} req - Express request
+ * @returns {string} Idempotency scope
+ */
+function getIdempotencyScope(req) {
+  return req.apiKey ? req.apiKey.key_id : `ip:${req.ip}`;
+}
+
+/**
+ * Claim an Idempotency-Key for a new job, or answer for the job it already
+ * created
+ * @param {object} req - Express request
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} fingerprint - Fingerprint of the submission
+ * @param {string} job_id - ID the new job would get
+ * @returns {Promise<object|null>} { status, body, replayed } to send, null if claimed
+ */
+async function claimIdempotencyKey(req, key, fingerprint, job_id) {
+  const scope = getIdempotencyScope(req);
+  const unavailable = {
+    status: HTTP_STATUS.SERVICE_UNAVAILABLE,
+    body: {
+      error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+      message: "Unable to check Idempotency-Key. Please try again.",
+    },
+  };
+
+  let claim;
+  try {
+    claim = await idempotencyService.reserveKey(
+      scope,
+      key,
+      fingerprint,
+      job_id
+    );
+  } catch (error) {
+    return unavailable;
+  }
+
+  if (claim.reserved) {
+    return null;
+  }
+
+  if (claim.record.fingerprint !== fingerprint) {
+    logger.warn("Idempotency-Key reused with a different body", {
+      job_id: claim.record.job_id,
+      requestId: req.id,
+    });
+
+    return {
+      status: HTTP_STATUS.CONFLICT,
+      body: {
+        error: ERROR_MESSAGES.IDEMPOTENCY_KEY_REUSED,
+        message: "Use a new Idempotency-Key for a different request",
+      },
+    };
+  }
+
+  let job;
+  try {
+    job = await storageService.getJob(claim.record.job_id);
+  } catch (error) {
+    return unavailable;
+  }
+
+  // The first request holds the key but hasn't stored its job yet
+  if (!job) {
+    return {
+      status: HTTP_STATUS.CONFLICT,
+      body: {
+        error: ERROR_MESSAGES.IDEMPOTENCY_KEY_IN_PROGRESS,
+        message: "Retry once the original request has completed",
+      },
+    };
+  }
+
+  logger.info("Replaying idempotent submission", {
+    job_id: job.job_id,
+    requestId: req.id,
+  });
+
+  return {
+    status: HTTP_STATUS.OK,
+    replayed: true,
+    body: {
+      job_id: job.job_id,
+      status: job.status,
+      message: "Job already submitted with this Idempotency-Key",
+    },
+  };
+}
+
+/**
+ * Find a job of the caller's that a max_age submission can reuse
+ *
+ * Only jobs that ran at least the requested analyzers, and checked links if
+ * asked to, qualify: PENDING or PROCESSING ones, or COMPLETED ones that
+ * finished within max_age seconds.
+ *
+ * @param {object} req - Express request with optional req.apiKey
+ * @param {string} url - URL as submitted
+ * @param {string[]|null} analyzers - Requested analyzers, null for all
+ * @param {number} max_age - Oldest acceptable result, in seconds
+ * @param {boolean} [check_links] - Whether link checks were requested
+ * @returns {Promise<object|null>} Reusable job, null if none
+ */
+async function findReusableJob(req, url, analyzers, max_age, check_links) {
+  const api_key_id = req.apiKey ? req.apiKey.key_id : undefined;
+  const requested = analyzers || getAnalyzerNames();
+  const oldestFinish = Date.now() - max_age * 1000;
+
+  return storageService.findLatestJobForUrl(url, (job) => {
+    if (job.api_key_id !== api_key_id) {
+      return false;
+    }
+
+    if (check_links && !job.check_links) {
+      return false;
+    }
+
+    // A job without a selection ran every analyzer
+    if (
+      job.analyzers &&
+      !requested.every((name) => job.analyzers.includes(name))
+    ) {
+      return false;
+    }
+
+    if (IN_FLIGHT_STATUSES.includes(job.status)) {
+      return true;
+    }
+
+    return (
+      job.status === JOB_STATUS.COMPLETED &&
+      Date.parse(job.finished_at) >= oldestFinish
+    );
+  });
+}
+
+/**
+ * Response for a submission answered with an existing job
+ * @param {object} job - Job found by findReusableJob
+ * @returns {object} { status, body }
+ */
+function reusedJobResponse(job) {
+  if (job.status === JOB_STATUS.COMPLETED) {
+    jobsReusedTotal.inc({ reason: "cached" });
+    return {
+      status: HTTP_STATUS.OK,
+      body: {
+        job_id: job.job_id,
+        status: job.status,
+        cached: true,
+        finished_at: job.finished_at,
+        results: job.results,
+        message: "Returning a cached analysis of the same URL",
+      },
+    };
+  }
+
+  jobsReusedTotal.inc({ reason: "in_flight" });
+  return {
+    status: HTTP_STATUS.ACCEPTED,
+    body: {
+      job_id: job.job_id,
+      status: job.status,
+      deduplicated: true,
+      message: "Attached to an in-flight analysis of the same URL",
+    },
+  };
+}
+
+/**
+ * Check an optional analyzers selection from a request body
+ * @param {*} analyzers - Value of the analyzers field
+ * @returns {object|null} Error response body if invalid, null otherwise
+ */
+function validateAnalyzers(analyzers) {
+  if (analyzers === undefined) {
+    return null;
+  }
+
+  if (
+    !Array.isArray(analyzers) ||
+    analyzers.length === 0 ||
+    analyzers.some((name) => typeof name !== "string")
+  ) {
+    return {
+      error: "Invalid analyzers",
+      message: "analyzers must be a non-empty array of analyzer names",
+    };
+  }
+
+  const unknown = getUnknownAnalyzers(analyzers);
+  if (unknown.length > 0) {
+    return {
+      error: "Unknown analyzers",
+      message: `Unknown analyzer(s): ${unknown.join(", ")}`,
+    };
+  }
+
+  return null;
+}
+
+function normalizeAnalyzers(analyzers) {
+  return analyzers ? Array.from(new Set(analyzers)) : null;
+}
+
 async function analyseUrl(req, res, next) {
-  const { url } = req.body;
+  const { url, callback_url, max_age, check_links } = req.body;
+  const analyzers = normalizeAnalyzers(req.body.analyzers);
 
   try {
     const validation = validateUrlComplete(url);
@@ -26,75 +446,126 @@ async function analyseUrl(req, res, next) {
       });
     }
 
-    const job_id = generateNumericJobId();
-    const timestamp = new Date().toISOString();
+    if (callback_url !== undefined) {
+      const callbackValidation = validateUrlComplete(callback_url);
+      if (!callbackValidation.valid) {
+        logger.warn("Invalid callback_url submitted", {
+          callback_url,
+          error: callbackValidation.error,
+        });
 
-    try {
-      await storageService.createJob({
-        job_id,
-        url,
-        status: JOB_STATUS.PENDING,
-      });
-    } catch (storageError) {
-      logger.error("Failed to create job in storage", {
-        job_id,
-        url,
-        error: storageError.message,
-        requestId: req.id,
-      });
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: "Invalid callback_url",
+          message: callbackValidation.details || callbackValidation.error,
+        });
+      }
+    }
 
-      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
-        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
-        message: "Failed to create job. Please try again.",
+    if (req.apiKey && !apiKeyService.isDomainAllowed(req.apiKey, url)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: ERROR_MESSAGES.DOMAIN_NOT_ALLOWED,
+        message: `Allowed domains: ${req.apiKey.allowed_domains.join(", ")}`,
       });
     }
 
-    try {
-      await queueService.enqueue(
-        { job_id, url },
-        {
-          timeout: 5000,
-          attempts: 3,
-          backoff: {
-            type: "exponential",
-            delay: 1000, // 1s, 2s, 4s
-          },
-          removeOnComplete: false,
-          removeOnFail: false,
-        }
-      );
+    // A callback belongs to its own job, so those submissions never reuse one
+    let reusable = null;
+    if (max_age !== undefined && callback_url === undefined) {
+      try {
+        reusable = await findReusableJob(
+          req,
+          url,
+          analyzers,
+          max_age,
+          check_links
+        );
+      } catch (error) {
+        logger.error("Failed to look up jobs for URL", {
+          url,
+          error: error.message,
+          requestId: req.id,
+        });
 
-      logger.info("Job queued successfully", {
-        job_id,
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+          message: "Unable to check for earlier analyses. Please try again.",
+        });
+      }
+    }
+
+    // A reused job's ID is what an Idempotency-Key replay must return
+    const job_id = reusable ? reusable.job_id : generateNumericJobId();
+
+    // Checked before the quota so retried requests don't spend it twice
+    const idempotencyKey = req.headers["idempotency-key"];
+    if (idempotencyKey !== undefined) {
+      if (!idempotencyService.isValidIdempotencyKey(idempotencyKey)) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_IDEMPOTENCY_KEY,
+          message: "Idempotency-Key must be 1-255 visible ASCII characters",
+        });
+      }
+
+      const fingerprint = idempotencyService.fingerprintRequest({
         url,
-        requestId: req.id,
+        analyzers,
+        callback_url,
+        max_age,
+        check_links,
       });
-    } catch (queueError) {
-      logger.error("Failed to enqueue job", {
+      const answer = await claimIdempotencyKey(
+        req,
+        idempotencyKey,
+        fingerprint,
+        job_id
+      );
+      if (answer) {
+        if (answer.replayed) {
+          res.set("Idempotent-Replayed", "true");
+        }
+        return res.status(answer.status).json(answer.body);
+      }
+    }
+
+    if (reusable) {
+      logger.info("Reusing existing job for URL", {
         job_id,
         url,
-        error: queueError.message,
+        status: reusable.status,
         requestId: req.id,
       });
 
-      // Update status in Redis to FAILED
-      try {
-        await storageService.updateJob(job_id, {
-          status: JOB_STATUS.FAILED,
-          error: "Failed to queue job",
-        });
-      } catch (updateError) {
-        logger.error("Failed to update job status after queue error", {
-          job_id,
-          error: updateError.message,
-        });
-      }
+      // Nothing new is fetched, so no quota is spent
+      const reused = reusedJobResponse(reusable);
+      return res.status(reused.status).json(reused.body);
+    }
 
-      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
-        error: ERROR_MESSAGES.QUEUE_UNAVAILABLE,
-        message:
-          "Queue system is temporarily unavailable. Please try again later.",
-      });
+    // Nothing was created, so a retry with the same key must start over
+    const releaseIdempotencyKey = () =>
+      idempotencyKey !== undefined &&
+      idempotencyService.releaseKey(getIdempotencyScope(req), idempotencyKey);
+
+    const rejection = await spendQuota(req);
+    if (rejection) {
+      await releaseIdempotencyKey();
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    const failure = await submitJob(
+      {
+        job_id,
+        url,
+        analyzers,
+        check_links,
+        callback_url,
+        api_key_id: req.apiKey ? req.apiKey.key_id : undefined,
+      },
+      req
+    );
+    if (failure) {
+      await refundQuota(req);
+      await releaseIdempotencyKey();
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json(failure);
     }
 
     return res.status(HTTP_STATUS.ACCEPTED).json({
@@ -130,10 +601,53 @@ function validateRequest(req, res, next) {
     });
   }
 
+  const analyzersError = validateAnalyzers(req.body.analyzers);
+  if (analyzersError) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(analyzersError);
+  }
+
+  const { callback_url } = req.body;
+  if (callback_url !== undefined && typeof callback_url !== "string") {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: "Invalid callback_url",
+      message: "callback_url must be a string",
+    });
+  }
+
+  const { max_age } = req.body;
+  if (max_age !== undefined && (!Number.isInteger(max_age) || max_age < 0)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: "Invalid max_age",
+      message: "max_age must be a non-negative integer number of seconds",
+    });
+  }
+
+  const { check_links, analyzers } = req.body;
+  if (check_links !== undefined && typeof check_links !== "boolean") {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: "Invalid check_links",
+      message: "check_links must be a boolean",
+    });
+  }
+
+  // Link checks run on the inventory built by the links analyzer
+  if (check_links && analyzers && !analyzers.includes("links")) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: "Invalid check_links",
+      message: 'check_links requires the "links" analyzer',
+    });
+  }
+
   next();
 }
 
 module.exports = {
   analyseUrl,
   validateRequest,
+  submitJob,
+  enqueueJob,
+  spendQuota,
+  refundQuota,
+  validateAnalyzers,
+  normalizeAnalyzers,
 };
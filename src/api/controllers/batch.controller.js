@@ -0,0 +1,314 @@
+const {
+  generateNumericJobId,
+  isValidJobId,
+} = require("../../utils/jobIdGenerator");
+const { validateUrlComplete } = require("../../utils/urlValidator");
+const storageService = require("../../services/storage.service");
+const apiKeyService = require("../../services/apiKey.service");
+const {
+  submitJob,
+  spendQuota,
+  refundQuota,
+  validateAnalyzers,
+  normalizeAnalyzers,
+} = require("./analyse.controller");
+const config = require("../../config/app.config");
+const logger = require("../../utils/logger");
+const {
+  HTTP_STATUS,
+  JOB_STATUS,
+  TERMINAL_STATUSES,
+  ERROR_MESSAGES,
+} = require("../../utils/constants");
+
+async function analyseBatch(req, res, next) {
+  const { urls } = req.body;
+  const analyzers = normalizeAnalyzers(req.body.analyzers);
+
+  try {
+    const batch_id = generateNumericJobId();
+    const jobs = [];
+    const errors = [];
+
+    // Each URL is validated and submitted on its own so one bad entry
+    // doesn't reject the whole batch
+    const valid = [];
+    for (const [index, url] of urls.entries()) {
+      const validation = validateUrlComplete(url);
+      if (!validation.valid) {
+        errors.push({
+          index,
+          url,
+          error: validation.error,
+          message: validation.details,
+        });
+      } else if (
+        req.apiKey &&
+        !apiKeyService.isDomainAllowed(req.apiKey, url)
+      ) {
+        errors.push({
+          index,
+          url,
+          error: ERROR_MESSAGES.DOMAIN_NOT_ALLOWED,
+          message: `Allowed domains: ${req.apiKey.allowed_domains.join(", ")}`,
+        });
+      } else {
+        valid.push({ index, url });
+      }
+    }
+
+    const api_key_id = req.apiKey ? req.apiKey.key_id : undefined;
+    for (const entry of valid) {
+      entry.job_id = generateNumericJobId();
+    }
+
+    const batch = {
+      batch_id,
+      job_ids: valid.map((entry) => entry.job_id),
+      total: valid.length,
+      analyzers,
+      api_key_id,
+      created_at: new Date().toISOString(),
+    };
+
+    // Quota is checked before anything is stored, so a rejected batch
+    // leaves no record behind. The batch record is stored before any child
+    // job is queued, so a storage failure can't leave jobs running that the
+    // client never saw
+    if (valid.length > 0) {
+      const rejection = await spendQuota(req, valid.length);
+      if (rejection) {
+        return res.status(rejection.status).json(rejection.body);
+      }
+
+      try {
+        await storageService.createBatch(batch);
+      } catch (storageError) {
+        logger.error("Failed to create batch in storage", {
+          batch_id,
+          error: storageError.message,
+          requestId: req.id,
+        });
+
+        await refundQuota(req, valid.length);
+        return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+          error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+          message: "Failed to create batch. Please try again.",
+        });
+      }
+    }
+
+    for (const { index, url, job_id } of valid) {
+      const failure = await submitJob(
+        { job_id, url, analyzers, batch_id, api_key_id },
+        req
+      );
+      if (failure) {
+        errors.push({ index, url, ...failure });
+        continue;
+      }
+
+      jobs.push({ index, url, job_id, status: JOB_STATUS.PENDING });
+    }
+
+    if (jobs.length < valid.length) {
+      await refundQuota(req, valid.length - jobs.length);
+    }
+
+    if (jobs.length === 0) {
+      const serviceFailure = errors.some(
+        (e) =>
+          e.error === ERROR_MESSAGES.STORAGE_UNAVAILABLE ||
+          e.error === ERROR_MESSAGES.QUEUE_UNAVAILABLE
+      );
+
+      return res
+        .status(
+          serviceFailure
+            ? HTTP_STATUS.SERVICE_UNAVAILABLE
+            : HTTP_STATUS.BAD_REQUEST
+        )
+        .json({
+          error: "No URLs accepted",
+          message: "None of the submitted URLs could be queued",
+          errors,
+        });
+    }
+
+    // Drop the children that could not be queued from the batch record. If
+    // that fails they stay listed and are reported as missing
+    if (jobs.length < valid.length) {
+      try {
+        await storageService.createBatch({
+          ...batch,
+          job_ids: jobs.map((job) => job.job_id),
+          total: jobs.length,
+        });
+      } catch (storageError) {
+        logger.warn("Failed to drop rejected jobs from batch", {
+          batch_id,
+          error: storageError.message,
+          requestId: req.id,
+        });
+      }
+    }
+
+    logger.info("Batch queued successfully", {
+      batch_id,
+      accepted: jobs.length,
+      rejected: errors.length,
+      requestId: req.id,
+    });
+
+    return res.status(HTTP_STATUS.ACCEPTED).json({
+      batch_id,
+      status: JOB_STATUS.PENDING,
+      accepted: jobs.length,
+      rejected: errors.length,
+      jobs,
+      errors,
+    });
+  } catch (error) {
+    logger.error("Unexpected error in analyseBatch", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+async function getBatch(req, res, next) {
+  const { batch_id } = req.params;
+
+  try {
+    if (!isValidJobId(batch_id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: "Invalid batch ID format",
+        details: "Batch ID must be a 19-digit numeric string",
+      });
+    }
+
+    let batch, jobs;
+    try {
+      batch = await storageService.getBatch(batch_id);
+      jobs = batch ? await storageService.getJobs(batch.job_ids) : [];
+    } catch (storageError) {
+      logger.error("Storage error while fetching batch", {
+        batch_id,
+        error: storageError.message,
+        requestId: req.id,
+      });
+
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to retrieve batch. Please try again.",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!batch || !apiKeyService.canAccessJob(req.apiKey, batch)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: "Batch not found",
+        message: `No batch found with ID: ${batch_id}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const counts = {};
+    for (const status of Object.values(JOB_STATUS)) {
+      counts[status] = 0;
+    }
+
+    let missing = 0;
+    for (const job of jobs) {
+      if (!job) {
+        missing++;
+      } else {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+      }
+    }
+
+    // Expired child jobs can never change state, so they count as done
+    const done = jobs.every(
+      (job) => !job || TERMINAL_STATUSES.includes(job.status)
+    );
+
+    let status = JOB_STATUS.PROCESSING;
+    if (done) {
+      status = JOB_STATUS.COMPLETED;
+    } else if (counts[JOB_STATUS.PENDING] === batch.job_ids.length) {
+      status = JOB_STATUS.PENDING;
+    }
+
+    const response = {
+      batch_id: batch.batch_id,
+      status,
+      total: batch.job_ids.length,
+      counts,
+      missing,
+      created_at: batch.created_at,
+    };
+
+    if (done) {
+      response.results = batch.job_ids.map((job_id, i) => {
+        const job = jobs[i];
+        if (!job) {
+          return { job_id, status: null, error: ERROR_MESSAGES.JOB_NOT_FOUND };
+        }
+
+        const item = { job_id, url: job.url, status: job.status };
+        if (job.status === JOB_STATUS.COMPLETED) {
+          item.results = job.results;
+        } else if (job.status === JOB_STATUS.CANCELLED) {
+          item.cancelled_at = job.cancelled_at;
+        } else {
+          item.error = job.error || "Job processing failed";
+        }
+        return item;
+      });
+    }
+
+    return res.status(HTTP_STATUS.OK).json(response);
+  } catch (error) {
+    logger.error("Unexpected error in getBatch", {
+      error: error.message,
+      stack: error.stack,
+      batch_id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+function validateBatchRequest(req, res, next) {
+  const { urls } = req.body;
+  const maxBatchSize = config.api.maxBatchSize;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: "URLs are required",
+      message: 'Request body must contain a non-empty "urls" array',
+    });
+  }
+
+  if (urls.length > maxBatchSize) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: "Batch too large",
+      message: `A batch may contain at most ${maxBatchSize} URLs`,
+    });
+  }
+
+  const analyzersError = validateAnalyzers(req.body.analyzers);
+  if (analyzersError) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json(analyzersError);
+  }
+
+  next();
+}
+
+module.exports = {
+  analyseBatch,
+  getBatch,
+  validateBatchRequest,
+};
@@ -0,0 +1,196 @@
+const {
+  isValidJobId,
+  getTimestampFromJobId,
+  getJobIdBoundary,
+} = require("../../utils/jobIdGenerator");
+const storageService = require("../../services/storage.service");
+const { canAccessJob } = require("../../services/apiKey.service");
+const config = require("../../config/app.config");
+const logger = require("../../utils/logger");
+const {
+  HTTP_STATUS,
+  JOB_STATUS,
+  ERROR_MESSAGES,
+} = require("../../utils/constants");
+
+/**
+ * Parse a created_from / created_to value
+ * @param {string} value - ISO 8601 date or Unix time in milliseconds
+ * @returns {number|null} Milliseconds, or null if invalid
+ */
+function parseTime(value) {
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Validate GET /api/jobs query parameters
+ * @param {object} query - Express query object
+ * @returns {object} { error } or { options } for storageService.listJobs
+ */
+function parseListQuery(query) {
+  const {
+    status,
+    host,
+    url,
+    error_type,
+    schedule_id,
+    created_from,
+    created_to,
+    cursor,
+    limit,
+  } = query;
+  const options = { limit: config.api.jobsPageSize };
+
+  if (limit !== undefined) {
+    const parsed = /^\d+$/.test(limit) ? parseInt(limit, 10) : NaN;
+    if (!(parsed >= 1 && parsed <= config.api.maxJobsPageSize)) {
+      return {
+        error: `limit must be an integer between 1 and ${config.api.maxJobsPageSize}`,
+      };
+    }
+    options.limit = parsed;
+  }
+
+  if (cursor !== undefined) {
+    if (!isValidJobId(cursor)) {
+      return { error: "cursor must be a job ID from a previous page" };
+    }
+    options.cursor = cursor;
+  }
+
+  if (status !== undefined) {
+    const normalized = String(status).toUpperCase();
+    if (!Object.values(JOB_STATUS).includes(normalized)) {
+      return {
+        error: `status must be one of ${Object.values(JOB_STATUS).join(", ")}`,
+      };
+    }
+    options.status = normalized;
+  }
+
+  if (created_from !== undefined) {
+    const from = parseTime(created_from);
+    if (from === null) {
+      return { error: "created_from must be an ISO 8601 date or timestamp" };
+    }
+    options.from = getJobIdBoundary(from);
+  }
+
+  if (created_to !== undefined) {
+    const to = parseTime(created_to);
+    if (to === null) {
+      return { error: "created_to must be an ISO 8601 date or timestamp" };
+    }
+    options.to = getJobIdBoundary(to, true);
+  }
+
+  if (options.from && options.to && options.from > options.to) {
+    return { error: "created_from must not be after created_to" };
+  }
+
+  if (schedule_id !== undefined && !isValidJobId(schedule_id)) {
+    return { error: "schedule_id must be a 19-digit schedule ID" };
+  }
+
+  // Host and URL substrings, error types and schedules aren't indexed, they
+  // filter the records
+  const hostFilter = host ? String(host).toLowerCase() : null;
+  const urlFilter = url ? String(url).toLowerCase() : null;
+  if (hostFilter || urlFilter || error_type || schedule_id) {
+    options.filter = (job) =>
+      (!hostFilter || getHost(job.url).includes(hostFilter)) &&
+      (!urlFilter || job.url.toLowerCase().includes(urlFilter)) &&
+      (!error_type || job.error_type === error_type) &&
+      (!schedule_id || job.schedule_id === schedule_id);
+  }
+
+  return { options };
+}
+
+function toSummary(job) {
+  const summary = {
+    job_id: job.job_id,
+    url: job.url,
+    status: job.status,
+    created_at: new Date(getTimestampFromJobId(job.job_id)).toISOString(),
+  };
+
+  if (job.finished_at) {
+    summary.finished_at = job.finished_at;
+  }
+
+  if (job.status === JOB_STATUS.FAILED) {
+    summary.error = job.error;
+    summary.error_type = job.error_type;
+  }
+
+  if (job.batch_id) {
+    summary.batch_id = job.batch_id;
+  }
+
+  if (job.schedule_id) {
+    summary.schedule_id = job.schedule_id;
+  }
+
+  return summary;
+}
+
+async function listJobs(req, res, next) {
+  try {
+    const { error, options } = parseListQuery(req.query || {});
+    if (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: "Invalid query parameter",
+        details: error,
+      });
+    }
+
+    // Callers only see jobs they can open with GET /api/results
+    const { filter } = options;
+    options.filter = (job) =>
+      canAccessJob(req.apiKey, job) && (!filter || filter(job));
+
+    let page;
+    try {
+      page = await storageService.listJobs(options);
+    } catch (storageError) {
+      logger.error("Storage error while listing jobs", {
+        error: storageError.message,
+        requestId: req.id,
+      });
+
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to list jobs. Please try again.",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return res.status(HTTP_STATUS.OK).json({
+      jobs: page.jobs.map(toSummary),
+      count: page.jobs.length,
+      next_cursor: page.next_cursor,
+    });
+  } catch (error) {
+    logger.error("Unexpected error in listJobs", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+module.exports = {
+  listJobs,
+  parseListQuery,
+};
@@ -1,13 +1,95 @@
 const storageService = require("../../services/storage.service");
 const queueService = require("../../services/queue.service");
+const {
+  subscribeToJob,
+  createJobWaiter,
+} = require("../../services/events.service");
+const { canAccessJob } = require("../../services/apiKey.service");
+const { enqueueJob, spendQuota, refundQuota } = require("./analyse.controller");
+const config = require("../../config/app.config");
 const logger = require("../../utils/logger");
 const { isValidJobId } = require("../../utils/jobIdGenerator");
 const {
   HTTP_STATUS,
   JOB_STATUS,
+  TERMINAL_STATUSES,
   ERROR_MESSAGES,
+  LINK_CHECK_RESULT,
 } = require("../../utils/constants");
 
+function parseWait(value) {
+  if (value === undefined || value === "") {
+    return 0;
+  }
+
+  if (!/^\d+$/.test(String(value))) {
+    return null;
+  }
+
+  const wait = parseInt(value, 10);
+  return wait <= config.api.maxWaitSeconds ? wait : null;
+}
+
+const isTerminalEvent = (event) =>
+  event.type === "status" && TERMINAL_STATUSES.includes(event.status);
+
+/**
+ * Read a job, waiting up to `wait` seconds for it to reach a terminal state
+ *
+ * Waiting is driven by the worker's status events rather than re-reading
+ * the job, so Redis sees at most two reads per request.
+ *
+ * @param {string} job_id - Job ID
+ * @param {number} wait - Seconds to wait, 0 to return immediately
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} Job
+ */
+async function getJobWaiting(job_id, wait, req) {
+  if (wait === 0) {
+    return storageService.getJob(job_id);
+  }
+
+  let waiter;
+  try {
+    waiter = await createJobWaiter(job_id, isTerminalEvent);
+  } catch (error) {
+    logger.warn("Long-poll subscription failed, returning immediately", {
+      job_id,
+      error: error.message,
+      requestId: req.id,
+    });
+    return storageService.getJob(job_id);
+  }
+
+  const onClose = () => waiter.cancel();
+
+  try {
+    let job = await storageService.getJob(job_id);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    // Keep the socket open past the server-wide request timeout
+    if (req.setTimeout) {
+      req.setTimeout((wait + 5) * 1000);
+    }
+    if (req.on) {
+      req.on("close", onClose);
+    }
+
+    const event = await waiter.wait(wait * 1000);
+    if (event) {
+      job = await storageService.getJob(job_id);
+    }
+    return job;
+  } finally {
+    if (req.off) {
+      req.off("close", onClose);
+    }
+    await waiter.cancel();
+  }
+}
+
 async function getResults(req, res, next) {
   const { job_id } = req.params;
 
@@ -24,10 +106,18 @@ async function getResults(req, res, next) {
       });
     }
 
-    // 2. Get job from Redis
+    const wait = parseWait(req.query && req.query.wait);
+    if (wait === null) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: "Invalid wait parameter",
+        details: `wait must be an integer between 0 and ${config.api.maxWaitSeconds} seconds`,
+      });
+    }
+
+    // 2. Get job from Redis, holding the request until it finishes if asked
     let job;
     try {
-      job = await storageService.getJob(job_id);
+      job = await getJobWaiting(job_id, wait, req);
     } catch (storageError) {
       logger.error("Storage error while fetching job", {
         job_id,
@@ -42,7 +132,8 @@ async function getResults(req, res, next) {
       });
     }
 
-    if (!job) {
+    // Another key's job is reported as missing rather than forbidden
+    if (!job || !canAccessJob(req.apiKey, job)) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({
         error: ERROR_MESSAGES.JOB_NOT_FOUND,
         message: `No job found with ID: ${job_id}`,
@@ -56,6 +147,18 @@ async function getResults(req, res, next) {
       url: job.url,
     };
 
+    if (job.callback_url) {
+      response.callback = {
+        url: job.callback_url,
+        status: job.callback_status || null,
+        attempts: job.callback_attempts || [],
+      };
+    }
+
+    if (job.attempts && job.attempts.length > 0) {
+      response.attempts = job.attempts;
+    }
+
     if (job.status === JOB_STATUS.PENDING) {
       const queueInfo = await queueService.getJobInfo(job_id);
 
@@ -81,6 +184,11 @@ async function getResults(req, res, next) {
       return res.status(HTTP_STATUS.OK).json(response);
     }
 
+    if (job.status === JOB_STATUS.CANCELLED) {
+      response.cancelled_at = job.cancelled_at;
+      return res.status(HTTP_STATUS.OK).json(response);
+    }
+
     logger.error("Unknown job status", {
       job_id,
       status: job.status,
@@ -100,6 +208,492 @@ async function getResults(req, res, next) {
   }
 }
 
+/**
+ * Validate GET /api/results/:job_id/links query parameters
+ * @param {object} query - Express query object
+ * @returns {object} { error } or { type, rel, limit, offset }
+ */
+function parseLinksQuery(query) {
+  const { type, rel, check, limit, offset } = query;
+  const options = { limit: config.api.linksPageSize, offset: 0 };
+
+  if (limit !== undefined) {
+    const parsed = /^\d+$/.test(limit) ? parseInt(limit, 10) : NaN;
+    if (!(parsed >= 1 && parsed <= config.parser.maxLinks)) {
+      return {
+        error: `limit must be an integer between 1 and ${config.parser.maxLinks}`,
+      };
+    }
+    options.limit = parsed;
+  }
+
+  if (offset !== undefined) {
+    if (!/^\d+$/.test(offset)) {
+      return { error: "offset must be a non-negative integer" };
+    }
+    options.offset = parseInt(offset, 10);
+  }
+
+  if (type !== undefined) {
+    if (type !== "internal" && type !== "external") {
+      return { error: "type must be internal or external" };
+    }
+    options.type = type;
+  }
+
+  if (rel !== undefined) {
+    options.rel = String(rel).toLowerCase();
+  }
+
+  if (check !== undefined) {
+    const results = Object.values(LINK_CHECK_RESULT);
+    if (!results.includes(check)) {
+      return { error: `check must be one of ${results.join(", ")}` };
+    }
+    options.check = check;
+  }
+
+  return options;
+}
+
+/**
+ * Page through the link inventory of a completed job
+ *
+ * Filters apply to the stored list, which holds at most
+ * `config.parser.maxLinks` distinct links (see `truncated`).
+ */
+async function getResultLinks(req, res, next) {
+  const { job_id } = req.params;
+
+  try {
+    if (!isValidJobId(job_id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.INVALID_JOB_ID,
+        details: "Job ID must be a 19-digit numeric string",
+      });
+    }
+
+    const query = parseLinksQuery(req.query || {});
+    if (query.error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: "Invalid query parameter",
+        details: query.error,
+      });
+    }
+
+    let job;
+    try {
+      job = await storageService.getJob(job_id);
+    } catch (storageError) {
+      logger.error("Storage error while fetching job links", {
+        job_id,
+        error: storageError.message,
+        requestId: req.id,
+      });
+
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to retrieve job. Please try again.",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!job || !canAccessJob(req.apiKey, job)) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.JOB_NOT_FOUND,
+        message: `No job found with ID: ${job_id}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const inventory =
+      job.status === JOB_STATUS.COMPLETED && job.results
+        ? job.results.links
+        : undefined;
+    if (!inventory) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: ERROR_MESSAGES.LINKS_NOT_AVAILABLE,
+        message:
+          job.status === JOB_STATUS.COMPLETED
+            ? `Job ${job_id} did not run the links analyzer`
+            : `Job ${job_id} is ${job.status}`,
+        status: job.status,
+      });
+    }
+
+    const { type, rel, check, limit, offset } = query;
+    const matching = inventory.items.filter(
+      (link) =>
+        (!type || link.type === type) &&
+        (!rel || link.rel.includes(rel)) &&
+        (!check || (link.check && link.check.result === check))
+    );
+    const page = matching.slice(offset, offset + limit);
+
+    return res.status(HTTP_STATUS.OK).json({
+      job_id,
+      url: job.url,
+      total: inventory.total,
+      unique: inventory.unique,
+      truncated: inventory.truncated,
+      skipped: inventory.skipped,
+      matching: matching.length,
+      links: page,
+      count: page.length,
+      next_offset: offset + limit < matching.length ? offset + limit : null,
+    });
+  } catch (error) {
+    logger.error("Unexpected error in getResultLinks", {
+      error: error.message,
+      stack: error.stack,
+      job_id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Move a PENDING or PROCESSING job to CANCELLED
+ *
+ * The PENDING → CANCELLED transition is tried first so a worker picking the
+ * job up at the same moment is caught by the PROCESSING attempt. Workers
+ * listen for the CANCELLED status event and abort in-flight work.
+ *
+ * @param {string} job_id - Job ID
+ * @returns {Promise<object|null>} Cancelled job, or null if it had finished
+ */
+async function transitionToCancelled(job_id) {
+  const updateData = {
+    status: JOB_STATUS.CANCELLED,
+    cancelled_at: new Date().toISOString(),
+  };
+
+  const cancelled = await storageService.updateJobIfStatus(
+    job_id,
+    JOB_STATUS.PENDING,
+    updateData
+  );
+
+  if (cancelled) {
+    await queueService.removeJob(job_id);
+    return cancelled;
+  }
+
+  return storageService.updateJobIfStatus(
+    job_id,
+    JOB_STATUS.PROCESSING,
+    updateData
+  );
+}
+
+async function cancelJob(req, res, next) {
+  const { job_id } = req.params;
+
+  try {
+    if (!isValidJobId(job_id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.INVALID_JOB_ID,
+        details: "Job ID must be a 19-digit numeric string",
+      });
+    }
+
+    let job;
+    let cancelled = null;
+    try {
+      job = await storageService.getJob(job_id);
+      if (job && !canAccessJob(req.apiKey, job)) {
+        job = null;
+      }
+
+      if (job && !TERMINAL_STATUSES.includes(job.status)) {
+        cancelled = await transitionToCancelled(job_id);
+        // Re-read when the job finished while we were cancelling it
+        job = cancelled || (await storageService.getJob(job_id));
+      }
+    } catch (storageError) {
+      logger.error("Storage error while cancelling job", {
+        job_id,
+        error: storageError.message,
+        requestId: req.id,
+      });
+
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to cancel job. Please try again.",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!job) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.JOB_NOT_FOUND,
+        message: `No job found with ID: ${job_id}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!cancelled) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: ERROR_MESSAGES.JOB_ALREADY_FINISHED,
+        message: `Job ${job_id} is already ${job.status}`,
+        status: job.status,
+      });
+    }
+
+    logger.info("Job cancelled", { job_id, requestId: req.id });
+
+    return res.status(HTTP_STATUS.OK).json({
+      job_id,
+      status: JOB_STATUS.CANCELLED,
+      cancelled_at: job.cancelled_at,
+      message: "Job cancelled",
+    });
+  } catch (error) {
+    logger.error("Unexpected error in cancelJob", {
+      error: error.message,
+      stack: error.stack,
+      job_id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Re-run a FAILED job with its original URL and options
+ *
+ * The job keeps its ID, so result links, callbacks and batch membership
+ * stay valid. Earlier runs remain in the job's attempts history.
+ */
+async function retryJob(req, res, next) {
+  const { job_id } = req.params;
+
+  try {
+    if (!isValidJobId(job_id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.INVALID_JOB_ID,
+        details: "Job ID must be a 19-digit numeric string",
+      });
+    }
+
+    let job;
+    let retried = null;
+    try {
+      job = await storageService.getJob(job_id);
+      if (job && !canAccessJob(req.apiKey, job)) {
+        job = null;
+      }
+
+      if (job && job.status === JOB_STATUS.FAILED) {
+        const rejection = await spendQuota(req);
+        if (rejection) {
+          return res.status(rejection.status).json(rejection.body);
+        }
+
+        // Undefined fields are dropped when the job is serialized
+        retried = await storageService.updateJobIfStatus(
+          job_id,
+          JOB_STATUS.FAILED,
+          {
+            status: JOB_STATUS.PENDING,
+            error: undefined,
+            error_type: undefined,
+            started_at: undefined,
+            finished_at: undefined,
+            callback_status: undefined,
+            retried_at: new Date().toISOString(),
+          }
+        );
+
+        // Lost the race with another retry, or the job left FAILED
+        if (!retried) {
+          await refundQuota(req);
+        }
+      }
+    } catch (storageError) {
+      logger.error("Storage error while retrying job", {
+        job_id,
+        error: storageError.message,
+        requestId: req.id,
+      });
+
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to retry job. Please try again.",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!job) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.JOB_NOT_FOUND,
+        message: `No job found with ID: ${job_id}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!retried) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: ERROR_MESSAGES.JOB_NOT_RETRYABLE,
+        message: `Job ${job_id} is ${job.status}`,
+        status: job.status,
+      });
+    }
+
+    // Bull ignores a job whose ID is still in the queue, so drop the old run
+    await queueService.removeJob(job_id);
+
+    const failure = await enqueueJob(
+      {
+        job_id,
+        url: retried.url,
+        analyzers: retried.analyzers || null,
+        ...(retried.check_links && { check_links: true }),
+      },
+      req
+    );
+    if (failure) {
+      await refundQuota(req);
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json(failure);
+    }
+
+    logger.info("Job queued for retry", {
+      job_id,
+      attempt: (retried.attempts || []).length + 1,
+      requestId: req.id,
+    });
+
+    return res.status(HTTP_STATUS.ACCEPTED).json({
+      job_id,
+      status: JOB_STATUS.PENDING,
+      attempt: (retried.attempts || []).length + 1,
+      message: "Job queued for retry",
+    });
+  } catch (error) {
+    logger.error("Unexpected error in retryJob", {
+      error: error.message,
+      stack: error.stack,
+      job_id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+function writeEvent(res, event) {
+  res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+async function streamJobEvents(req, res, next) {
+  const { job_id } = req.params;
+
+  try {
+    if (!isValidJobId(job_id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.INVALID_JOB_ID,
+        details: "Job ID must be a 19-digit numeric string",
+      });
+    }
+
+    // Subscribe before reading the job so no transition between the read
+    // and the subscription is lost
+    const buffered = [];
+    let onEvent = (event) => buffered.push(event);
+    let unsubscribe;
+    let job;
+
+    try {
+      unsubscribe = await subscribeToJob(job_id, (event) => onEvent(event));
+      job = await storageService.getJob(job_id);
+    } catch (error) {
+      if (unsubscribe) {
+        await unsubscribe();
+      }
+
+      logger.error("Failed to open job event stream", {
+        job_id,
+        error: error.message,
+        requestId: req.id,
+      });
+
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to stream job events. Please try again.",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!job || !canAccessJob(req.apiKey, job)) {
+      await unsubscribe();
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.JOB_NOT_FOUND,
+        message: `No job found with ID: ${job_id}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.status(HTTP_STATUS.OK);
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const heartbeat = setInterval(() => {
+      res.write(": heartbeat\n\n");
+    }, config.events.heartbeatMs);
+
+    const close = async () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+      await unsubscribe();
+    };
+
+    req.on("close", close);
+
+    onEvent = (event) => {
+      if (closed) {
+        return;
+      }
+      writeEvent(res, event);
+      if (event.type === "status" && TERMINAL_STATUSES.includes(event.status)) {
+        close();
+      }
+    };
+
+    // The current state is always the first event
+    onEvent({
+      type: "status",
+      job_id,
+      status: job.status,
+      timestamp: new Date().toISOString(),
+    });
+
+    buffered.forEach(onEvent);
+  } catch (error) {
+    logger.error("Unexpected error in streamJobEvents", {
+      error: error.message,
+      stack: error.stack,
+      job_id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
 module.exports = {
   getResults,
+  getResultLinks,
+  parseLinksQuery,
+  cancelJob,
+  retryJob,
+  streamJobEvents,
 };
@@ -0,0 +1,346 @@
+const { isValidJobId } = require("../../utils/jobIdGenerator");
+const { validateUrlComplete } = require("../../utils/urlValidator");
+const scheduleService = require("../../services/schedule.service");
+const apiKeyService = require("../../services/apiKey.service");
+const {
+  validateAnalyzers,
+  normalizeAnalyzers,
+} = require("./analyse.controller");
+const config = require("../../config/app.config");
+const logger = require("../../utils/logger");
+const { HTTP_STATUS, ERROR_MESSAGES } = require("../../utils/constants");
+
+/**
+ * Public view of a schedule, with the time of its next run
+ * @param {object} schedule - Schedule record
+ * @returns {object} Response body
+ */
+function toScheduleResponse(schedule) {
+  const { api_key_id, ...rest } = schedule;
+  return {
+    ...rest,
+    next_run_at: scheduleService.getNextRunAt(schedule),
+  };
+}
+
+function storageUnavailable(res, message) {
+  return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+    error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+    message,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function scheduleNotFound(res, schedule_id) {
+  return res.status(HTTP_STATUS.NOT_FOUND).json({
+    error: ERROR_MESSAGES.SCHEDULE_NOT_FOUND,
+    message: `No schedule found with ID: ${schedule_id}`,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Validate GET /api/schedules query parameters
+ * @param {object} query - Express query object
+ * @returns {object} { error } or { options } for scheduleService.listSchedules
+ */
+function parseListQuery(query) {
+  const { cursor, limit } = query;
+  const options = { limit: config.schedules.pageSize };
+
+  if (limit !== undefined) {
+    const parsed = /^\d+$/.test(limit) ? parseInt(limit, 10) : NaN;
+    if (!(parsed >= 1 && parsed <= config.schedules.maxPageSize)) {
+      return {
+        error: `limit must be an integer between 1 and ${config.schedules.maxPageSize}`,
+      };
+    }
+    options.limit = parsed;
+  }
+
+  if (cursor !== undefined) {
+    if (!isValidJobId(cursor)) {
+      return { error: "cursor must be a schedule ID from a previous page" };
+    }
+    options.cursor = cursor;
+  }
+
+  return { options };
+}
+
+/**
+ * Load the schedule named in the path, answering the request if it can't be
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} Schedule, null once a response was sent
+ */
+async function loadSchedule(req, res) {
+  const { schedule_id } = req.params;
+
+  if (!isValidJobId(schedule_id)) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: ERROR_MESSAGES.INVALID_SCHEDULE,
+      message: "Schedule ID must be a 19-digit numeric string",
+    });
+    return null;
+  }
+
+  let schedule;
+  try {
+    schedule = await scheduleService.getSchedule(schedule_id);
+  } catch (storageError) {
+    logger.error("Storage error while fetching schedule", {
+      schedule_id,
+      error: storageError.message,
+      requestId: req.id,
+    });
+    storageUnavailable(res, "Unable to retrieve schedule. Please try again.");
+    return null;
+  }
+
+  // Another key's schedule is reported as missing rather than forbidden
+  if (!schedule || !apiKeyService.canAccessJob(req.apiKey, schedule)) {
+    scheduleNotFound(res, schedule_id);
+    return null;
+  }
+
+  return schedule;
+}
+
+async function createSchedule(req, res, next) {
+  const { url, cron, every, timezone } = req.body;
+
+  try {
+    if (typeof url !== "string") {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: "URL is required",
+        message: 'Request body must contain a "url" string',
+      });
+    }
+
+    const validation = validateUrlComplete(url);
+    if (!validation.valid) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: validation.error,
+        message: validation.details,
+      });
+    }
+
+    const analyzersError = validateAnalyzers(req.body.analyzers);
+    if (analyzersError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(analyzersError);
+    }
+
+    const repeatError = scheduleService.validateRepeat({
+      cron,
+      every,
+      timezone,
+    });
+    if (repeatError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.INVALID_SCHEDULE,
+        message: repeatError,
+      });
+    }
+
+    if (req.apiKey && !apiKeyService.isDomainAllowed(req.apiKey, url)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: ERROR_MESSAGES.DOMAIN_NOT_ALLOWED,
+        message: `Allowed domains: ${req.apiKey.allowed_domains.join(", ")}`,
+      });
+    }
+
+    let schedule;
+    try {
+      schedule = await scheduleService.createSchedule({
+        url,
+        cron,
+        every,
+        timezone,
+        analyzers: normalizeAnalyzers(req.body.analyzers),
+        api_key_id: req.apiKey ? req.apiKey.key_id : undefined,
+      });
+    } catch (error) {
+      logger.error("Failed to create schedule", {
+        url,
+        error: error.message,
+        requestId: req.id,
+      });
+      return storageUnavailable(
+        res,
+        "Unable to create schedule. Please try again."
+      );
+    }
+
+    logger.info("Schedule created via API", {
+      schedule_id: schedule.schedule_id,
+      requestId: req.id,
+    });
+
+    return res.status(HTTP_STATUS.CREATED).json(toScheduleResponse(schedule));
+  } catch (error) {
+    logger.error("Unexpected error in createSchedule", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+async function listSchedules(req, res, next) {
+  try {
+    const { error, options } = parseListQuery(req.query || {});
+    if (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: "Invalid query parameter",
+        details: error,
+      });
+    }
+
+    let page;
+    try {
+      page = await scheduleService.listSchedules({
+        ...options,
+        filter: (schedule) => apiKeyService.canAccessJob(req.apiKey, schedule),
+      });
+    } catch (storageError) {
+      logger.error("Storage error while listing schedules", {
+        error: storageError.message,
+        requestId: req.id,
+      });
+      return storageUnavailable(
+        res,
+        "Unable to list schedules. Please try again."
+      );
+    }
+
+    return res.status(HTTP_STATUS.OK).json({
+      schedules: page.schedules.map(toScheduleResponse),
+      count: page.schedules.length,
+      next_cursor: page.next_cursor,
+    });
+  } catch (error) {
+    logger.error("Unexpected error in listSchedules", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+async function getSchedule(req, res, next) {
+  try {
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) {
+      return;
+    }
+
+    return res.status(HTTP_STATUS.OK).json(toScheduleResponse(schedule));
+  } catch (error) {
+    logger.error("Unexpected error in getSchedule", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Handler applying a state change to the schedule in the path
+ * @param {string} name - Handler name, for logs
+ * @param {function} change - Schedule service function taking the schedule
+ * @param {string} failureMessage - Message of the 503 response
+ * @returns {function} Express handler
+ */
+function changeSchedule(name, change, failureMessage) {
+  return async (req, res, next) => {
+    try {
+      const schedule = await loadSchedule(req, res);
+      if (!schedule) {
+        return;
+      }
+
+      let updated;
+      try {
+        updated = await change(schedule);
+      } catch (error) {
+        logger.error(`Failed to ${name} schedule`, {
+          schedule_id: schedule.schedule_id,
+          error: error.message,
+          requestId: req.id,
+        });
+        return storageUnavailable(res, failureMessage);
+      }
+
+      return res.status(HTTP_STATUS.OK).json(toScheduleResponse(updated));
+    } catch (error) {
+      logger.error(`Unexpected error in ${name}Schedule`, {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      next(error);
+    }
+  };
+}
+
+const pauseSchedule = changeSchedule(
+  "pause",
+  (schedule) => scheduleService.pauseSchedule(schedule),
+  "Unable to pause schedule. Please try again."
+);
+
+const resumeSchedule = changeSchedule(
+  "resume",
+  (schedule) => scheduleService.resumeSchedule(schedule),
+  "Unable to resume schedule. Please try again."
+);
+
+async function deleteSchedule(req, res, next) {
+  try {
+    const schedule = await loadSchedule(req, res);
+    if (!schedule) {
+      return;
+    }
+
+    try {
+      await scheduleService.deleteSchedule(schedule);
+    } catch (error) {
+      logger.error("Failed to delete schedule", {
+        schedule_id: schedule.schedule_id,
+        error: error.message,
+        requestId: req.id,
+      });
+      return storageUnavailable(
+        res,
+        "Unable to delete schedule. Please try again."
+      );
+    }
+
+    return res.status(HTTP_STATUS.OK).json({
+      schedule_id: schedule.schedule_id,
+      deleted: true,
+      message: "Schedule deleted, jobs it created are kept",
+    });
+  } catch (error) {
+    logger.error("Unexpected error in deleteSchedule", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  parseListQuery,
+  getSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+};
@@ -0,0 +1,172 @@
+const { isValidJobId } = require("../../utils/jobIdGenerator");
+const { validateUrl } = require("../../utils/urlValidator");
+const { normalizeUrl } = require("../../utils/urlNormalizer");
+const { diffResults } = require("../../utils/resultsDiff");
+const historyService = require("../../services/history.service");
+const { canAccessJob } = require("../../services/apiKey.service");
+const config = require("../../config/app.config");
+const logger = require("../../utils/logger");
+const { HTTP_STATUS, ERROR_MESSAGES } = require("../../utils/constants");
+
+/**
+ * Validate GET /api/urls/history query parameters
+ * @param {object} query - Express query object
+ * @returns {object} { error } or { url, options } for historyService.listRuns
+ */
+function parseHistoryQuery(query) {
+  const { url, cursor, limit } = query;
+  const options = { limit: config.api.jobsPageSize };
+
+  if (typeof url !== "string" || !validateUrl(url)) {
+    return { error: "url must be an http(s) URL" };
+  }
+
+  if (limit !== undefined) {
+    const parsed = /^\d+$/.test(limit) ? parseInt(limit, 10) : NaN;
+    if (!(parsed >= 1 && parsed <= config.api.maxJobsPageSize)) {
+      return {
+        error: `limit must be an integer between 1 and ${config.api.maxJobsPageSize}`,
+      };
+    }
+    options.limit = parsed;
+  }
+
+  if (cursor !== undefined) {
+    if (!isValidJobId(cursor)) {
+      return { error: "cursor must be a job ID from a previous page" };
+    }
+    options.cursor = cursor;
+  }
+
+  return { url, options };
+}
+
+function toHistoryEntry(run) {
+  return {
+    job_id: run.job_id,
+    url: run.url,
+    finished_at: run.finished_at,
+    analyzers: run.analyzers,
+    results: run.results,
+  };
+}
+
+function storageUnavailable(res, message) {
+  return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+    error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+    message,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+async function getUrlHistory(req, res, next) {
+  try {
+    const { error, url, options } = parseHistoryQuery(req.query || {});
+    if (error) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: "Invalid query parameter",
+        details: error,
+      });
+    }
+
+    // Callers only see runs of jobs they could open with GET /api/results
+    options.filter = (run) => canAccessJob(req.apiKey, run);
+
+    let page;
+    try {
+      page = await historyService.listRuns(url, options);
+    } catch (storageError) {
+      logger.error("Storage error while listing URL history", {
+        url,
+        error: storageError.message,
+        requestId: req.id,
+      });
+      return storageUnavailable(
+        res,
+        "Unable to list URL history. Please try again."
+      );
+    }
+
+    return res.status(HTTP_STATUS.OK).json({
+      url: normalizeUrl(url),
+      runs: page.runs.map(toHistoryEntry),
+      count: page.runs.length,
+      next_cursor: page.next_cursor,
+    });
+  } catch (error) {
+    logger.error("Unexpected error in getUrlHistory", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+async function getUrlDiff(req, res, next) {
+  try {
+    const { from, to } = req.query || {};
+
+    if (!isValidJobId(from) || !isValidJobId(to)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: ERROR_MESSAGES.INVALID_JOB_ID,
+        message: "from and to must both be 19-digit job IDs",
+      });
+    }
+
+    let runs;
+    try {
+      runs = await historyService.getRuns([from, to]);
+    } catch (storageError) {
+      logger.error("Storage error while fetching runs", {
+        from,
+        to,
+        error: storageError.message,
+        requestId: req.id,
+      });
+      return storageUnavailable(
+        res,
+        "Unable to retrieve runs. Please try again."
+      );
+    }
+
+    // Another key's run is reported as missing rather than forbidden
+    const missing = [from, to].filter(
+      (job_id, i) => !runs[i] || !canAccessJob(req.apiKey, runs[i])
+    );
+    if (missing.length > 0) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        error: ERROR_MESSAGES.RUN_NOT_FOUND,
+        message: `No completed run found with ID: ${missing.join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const [before, after] = runs;
+    const summary = (run) => ({
+      job_id: run.job_id,
+      url: run.url,
+      finished_at: run.finished_at,
+    });
+
+    return res.status(HTTP_STATUS.OK).json({
+      from: summary(before),
+      to: summary(after),
+      same_url: normalizeUrl(before.url) === normalizeUrl(after.url),
+      ...diffResults(before.results, after.results),
+    });
+  } catch (error) {
+    logger.error("Unexpected error in getUrlDiff", {
+      error: error.message,
+      stack: error.stack,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+module.exports = {
+  getUrlHistory,
+  getUrlDiff,
+  parseHistoryQuery,
+};
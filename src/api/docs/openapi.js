@@ -0,0 +1,1251 @@
+const config = require("../../config/app.config");
+const { getAnalyzerNames, SEO_FINDINGS } = require("../../worker/parser");
+const {
+  JOB_STATUS,
+  CALLBACK_STATUS,
+  HEALTH_STATUS,
+  ERROR_TYPES,
+  VALIDATION,
+  LINK_CHECK_RESULT,
+  SEO_SEVERITY,
+  SCHEDULE_STATUS,
+} = require("../../utils/constants");
+
+/**
+ * OpenAPI 3.1 description of the public API
+ *
+ * Schemas use JSON Schema 2020-12, so tests validate controller responses
+ * against them directly (see tests/helpers/openapi.js).
+ */
+
+const jobIdParameter = {
+  name: "job_id",
+  in: "path",
+  required: true,
+  description: "19-digit numeric job ID returned by POST /api/analyse",
+  schema: { $ref: "#/components/schemas/JobId" },
+};
+
+const scheduleIdParameter = {
+  name: "schedule_id",
+  in: "path",
+  required: true,
+  description: "19-digit numeric schedule ID returned by POST /api/schedules",
+  schema: { $ref: "#/components/schemas/JobId" },
+};
+
+const requestIdHeader = {
+  description: "Request ID for log correlation",
+  schema: { type: "string" },
+};
+
+function jsonResponse(description, schema) {
+  return {
+    description,
+    headers: { "X-Request-Id": requestIdHeader },
+    content: { "application/json": { schema } },
+  };
+}
+
+const errorResponse = (description) =>
+  jsonResponse(description, { $ref: "#/components/schemas/Error" });
+
+const timestamp = { type: "string", format: "date-time" };
+
+function buildSpec() {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Web Page Analyzer API",
+      version: "1.0.0",
+      description:
+        "Submit URLs for asynchronous analysis and poll, stream or receive callbacks for the results.",
+    },
+    servers: [{ url: "/" }],
+    tags: [
+      { name: "Analysis", description: "Submit and read analysis jobs" },
+      { name: "Schedules", description: "Recurring analyses of one URL" },
+      { name: "Health", description: "Liveness and readiness probes" },
+    ],
+    paths: {
+      "/api/analyse": {
+        post: {
+          tags: ["Analysis"],
+          summary: "Submit a URL for analysis",
+          operationId: "analyseUrl",
+          security: [{}, { apiKey: [] }],
+          parameters: [
+            {
+              name: "X-Request-Id",
+              in: "header",
+              required: false,
+              description:
+                "Client-supplied request ID, generated when missing or malformed",
+              schema: { type: "string", pattern: "^[A-Za-z0-9._:-]{1,128}$" },
+            },
+            {
+              name: "Idempotency-Key",
+              in: "header",
+              required: false,
+              description: `Repeats with the same key and body within ${config.idempotency.windowSeconds}s return the original job instead of creating a new one. Keys are scoped to the API key, or to the client IP without one`,
+              schema: { type: "string", pattern: "^[\\x21-\\x7e]{1,255}$" },
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/AnalyseRequest" },
+              },
+            },
+          },
+          responses: {
+            200: {
+              ...jsonResponse(
+                "Replay of an earlier submission, or a cached analysis within max_age",
+                {
+                  oneOf: [
+                    { $ref: "#/components/schemas/JobReplayed" },
+                    { $ref: "#/components/schemas/JobCached" },
+                  ],
+                }
+              ),
+              headers: {
+                "X-Request-Id": requestIdHeader,
+                "Idempotent-Replayed": {
+                  description:
+                    "Set when the job was created by an earlier request",
+                  schema: { const: "true" },
+                },
+              },
+            },
+            202: jsonResponse(
+              "Job queued, or attached to an in-flight job for the same URL",
+              {
+                oneOf: [
+                  { $ref: "#/components/schemas/JobAccepted" },
+                  { $ref: "#/components/schemas/JobAttached" },
+                ],
+              }
+            ),
+            400: errorResponse(
+              "Invalid URL, callback_url, analyzers or Idempotency-Key"
+            ),
+            401: errorResponse("Missing or invalid API key"),
+            403: errorResponse("URL outside the API key's allowed domains"),
+            409: errorResponse(
+              "Idempotency-Key reused with a different body, or its first request is still running"
+            ),
+            429: errorResponse("Rate limit or API key quota exceeded"),
+            503: errorResponse("Storage or queue unavailable"),
+          },
+        },
+      },
+      "/api/results/{job_id}": {
+        get: {
+          tags: ["Analysis"],
+          summary: "Get the status and results of a job",
+          operationId: "getResults",
+          security: [{}, { apiKey: [] }],
+          parameters: [
+            jobIdParameter,
+            {
+              name: "wait",
+              in: "query",
+              required: false,
+              description:
+                "Long-poll: seconds to wait for the job to finish before answering",
+              schema: {
+                type: "integer",
+                minimum: 0,
+                maximum: config.api.maxWaitSeconds,
+              },
+            },
+          ],
+          responses: {
+            200: jsonResponse("Current job state", {
+              $ref: "#/components/schemas/Job",
+            }),
+            400: errorResponse("Invalid job ID or wait parameter"),
+            401: errorResponse("Missing or invalid API key"),
+            404: errorResponse("Job not found or owned by another API key"),
+            429: errorResponse("Rate limit exceeded"),
+            503: errorResponse("Storage unavailable"),
+          },
+        },
+        delete: {
+          tags: ["Analysis"],
+          summary: "Cancel a pending or processing job",
+          operationId: "cancelJob",
+          security: [{}, { apiKey: [] }],
+          parameters: [jobIdParameter],
+          responses: {
+            200: jsonResponse("Job cancelled", {
+              $ref: "#/components/schemas/JobCancelled",
+            }),
+            400: errorResponse("Invalid job ID"),
+            401: errorResponse("Missing or invalid API key"),
+            404: errorResponse("Job not found or owned by another API key"),
+            409: errorResponse("Job has already finished"),
+            503: errorResponse("Storage unavailable"),
+          },
+        },
+      },
+      "/api/results/{job_id}/links": {
+        get: {
+          tags: ["Analysis"],
+          summary: "Page through the link inventory of a completed job",
+          operationId: "getResultLinks",
+          security: [{}, { apiKey: [] }],
+          parameters: [
+            jobIdParameter,
+            {
+              name: "type",
+              in: "query",
+              required: false,
+              schema: { enum: ["internal", "external"] },
+            },
+            {
+              name: "rel",
+              in: "query",
+              required: false,
+              description: "Only links carrying this rel value",
+              schema: { type: "string", examples: ["nofollow"] },
+            },
+            {
+              name: "check",
+              in: "query",
+              required: false,
+              description: "Only links with this link check result",
+              schema: { enum: Object.values(LINK_CHECK_RESULT) },
+            },
+            {
+              name: "limit",
+              in: "query",
+              required: false,
+              schema: {
+                type: "integer",
+                minimum: 1,
+                maximum: config.parser.maxLinks,
+                default: config.api.linksPageSize,
+              },
+            },
+            {
+              name: "offset",
+              in: "query",
+              required: false,
+              schema: { type: "integer", minimum: 0, default: 0 },
+            },
+          ],
+          responses: {
+            200: jsonResponse("One page of links", {
+              $ref: "#/components/schemas/LinkPage",
+            }),
+            400: errorResponse("Invalid job ID or query parameter"),
+            401: errorResponse("Missing or invalid API key"),
+            404: errorResponse("Job not found or owned by another API key"),
+            409: errorResponse(
+              "Job is not COMPLETED or did not run the links analyzer"
+            ),
+            429: errorResponse("Rate limit exceeded"),
+            503: errorResponse("Storage unavailable"),
+          },
+        },
+      },
+      "/api/schedules": {
+        post: {
+          tags: ["Schedules"],
+          summary: "Create a schedule",
+          operationId: "createSchedule",
+          security: [{}, { apiKey: [] }],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/ScheduleRequest" },
+              },
+            },
+          },
+          responses: {
+            201: jsonResponse("Schedule created", {
+              $ref: "#/components/schemas/Schedule",
+            }),
+            400: errorResponse("Invalid URL, analyzers, cron or interval"),
+            401: errorResponse("Missing or invalid API key"),
+            403: errorResponse("URL outside the API key's allowed domains"),
+            429: errorResponse("Rate limit exceeded"),
+            503: errorResponse("Storage or queue unavailable"),
+          },
+        },
+        get: {
+          tags: ["Schedules"],
+          summary: "List schedules, newest first",
+          operationId: "listSchedules",
+          security: [{}, { apiKey: [] }],
+          parameters: [
+            {
+              name: "limit",
+              in: "query",
+              required: false,
+              schema: {
+                type: "integer",
+                minimum: 1,
+                maximum: config.schedules.maxPageSize,
+                default: config.schedules.pageSize,
+              },
+            },
+            {
+              name: "cursor",
+              in: "query",
+              required: false,
+              description: "next_cursor from the previous page",
+              schema: { $ref: "#/components/schemas/JobId" },
+            },
+          ],
+          responses: {
+            200: jsonResponse("One page of schedules", {
+              $ref: "#/components/schemas/SchedulePage",
+            }),
+            400: errorResponse("Invalid query parameter"),
+            401: errorResponse("Missing or invalid API key"),
+            503: errorResponse("Storage unavailable"),
+          },
+        },
+      },
+      "/api/schedules/{schedule_id}": {
+        get: {
+          tags: ["Schedules"],
+          summary: "Get a schedule with its run counters",
+          operationId: "getSchedule",
+          security: [{}, { apiKey: [] }],
+          parameters: [scheduleIdParameter],
+          responses: {
+            200: jsonResponse("Schedule", {
+              $ref: "#/components/schemas/Schedule",
+            }),
+            400: errorResponse("Invalid schedule ID"),
+            401: errorResponse("Missing or invalid API key"),
+            404: errorResponse(
+              "Schedule not found or owned by another API key"
+            ),
+            503: errorResponse("Storage unavailable"),
+          },
+        },
+        delete: {
+          tags: ["Schedules"],
+          summary: "Delete a schedule, keeping the jobs it created",
+          operationId: "deleteSchedule",
+          security: [{}, { apiKey: [] }],
+          parameters: [scheduleIdParameter],
+          responses: {
+            200: jsonResponse("Schedule deleted", {
+              $ref: "#/components/schemas/ScheduleDeleted",
+            }),
+            400: errorResponse("Invalid schedule ID"),
+            401: errorResponse("Missing or invalid API key"),
+            404: errorResponse(
+              "Schedule not found or owned by another API key"
+            ),
+            503: errorResponse("Storage unavailable"),
+          },
+        },
+      },
+      "/api/schedules/{schedule_id}/pause": {
+        post: {
+          tags: ["Schedules"],
+          summary: "Stop a schedule from firing until resumed",
+          operationId: "pauseSchedule",
+          security: [{}, { apiKey: [] }],
+          parameters: [scheduleIdParameter],
+          responses: {
+            200: jsonResponse("Schedule paused, or already paused", {
+              $ref: "#/components/schemas/Schedule",
+            }),
+            400: errorResponse("Invalid schedule ID"),
+            401: errorResponse("Missing or invalid API key"),
+            404: errorResponse(
+              "Schedule not found or owned by another API key"
+            ),
+            503: errorResponse("Storage or queue unavailable"),
+          },
+        },
+      },
+      "/api/schedules/{schedule_id}/resume": {
+        post: {
+          tags: ["Schedules"],
+          summary: "Let a paused schedule fire again",
+          operationId: "resumeSchedule",
+          security: [{}, { apiKey: [] }],
+          parameters: [scheduleIdParameter],
+          responses: {
+            200: jsonResponse("Schedule active again, or already active", {
+              $ref: "#/components/schemas/Schedule",
+            }),
+            400: errorResponse("Invalid schedule ID"),
+            401: errorResponse("Missing or invalid API key"),
+            404: errorResponse(
+              "Schedule not found or owned by another API key"
+            ),
+            503: errorResponse("Storage or queue unavailable"),
+          },
+        },
+      },
+      "/health/live": {
+        get: {
+          tags: ["Health"],
+          summary: "Liveness probe",
+          operationId: "liveness",
+          responses: {
+            200: jsonResponse("Process is running", {
+              $ref: "#/components/schemas/Liveness",
+            }),
+          },
+        },
+      },
+      "/health/ready": {
+        get: {
+          tags: ["Health"],
+          summary: "Readiness probe",
+          operationId: "readiness",
+          responses: {
+            200: jsonResponse("Ready (ok or degraded)", {
+              $ref: "#/components/schemas/Readiness",
+            }),
+            503: jsonResponse(
+              "Redis or the queue is down, no worker is alive, or the queue is critically deep",
+              {
+                $ref: "#/components/schemas/Readiness",
+              }
+            ),
+          },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: "http",
+          scheme: "bearer",
+          description:
+            "API key issued by an admin, sent as Authorization: Bearer wpa_...",
+        },
+      },
+      schemas: {
+        JobId: {
+          type: "string",
+          pattern: "^\\d{19}$",
+          examples: ["1729799000000123456"],
+        },
+        JobStatus: {
+          type: "string",
+          enum: Object.values(JOB_STATUS),
+        },
+        AnalyseRequest: {
+          type: "object",
+          required: ["url"],
+          properties: {
+            url: {
+              type: "string",
+              maxLength: VALIDATION.MAX_URL_LENGTH,
+              description: "Public http(s) URL to analyse",
+              examples: ["https://example.com"],
+            },
+            analyzers: {
+              type: "array",
+              minItems: 1,
+              items: { type: "string", enum: getAnalyzerNames() },
+              description: "Analyzers to run, all when omitted",
+            },
+            callback_url: {
+              type: "string",
+              description:
+                "Public URL that receives a signed POST when the job finishes",
+            },
+            max_age: {
+              type: "integer",
+              minimum: 0,
+              description:
+                "Reuse the caller's in-flight job for the same normalized URL, or one completed within this many seconds. Ignored with callback_url",
+            },
+            check_links: {
+              type: "boolean",
+              default: false,
+              description:
+                'Request every listed link after parsing and report broken ones. Requires the "links" analyzer',
+            },
+          },
+        },
+        JobAccepted: {
+          type: "object",
+          required: ["job_id", "status", "message"],
+          additionalProperties: false,
+          properties: {
+            job_id: { $ref: "#/components/schemas/JobId" },
+            status: { const: JOB_STATUS.PENDING },
+            message: { type: "string" },
+          },
+        },
+        JobReplayed: {
+          type: "object",
+          required: ["job_id", "status", "message"],
+          additionalProperties: false,
+          properties: {
+            job_id: { $ref: "#/components/schemas/JobId" },
+            status: { $ref: "#/components/schemas/JobStatus" },
+            message: { type: "string" },
+          },
+        },
+        JobCached: {
+          type: "object",
+          required: ["job_id", "status", "cached", "finished_at", "message"],
+          additionalProperties: false,
+          properties: {
+            job_id: { $ref: "#/components/schemas/JobId" },
+            status: { const: JOB_STATUS.COMPLETED },
+            cached: { const: true },
+            finished_at: timestamp,
+            results: { $ref: "#/components/schemas/AnalysisResults" },
+            message: { type: "string" },
+          },
+        },
+        JobAttached: {
+          type: "object",
+          required: ["job_id", "status", "deduplicated", "message"],
+          additionalProperties: false,
+          properties: {
+            job_id: { $ref: "#/components/schemas/JobId" },
+            status: { enum: [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING] },
+            deduplicated: { const: true },
+            message: { type: "string" },
+          },
+        },
+        JobCancelled: {
+          type: "object",
+          required: ["job_id", "status", "cancelled_at", "message"],
+          additionalProperties: false,
+          properties: {
+            job_id: { $ref: "#/components/schemas/JobId" },
+            status: { const: JOB_STATUS.CANCELLED },
+            cancelled_at: timestamp,
+            message: { type: "string" },
+          },
+        },
+        Job: {
+          type: "object",
+          required: ["job_id", "status", "url"],
+          additionalProperties: false,
+          properties: {
+            job_id: { $ref: "#/components/schemas/JobId" },
+            status: { $ref: "#/components/schemas/JobStatus" },
+            url: { type: "string" },
+            results: {
+              $ref: "#/components/schemas/AnalysisResults",
+              description: "Present when status is COMPLETED",
+            },
+            error: {
+              type: "string",
+              description: "Present when status is FAILED",
+            },
+            cancelled_at: {
+              ...timestamp,
+              description: "Present when status is CANCELLED",
+            },
+            attempts: {
+              type: "array",
+              description: "Outcome of each finished run, oldest first",
+              items: { $ref: "#/components/schemas/RunAttempt" },
+            },
+            callback: { $ref: "#/components/schemas/Callback" },
+          },
+        },
+        AnalysisResults: {
+          type: "object",
+          description:
+            "Fields produced by the selected analyzers; only fields of analyzers that ran are present",
+          additionalProperties: false,
+          properties: {
+            html_version: {
+              type: "string",
+              description: "Detected from the doctype",
+              examples: ["HTML 5", "HTML 4.01 Strict", "Unknown (No DOCTYPE)"],
+            },
+            page_title: { type: "string" },
+            headings_count: {
+              type: "object",
+              required: ["h1", "h2", "h3", "h4", "h5", "h6"],
+              additionalProperties: false,
+              properties: Object.fromEntries(
+                ["h1", "h2", "h3", "h4", "h5", "h6"].map((level) => [
+                  level,
+                  { type: "integer", minimum: 0 },
+                ])
+              ),
+            },
+            internal_links_count: { type: "integer", minimum: 0 },
+            external_links_count: { type: "integer", minimum: 0 },
+            links: { $ref: "#/components/schemas/LinkInventory" },
+            link_check: { $ref: "#/components/schemas/LinkCheckSummary" },
+            has_login_form: { type: "boolean" },
+            seo: { $ref: "#/components/schemas/SeoReport" },
+            social: { $ref: "#/components/schemas/SocialMetadata" },
+            structured_data: { $ref: "#/components/schemas/StructuredData" },
+            parse_error: {
+              type: "string",
+              description: "Set when parsing failed and fallbacks were used",
+            },
+          },
+        },
+        SeoReport: {
+          type: "object",
+          required: [
+            "title_length",
+            "meta_description",
+            "meta_description_length",
+            "robots",
+            "canonical",
+            "canonical_matches_final_url",
+            "hreflang",
+            "h1_count",
+            "lang",
+            "viewport",
+            "findings",
+          ],
+          additionalProperties: false,
+          properties: {
+            title_length: {
+              type: "integer",
+              minimum: 0,
+              description: "Length of the <title> text, 0 without one",
+            },
+            meta_description: { type: ["string", "null"] },
+            meta_description_length: { type: "integer", minimum: 0 },
+            robots: {
+              type: "array",
+              description: "Lowercased meta robots directives",
+              items: { type: "string" },
+              examples: [["noindex", "follow"]],
+            },
+            canonical: {
+              type: ["string", "null"],
+              description: "Resolved canonical URL",
+            },
+            canonical_matches_final_url: {
+              type: ["boolean", "null"],
+              description:
+                "Whether the canonical URL is the URL the page was served from after redirects, null without a valid canonical",
+            },
+            hreflang: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["hreflang", "url"],
+                additionalProperties: false,
+                properties: {
+                  hreflang: {
+                    type: "string",
+                    examples: ["en-GB", "x-default"],
+                  },
+                  url: { type: "string" },
+                },
+              },
+            },
+            h1_count: { type: "integer", minimum: 0 },
+            lang: {
+              type: ["string", "null"],
+              description: "lang attribute of <html>",
+            },
+            viewport: { type: ["string", "null"] },
+            findings: {
+              type: "array",
+              items: { $ref: "#/components/schemas/SeoFinding" },
+            },
+          },
+        },
+        SeoFinding: {
+          type: "object",
+          required: ["code", "severity", "message"],
+          additionalProperties: false,
+          properties: {
+            code: { enum: Object.keys(SEO_FINDINGS) },
+            severity: { enum: Object.values(SEO_SEVERITY) },
+            message: { type: "string" },
+          },
+        },
+        SocialMedia: {
+          type: "object",
+          description:
+            "An og:image, og:video or og:audio with its structured properties",
+          required: ["url", "secure_url", "type", "width", "height", "alt"],
+          additionalProperties: false,
+          properties: {
+            url: {
+              type: ["string", "null"],
+              description: "Resolved against the page URL",
+            },
+            secure_url: { type: ["string", "null"] },
+            type: { type: ["string", "null"], examples: ["image/png"] },
+            width: { type: ["integer", "null"], minimum: 0 },
+            height: { type: ["integer", "null"], minimum: 0 },
+            alt: { type: ["string", "null"] },
+          },
+        },
+        SocialMetadata: {
+          type: "object",
+          required: ["open_graph", "twitter"],
+          additionalProperties: false,
+          properties: {
+            open_graph: {
+              type: "object",
+              required: [
+                "properties",
+                "article",
+                "images",
+                "videos",
+                "audio",
+                "missing",
+              ],
+              additionalProperties: false,
+              properties: {
+                properties: {
+                  type: "object",
+                  description:
+                    "og:* properties without the prefix; locale:alternate is an array",
+                  additionalProperties: {
+                    type: ["string", "array"],
+                    items: { type: "string" },
+                  },
+                  examples: [{ title: "Pricing", type: "website" }],
+                },
+                article: {
+                  type: "object",
+                  description:
+                    "article:* properties without the prefix; author and tag are arrays",
+                  additionalProperties: {
+                    type: ["string", "array"],
+                    items: { type: "string" },
+                  },
+                },
+                images: {
+                  type: "array",
+                  items: { $ref: "#/components/schemas/SocialMedia" },
+                },
+                videos: {
+                  type: "array",
+                  items: { $ref: "#/components/schemas/SocialMedia" },
+                },
+                audio: {
+                  type: "array",
+                  items: { $ref: "#/components/schemas/SocialMedia" },
+                },
+                missing: {
+                  type: "array",
+                  description: "Required Open Graph properties not found",
+                  items: { type: "string" },
+                  examples: [["og:url"]],
+                },
+              },
+            },
+            twitter: {
+              type: "object",
+              required: ["card", "properties", "missing"],
+              additionalProperties: false,
+              properties: {
+                card: { type: ["string", "null"], examples: ["summary"] },
+                properties: {
+                  type: "object",
+                  description:
+                    "Other twitter:* properties without the prefix, twitter:image resolved",
+                  additionalProperties: { type: "string" },
+                },
+                missing: {
+                  type: "array",
+                  description:
+                    "Properties the card type requires, Open Graph fallbacks considered; twitter:card when absent or unknown",
+                  items: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        StructuredDataItem: {
+          type: "object",
+          required: ["format", "data", "missing"],
+          additionalProperties: false,
+          properties: {
+            format: { $ref: "#/components/schemas/StructuredDataFormat" },
+            data: {
+              type: "object",
+              description:
+                "The item in JSON-LD form; Microdata and RDFa items are converted",
+              examples: [{ "@type": "Product", name: "Widget" }],
+            },
+            missing: {
+              type: "array",
+              description:
+                'Required properties of Product, Article, Organization, BreadcrumbList or FAQPage the item lacks. Alternatives are joined with "|"',
+              items: { type: "string" },
+              examples: [["offers|review|aggregateRating"]],
+            },
+          },
+        },
+        StructuredDataFormat: { enum: ["json-ld", "microdata", "rdfa"] },
+        StructuredData: {
+          type: "object",
+          required: ["count", "truncated", "types", "errors"],
+          additionalProperties: false,
+          properties: {
+            count: {
+              type: "integer",
+              minimum: 0,
+              description: "Typed items found, listed or not",
+            },
+            truncated: {
+              type: "boolean",
+              description: `True when more than ${config.parser.maxStructuredDataItems} items were found`,
+            },
+            types: {
+              type: "object",
+              description:
+                "Items by schema.org type; an item with several types is listed under each",
+              additionalProperties: {
+                type: "array",
+                items: { $ref: "#/components/schemas/StructuredDataItem" },
+              },
+            },
+            errors: {
+              type: "array",
+              description: "Malformed JSON-LD blocks and items without a type",
+              items: {
+                type: "object",
+                required: ["format", "message"],
+                additionalProperties: false,
+                properties: {
+                  format: { $ref: "#/components/schemas/StructuredDataFormat" },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        Link: {
+          type: "object",
+          required: ["url", "text", "rel", "target", "type", "occurrences"],
+          additionalProperties: false,
+          properties: {
+            url: { type: "string", description: "Resolved absolute URL" },
+            text: {
+              type: "string",
+              description: "Anchor text, or the alt text of an image link",
+            },
+            rel: {
+              type: "array",
+              items: { type: "string" },
+              examples: [["nofollow", "sponsored"]],
+            },
+            target: { type: ["string", "null"] },
+            type: { enum: ["internal", "external"] },
+            occurrences: {
+              type: "integer",
+              minimum: 1,
+              description: "Anchors on the page pointing to this URL",
+            },
+            check: { $ref: "#/components/schemas/LinkCheck" },
+          },
+        },
+        LinkCheck: {
+          type: "object",
+          description: "Present when the job ran with check_links",
+          required: ["result", "status_code", "redirected_to", "error"],
+          additionalProperties: false,
+          properties: {
+            result: { enum: Object.values(LINK_CHECK_RESULT) },
+            status_code: {
+              type: ["integer", "null"],
+              description: "Status of the final response",
+            },
+            redirected_to: {
+              type: ["string", "null"],
+              description: "Last URL reached when the link redirects",
+            },
+            error: {
+              type: ["string", "null"],
+              examples: ["HTTP 404", "Host time budget exceeded"],
+            },
+          },
+        },
+        LinkCheckSummary: {
+          type: "object",
+          required: [
+            "total",
+            "checked",
+            "ok",
+            "broken",
+            "redirected",
+            "skipped",
+            "duration_ms",
+          ],
+          additionalProperties: false,
+          properties: Object.fromEntries(
+            [
+              "total",
+              "checked",
+              "ok",
+              "broken",
+              "redirected",
+              "skipped",
+              "duration_ms",
+            ].map((field) => [field, { type: "integer", minimum: 0 }])
+          ),
+        },
+        SkippedLinks: {
+          type: "object",
+          description: "Hrefs not listed, by scheme",
+          required: [
+            "fragment",
+            "mailto",
+            "tel",
+            "javascript",
+            "data",
+            "invalid",
+          ],
+          additionalProperties: false,
+          properties: Object.fromEntries(
+            ["fragment", "mailto", "tel", "javascript", "data", "invalid"].map(
+              (scheme) => [scheme, { type: "integer", minimum: 0 }]
+            )
+          ),
+        },
+        LinkInventory: {
+          type: "object",
+          required: ["total", "unique", "truncated", "skipped", "items"],
+          additionalProperties: false,
+          properties: {
+            total: {
+              type: "integer",
+              minimum: 0,
+              description: "Listed anchors, duplicates included",
+            },
+            unique: { type: "integer", minimum: 0 },
+            truncated: {
+              type: "boolean",
+              description: `True when more than ${config.parser.maxLinks} distinct links were found`,
+            },
+            skipped: { $ref: "#/components/schemas/SkippedLinks" },
+            items: {
+              type: "array",
+              description: "Distinct links in document order",
+              items: { $ref: "#/components/schemas/Link" },
+            },
+          },
+        },
+        LinkPage: {
+          type: "object",
+          required: [
+            "job_id",
+            "url",
+            "total",
+            "unique",
+            "truncated",
+            "skipped",
+            "matching",
+            "links",
+            "count",
+            "next_offset",
+          ],
+          additionalProperties: false,
+          properties: {
+            job_id: { $ref: "#/components/schemas/JobId" },
+            url: { type: "string" },
+            total: { type: "integer", minimum: 0 },
+            unique: { type: "integer", minimum: 0 },
+            truncated: { type: "boolean" },
+            skipped: { $ref: "#/components/schemas/SkippedLinks" },
+            matching: {
+              type: "integer",
+              minimum: 0,
+              description: "Listed links matching the filters",
+            },
+            links: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Link" },
+            },
+            count: { type: "integer", minimum: 0 },
+            next_offset: {
+              type: ["integer", "null"],
+              description: "offset of the next page, null on the last page",
+            },
+          },
+        },
+        RunAttempt: {
+          type: "object",
+          required: ["status"],
+          properties: {
+            status: { $ref: "#/components/schemas/JobStatus" },
+            started_at: timestamp,
+            finished_at: timestamp,
+            error: { type: "string" },
+            error_type: {
+              type: "string",
+              examples: Object.values(ERROR_TYPES),
+            },
+          },
+        },
+        Callback: {
+          type: "object",
+          required: ["url", "status", "attempts"],
+          properties: {
+            url: { type: "string" },
+            status: {
+              enum: [...Object.values(CALLBACK_STATUS), null],
+            },
+            attempts: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["attempt", "success", "attempted_at"],
+                properties: {
+                  attempt: { type: "integer", minimum: 1 },
+                  success: { type: "boolean" },
+                  status_code: { type: ["integer", "null"] },
+                  error: { type: "string" },
+                  attempted_at: timestamp,
+                },
+              },
+            },
+          },
+        },
+        ScheduleRequest: {
+          type: "object",
+          required: ["url"],
+          properties: {
+            url: {
+              type: "string",
+              maxLength: VALIDATION.MAX_URL_LENGTH,
+              description: "Public http(s) URL to analyse on every run",
+            },
+            cron: {
+              type: "string",
+              description: "Cron expression, exclusive with every",
+              examples: ["0 9 * * 1-5"],
+            },
+            every: {
+              type: "integer",
+              minimum: config.schedules.minIntervalSeconds,
+              description: "Interval in seconds, exclusive with cron",
+            },
+            timezone: {
+              type: "string",
+              description:
+                "IANA time zone of the cron expression, UTC by default",
+              examples: ["Europe/Berlin"],
+            },
+            analyzers: {
+              type: "array",
+              minItems: 1,
+              items: { type: "string", enum: getAnalyzerNames() },
+              description: "Analyzers to run, all when omitted",
+            },
+          },
+        },
+        Schedule: {
+          type: "object",
+          required: [
+            "schedule_id",
+            "url",
+            "cron",
+            "every",
+            "timezone",
+            "analyzers",
+            "status",
+            "created_at",
+            "run_count",
+            "skipped_count",
+            "last_run_at",
+            "last_job_id",
+            "next_run_at",
+          ],
+          additionalProperties: false,
+          properties: {
+            schedule_id: { $ref: "#/components/schemas/JobId" },
+            url: { type: "string" },
+            cron: { type: ["string", "null"] },
+            every: { type: ["integer", "null"] },
+            timezone: { type: ["string", "null"] },
+            analyzers: {
+              type: ["array", "null"],
+              items: { type: "string" },
+            },
+            status: { enum: Object.values(SCHEDULE_STATUS) },
+            created_at: timestamp,
+            paused_at: { ...timestamp, type: ["string", "null"] },
+            run_count: { type: "integer", minimum: 0 },
+            skipped_count: { type: "integer", minimum: 0 },
+            last_run_at: { ...timestamp, type: ["string", "null"] },
+            last_job_id: {
+              oneOf: [{ $ref: "#/components/schemas/JobId" }, { type: "null" }],
+            },
+            last_skipped_at: timestamp,
+            last_skip_reason: {
+              type: "string",
+              examples: ["previous_run_in_progress", "quota_exceeded"],
+            },
+            next_run_at: {
+              ...timestamp,
+              type: ["string", "null"],
+              description: "Next trigger, null while paused",
+            },
+          },
+        },
+        SchedulePage: {
+          type: "object",
+          required: ["schedules", "count", "next_cursor"],
+          additionalProperties: false,
+          properties: {
+            schedules: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Schedule" },
+            },
+            count: { type: "integer", minimum: 0 },
+            next_cursor: {
+              oneOf: [{ $ref: "#/components/schemas/JobId" }, { type: "null" }],
+              description:
+                "Pass as cursor to read the next page, null on the last page",
+            },
+          },
+        },
+        ScheduleDeleted: {
+          type: "object",
+          required: ["schedule_id", "deleted", "message"],
+          additionalProperties: false,
+          properties: {
+            schedule_id: { $ref: "#/components/schemas/JobId" },
+            deleted: { const: true },
+            message: { type: "string" },
+          },
+        },
+        Error: {
+          type: "object",
+          required: ["error"],
+          properties: {
+            error: { type: "string" },
+            message: { type: "string" },
+            details: {},
+            timestamp,
+          },
+        },
+        Liveness: {
+          type: "object",
+          required: ["status", "timestamp"],
+          additionalProperties: false,
+          properties: {
+            status: { const: "ok" },
+            timestamp,
+          },
+        },
+        HealthStatus: {
+          enum: Object.values(HEALTH_STATUS),
+        },
+        Readiness: {
+          type: "object",
+          required: ["status", "checks", "timestamp"],
+          additionalProperties: false,
+          properties: {
+            status: { $ref: "#/components/schemas/HealthStatus" },
+            checks: {
+              type: "object",
+              required: ["redis", "queue", "workers"],
+              additionalProperties: false,
+              properties: {
+                redis: {
+                  type: "object",
+                  required: ["status"],
+                  additionalProperties: false,
+                  properties: {
+                    status: { $ref: "#/components/schemas/HealthStatus" },
+                    error: { type: "string" },
+                  },
+                },
+                queue: {
+                  type: "object",
+                  required: ["status", "thresholds"],
+                  additionalProperties: false,
+                  properties: {
+                    status: { $ref: "#/components/schemas/HealthStatus" },
+                    reason: { type: "string" },
+                    error: { type: "string" },
+                    paused: { type: "boolean" },
+                    depth: {
+                      type: "integer",
+                      minimum: 0,
+                      description: "Jobs waiting to be picked up",
+                    },
+                    counts: {
+                      type: "object",
+                      properties: Object.fromEntries(
+                        ["waiting", "active", "delayed", "failed"].map(
+                          (state) => [state, { type: "integer", minimum: 0 }]
+                        )
+                      ),
+                    },
+                    thresholds: {
+                      type: "object",
+                      required: ["warning", "critical"],
+                      properties: {
+                        warning: { type: "integer" },
+                        critical: { type: "integer" },
+                      },
+                    },
+                  },
+                },
+                workers: {
+                  type: "object",
+                  required: ["status"],
+                  additionalProperties: false,
+                  properties: {
+                    status: { $ref: "#/components/schemas/HealthStatus" },
+                    reason: { type: "string" },
+                    error: { type: "string" },
+                    count: { type: "integer", minimum: 0 },
+                    workers: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        required: ["worker_id", "last_seen"],
+                        properties: {
+                          worker_id: { type: "string" },
+                          hostname: { type: "string" },
+                          pid: { type: "integer" },
+                          concurrency: { type: "integer" },
+                          started_at: timestamp,
+                          last_seen: timestamp,
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            timestamp,
+          },
+        },
+      },
+    },
+  };
+}
+
+let spec = null;
+
+/**
+ * Get the OpenAPI document, built once on first use
+ * @returns {object} OpenAPI 3.1 document
+ */
+function getOpenApiSpec() {
+  if (!spec) {
+    spec = buildSpec();
+  }
+  return spec;
+}
+
+module.exports = {
+  getOpenApiSpec,
+};
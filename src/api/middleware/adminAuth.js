@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+const config = require("../../config/app.config");
+const logger = require("../../utils/logger");
+const { HTTP_STATUS } = require("../../utils/constants");
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Require the admin token as "Authorization: Bearer <ADMIN_TOKEN>"
+ *
+ * The admin API is disabled while ADMIN_TOKEN is unset.
+ */
+function requireAdmin(req, res, next) {
+  const expected = config.admin.token;
+
+  if (!expected) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      error: "Admin API disabled",
+      message: "Set ADMIN_TOKEN to enable the admin API",
+    });
+  }
+
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token || !tokensMatch(token, expected)) {
+    logger.warn("Rejected admin request", {
+      path: req.path,
+      requestId: req.id,
+    });
+
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: "Unauthorized",
+      message: "A valid admin token is required",
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin,
+};
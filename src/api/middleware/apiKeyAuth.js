@@ -0,0 +1,67 @@
+const apiKeyService = require("../../services/apiKey.service");
+const config = require("../../config/app.config");
+const logger = require("../../utils/logger");
+const { HTTP_STATUS, ERROR_MESSAGES } = require("../../utils/constants");
+
+/**
+ * Resolve "Authorization: Bearer <api key>" into req.apiKey
+ *
+ * Requests without a key are anonymous (req.apiKey = null) unless
+ * API_KEY_REQUIRED is set. A key that is malformed, unknown or revoked is
+ * always rejected.
+ */
+async function authenticateApiKey(req, res, next) {
+  // Already resolved by the rate limiter in front of this route
+  if (req.apiKey) {
+    return next();
+  }
+
+  const header = req.headers.authorization;
+
+  if (!header) {
+    if (config.auth.required) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: "API key required",
+        message: 'Send your key as "Authorization: Bearer <api key>"',
+      });
+    }
+
+    req.apiKey = null;
+    return next();
+  }
+
+  const [scheme, token] = header.split(" ");
+
+  let apiKey = null;
+  if (scheme === "Bearer" && token) {
+    try {
+      apiKey = await apiKeyService.authenticate(token);
+    } catch (error) {
+      logger.error("Failed to verify API key", {
+        error: error.message,
+        requestId: req.id,
+      });
+
+      return res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+        error: ERROR_MESSAGES.STORAGE_UNAVAILABLE,
+        message: "Unable to verify API key. Please try again.",
+      });
+    }
+  }
+
+  if (!apiKey) {
+    logger.warn("Rejected invalid API key", { requestId: req.id });
+
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      error: "Invalid API key",
+      message: "The API key is malformed, unknown or revoked",
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+module.exports = {
+  authenticateApiKey,
+};
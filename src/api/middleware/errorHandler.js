@@ -64,6 +64,7 @@ function errorHandler(err, req, res, next) {
     statusCode,
     path: req.path,
     method: req.method,
+    requestId: req.id,
   });
 
   res.status(statusCode).json(errorResponse);
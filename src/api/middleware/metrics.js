@@ -0,0 +1,49 @@
+const {
+  register,
+  httpRequestsTotal,
+  httpRequestDuration,
+} = require("../../utils/metrics");
+
+/**
+ * Label for the matched route, e.g. /api/results/:job_id
+ *
+ * Raw paths would create a time series per job ID, so anything that didn't
+ * match a route shares one label.
+ */
+function getRouteLabel(req) {
+  if (!req.route) {
+    return "unmatched";
+  }
+  return `${req.baseUrl}${req.route.path}`;
+}
+
+/**
+ * Record count and latency of every request once the response is sent
+ */
+function trackRequests(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: getRouteLabel(req),
+      status_code: res.statusCode,
+    };
+
+    endTimer(labels);
+    httpRequestsTotal.inc(labels);
+  });
+
+  next();
+}
+
+async function metricsHandler(req, res) {
+  res.set("Content-Type", register.contentType);
+  res.end(await register.metrics());
+}
+
+module.exports = {
+  trackRequests,
+  metricsHandler,
+  getRouteLabel,
+};
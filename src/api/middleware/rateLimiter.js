@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const { getRedisClient } = require("../../config/redis.config");
+const apiKeyService = require("../../services/apiKey.service");
+const config = require("../../config/app.config");
+const logger = require("../../utils/logger");
+const { HTTP_STATUS } = require("../../utils/constants");
+
+// Sliding-window log in a sorted set scored by Redis server time, so every
+// API replica shares one window per client and budget
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call("ZREMRANGEBYSCORE", key, "-inf", now - window)
+local count = redis.call("ZCARD", key)
+local allowed = 0
+if count < limit then
+  redis.call("ZADD", key, now, ARGV[3])
+  count = count + 1
+  allowed = 1
+end
+redis.call("PEXPIRE", key, window)
+
+local reset = window
+local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+if oldest[2] then
+  reset = tonumber(oldest[2]) + window - now
+end
+return {allowed, count, reset}`;
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  return scheme === "Bearer" && token ? token : null;
+}
+
+/**
+ * Pick the budgets a request counts against
+ *
+ * Every request counts against its client IP. A key that authenticates
+ * also gets its own budget, and is kept in req.apiKey so authenticateApiKey
+ * doesn't look it up again. Made-up tokens only count against the IP.
+ *
+ * @param {object} req - Express request
+ * @returns {Promise<string[]>} "ip:<address>", then "key:<key_id>" if any
+ */
+async function getIdentities(req) {
+  const identities = [`ip:${req.ip}`];
+
+  const token = getBearerToken(req);
+  if (token) {
+    try {
+      const apiKey = await apiKeyService.authenticate(token);
+      if (apiKey) {
+        req.apiKey = apiKey;
+        identities.push(`key:${apiKey.key_id}`);
+      }
+    } catch (error) {
+      logger.warn("Failed to verify API key for rate limiting", {
+        error: error.message,
+        requestId: req.id,
+      });
+    }
+  }
+
+  return identities;
+}
+
+/**
+ * Record a hit in one window
+ * @returns {Promise<object>} { allowed, remaining, resetMs }
+ */
+async function hit(key, windowMs, max) {
+  const member = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const [allowed, count, resetMs] = await getRedisClient().eval(
+    SLIDING_WINDOW_SCRIPT,
+    1,
+    key,
+    windowMs,
+    max,
+    member
+  );
+
+  return {
+    allowed: allowed === 1,
+    remaining: Math.max(max - count, 0),
+    resetMs,
+  };
+}
+
+/**
+ * Create a rate limiting middleware for one budget
+ *
+ * Requests count against the client IP and, with a valid API key, against
+ * that key as well, so neither many IPs sharing a key nor many keys sent
+ * from one IP get around the limit.
+ *
+ * @param {object} options - Limiter options
+ * @param {string} options.name - Budget name, part of the Redis key
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} [options.windowMs] - Window length
+ * @returns {function} Express middleware
+ */
+function createRateLimiter({
+  name,
+  max,
+  windowMs = config.api.rateLimitWindowMs,
+}) {
+  const prefix = `${config.api.rateLimitKeyPrefix}${name}:`;
+
+  return async function rateLimiter(req, res, next) {
+    const identities = await getIdentities(req);
+
+    let result;
+    try {
+      for (const identity of identities) {
+        const current = await hit(`${prefix}${identity}`, windowMs, max);
+        // Report the budget closest to running out
+        if (!result || current.remaining < result.remaining) {
+          result = current;
+        }
+        if (!current.allowed) {
+          result = current;
+          break;
+        }
+      }
+    } catch (error) {
+      // Fail open, an unavailable limiter must not take the API down
+      logger.warn("Rate limiter unavailable, allowing request", {
+        limiter: name,
+        error: error.message,
+        requestId: req.id,
+      });
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil(result.resetMs / 1000), 1);
+
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(resetSeconds),
+      "RateLimit-Policy": `${max};w=${Math.ceil(windowMs / 1000)}`,
+    });
+
+    if (!result.allowed) {
+      logger.warn("Rate limit exceeded", {
+        limiter: name,
+        ip: req.ip,
+        apiKey: Boolean(req.apiKey),
+        requestId: req.id,
+      });
+
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+        error: "Too many requests",
+        message: `Rate limit exceeded. Retry in ${resetSeconds} seconds.`,
+      });
+    }
+
+    next();
+  };
+}
+
+const analyseLimiter = createRateLimiter({
+  name: "analyse",
+  max: config.api.rateLimitMax,
+});
+
+const resultsLimiter = createRateLimiter({
+  name: "results",
+  max: config.api.rateLimitResultsMax,
+});
+
+module.exports = {
+  createRateLimiter,
+  analyseLimiter,
+  resultsLimiter,
+};
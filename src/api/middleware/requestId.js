@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Client IDs end up in logs and job records, so only accept plain tokens
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Assign every request an ID for log correlation
+ *
+ * A well-formed X-Request-Id from the client (or a proxy in front of us) is
+ * kept, otherwise a UUID is generated. The ID is echoed back in the response.
+ */
+function requestId(req, res, next) {
+  const given = req.get(REQUEST_ID_HEADER);
+
+  req.id =
+    given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+
+  next();
+}
+
+module.exports = {
+  requestId,
+  REQUEST_ID_HEADER,
+};
@@ -0,0 +1,20 @@
+const express = require("express");
+const {
+  getCleanupStats,
+  createKey,
+  listKeys,
+  revokeKey,
+} = require("../controllers/admin.controller");
+const { requireAdmin } = require("../middleware/adminAuth");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get("/cleanup", asyncHandler(getCleanupStats));
+router.post("/keys", asyncHandler(createKey));
+router.get("/keys", asyncHandler(listKeys));
+router.delete("/keys/:key_id", asyncHandler(revokeKey));
+
+module.exports = router;
@@ -3,10 +3,29 @@ const {
   analyseUrl,
   validateRequest,
 } = require("../controllers/analyse.controller");
+const {
+  analyseBatch,
+  validateBatchRequest,
+} = require("../controllers/batch.controller");
+const { analyseLimiter } = require("../middleware/rateLimiter");
+const { authenticateApiKey } = require("../middleware/apiKeyAuth");
 const { asyncHandler } = require("../middleware/errorHandler");
 
 const router = express.Router();
 
-router.post("/", validateRequest, asyncHandler(analyseUrl));
+router.post(
+  "/",
+  analyseLimiter,
+  authenticateApiKey,
+  validateRequest,
+  asyncHandler(analyseUrl)
+);
+router.post(
+  "/batch",
+  analyseLimiter,
+  authenticateApiKey,
+  validateBatchRequest,
+  asyncHandler(analyseBatch)
+);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require("express");
+const { getBatch } = require("../controllers/batch.controller");
+const { authenticateApiKey } = require("../middleware/apiKeyAuth");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+router.get("/:batch_id", authenticateApiKey, asyncHandler(getBatch));
+
+module.exports = router;
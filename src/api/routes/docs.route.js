@@ -0,0 +1,47 @@
+const express = require("express");
+const swaggerUiDist = require("swagger-ui-dist");
+const { getOpenApiSpec } = require("../docs/openapi");
+
+const router = express.Router();
+
+// Swagger UI is served from our own assets, the docs work without internet
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Web Page Analyzer API</title>
+  <link rel="stylesheet" href="/api/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/assets/swagger-ui-bundle.js"></script>
+  <script src="/api/docs/init.js"></script>
+</body>
+</html>
+`;
+
+const DOCS_INIT = `window.ui = SwaggerUIBundle({
+  url: "/api/openapi.json",
+  dom_id: "#swagger-ui",
+  deepLinking: true,
+});
+`;
+
+router.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiSpec());
+});
+
+router.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+router.get("/docs/init.js", (req, res) => {
+  res.type("js").send(DOCS_INIT);
+});
+
+router.use(
+  "/docs/assets",
+  express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false })
+);
+
+module.exports = router;
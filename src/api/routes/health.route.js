@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
-const storageService = require("../../services/storage.service");
+const healthService = require("../../services/health.service");
+const { HEALTH_STATUS } = require("../../utils/constants");
 
 router.get("/live", (req, res) => {
   res.status(200).json({
@@ -9,24 +10,15 @@ router.get("/live", (req, res) => {
   });
 });
 
+// Degraded still takes traffic, only an unavailable verdict fails the probe
 router.get("/ready", async (req, res) => {
-  try {
-    // Check Redis connection
-    await storageService.ping();
+  const readiness = await healthService.getReadiness();
+  const statusCode = readiness.status === HEALTH_STATUS.UNAVAILABLE ? 503 : 200;
 
-    res.status(200).json({
-      status: "ok",
-      redis: "connected",
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    res.status(503).json({
-      status: "unavailable",
-      redis: "disconnected",
-      error: error.message,
-      timestamp: new Date().toISOString(),
-    });
-  }
+  res.status(statusCode).json({
+    ...readiness,
+    timestamp: new Date().toISOString(),
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require("express");
+const { listJobs } = require("../controllers/jobs.controller");
+const { authenticateApiKey } = require("../middleware/apiKeyAuth");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+router.get("/", authenticateApiKey, asyncHandler(listJobs));
+
+module.exports = router;
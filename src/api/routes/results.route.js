@@ -1,9 +1,42 @@
 const express = require("express");
-const { getResults } = require("../controllers/results.controller");
+const {
+  getResults,
+  getResultLinks,
+  cancelJob,
+  retryJob,
+  streamJobEvents,
+} = require("../controllers/results.controller");
+const { analyseLimiter, resultsLimiter } = require("../middleware/rateLimiter");
+const { authenticateApiKey } = require("../middleware/apiKeyAuth");
 const { asyncHandler } = require("../middleware/errorHandler");
 
 const router = express.Router();
 
-router.get("/:job_id", asyncHandler(getResults));
+router.get(
+  "/:job_id",
+  resultsLimiter,
+  authenticateApiKey,
+  asyncHandler(getResults)
+);
+router.get(
+  "/:job_id/links",
+  resultsLimiter,
+  authenticateApiKey,
+  asyncHandler(getResultLinks)
+);
+router.delete("/:job_id", authenticateApiKey, asyncHandler(cancelJob));
+// A retry queues new work, so it spends the submission budget
+router.post(
+  "/:job_id/retry",
+  analyseLimiter,
+  authenticateApiKey,
+  asyncHandler(retryJob)
+);
+router.get(
+  "/:job_id/events",
+  resultsLimiter,
+  authenticateApiKey,
+  asyncHandler(streamJobEvents)
+);
 
 module.exports = router;
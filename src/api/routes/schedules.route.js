@@ -0,0 +1,40 @@
+const express = require("express");
+const {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+} = require("../controllers/schedules.controller");
+const { analyseLimiter } = require("../middleware/rateLimiter");
+const { authenticateApiKey } = require("../middleware/apiKeyAuth");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+router.post(
+  "/",
+  analyseLimiter,
+  authenticateApiKey,
+  asyncHandler(createSchedule)
+);
+router.get("/", authenticateApiKey, asyncHandler(listSchedules));
+router.get("/:schedule_id", authenticateApiKey, asyncHandler(getSchedule));
+router.post(
+  "/:schedule_id/pause",
+  authenticateApiKey,
+  asyncHandler(pauseSchedule)
+);
+router.post(
+  "/:schedule_id/resume",
+  authenticateApiKey,
+  asyncHandler(resumeSchedule)
+);
+router.delete(
+  "/:schedule_id",
+  authenticateApiKey,
+  asyncHandler(deleteSchedule)
+);
+
+module.exports = router;
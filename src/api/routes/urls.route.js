@@ -0,0 +1,22 @@
+const express = require("express");
+const { getUrlHistory, getUrlDiff } = require("../controllers/urls.controller");
+const { resultsLimiter } = require("../middleware/rateLimiter");
+const { authenticateApiKey } = require("../middleware/apiKeyAuth");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const router = express.Router();
+
+router.get(
+  "/history",
+  resultsLimiter,
+  authenticateApiKey,
+  asyncHandler(getUrlHistory)
+);
+router.get(
+  "/diff",
+  resultsLimiter,
+  authenticateApiKey,
+  asyncHandler(getUrlDiff)
+);
+
+module.exports = router;
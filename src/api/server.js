@@ -4,17 +4,43 @@ const {
   createRedisClient,
   closeRedisClient,
 } = require("../config/redis.config");
-const { initializeQueue, closeQueue } = require("../services/queue.service");
-const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+const {
+  initializeQueue,
+  getQueue,
+  closeQueue,
+} = require("../services/queue.service");
+const { closeEvents } = require("../services/events.service");
+const { closeScheduleQueue } = require("../services/schedule.service");
+const { closeWebhookQueue } = require("../services/webhook.service");
+const cleanupService = require("../services/cleanup.service");
+const {
+  errorHandler,
+  notFoundHandler,
+  asyncHandler,
+} = require("./middleware/errorHandler");
+const { requestId } = require("./middleware/requestId");
+const { trackRequests, metricsHandler } = require("./middleware/metrics");
+const { registerQueueDepth } = require("../utils/metrics");
 const logger = require("../utils/logger");
 
 const analyseRoutes = require("./routes/analyse.route");
 const resultsRoutes = require("./routes/results.route");
+const batchesRoutes = require("./routes/batches.route");
+const jobsRoutes = require("./routes/jobs.route");
+const urlsRoutes = require("./routes/urls.route");
+const schedulesRoutes = require("./routes/schedules.route");
+const adminRoutes = require("./routes/admin.route");
 const healthRoutes = require("./routes/health.route");
+const docsRoutes = require("./routes/docs.route");
 
 const app = express();
 
+// Behind a load balancer, req.ip must come from X-Forwarded-For for rate limits
+app.set("trust proxy", config.api.trustProxy);
+
 // Middleware
+app.use(requestId);
+app.use(trackRequests);
 app.use(express.json({ limit: config.api.bodyLimit }));
 app.use(express.urlencoded({ extended: true, limit: config.api.bodyLimit }));
 
@@ -22,8 +48,15 @@ app.use(express.urlencoded({ extended: true, limit: config.api.bodyLimit }));
 if (config.api.corsEnabled) {
   app.use((req, res, next) => {
     res.header("Access-Control-Allow-Origin", "*");
-    res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    res.header(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, X-Request-Id, Idempotency-Key"
+    );
+    res.header(
+      "Access-Control-Expose-Headers",
+      "X-Request-Id, Idempotent-Replayed, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset"
+    );
 
     if (req.method === "OPTIONS") {
       return res.sendStatus(200);
@@ -46,8 +79,17 @@ app.use((req, res, next) => {
 
 // API Routes
 app.use("/health", healthRoutes);
+if (config.metrics.enabled) {
+  app.get("/metrics", asyncHandler(metricsHandler));
+}
 app.use("/api/analyse", analyseRoutes);
 app.use("/api/results", resultsRoutes);
+app.use("/api/batches", batchesRoutes);
+app.use("/api/jobs", jobsRoutes);
+app.use("/api/urls", urlsRoutes);
+app.use("/api/schedules", schedulesRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api", docsRoutes);
 
 // Root endpoint
 app.get("/", (req, res) => {
@@ -62,8 +104,21 @@ app.get("/", (req, res) => {
       },
       analyse: "POST /api/analyse",
       results: "GET /api/results/:job_id",
+      links: "GET /api/results/:job_id/links",
+      cancel: "DELETE /api/results/:job_id",
+      retry: "POST /api/results/:job_id/retry",
+      events: "GET /api/results/:job_id/events",
+      batch: "POST /api/analyse/batch",
+      batches: "GET /api/batches/:batch_id",
+      jobs: "GET /api/jobs",
+      history: "GET /api/urls/history?url=",
+      diff: "GET /api/urls/diff?from=&to=",
+      schedules: "POST /api/schedules",
+      cleanup: "GET /api/admin/cleanup",
+      metrics: "GET /metrics",
     },
     documentation: "/api/docs",
+    openapi: "/api/openapi.json",
   });
 });
 
@@ -78,6 +133,13 @@ async function initialize() {
 
     initializeQueue();
     logger.info("Queue initialized successfully");
+
+    if (config.metrics.enabled) {
+      registerQueueDepth(getQueue);
+    }
+
+    // Every API instance competes for the cleanup leader lock
+    cleanupService.start();
   } catch (error) {
     logger.error("Failed to initialize dependencies", {
       error: error.message,
@@ -103,9 +165,16 @@ async function start() {
 
       server.close(async () => {
         try {
+          await cleanupService.stop();
+
           await closeQueue();
+          await closeScheduleQueue();
+          // Cleanup can queue callbacks for the jobs it fails
+          await closeWebhookQueue();
           logger.info("Queue closed");
 
+          await closeEvents();
+
           await closeRedisClient();
           logger.info("Redis connection closed");
 
@@ -22,6 +22,8 @@ module.exports = {
   storage: {
     ttl: 172800, // 48 hours in seconds
     keyPrefix: "job:",
+    batchKeyPrefix: "batch:",
+    indexKeyPrefix: "jobs:index:",
   },
 
   // Worker configuration
@@ -51,6 +53,35 @@ module.exports = {
     },
   },
 
+  // Webhook callback configuration
+  webhooks: {
+    queueName: "webhook-delivery",
+    secret: process.env.WEBHOOK_SECRET || "",
+    timeout: 10000, // 10 seconds per delivery attempt
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || "5", 10),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10),
+    backoffDelay: 5000, // 5s, 10s, 20s, 40s
+  },
+
+  // Recurring analyses, fired by Bull repeatable jobs
+  schedules: {
+    queueName: "schedules",
+    keyPrefix: "schedule:",
+    minIntervalSeconds: parseInt(
+      process.env.SCHEDULE_MIN_INTERVAL_SECONDS || "300",
+      10
+    ), // Shortest gap between two runs of one schedule
+    pageSize: 20, // GET /api/schedules
+    maxPageSize: 100,
+    scanLimit: 1000, // Schedules examined per GET /api/schedules request
+  },
+
+  // Job event (pub/sub) configuration
+  events: {
+    channelPrefix: "job-events:",
+    heartbeatMs: 15000, // SSE keep-alive comment interval
+  },
+
   // HTTP fetcher configuration
   fetcher: {
     timeout: 60000, // 60 seconds total
@@ -68,6 +99,44 @@ module.exports = {
     },
   },
 
+  // HTML analysis configuration
+  parser: {
+    maxLinks: parseInt(process.env.LINKS_MAX_ITEMS || "500", 10), // Distinct links listed per page
+    maxLinkTextLength: 200,
+    maxStructuredDataItems: parseInt(
+      process.env.STRUCTURED_DATA_MAX_ITEMS || "100",
+      10
+    ), // JSON-LD, Microdata and RDFa items listed per page
+    // Lengths behind the SEO analyzer's title and description findings
+    seo: {
+      titleMinLength: 10,
+      titleMaxLength: 60,
+      descriptionMinLength: 50,
+      descriptionMaxLength: 160,
+    },
+  },
+
+  // Optional broken-link checking stage (check_links)
+  linkCheck: {
+    concurrency: parseInt(process.env.LINK_CHECK_CONCURRENCY || "10", 10), // Requests in flight per job
+    perHostConcurrency: parseInt(
+      process.env.LINK_CHECK_PER_HOST_CONCURRENCY || "2",
+      10
+    ),
+    timeout: 10000, // Per request
+    hostBudgetMs: parseInt(
+      process.env.LINK_CHECK_HOST_BUDGET_MS || "30000",
+      10
+    ), // Time spent on one host's links
+    // Whole stage, in-flight checks are aborted when it runs out. check_links
+    // jobs get a Bull timeout of fetcher.timeout plus this plus a margin
+    totalBudgetMs: parseInt(
+      process.env.LINK_CHECK_TOTAL_BUDGET_MS || "90000",
+      10
+    ),
+    maxRedirects: 5,
+  },
+
   // Cleanup service configuration
   cleanup: {
     enabled: process.env.CLEANUP_ENABLED !== "false",
@@ -76,6 +145,63 @@ module.exports = {
       process.env.CLEANUP_JOB_AGE_MINUTES || "10",
       10
     ),
+    maxJobAgeMinutes: 30, // Jobs still queued or running after this are failed
+    batchSize: 100, // Stale jobs reconciled per status per run
+    lockKey: "cleanup:leader",
+    statsKey: "cleanup:stats",
+  },
+
+  // Admin API
+  admin: {
+    token: process.env.ADMIN_TOKEN || "",
+  },
+
+  // API key authentication
+  auth: {
+    required: process.env.API_KEY_REQUIRED === "true",
+    keyPrefix: "apikey:",
+    defaultDailyQuota: parseInt(process.env.API_KEY_DAILY_QUOTA || "1000", 10),
+    defaultMonthlyQuota: parseInt(
+      process.env.API_KEY_MONTHLY_QUOTA || "20000",
+      10
+    ),
+  },
+
+  // Idempotency-Key handling for POST /api/analyse
+  idempotency: {
+    keyPrefix: "idempotency:",
+    windowSeconds: parseInt(
+      process.env.IDEMPOTENCY_WINDOW_SECONDS || "86400",
+      10
+    ), // Must stay below storage.ttl so replays can still read the job
+  },
+
+  // Per-URL history of completed analyses, kept longer than job records
+  history: {
+    keyPrefix: "history:",
+    retentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS || "90", 10),
+    maxRunsPerUrl: parseInt(process.env.HISTORY_MAX_RUNS || "100", 10),
+  },
+
+  // Readiness check and worker heartbeats
+  health: {
+    heartbeatKey: "workers:heartbeats",
+    workerInfoKey: "workers:info",
+    heartbeatIntervalMs: 10000,
+    heartbeatTtlMs: 30000, // Workers silent for longer count as dead
+    queueDepthWarning: parseInt(process.env.QUEUE_DEPTH_WARNING || "1000", 10),
+    queueDepthCritical: parseInt(
+      process.env.QUEUE_DEPTH_CRITICAL || "5000",
+      10
+    ),
+    checkTimeoutMs: 2000, // Per dependency, so a hung Redis can't stall probes
+  },
+
+  // Prometheus metrics
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== "false",
+    prefix: "web_analyzer_",
+    workerPort: parseInt(process.env.METRICS_PORT || "9100", 10),
   },
 
   // Logging configuration
@@ -90,7 +216,19 @@ module.exports = {
     requestTimeout: 30000, // 30 seconds
     bodyLimit: "1mb",
     corsEnabled: process.env.CORS_ENABLED === "true",
+    trustProxy: process.env.TRUST_PROXY === "true",
     rateLimitWindowMs: 60000, // 1 minute
-    rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX || "100", 10),
+    rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX || "100", 10), // Submissions
+    rateLimitResultsMax: parseInt(
+      process.env.RATE_LIMIT_RESULTS_MAX || "600",
+      10
+    ), // Result polling
+    rateLimitKeyPrefix: "ratelimit:",
+    maxBatchSize: parseInt(process.env.MAX_BATCH_SIZE || "100", 10),
+    maxWaitSeconds: 60, // Upper bound for ?wait= long-polling
+    jobsPageSize: 20,
+    maxJobsPageSize: 100,
+    jobsScanLimit: 1000, // Index entries examined per GET /api/jobs request
+    linksPageSize: 100, // GET /api/results/:job_id/links
   },
 };
@@ -0,0 +1,338 @@
+const crypto = require("crypto");
+const { getRedisClient } = require("../config/redis.config");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+const { ERROR_TYPES } = require("../utils/constants");
+
+const KEY_PREFIX = config.auth.keyPrefix;
+const KEY_SET = `${KEY_PREFIX}all`;
+const API_KEY_PATTERN = /^wpa_([a-f0-9]{16})_([a-f0-9]{48})$/;
+
+class ApiKeyError extends Error {
+  constructor(message, type = ERROR_TYPES.STORAGE_ERROR, originalError = null) {
+    super(message);
+    this.name = "ApiKeyError";
+    this.type = type;
+    this.originalError = originalError;
+  }
+}
+
+function getRecordKey(key_id) {
+  return `${KEY_PREFIX}${key_id}`;
+}
+
+function getUsageKey(key_id, period) {
+  return `${KEY_PREFIX}${key_id}:usage:${period}`;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+// Never hand the stored hash to callers
+function toPublic(record) {
+  const { secret_hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Create an API key
+ *
+ * The plaintext key is only returned here; Redis stores a SHA-256 hash.
+ *
+ * @param {object} options - Key options
+ * @param {string} options.name - Human readable label
+ * @param {number} [options.daily_quota] - Submissions per UTC day
+ * @param {number} [options.monthly_quota] - Submissions per UTC month
+ * @param {string[]} [options.allowed_domains] - Hostnames jobs may target, empty for any
+ * @returns {Promise<object>} Key record including the plaintext `key`
+ */
+async function createApiKey({
+  name,
+  daily_quota = config.auth.defaultDailyQuota,
+  monthly_quota = config.auth.defaultMonthlyQuota,
+  allowed_domains = [],
+}) {
+  const key_id = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(24).toString("hex");
+
+  const record = {
+    key_id,
+    name,
+    secret_hash: hashSecret(secret),
+    daily_quota,
+    monthly_quota,
+    allowed_domains: allowed_domains.map((domain) => domain.toLowerCase()),
+    created_at: new Date().toISOString(),
+    revoked_at: null,
+  };
+
+  try {
+    const redis = getRedisClient();
+    await redis
+      .multi()
+      .set(getRecordKey(key_id), JSON.stringify(record))
+      .sadd(KEY_SET, key_id)
+      .exec();
+  } catch (error) {
+    logger.error("Failed to create API key", { error: error.message });
+    throw new ApiKeyError(
+      "Failed to create API key",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+
+  logger.info("API key created", { key_id, name });
+
+  return {
+    ...toPublic(record),
+    key: `wpa_${key_id}_${secret}`,
+  };
+}
+
+async function getRecord(key_id) {
+  try {
+    const value = await getRedisClient().get(getRecordKey(key_id));
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    throw new ApiKeyError(
+      "Failed to read API key",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * Look up a key by ID, for work done on its behalf outside a request
+ * @param {string} key_id - Key ID
+ * @returns {Promise<object|null>} Public key record, revoked ones included
+ */
+async function getApiKey(key_id) {
+  const record = await getRecord(key_id);
+  return record ? toPublic(record) : null;
+}
+
+/**
+ * Resolve a plaintext API key to its record
+ * @param {string} key - Key from the Authorization header
+ * @returns {Promise<object|null>} Public key record, or null if invalid or revoked
+ */
+async function authenticate(key) {
+  const match = API_KEY_PATTERN.exec(key || "");
+  if (!match) {
+    return null;
+  }
+
+  const [, key_id, secret] = match;
+  const record = await getRecord(key_id);
+  if (!record || record.revoked_at) {
+    return null;
+  }
+
+  const expected = Buffer.from(record.secret_hash, "hex");
+  const actual = Buffer.from(hashSecret(secret), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return toPublic(record);
+}
+
+async function listApiKeys() {
+  try {
+    const redis = getRedisClient();
+    const key_ids = await redis.smembers(KEY_SET);
+    if (key_ids.length === 0) {
+      return [];
+    }
+
+    const values = await redis.mget(...key_ids.map(getRecordKey));
+    return values
+      .filter(Boolean)
+      .map((value) => toPublic(JSON.parse(value)))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  } catch (error) {
+    throw new ApiKeyError(
+      "Failed to list API keys",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * Revoke an API key; revoked keys stay listed for auditing
+ * @param {string} key_id - Key ID
+ * @returns {Promise<object|null>} Revoked key record, or null if unknown
+ */
+async function revokeApiKey(key_id) {
+  const record = await getRecord(key_id);
+  if (!record) {
+    return null;
+  }
+
+  if (!record.revoked_at) {
+    record.revoked_at = new Date().toISOString();
+    try {
+      await getRedisClient().set(getRecordKey(key_id), JSON.stringify(record));
+    } catch (error) {
+      throw new ApiKeyError(
+        "Failed to revoke API key",
+        ERROR_TYPES.STORAGE_ERROR,
+        error
+      );
+    }
+    logger.info("API key revoked", { key_id });
+  }
+
+  return toPublic(record);
+}
+
+/**
+ * Check whether a key may submit jobs for a URL's host
+ * @param {object} apiKey - Public key record
+ * @param {string} url - Target URL
+ * @returns {boolean} True if allowed
+ */
+function isDomainAllowed(apiKey, url) {
+  if (!apiKey.allowed_domains || apiKey.allowed_domains.length === 0) {
+    return true;
+  }
+
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  return apiKey.allowed_domains.some(
+    (domain) => host === domain || host.endsWith(`.${domain}`)
+  );
+}
+
+/**
+ * Usage counters for the key's quota periods
+ * @param {object} apiKey - Public key record
+ * @returns {object[]} { period, key, limit, ttl } for the current day and month
+ */
+function getQuotaPeriods(apiKey) {
+  const now = new Date().toISOString();
+  return [
+    {
+      period: "daily",
+      key: getUsageKey(apiKey.key_id, now.slice(0, 10)),
+      limit: apiKey.daily_quota,
+      ttl: 2 * 86400,
+    },
+    {
+      period: "monthly",
+      key: getUsageKey(apiKey.key_id, now.slice(0, 7)),
+      limit: apiKey.monthly_quota,
+      ttl: 32 * 86400,
+    },
+  ];
+}
+
+/**
+ * Count submissions against the key's daily and monthly quotas
+ *
+ * Usage is only kept when both quotas have room, so rejected requests
+ * don't use up quota.
+ *
+ * @param {object} apiKey - Public key record
+ * @param {number} [count=1] - Number of jobs being submitted
+ * @returns {Promise<object>} { allowed, period, limit, used }
+ */
+async function consumeQuota(apiKey, count = 1) {
+  const periods = getQuotaPeriods(apiKey);
+
+  try {
+    const redis = getRedisClient();
+    const pipeline = redis.multi();
+    for (const { key, ttl } of periods) {
+      pipeline.incrby(key, count).expire(key, ttl);
+    }
+    const results = await pipeline.exec();
+    const used = [results[0][1], results[2][1]];
+
+    const exceeded = periods.findIndex((p, i) => used[i] > p.limit);
+    if (exceeded === -1) {
+      return { allowed: true };
+    }
+
+    const rollback = redis.multi();
+    for (const { key } of periods) {
+      rollback.decrby(key, count);
+    }
+    await rollback.exec();
+
+    return {
+      allowed: false,
+      period: periods[exceeded].period,
+      limit: periods[exceeded].limit,
+      used: used[exceeded] - count,
+    };
+  } catch (error) {
+    throw new ApiKeyError(
+      "Failed to check API key quota",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * Give back quota spent on submissions that were not queued after all
+ * @param {object} apiKey - Public key record
+ * @param {number} [count=1] - Number of jobs to give back
+ * @returns {Promise<void>}
+ */
+async function refundQuota(apiKey, count = 1) {
+  try {
+    const redis = getRedisClient();
+    const pipeline = redis.multi();
+    for (const { key } of getQuotaPeriods(apiKey)) {
+      pipeline.decrby(key, count);
+    }
+    await pipeline.exec();
+  } catch (error) {
+    throw new ApiKeyError(
+      "Failed to refund API key quota",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * Whether a caller may see a job
+ *
+ * Jobs submitted with a key belong to that key; jobs submitted without one
+ * stay visible to anyone who knows the job ID.
+ *
+ * @param {object|null} apiKey - Caller's key record
+ * @param {object} job - Job record
+ * @returns {boolean} True if the caller may access the job
+ */
+function canAccessJob(apiKey, job) {
+  if (!job.api_key_id) {
+    return true;
+  }
+  return Boolean(apiKey) && apiKey.key_id === job.api_key_id;
+}
+
+module.exports = {
+  createApiKey,
+  authenticate,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  isDomainAllowed,
+  consumeQuota,
+  refundQuota,
+  canAccessJob,
+  ApiKeyError,
+};
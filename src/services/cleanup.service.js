@@ -1,13 +1,52 @@
+const crypto = require("crypto");
+const os = require("os");
 const storageService = require("./storage.service");
 const queueService = require("./queue.service");
+const completionService = require("./completion.service");
+const { getRedisClient } = require("../config/redis.config");
 const logger = require("../utils/logger");
 const config = require("../config/app.config");
 const { JOB_STATUS } = require("../utils/constants");
 
+// Extend or release the leader lock only while this instance still holds it
+const RENEW_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+/**
+ * Time a job was last sent to the queue or picked up by a worker
+ *
+ * The status index orders jobs by creation, but a retry puts an old job
+ * back in PENDING and a worker may start it long after it was queued.
+ *
+ * @param {object} job - Job record
+ * @returns {number} Milliseconds since the epoch
+ */
+function getLastActivityTime(job) {
+  return Math.max(
+    ...[job.created_at, job.retried_at, job.started_at]
+      .map((value) => new Date(value).getTime())
+      .filter((time) => !Number.isNaN(time))
+  );
+}
+
 class CleanupService {
   constructor() {
     this.intervalId = null;
     this.isRunning = false;
+    this.isCleaning = false;
+    this.isLeader = false;
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
     this.stats = {
       totalRunsCompleted: 0,
       totalJobsCleaned: 0,
@@ -46,9 +85,9 @@ class CleanupService {
   }
 
   /**
-   * Stop the cleanup service
+   * Stop the cleanup service and hand leadership to another instance
    */
-  stop() {
+  async stop() {
     if (!this.isRunning) {
       logger.warn("Cleanup service is not running");
       return;
@@ -59,16 +98,111 @@ class CleanupService {
       this.intervalId = null;
       this.isRunning = false;
 
+      await this.releaseLeadership();
+
       logger.info("Cleanup service stopped", {
         stats: this.stats,
       });
     }
   }
 
+  getLockTtlMs() {
+    // Two missed runs before another instance may take over
+    return config.cleanup.intervalMinutes * 60 * 1000 * 2;
+  }
+
+  /**
+   * Acquire or renew the leader lock so only one process runs cleanup
+   * @returns {Promise<boolean>} True if this instance is the leader
+   */
+  async acquireLeadership() {
+    const wasLeader = this.isLeader;
+
+    try {
+      const redis = getRedisClient();
+      const ttl = this.getLockTtlMs();
+
+      const acquired = await redis.set(
+        config.cleanup.lockKey,
+        this.instanceId,
+        "PX",
+        ttl,
+        "NX"
+      );
+
+      if (acquired === "OK") {
+        this.isLeader = true;
+      } else {
+        const renewed = await redis.eval(
+          RENEW_LOCK_SCRIPT,
+          1,
+          config.cleanup.lockKey,
+          this.instanceId,
+          ttl
+        );
+        this.isLeader = renewed === 1;
+      }
+    } catch (error) {
+      logger.error("Failed to acquire cleanup leadership", {
+        error: error.message,
+      });
+      this.isLeader = false;
+    }
+
+    if (this.isLeader !== wasLeader) {
+      logger.info(
+        this.isLeader
+          ? "Became cleanup leader"
+          : "Lost cleanup leadership to another instance",
+        { instanceId: this.instanceId }
+      );
+    }
+
+    return this.isLeader;
+  }
+
+  async releaseLeadership() {
+    if (!this.isLeader) {
+      return;
+    }
+
+    try {
+      await getRedisClient().eval(
+        RELEASE_LOCK_SCRIPT,
+        1,
+        config.cleanup.lockKey,
+        this.instanceId
+      );
+      logger.info("Released cleanup leadership", {
+        instanceId: this.instanceId,
+      });
+    } catch (error) {
+      // The lock expires on its own
+      logger.warn("Failed to release cleanup leadership", {
+        error: error.message,
+      });
+    }
+
+    this.isLeader = false;
+  }
+
   /**
    * Run cleanup process
    */
   async runCleanup() {
+    if (this.isCleaning) {
+      logger.warn("Previous cleanup run still in progress, skipping");
+      return;
+    }
+
+    if (!(await this.acquireLeadership())) {
+      logger.debug("Not the cleanup leader, skipping run", {
+        instanceId: this.instanceId,
+      });
+      return;
+    }
+
+    this.isCleaning = true;
     const startTime = Date.now();
 
     try {
@@ -81,7 +215,7 @@ class CleanupService {
         config.cleanup.jobAgeThresholdMinutes
       );
 
-      logger.info(`Found ${oldJobs.length} old PENDING jobs`);
+      logger.info(`Found ${oldJobs.length} old PENDING/PROCESSING jobs`);
 
       // 2. Process each old job
       for (const job of oldJobs) {
@@ -132,81 +266,138 @@ class CleanupService {
         duration: `${duration}ms`,
         totalRuns: this.stats.totalRunsCompleted,
       });
+
+      await this.saveStats();
     } catch (error) {
       logger.error("Cleanup job failed", {
         error: error.message,
         stack: error.stack,
       });
+    } finally {
+      this.isCleaning = false;
     }
   }
 
   /**
-   * Cleanup a single job
+   * Share the leader's stats with every instance serving the admin API
+   */
+  async saveStats() {
+    try {
+      await getRedisClient().set(
+        config.cleanup.statsKey,
+        JSON.stringify({
+          ...this.stats,
+          lastRunBy: this.instanceId,
+        })
+      );
+    } catch (error) {
+      logger.warn("Failed to save cleanup stats", { error: error.message });
+    }
+  }
+
+  /**
+   * Mark a stale job FAILED unless it changed status since it was read
+   * @param {object} job - Stale job
+   * @param {string} error - Failure reason
+   * @returns {Promise<boolean>} True if the job was updated
+   */
+  async failJob(job, error) {
+    const now = new Date().toISOString();
+    const updated = await completionService.finishJob(job.job_id, job.status, {
+      status: JOB_STATUS.FAILED,
+      error,
+      error_type: "TIMEOUT_ERROR",
+      failed_at: now,
+      finished_at: now,
+      updated_at: now,
+    });
+
+    return Boolean(updated);
+  }
+
+  /**
+   * Reconcile a stale job with its Bull state
    * @param {object} job - Job object
    * @returns {Promise<boolean>} True if cleaned
    */
   async cleanupJob(job) {
     try {
-      // Check if job exists in Bull queue
+      const age = Date.now() - getLastActivityTime(job);
+      if (age < config.cleanup.jobAgeThresholdMinutes * 60 * 1000) {
+        // Retried or started recently, it may not be back in Bull yet
+        return false;
+      }
+
       const queueInfo = await queueService.getJobInfo(job.job_id);
 
-      if (!queueInfo.found || queueInfo.position === -1) {
+      if (queueInfo.error) {
+        // Unknown Bull state, don't fail a job that may still be running
+        return false;
+      }
+
+      if (!queueInfo.found) {
         // Job not in queue - it's lost/orphaned
         logger.warn("Lost/orphaned job detected", {
           job_id: job.job_id,
           url: job.url,
+          status: job.status,
           created_at: job.created_at,
-          age_minutes: Math.round(
-            (Date.now() - new Date(job.created_at)) / 60000
-          ),
+          age_minutes: Math.round(age / 60000),
         });
 
-        // Mark as failed in storage
-        await storageService.updateJob(job.job_id, {
-          status: JOB_STATUS.FAILED,
-          error: "Job lost in queue after timeout. Please retry.",
-          error_type: "TIMEOUT_ERROR",
-          failed_at: new Date().toISOString(),
-          updated_at: new Date().toISOString(),
-        });
+        const cleaned = await this.failJob(
+          job,
+          "Job lost in queue after timeout. Please retry."
+        );
 
-        logger.info("Marked lost job as FAILED", {
+        if (cleaned) {
+          logger.info("Marked lost job as FAILED", {
+            job_id: job.job_id,
+          });
+        }
+
+        return cleaned;
+      }
+
+      // Bull finished the job but its outcome never reached storage
+      if (queueInfo.state === "failed" || queueInfo.state === "completed") {
+        logger.warn("Job finished in queue but not in storage", {
           job_id: job.job_id,
+          status: job.status,
+          state: queueInfo.state,
         });
 
-        return true;
+        return this.failJob(
+          job,
+          queueInfo.failedReason ||
+            "Job finished in queue without saving results. Please retry."
+        );
       }
 
       // Job is in queue but taking too long
-      if (queueInfo.state === "waiting" || queueInfo.state === "active") {
-        const age = Date.now() - new Date(job.created_at).getTime();
-        const maxAge = 30 * 60 * 1000; // 30 minutes
+      const maxAge = config.cleanup.maxJobAgeMinutes * 60 * 1000;
+      if (age > maxAge) {
+        logger.warn("Job stuck in queue for too long", {
+          job_id: job.job_id,
+          state: queueInfo.state,
+          age_minutes: Math.round(age / 60000),
+        });
 
-        if (age > maxAge) {
-          logger.warn("Job stuck in queue for too long", {
-            job_id: job.job_id,
-            state: queueInfo.state,
-            age_minutes: Math.round(age / 60000),
-          });
+        const cleaned = await this.failJob(
+          job,
+          `Job exceeded maximum processing time (${config.cleanup.maxJobAgeMinutes} minutes)`
+        );
 
+        if (cleaned) {
           // Remove from queue
           await queueService.removeJob(job.job_id);
 
-          // Mark as failed
-          await storageService.updateJob(job.job_id, {
-            status: JOB_STATUS.FAILED,
-            error: "Job exceeded maximum processing time (30 minutes)",
-            error_type: "TIMEOUT_ERROR",
-            failed_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-          });
-
           logger.info("Removed stuck job from queue", {
             job_id: job.job_id,
           });
-
-          return true;
         }
+
+        return cleaned;
       }
 
       return false;
@@ -221,11 +412,36 @@ class CleanupService {
 
   /**
    * Get cleanup statistics
-   * @returns {object} Statistics
+   *
+   * Only the leader runs cleanup, so run counters come from the stats it
+   * saved in Redis and this instance's own counters are the fallback.
+   *
+   * @returns {Promise<object>} Statistics
    */
-  getStats() {
+  async getStats() {
+    let shared = null;
+    let leader = null;
+
+    try {
+      const redis = getRedisClient();
+      const [statsValue, lockHolder] = await Promise.all([
+        redis.get(config.cleanup.statsKey),
+        redis.get(config.cleanup.lockKey),
+      ]);
+      shared = statsValue ? JSON.parse(statsValue) : null;
+      leader = lockHolder;
+    } catch (error) {
+      logger.warn("Failed to read shared cleanup stats", {
+        error: error.message,
+      });
+    }
+
     return {
       ...this.stats,
+      ...shared,
+      leader,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
       isRunning: this.isRunning,
       intervalMinutes: config.cleanup.intervalMinutes,
     };
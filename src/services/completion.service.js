@@ -0,0 +1,74 @@
+const storageService = require("./storage.service");
+const webhookService = require("./webhook.service");
+const historyService = require("./history.service");
+const logger = require("../utils/logger");
+const { recordJobFinished } = require("../utils/metrics");
+const { JOB_STATUS } = require("../utils/constants");
+
+/**
+ * Add the outcome of a finished run to the job's attempts history
+ *
+ * `error` only describes the latest run, so a manual retry keeps earlier
+ * failures here.
+ *
+ * @param {object} job - Job record in a terminal state
+ */
+async function recordAttempt(job) {
+  const entry = {
+    status: job.status,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+  };
+
+  if (job.status === JOB_STATUS.FAILED) {
+    entry.error = job.error;
+    entry.error_type = job.error_type;
+  }
+
+  try {
+    await storageService.appendToJob(job.job_id, "attempts", entry);
+  } catch (error) {
+    // History is informational, the run outcome is already stored
+    logger.error("Failed to record job attempt", {
+      job_id: job.job_id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Move a job to a terminal state and do the bookkeeping that goes with it
+ *
+ * The job is only updated while it still has `expectedStatus`, so a job
+ * cancelled or finished elsewhere in the meantime is never overwritten.
+ * Once it is, the run is counted in the metrics, added to the attempts
+ * history (and the URL's history when COMPLETED), and its callback queued.
+ *
+ * @param {string} job_id - Job ID
+ * @param {string} expectedStatus - Status the job must still have
+ * @param {object} updateData - Terminal status and outcome fields
+ * @returns {Promise<object|null>} Updated job, or null if its status changed
+ */
+async function finishJob(job_id, expectedStatus, updateData) {
+  const job = await storageService.updateJobIfStatus(job_id, expectedStatus, {
+    ...updateData,
+    finished_at: updateData.finished_at || new Date().toISOString(),
+  });
+
+  if (!job) {
+    return null;
+  }
+
+  recordJobFinished(job);
+  await recordAttempt(job);
+  if (job.status === JOB_STATUS.COMPLETED) {
+    await historyService.recordRun(job);
+  }
+  await webhookService.enqueueDelivery(job);
+  return job;
+}
+
+module.exports = {
+  finishJob,
+  recordAttempt,
+};
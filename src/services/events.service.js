@@ -0,0 +1,205 @@
+const { AsyncResource } = require("async_hooks");
+const { getRedisClient } = require("../config/redis.config");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+
+const CHANNEL_PREFIX = config.events.channelPrefix;
+
+// Subscribing puts an ioredis connection into subscriber mode, so all
+// listeners in this process share one dedicated connection
+let subscriber = null;
+const handlers = new Map();
+// SUBSCRIBE of each channel's handler set, awaited by every handler joining it
+const subscriptions = new WeakMap();
+
+function getChannel(job_id) {
+  return `${CHANNEL_PREFIX}${job_id}`;
+}
+
+function getSubscriber() {
+  if (subscriber) {
+    return subscriber;
+  }
+
+  subscriber = getRedisClient().duplicate();
+
+  subscriber.on("message", (channel, message) => {
+    const channelHandlers = handlers.get(channel);
+    if (!channelHandlers) {
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (error) {
+      logger.warn("Ignoring malformed job event", {
+        channel,
+        error: error.message,
+      });
+      return;
+    }
+
+    for (const handler of channelHandlers) {
+      try {
+        handler(event);
+      } catch (error) {
+        logger.error("Job event handler failed", {
+          channel,
+          error: error.message,
+        });
+      }
+    }
+  });
+
+  subscriber.on("error", (error) => {
+    logger.error("Event subscriber error", { error: error.message });
+  });
+
+  return subscriber;
+}
+
+/**
+ * Publish a job event to every API instance
+ * @param {string} job_id - Job ID
+ * @param {string} type - Event type (status, progress, retry)
+ * @param {object} data - Event fields
+ * @returns {Promise<boolean>} True if published
+ */
+async function publishJobEvent(job_id, type, data = {}) {
+  try {
+    const event = {
+      type,
+      job_id,
+      ...data,
+      timestamp: new Date().toISOString(),
+    };
+
+    await getRedisClient().publish(getChannel(job_id), JSON.stringify(event));
+    return true;
+  } catch (error) {
+    // Events are best effort, job processing must not fail because of them
+    logger.warn("Failed to publish job event", {
+      job_id,
+      type,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Listen for events of a single job
+ * @param {string} job_id - Job ID
+ * @param {function} handler - Called with each event object
+ * @returns {Promise<function>} Async function that removes the listener
+ * @throws {Error} If Redis rejects the subscription
+ */
+async function subscribeToJob(job_id, handler) {
+  const channel = getChannel(job_id);
+  const client = getSubscriber();
+
+  // Messages arrive on the shared connection, so run the handler in the
+  // subscriber's async context to keep its log fields (e.g. requestId)
+  const boundHandler = AsyncResource.bind(handler);
+
+  let channelHandlers = handlers.get(channel);
+  if (!channelHandlers) {
+    const created = new Set();
+    const subscribed = client.subscribe(channel).catch((error) => {
+      // Drop the channel so the next subscriber tries again
+      if (handlers.get(channel) === created) {
+        handlers.delete(channel);
+      }
+      throw error;
+    });
+    handlers.set(channel, created);
+    subscriptions.set(created, subscribed);
+    channelHandlers = created;
+  }
+  channelHandlers.add(boundHandler);
+  await subscriptions.get(channelHandlers);
+
+  return async () => {
+    const current = handlers.get(channel);
+    if (!current) {
+      return;
+    }
+
+    current.delete(boundHandler);
+    if (current.size === 0) {
+      handlers.delete(channel);
+      try {
+        await client.unsubscribe(channel);
+      } catch (error) {
+        logger.warn("Failed to unsubscribe from job events", {
+          job_id,
+          error: error.message,
+        });
+      }
+    }
+  };
+}
+
+/**
+ * Subscribe to a job and wait for the first event matching a predicate
+ *
+ * Subscribing happens before the caller reads the job, so a transition that
+ * lands between the read and wait() is still seen.
+ *
+ * @param {string} job_id - Job ID
+ * @param {function} predicate - Returns true for the event to wait for
+ * @returns {Promise<object>} Waiter with wait(timeoutMs) and cancel()
+ */
+async function createJobWaiter(job_id, predicate) {
+  let matched = null;
+  let resolveWait = null;
+  let timer = null;
+
+  const unsubscribe = await subscribeToJob(job_id, (event) => {
+    if (matched || !predicate(event)) {
+      return;
+    }
+    matched = event;
+    if (resolveWait) {
+      resolveWait(event);
+    }
+  });
+
+  return {
+    // Resolves with the matching event, or null on timeout or cancel
+    wait(timeoutMs) {
+      if (matched) {
+        return Promise.resolve(matched);
+      }
+      return new Promise((resolve) => {
+        resolveWait = resolve;
+        timer = setTimeout(() => resolve(null), timeoutMs);
+      });
+    },
+
+    async cancel() {
+      clearTimeout(timer);
+      if (resolveWait) {
+        resolveWait(null);
+      }
+      await unsubscribe();
+    },
+  };
+}
+
+async function closeEvents() {
+  if (subscriber) {
+    handlers.clear();
+    await subscriber.quit();
+    subscriber = null;
+    logger.info("Event subscriber closed");
+  }
+}
+
+module.exports = {
+  publishJobEvent,
+  subscribeToJob,
+  createJobWaiter,
+  closeEvents,
+};
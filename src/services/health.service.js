@@ -0,0 +1,138 @@
+const storageService = require("./storage.service");
+const queueService = require("./queue.service");
+const heartbeatService = require("./heartbeat.service");
+const config = require("../config/app.config");
+const { HEALTH_STATUS } = require("../utils/constants");
+
+const SEVERITY = [
+  HEALTH_STATUS.OK,
+  HEALTH_STATUS.DEGRADED,
+  HEALTH_STATUS.UNAVAILABLE,
+];
+
+// Bull retries commands forever while Redis is down, so every check is
+// bounded to keep the probe answering
+function withTimeout(promise, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${name} check timed out`)),
+      config.health.checkTimeoutMs
+    );
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkRedis() {
+  try {
+    await withTimeout(storageService.ping(), "Redis");
+    return { status: HEALTH_STATUS.OK };
+  } catch (error) {
+    return { status: HEALTH_STATUS.UNAVAILABLE, error: error.message };
+  }
+}
+
+async function checkQueue() {
+  const { queueDepthWarning, queueDepthCritical } = config.health;
+  const thresholds = {
+    warning: queueDepthWarning,
+    critical: queueDepthCritical,
+  };
+
+  let health;
+  try {
+    health = await withTimeout(queueService.checkQueueHealth(), "Queue");
+  } catch (error) {
+    health = { healthy: false, error: error.message };
+  }
+
+  if (!health.healthy) {
+    return {
+      status: HEALTH_STATUS.UNAVAILABLE,
+      error: health.error,
+      thresholds,
+    };
+  }
+
+  const { waiting = 0, active = 0, delayed = 0, failed = 0 } = health.stats;
+  const depth = waiting;
+
+  let status = HEALTH_STATUS.OK;
+  let reason;
+  if (depth >= queueDepthCritical) {
+    status = HEALTH_STATUS.UNAVAILABLE;
+    reason = `Queue depth ${depth} is at or above ${queueDepthCritical}`;
+  } else if (depth >= queueDepthWarning) {
+    status = HEALTH_STATUS.DEGRADED;
+    reason = `Queue depth ${depth} is at or above ${queueDepthWarning}`;
+  } else if (health.isPaused) {
+    status = HEALTH_STATUS.DEGRADED;
+    reason = "Queue is paused";
+  }
+
+  return {
+    status,
+    ...(reason && { reason }),
+    paused: health.isPaused,
+    depth,
+    counts: { waiting, active, delayed, failed },
+    thresholds,
+  };
+}
+
+async function checkWorkers() {
+  try {
+    const workers = await withTimeout(
+      heartbeatService.getLiveWorkers(),
+      "Worker"
+    );
+
+    if (workers.length === 0) {
+      return {
+        status: HEALTH_STATUS.UNAVAILABLE,
+        reason: `No worker heartbeat in the last ${
+          config.health.heartbeatTtlMs / 1000
+        }s`,
+        count: 0,
+        workers,
+      };
+    }
+
+    return { status: HEALTH_STATUS.OK, count: workers.length, workers };
+  } catch (error) {
+    return { status: HEALTH_STATUS.UNAVAILABLE, error: error.message };
+  }
+}
+
+/**
+ * Check every dependency the API needs to make progress on jobs
+ *
+ * The verdict is the worst check: "unavailable" when Redis or the queue is
+ * down, no worker is alive or the queue is critically deep; "degraded" when
+ * the queue is paused or above the warning depth.
+ *
+ * @returns {Promise<object>} { status, checks: { redis, queue, workers } }
+ */
+async function getReadiness() {
+  const [redis, queue, workers] = await Promise.all([
+    checkRedis(),
+    checkQueue(),
+    checkWorkers(),
+  ]);
+
+  const checks = { redis, queue, workers };
+  const status = Object.values(checks).reduce(
+    (worst, check) =>
+      SEVERITY.indexOf(check.status) > SEVERITY.indexOf(worst)
+        ? check.status
+        : worst,
+    HEALTH_STATUS.OK
+  );
+
+  return { status, checks };
+}
+
+module.exports = {
+  getReadiness,
+};
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const os = require("os");
+const { getRedisClient } = require("../config/redis.config");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+
+// Workers register in a sorted set scored by their last heartbeat, so finding
+// live workers is a single range query instead of a key scan
+const HEARTBEAT_KEY = config.health.heartbeatKey;
+const INFO_KEY = config.health.workerInfoKey;
+
+const workerId = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+let timer = null;
+let workerInfo = null;
+
+async function sendHeartbeat() {
+  try {
+    await getRedisClient()
+      .multi()
+      .zadd(HEARTBEAT_KEY, Date.now(), workerId)
+      .hset(INFO_KEY, workerId, JSON.stringify(workerInfo))
+      .exec();
+  } catch (error) {
+    logger.warn("Failed to send worker heartbeat", {
+      worker_id: workerId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Register this process as a live worker and keep the registration fresh
+ * @param {object} [info] - Extra fields shown in readiness, e.g. concurrency
+ * @returns {Promise<string>} Worker ID
+ */
+async function startHeartbeat(info = {}) {
+  workerInfo = {
+    worker_id: workerId,
+    hostname: os.hostname(),
+    pid: process.pid,
+    started_at: new Date().toISOString(),
+    ...info,
+  };
+
+  await sendHeartbeat();
+
+  clearInterval(timer);
+  timer = setInterval(sendHeartbeat, config.health.heartbeatIntervalMs);
+  timer.unref();
+
+  logger.info("Worker heartbeat started", { worker_id: workerId });
+  return workerId;
+}
+
+/**
+ * Stop heartbeats and deregister, so readiness notices a clean shutdown
+ * before the heartbeat would expire
+ */
+async function stopHeartbeat() {
+  if (!timer) {
+    return;
+  }
+
+  clearInterval(timer);
+  timer = null;
+
+  try {
+    await getRedisClient()
+      .multi()
+      .zrem(HEARTBEAT_KEY, workerId)
+      .hdel(INFO_KEY, workerId)
+      .exec();
+    logger.info("Worker heartbeat stopped", { worker_id: workerId });
+  } catch (error) {
+    logger.warn("Failed to deregister worker", {
+      worker_id: workerId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * List workers that sent a heartbeat within the TTL, pruning dead ones
+ * @returns {Promise<object[]>} Worker info with last_seen, newest first
+ */
+async function getLiveWorkers() {
+  const redis = getRedisClient();
+  const cutoff = Date.now() - config.health.heartbeatTtlMs;
+
+  const dead = await redis.zrangebyscore(HEARTBEAT_KEY, "-inf", cutoff);
+  if (dead.length > 0) {
+    await redis
+      .multi()
+      .zrem(HEARTBEAT_KEY, ...dead)
+      .hdel(INFO_KEY, ...dead)
+      .exec();
+  }
+
+  const live = await redis.zrevrangebyscore(
+    HEARTBEAT_KEY,
+    "+inf",
+    `(${cutoff}`,
+    "WITHSCORES"
+  );
+  if (live.length === 0) {
+    return [];
+  }
+
+  const ids = [];
+  const lastSeen = [];
+  for (let i = 0; i < live.length; i += 2) {
+    ids.push(live[i]);
+    lastSeen.push(Number(live[i + 1]));
+  }
+
+  const infos = await redis.hmget(INFO_KEY, ...ids);
+
+  return ids.map((id, i) => {
+    let info = { worker_id: id };
+    try {
+      info = { ...info, ...JSON.parse(infos[i]) };
+    } catch (error) {
+      // Info is descriptive only, the heartbeat itself is what counts
+    }
+    return { ...info, last_seen: new Date(lastSeen[i]).toISOString() };
+  });
+}
+
+module.exports = {
+  startHeartbeat,
+  stopHeartbeat,
+  getLiveWorkers,
+  getWorkerId: () => workerId,
+};
@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const { getRedisClient } = require("../config/redis.config");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+const { normalizeUrl } = require("../utils/urlNormalizer");
+const { getJobIdBoundary } = require("../utils/jobIdGenerator");
+const { ERROR_TYPES } = require("../utils/constants");
+
+const KEY_PREFIX = config.history.keyPrefix;
+const RETENTION_SECONDS = config.history.retentionDays * 24 * 60 * 60;
+
+class HistoryError extends Error {
+  constructor(message, type = ERROR_TYPES.STORAGE_ERROR, originalError = null) {
+    super(message);
+    this.name = "HistoryError";
+    this.type = type;
+    this.originalError = originalError;
+  }
+}
+
+// One sorted set of job IDs per normalized URL, ordered by ID like the job
+// indexes, plus a snapshot of each run that outlives the job record
+function getUrlKey(url) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(normalizeUrl(url))
+    .digest("hex");
+  return `${KEY_PREFIX}url:${digest}`;
+}
+
+function getRunKey(job_id) {
+  return `${KEY_PREFIX}run:${job_id}`;
+}
+
+function toRun(job) {
+  const run = {
+    job_id: job.job_id,
+    url: job.url,
+    finished_at: job.finished_at,
+    analyzers: job.analyzers || null,
+    results: job.results,
+  };
+
+  if (job.api_key_id) {
+    run.api_key_id = job.api_key_id;
+  }
+
+  return run;
+}
+
+/**
+ * Add a completed job to the history of its URL
+ *
+ * The oldest runs are dropped past the retention period or once the URL has
+ * more than `config.history.maxRunsPerUrl` of them.
+ *
+ * @param {object} job - COMPLETED job record
+ */
+async function recordRun(job) {
+  try {
+    const urlKey = getUrlKey(job.url);
+    const cutoff = getJobIdBoundary(Date.now() - RETENTION_SECONDS * 1000);
+
+    const pipeline = getRedisClient().pipeline();
+    pipeline.set(
+      getRunKey(job.job_id),
+      JSON.stringify(toRun(job)),
+      "EX",
+      RETENTION_SECONDS
+    );
+    pipeline.zadd(urlKey, 0, job.job_id);
+    pipeline.zremrangebylex(urlKey, "-", `(${cutoff}`);
+    pipeline.zremrangebyrank(urlKey, 0, -(config.history.maxRunsPerUrl + 1));
+    pipeline.expire(urlKey, RETENTION_SECONDS);
+
+    const results = await pipeline.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+  } catch (error) {
+    // History is informational, the job itself is already stored
+    logger.error("Failed to record run in URL history", {
+      job_id: job.job_id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get several runs by job ID
+ * @param {string[]} job_ids - Job IDs
+ * @returns {Promise<Array<object|null>>} Runs in the same order, null if missing
+ */
+async function getRuns(job_ids) {
+  try {
+    if (job_ids.length === 0) {
+      return [];
+    }
+
+    const values = await getRedisClient().mget(...job_ids.map(getRunKey));
+    return values.map((value) => (value ? JSON.parse(value) : null));
+  } catch (error) {
+    logger.error("Failed to get runs from history", {
+      count: job_ids.length,
+      error: error.message,
+    });
+    throw new HistoryError(
+      "Failed to retrieve runs",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * List the completed runs of a URL, newest first
+ * @param {string} url - URL, compared after normalization
+ * @param {object} options - Listing options
+ * @param {number} options.limit - Maximum number of runs to return
+ * @param {string} [options.cursor] - Only runs older than this job ID
+ * @param {function} [options.filter] - Extra predicate on each run
+ * @returns {Promise<object>} { runs, next_cursor }, next_cursor null at the end
+ */
+async function listRuns(url, options) {
+  const { limit, cursor, filter } = options;
+
+  let job_ids;
+  try {
+    // Bounded by maxRunsPerUrl, so the whole history is read at once
+    job_ids = await getRedisClient().zrevrangebylex(
+      getUrlKey(url),
+      cursor ? `(${cursor}` : "+",
+      "-"
+    );
+  } catch (error) {
+    logger.error("Failed to list URL history", {
+      error: error.message,
+    });
+    throw new HistoryError(
+      "Failed to list runs",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+
+  const runs = (await getRuns(job_ids)).filter(
+    (run) => run && (!filter || filter(run))
+  );
+  const page = runs.slice(0, limit);
+
+  return {
+    runs: page,
+    next_cursor: runs.length > limit ? page[page.length - 1].job_id : null,
+  };
+}
+
+module.exports = {
+  recordRun,
+  getRuns,
+  listRuns,
+  HistoryError,
+};
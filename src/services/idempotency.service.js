@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const { getRedisClient } = require("../config/redis.config");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+const { ERROR_TYPES } = require("../utils/constants");
+
+const KEY_PREFIX = config.idempotency.keyPrefix;
+
+// Visible ASCII only, the key is hashed before it reaches Redis
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+class IdempotencyError extends Error {
+  constructor(message, type = ERROR_TYPES.STORAGE_ERROR, originalError = null) {
+    super(message);
+    this.name = "IdempotencyError";
+    this.type = type;
+    this.originalError = originalError;
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// Keys are scoped per client so two clients can't collide or probe each other
+function getRecordKey(scope, key) {
+  return `${KEY_PREFIX}${scope}:${sha256(key)}`;
+}
+
+function isValidIdempotencyKey(key) {
+  return typeof key === "string" && IDEMPOTENCY_KEY_PATTERN.test(key);
+}
+
+/**
+ * Fingerprint the parts of a submission that define the job
+ * @param {object} request - { url, analyzers, callback_url, max_age, check_links }
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprintRequest({
+  url,
+  analyzers,
+  callback_url,
+  max_age,
+  check_links,
+}) {
+  return sha256(
+    JSON.stringify({
+      url,
+      analyzers: analyzers ? [...analyzers].sort() : null,
+      callback_url: callback_url || null,
+      max_age: max_age === undefined ? null : max_age,
+      // Only present when set, so earlier fingerprints stay valid
+      ...(check_links && { check_links: true }),
+    })
+  );
+}
+
+/**
+ * Claim an idempotency key for a new job
+ *
+ * SET NX makes the first request win; concurrent and later repeats get the
+ * stored record back instead.
+ *
+ * @param {string} scope - API key ID, `ip:<address>` for anonymous callers
+ * @param {string} key - Client supplied Idempotency-Key
+ * @param {string} fingerprint - Request fingerprint
+ * @param {string} job_id - Job ID the key will map to
+ * @returns {Promise<object>} { reserved: true } or { reserved: false, record }
+ */
+async function reserveKey(scope, key, fingerprint, job_id) {
+  const recordKey = getRecordKey(scope, key);
+  const record = {
+    fingerprint,
+    job_id,
+    created_at: new Date().toISOString(),
+  };
+
+  try {
+    const redis = getRedisClient();
+    const result = await redis.set(
+      recordKey,
+      JSON.stringify(record),
+      "EX",
+      config.idempotency.windowSeconds,
+      "NX"
+    );
+
+    if (result === "OK") {
+      return { reserved: true };
+    }
+
+    const existing = await redis.get(recordKey);
+    if (!existing) {
+      // Expired or released between the two calls, claim it again
+      return reserveKey(scope, key, fingerprint, job_id);
+    }
+
+    return { reserved: false, record: JSON.parse(existing) };
+  } catch (error) {
+    logger.error("Failed to reserve idempotency key", {
+      error: error.message,
+    });
+    throw new IdempotencyError(
+      "Failed to reserve idempotency key",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * Free a key whose submission did not create a job, so a retry can
+ * @param {string} scope - API key ID, `ip:<address>` for anonymous callers
+ * @param {string} key - Client supplied Idempotency-Key
+ */
+async function releaseKey(scope, key) {
+  try {
+    await getRedisClient().del(getRecordKey(scope, key));
+  } catch (error) {
+    // The key expires with the window anyway
+    logger.warn("Failed to release idempotency key", {
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  isValidIdempotencyKey,
+  fingerprintRequest,
+  reserveKey,
+  releaseKey,
+  IdempotencyError,
+};
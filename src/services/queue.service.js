@@ -232,6 +232,7 @@ async function getJobInfo(job_id) {
       state,
       position: -1,
       estimatedWait: 0,
+      failedReason: bullJob.failedReason,
     };
   } catch (error) {
     logger.error("Failed to get job info", {
@@ -290,6 +291,15 @@ async function cleanOldJobs(grace = 86400000, status = "completed") {
   }
 }
 
+/**
+ * Count jobs in each Bull state
+ * @returns {Promise<object>} { waiting, active, completed, failed, delayed, paused }
+ */
+async function getQueueStats() {
+  const queue = getQueue();
+  return queue.getJobCounts();
+}
+
 async function checkQueueHealth() {
   try {
     const queue = getQueue();
@@ -331,6 +341,7 @@ module.exports = {
   getJobInfo,
   removeJob,
   cleanOldJobs,
+  getQueueStats,
   checkQueueHealth,
   closeQueue,
   QueueError,
@@ -0,0 +1,605 @@
+const Queue = require("bull");
+const cronParser = require("cron-parser");
+const { getRedisClient } = require("../config/redis.config");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+const { generateNumericJobId } = require("../utils/jobIdGenerator");
+const { SCHEDULE_STATUS, ERROR_TYPES } = require("../utils/constants");
+
+const KEY_PREFIX = config.schedules.keyPrefix;
+const SCHEDULE_SET = `${KEY_PREFIX}all`;
+const LIST_CHUNK_SIZE = 100;
+
+// HSET the field/value pairs and HINCRBY the increments of a schedule hash,
+// only if it still exists. ARGV: field count, fields, then increments
+const UPDATE_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 0 then
+  return 0
+end
+local fields = tonumber(ARGV[1])
+for i = 2, fields * 2, 2 do
+  redis.call("HSET", KEYS[1], ARGV[i], ARGV[i + 1])
+end
+for i = fields * 2 + 2, #ARGV, 2 do
+  redis.call("HINCRBY", KEYS[1], ARGV[i], ARGV[i + 1])
+end
+return 1
+`;
+
+let scheduleQueue = null;
+
+class ScheduleError extends Error {
+  constructor(message, type = ERROR_TYPES.STORAGE_ERROR, originalError = null) {
+    super(message);
+    this.name = "ScheduleError";
+    this.type = type;
+    this.originalError = originalError;
+  }
+}
+
+function initializeScheduleQueue() {
+  if (scheduleQueue) {
+    return scheduleQueue;
+  }
+
+  const { maxRetriesPerRequest, enableReadyCheck, ...bullRedisConfig } =
+    config.redis;
+
+  scheduleQueue = new Queue(config.schedules.queueName, {
+    redis: {
+      ...bullRedisConfig,
+      maxRetriesPerRequest: null, // Required for Bull
+      enableReadyCheck: false, // Required for Bull
+    },
+    defaultJobOptions: {
+      attempts: 1, // A missed run is not made up, the next one follows
+      removeOnComplete: true,
+      removeOnFail: {
+        age: 604800, // Keep failed triggers for 7 days
+      },
+    },
+  });
+
+  scheduleQueue.on("error", (error) => {
+    logger.error("Schedule queue error", { error: error.message });
+  });
+
+  logger.info("Schedule queue initialized", {
+    queueName: config.schedules.queueName,
+  });
+
+  return scheduleQueue;
+}
+
+function getScheduleQueue() {
+  if (!scheduleQueue) {
+    return initializeScheduleQueue();
+  }
+  return scheduleQueue;
+}
+
+async function closeScheduleQueue() {
+  if (scheduleQueue) {
+    try {
+      await scheduleQueue.close();
+      scheduleQueue = null;
+      logger.info("Schedule queue closed");
+    } catch (error) {
+      logger.error("Error closing schedule queue", { error: error.message });
+    }
+  }
+}
+
+function getScheduleKey(schedule_id) {
+  return `${KEY_PREFIX}${schedule_id}`;
+}
+
+// Schedules are hashes of JSON values, so the worker's run bookkeeping and
+// a pause from the API never overwrite each other's fields
+function encode(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([field, value]) => [
+      field,
+      JSON.stringify(value),
+    ])
+  );
+}
+
+function decode(hash) {
+  if (!hash || !hash.schedule_id) {
+    return null;
+  }
+  return Object.fromEntries(
+    Object.entries(hash).map(([field, value]) => [field, JSON.parse(value)])
+  );
+}
+
+async function execMulti(multi) {
+  const results = await multi.exec();
+  const failed = results.find(([error]) => error);
+  if (failed) {
+    throw failed[0];
+  }
+  return results.map(([, result]) => result);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a schedule's cron expression or interval
+ *
+ * Runs of one schedule may not be closer together than
+ * `config.schedules.minIntervalSeconds`.
+ *
+ * @param {object} repeat - { cron, every, timezone } from the request body
+ * @returns {string|null} What is wrong, null if valid
+ */
+function validateRepeat({ cron, every, timezone }) {
+  const minSeconds = config.schedules.minIntervalSeconds;
+
+  if ((cron === undefined) === (every === undefined)) {
+    return "Exactly one of cron or every is required";
+  }
+
+  if (every !== undefined) {
+    if (!Number.isInteger(every) || every < minSeconds) {
+      return `every must be a whole number of seconds, at least ${minSeconds}`;
+    }
+    if (timezone !== undefined) {
+      return "timezone only applies to cron schedules";
+    }
+    return null;
+  }
+
+  if (typeof cron !== "string" || cron.trim() === "") {
+    return "cron must be a cron expression";
+  }
+
+  if (
+    timezone !== undefined &&
+    (typeof timezone !== "string" || !isValidTimezone(timezone))
+  ) {
+    return "timezone must be an IANA time zone such as Europe/Berlin";
+  }
+
+  let interval;
+  try {
+    interval = cronParser.parseExpression(cron, { tz: timezone });
+  } catch (error) {
+    return `Invalid cron expression: ${error.message}`;
+  }
+
+  // Gaps vary within an expression such as "0,5 9 * * *", so check a few
+  let previous = interval.next().getTime();
+  for (let i = 0; i < 10; i++) {
+    const next = interval.next().getTime();
+    if (next - previous < minSeconds * 1000) {
+      return `cron must not run more than once every ${minSeconds} seconds`;
+    }
+    previous = next;
+  }
+
+  return null;
+}
+
+function toRepeatOptions(schedule) {
+  if (schedule.cron) {
+    return {
+      cron: schedule.cron,
+      ...(schedule.timezone && { tz: schedule.timezone }),
+    };
+  }
+  return { every: schedule.every * 1000 };
+}
+
+/**
+ * When an active schedule fires next
+ * @param {object} schedule - Schedule record
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string|null} ISO timestamp, null while paused
+ */
+function getNextRunAt(schedule, now = Date.now()) {
+  if (schedule.status !== SCHEDULE_STATUS.ACTIVE) {
+    return null;
+  }
+
+  if (schedule.cron) {
+    return cronParser
+      .parseExpression(schedule.cron, {
+        currentDate: new Date(now),
+        tz: schedule.timezone || undefined,
+      })
+      .next()
+      .toISOString();
+  }
+
+  // Bull aligns intervals to multiples of `every` since the epoch
+  const every = schedule.every * 1000;
+  return new Date(Math.floor(now / every) * every + every).toISOString();
+}
+
+async function addRepeat(schedule) {
+  await getScheduleQueue().add(
+    { schedule_id: schedule.schedule_id },
+    { repeat: toRepeatOptions(schedule), jobId: schedule.schedule_id }
+  );
+}
+
+// The worker also drops the repeatable job of a paused or deleted schedule
+// when it fires, so failing here only costs one skipped trigger
+async function removeRepeat(schedule) {
+  try {
+    await getScheduleQueue().removeRepeatable({
+      ...toRepeatOptions(schedule),
+      jobId: schedule.schedule_id,
+    });
+  } catch (error) {
+    logger.warn("Failed to remove repeatable job for schedule", {
+      schedule_id: schedule.schedule_id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Remove a repeatable job by its Bull repeat key
+ * @param {string} key - `job.opts.repeat.key` of a fired trigger
+ */
+async function removeRepeatByKey(key) {
+  try {
+    await getScheduleQueue().removeRepeatableByKey(key);
+  } catch (error) {
+    logger.warn("Failed to remove repeatable job", {
+      key,
+      error: error.message,
+    });
+  }
+}
+
+async function getSchedule(schedule_id) {
+  try {
+    const hash = await getRedisClient().hgetall(getScheduleKey(schedule_id));
+    return decode(hash);
+  } catch (error) {
+    logger.error("Failed to get schedule", {
+      schedule_id,
+      error: error.message,
+    });
+    throw new ScheduleError(
+      "Failed to retrieve schedule",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * Update fields of a schedule, unless it has been deleted
+ *
+ * The existence check and the writes run as one script, so bookkeeping of
+ * a run that finishes after the schedule was deleted can't bring back a
+ * partial record.
+ *
+ * @param {string} schedule_id - Schedule ID
+ * @param {object} fields - Fields to set
+ * @param {object} [increments] - Counters to increment, field => amount
+ * @returns {Promise<boolean>} False if the schedule no longer exists
+ */
+async function updateSchedule(schedule_id, fields, increments = {}) {
+  const encoded = Object.entries(encode(fields));
+  const args = [
+    encoded.length,
+    ...encoded.flat(),
+    ...Object.entries(increments).flat(),
+  ];
+
+  try {
+    const updated = await getRedisClient().eval(
+      UPDATE_SCRIPT,
+      1,
+      getScheduleKey(schedule_id),
+      ...args
+    );
+    return updated === 1;
+  } catch (error) {
+    logger.error("Failed to update schedule", {
+      schedule_id,
+      error: error.message,
+    });
+    throw new ScheduleError(
+      "Failed to update schedule",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * Create a schedule and register its Bull repeatable job
+ * @param {object} options - Schedule options
+ * @param {string} options.url - URL to analyse on every run
+ * @param {string} [options.cron] - Cron expression, exclusive with every
+ * @param {number} [options.every] - Interval in seconds, exclusive with cron
+ * @param {string} [options.timezone] - IANA time zone for cron
+ * @param {string[]} [options.analyzers] - Analyzers to run, all when omitted
+ * @param {string} [options.api_key_id] - Owning API key
+ * @returns {Promise<object>} Schedule record
+ */
+async function createSchedule({
+  url,
+  cron,
+  every,
+  timezone,
+  analyzers,
+  api_key_id,
+}) {
+  const schedule = {
+    schedule_id: generateNumericJobId(),
+    url,
+    cron: cron || null,
+    every: every || null,
+    timezone: timezone || null,
+    analyzers: analyzers || null,
+    status: SCHEDULE_STATUS.ACTIVE,
+    created_at: new Date().toISOString(),
+    run_count: 0,
+    skipped_count: 0,
+    last_run_at: null,
+    last_job_id: null,
+  };
+
+  if (api_key_id) {
+    schedule.api_key_id = api_key_id;
+  }
+
+  const redis = getRedisClient();
+  try {
+    await execMulti(
+      redis
+        .multi()
+        .hset(getScheduleKey(schedule.schedule_id), encode(schedule))
+        .zadd(SCHEDULE_SET, 0, schedule.schedule_id)
+    );
+  } catch (error) {
+    throw new ScheduleError(
+      "Failed to create schedule",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+
+  try {
+    await addRepeat(schedule);
+  } catch (error) {
+    await redis
+      .multi()
+      .del(getScheduleKey(schedule.schedule_id))
+      .zrem(SCHEDULE_SET, schedule.schedule_id)
+      .exec()
+      .catch(() => {});
+    throw new ScheduleError(
+      "Failed to register schedule with the queue",
+      ERROR_TYPES.QUEUE_ERROR,
+      error
+    );
+  }
+
+  logger.info("Schedule created", {
+    schedule_id: schedule.schedule_id,
+    url,
+    cron: schedule.cron,
+    every: schedule.every,
+  });
+
+  return schedule;
+}
+
+/**
+ * List schedules, newest first, one page at a time
+ *
+ * Schedule IDs sort by creation time, so pages are cut by ID like the job
+ * listing. At most `config.schedules.scanLimit` schedules are examined per
+ * call, so a sparse filter can return fewer than `limit` schedules together
+ * with a cursor to continue from.
+ *
+ * @param {object} [options] - Listing options
+ * @param {string} [options.cursor] - Schedule ID the previous page ended at
+ * @param {number} [options.limit] - Page size
+ * @param {function} [options.filter] - Only schedules matching this predicate
+ * @returns {Promise<object>} { schedules, next_cursor }, cursor null on the
+ *   last page
+ */
+async function listSchedules(options = {}) {
+  const { cursor, filter, limit = config.schedules.pageSize } = options;
+
+  try {
+    const redis = getRedisClient();
+    const schedules = [];
+    let max = cursor ? `(${cursor}` : "+";
+    let scanned = 0;
+    let position = null;
+    let exhausted = false;
+
+    while (
+      !exhausted &&
+      schedules.length < limit &&
+      scanned < config.schedules.scanLimit
+    ) {
+      const count = Math.min(
+        LIST_CHUNK_SIZE,
+        config.schedules.scanLimit - scanned
+      );
+      const ids = await redis.zrevrangebylex(
+        SCHEDULE_SET,
+        max,
+        "-",
+        "LIMIT",
+        0,
+        count
+      );
+      if (ids.length === 0) {
+        exhausted = true;
+        break;
+      }
+
+      const pipeline = redis.pipeline();
+      ids.forEach((id) => pipeline.hgetall(getScheduleKey(id)));
+      const records = (await execMulti(pipeline)).map(decode);
+
+      for (const [i, id] of ids.entries()) {
+        scanned++;
+        position = id;
+
+        const schedule = records[i];
+        if (schedule && (!filter || filter(schedule))) {
+          schedules.push(schedule);
+          if (schedules.length === limit) {
+            break;
+          }
+        }
+      }
+
+      exhausted = ids.length < count && position === ids[ids.length - 1];
+      max = `(${position}`;
+    }
+
+    return { schedules, next_cursor: exhausted ? null : position };
+  } catch (error) {
+    logger.error("Failed to list schedules", { error: error.message });
+    throw new ScheduleError(
+      "Failed to list schedules",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * Stop a schedule from firing until it is resumed
+ * @param {object} schedule - Schedule record
+ * @returns {Promise<object>} Updated schedule
+ */
+async function pauseSchedule(schedule) {
+  if (schedule.status === SCHEDULE_STATUS.PAUSED) {
+    return schedule;
+  }
+
+  const fields = {
+    status: SCHEDULE_STATUS.PAUSED,
+    paused_at: new Date().toISOString(),
+  };
+  await updateSchedule(schedule.schedule_id, fields);
+  await removeRepeat(schedule);
+
+  logger.info("Schedule paused", { schedule_id: schedule.schedule_id });
+  return { ...schedule, ...fields };
+}
+
+/**
+ * Let a paused schedule fire again
+ * @param {object} schedule - Schedule record
+ * @returns {Promise<object>} Updated schedule
+ */
+async function resumeSchedule(schedule) {
+  if (schedule.status === SCHEDULE_STATUS.ACTIVE) {
+    return schedule;
+  }
+
+  const fields = { status: SCHEDULE_STATUS.ACTIVE, paused_at: null };
+  const resumed = { ...schedule, ...fields };
+
+  try {
+    await addRepeat(resumed);
+  } catch (error) {
+    throw new ScheduleError(
+      "Failed to register schedule with the queue",
+      ERROR_TYPES.QUEUE_ERROR,
+      error
+    );
+  }
+  await updateSchedule(schedule.schedule_id, fields);
+
+  logger.info("Schedule resumed", { schedule_id: schedule.schedule_id });
+  return resumed;
+}
+
+/**
+ * Delete a schedule; jobs it already created are kept
+ * @param {object} schedule - Schedule record
+ */
+async function deleteSchedule(schedule) {
+  try {
+    await execMulti(
+      getRedisClient()
+        .multi()
+        .del(getScheduleKey(schedule.schedule_id))
+        .zrem(SCHEDULE_SET, schedule.schedule_id)
+    );
+  } catch (error) {
+    throw new ScheduleError(
+      "Failed to delete schedule",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+  await removeRepeat(schedule);
+
+  logger.info("Schedule deleted", { schedule_id: schedule.schedule_id });
+}
+
+/**
+ * Record a run the schedule started
+ * @param {string} schedule_id - Schedule ID
+ * @param {string} job_id - Job created for the run
+ */
+async function recordRun(schedule_id, job_id) {
+  const updated = await updateSchedule(
+    schedule_id,
+    { last_run_at: new Date().toISOString(), last_job_id: job_id },
+    { run_count: 1 }
+  );
+  if (!updated) {
+    logger.info("Schedule deleted during its run", { schedule_id, job_id });
+  }
+}
+
+/**
+ * Record a trigger that did not start a run
+ * @param {string} schedule_id - Schedule ID
+ * @param {string} reason - Why the run was skipped
+ */
+async function recordSkip(schedule_id, reason) {
+  const updated = await updateSchedule(
+    schedule_id,
+    { last_skipped_at: new Date().toISOString(), last_skip_reason: reason },
+    { skipped_count: 1 }
+  );
+  if (!updated) {
+    logger.info("Schedule deleted during its run", { schedule_id, reason });
+  }
+}
+
+module.exports = {
+  initializeScheduleQueue,
+  getScheduleQueue,
+  closeScheduleQueue,
+  validateRepeat,
+  getNextRunAt,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  removeRepeatByKey,
+  recordRun,
+  recordSkip,
+  ScheduleError,
+};
@@ -1,10 +1,20 @@
+const crypto = require("crypto");
 const { getRedisClient } = require("../config/redis.config");
+const { publishJobEvent } = require("./events.service");
 const config = require("../config/app.config");
 const logger = require("../utils/logger");
+const {
+  getJobIdBoundary,
+  getTimestampFromJobId,
+} = require("../utils/jobIdGenerator");
+const { normalizeUrl } = require("../utils/urlNormalizer");
 const { JOB_STATUS, ERROR_TYPES } = require("../utils/constants");
 
 const TTL = config.storage.ttl; // 48 hours
 const KEY_PREFIX = config.storage.keyPrefix;
+const BATCH_KEY_PREFIX = config.storage.batchKeyPrefix;
+const INDEX_KEY_PREFIX = config.storage.indexKeyPrefix;
+const LIST_CHUNK_SIZE = 100;
 
 class StorageError extends Error {
   constructor(message, type = ERROR_TYPES.STORAGE_ERROR, originalError = null) {
@@ -19,6 +29,137 @@ function getJobKey(job_id) {
   return `${KEY_PREFIX}${job_id}`;
 }
 
+function getBatchKey(batch_id) {
+  return `${BATCH_KEY_PREFIX}${batch_id}`;
+}
+
+// Secondary indexes are sorted sets of job IDs with equal scores. Job IDs are
+// fixed-width and time-ordered, so lexicographic ranges are time ranges.
+function getTimeIndexKey() {
+  return `${INDEX_KEY_PREFIX}time`;
+}
+
+function getStatusIndexKey(status) {
+  return `${INDEX_KEY_PREFIX}status:${status}`;
+}
+
+function getHostIndexKey(host) {
+  return `${INDEX_KEY_PREFIX}host:${host.toLowerCase()}`;
+}
+
+// Keyed by a hash of the normalized URL, so equivalent spellings share one
+// index and long URLs don't make long keys
+function getUrlIndexKey(url) {
+  try {
+    const digest = crypto
+      .createHash("sha256")
+      .update(normalizeUrl(url))
+      .digest("hex");
+    return `${INDEX_KEY_PREFIX}url:${digest}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+async function execPipeline(pipeline) {
+  const results = await pipeline.exec();
+  const failed = results.find(([error]) => error);
+  if (failed) {
+    throw failed[0];
+  }
+  return results.map(([, result]) => result);
+}
+
+/**
+ * Add a job to an index, dropping entries whose job records have expired
+ *
+ * Expiry is measured from creation, the same clock as the job ID.
+ */
+function addToIndex(pipeline, key, job_id) {
+  const cutoff = getJobIdBoundary(Date.now() - TTL * 1000);
+
+  pipeline.zadd(key, 0, job_id);
+  pipeline.zremrangebylex(key, "-", `(${cutoff}`);
+  pipeline.expire(key, TTL);
+}
+
+async function indexJob(job) {
+  try {
+    const redis = getRedisClient();
+    const pipeline = redis.pipeline();
+
+    addToIndex(pipeline, getTimeIndexKey(), job.job_id);
+    addToIndex(pipeline, getStatusIndexKey(job.status), job.job_id);
+
+    const host = getHost(job.url);
+    if (host) {
+      addToIndex(pipeline, getHostIndexKey(host), job.job_id);
+    }
+
+    const urlIndexKey = getUrlIndexKey(job.url);
+    if (urlIndexKey) {
+      addToIndex(pipeline, urlIndexKey, job.job_id);
+    }
+
+    await execPipeline(pipeline);
+  } catch (error) {
+    // Indexes only serve listing, the job record itself is already stored
+    logger.warn("Failed to index job", {
+      job_id: job.job_id,
+      error: error.message,
+    });
+  }
+}
+
+async function reindexJobStatus(job_id, previousStatus, status) {
+  try {
+    const redis = getRedisClient();
+    const pipeline = redis.pipeline();
+
+    pipeline.zrem(getStatusIndexKey(previousStatus), job_id);
+    addToIndex(pipeline, getStatusIndexKey(status), job_id);
+
+    await execPipeline(pipeline);
+  } catch (error) {
+    logger.warn("Failed to update job status index", {
+      job_id,
+      status,
+      error: error.message,
+    });
+  }
+}
+
+async function removeFromIndexes(job_ids, extraKeys = []) {
+  try {
+    const redis = getRedisClient();
+    const pipeline = redis.pipeline();
+    const keys = [
+      getTimeIndexKey(),
+      ...Object.values(JOB_STATUS).map(getStatusIndexKey),
+      ...extraKeys,
+    ];
+
+    for (const key of keys) {
+      pipeline.zrem(key, ...job_ids);
+    }
+
+    await execPipeline(pipeline);
+  } catch (error) {
+    logger.warn("Failed to remove expired jobs from indexes", {
+      count: job_ids.length,
+      error: error.message,
+    });
+  }
+}
+
 async function retryOperation(
   operation,
   maxRetries = 3,
@@ -97,6 +238,7 @@ async function createJob(jobData) {
 
     // Store with TTL using retry logic
     await retryOperation(() => redis.setex(key, TTL, value), 1, "create job");
+    await indexJob(jobToStore);
 
     return jobToStore;
   } catch (error) {
@@ -152,6 +294,85 @@ async function getJob(job_id) {
   }
 }
 
+// Replace a job only while it still holds the value it was read with
+const COMPARE_AND_SET_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  redis.call("SETEX", KEYS[1], ARGV[2], ARGV[3])
+  return 1
+end
+return 0
+`;
+const MAX_COMPARE_AND_SET_ATTEMPTS = 5;
+
+/**
+ * Read-modify-write a job record atomically
+ *
+ * The write only lands if nobody changed the job since it was read;
+ * otherwise the job is read again and `modify` reapplied, so concurrent
+ * writers (a cancel and a finishing worker, say) can't overwrite each other.
+ *
+ * @param {string} job_id - Job ID
+ * @param {function} modify - Returns the updated job from the current one,
+ *   or null to leave it unchanged
+ * @returns {Promise<object|null>} Updated job, null if modify returned null
+ */
+async function modifyJob(job_id, modify) {
+  const redis = getRedisClient();
+  const key = getJobKey(job_id);
+
+  for (let attempt = 1; attempt <= MAX_COMPARE_AND_SET_ATTEMPTS; attempt++) {
+    const value = await retryOperation(() => redis.get(key), 3, "get job");
+    if (!value) {
+      throw new StorageError("Job not found", ERROR_TYPES.NOT_FOUND_ERROR);
+    }
+
+    const existing = JSON.parse(value);
+    const updated = modify(existing);
+    if (!updated) {
+      return null;
+    }
+
+    // Not retried: a write that landed but timed out would then look lost
+    const stored = await retryOperation(
+      () =>
+        redis.eval(
+          COMPARE_AND_SET_SCRIPT,
+          1,
+          key,
+          value,
+          TTL,
+          JSON.stringify(updated)
+        ),
+      1,
+      "update job"
+    );
+
+    if (stored === 1) {
+      logger.debug("Job updated in Redis", {
+        job_id,
+        status: updated.status,
+      });
+
+      if (updated.status !== existing.status) {
+        await reindexJobStatus(job_id, existing.status, updated.status);
+        await publishJobEvent(job_id, "status", {
+          status: updated.status,
+          previous_status: existing.status,
+        });
+      }
+
+      return updated;
+    }
+
+    logger.debug("Job changed while updating, retrying", { job_id, attempt });
+  }
+
+  throw new StorageError(
+    "Job kept changing while updating",
+    ERROR_TYPES.STORAGE_ERROR
+  );
+}
+
 async function updateJob(job_id, updateData) {
   try {
     if (!job_id) {
@@ -161,82 +382,414 @@ async function updateJob(job_id, updateData) {
       );
     }
 
-    const redis = getRedisClient();
-    const key = getJobKey(job_id);
-
-    // Get existing job
-    const existing = await getJob(job_id);
-    if (!existing) {
-      throw new StorageError("Job not found", ERROR_TYPES.NOT_FOUND_ERROR);
+    return await modifyJob(job_id, (existing) => ({
+      ...existing,
+      ...updateData,
+    }));
+  } catch (error) {
+    if (error instanceof StorageError) {
+      throw error;
     }
+    logger.error("Failed to update job in Redis", {
+      job_id,
+      error: error.message,
+    });
+    throw new StorageError(
+      "Failed to update job",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
 
-    // Merge updates with timestamp
-    const updated = {
+/**
+ * Append an entry to an array field of a job record
+ * @param {string} job_id - Job ID
+ * @param {string} field - Array field name
+ * @param {object} entry - Entry to append
+ * @param {object} updateData - Extra fields to merge in the same write
+ * @returns {Promise<object>} Updated job
+ */
+async function appendToJob(job_id, field, entry, updateData = {}) {
+  try {
+    return await modifyJob(job_id, (existing) => ({
       ...existing,
       ...updateData,
-    };
+      [field]: [...(existing[field] || []), entry],
+    }));
+  } catch (error) {
+    if (error instanceof StorageError) {
+      throw error;
+    }
+    throw new StorageError(
+      "Failed to update job",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
 
-    // Save back with TTL
-    await retryOperation(
-      () => redis.setex(key, TTL, JSON.stringify(updated)),
+/**
+ * Update a job only if it is currently in the expected status
+ *
+ * The status check and the write are one atomic step, so of two callers
+ * expecting the same status only one succeeds.
+ *
+ * @param {string} job_id - Job ID
+ * @param {string} expectedStatus - Status the job must have
+ * @param {object} updateData - Fields to merge
+ * @returns {Promise<object|null>} Updated job, or null if not updated
+ */
+async function updateJobIfStatus(job_id, expectedStatus, updateData) {
+  try {
+    if (!job_id) {
+      throw new StorageError(
+        "job_id is required",
+        ERROR_TYPES.VALIDATION_ERROR
+      );
+    }
+
+    return await modifyJob(job_id, (job) => {
+      if (job.status !== expectedStatus) {
+        logger.info(`Job not in ${expectedStatus} status, skipping update`, {
+          job_id,
+          current_status: job.status,
+        });
+        return null;
+      }
+      return { ...job, ...updateData };
+    });
+  } catch (error) {
+    if (error.type === ERROR_TYPES.NOT_FOUND_ERROR) {
+      logger.warn("Job not found for idempotent update", { job_id });
+      return null;
+    }
+    logger.error("Failed idempotent update", {
+      job_id,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+async function updateJobIfPending(job_id, updateData) {
+  const updated = await updateJobIfStatus(
+    job_id,
+    JOB_STATUS.PENDING,
+    updateData
+  );
+  return updated !== null;
+}
+
+/**
+ * Get several jobs in one round trip
+ * @param {string[]} job_ids - Job IDs
+ * @returns {Promise<Array<object|null>>} Jobs in the same order, null if missing
+ */
+async function getJobs(job_ids) {
+  try {
+    if (job_ids.length === 0) {
+      return [];
+    }
+
+    const redis = getRedisClient();
+    const keys = job_ids.map(getJobKey);
+
+    const values = await retryOperation(
+      () => redis.mget(...keys),
       3,
-      "update job"
+      "get jobs"
     );
 
-    logger.debug("Job updated in Redis", {
-      job_id,
-      status: updated.status,
+    return values.map((value) => (value ? JSON.parse(value) : null));
+  } catch (error) {
+    if (error instanceof StorageError) {
+      throw error;
+    }
+    logger.error("Failed to get jobs from Redis", {
+      count: job_ids.length,
+      error: error.message,
     });
+    throw new StorageError(
+      "Failed to retrieve jobs",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+/**
+ * List jobs newest first using the secondary indexes
+ *
+ * At most `config.api.jobsScanLimit` index entries are examined per call, so
+ * a sparse filter can return fewer than `limit` jobs together with a cursor
+ * to continue from.
+ *
+ * @param {object} options - Listing options
+ * @param {string} [options.status] - Only jobs with this status
+ * @param {string} [options.host] - Only jobs for this hostname
+ * @param {string} [options.url] - Only jobs for this URL, compared normalized
+ * @param {string} [options.from] - Oldest job ID to include
+ * @param {string} [options.to] - Newest job ID to include
+ * @param {string} [options.cursor] - Only jobs older than this job ID
+ * @param {number} options.limit - Maximum number of jobs to return
+ * @param {function} [options.filter] - Extra predicate on each job record
+ * @returns {Promise<object>} { jobs, next_cursor }, next_cursor null at the end
+ */
+async function listJobs(options) {
+  const { status, host, url, from, to, cursor, limit, filter } = options;
+
+  try {
+    const redis = getRedisClient();
+
+    // Walk the narrowest index, check the other one per entry
+    let indexKey = getTimeIndexKey();
+    let memberOfKey = null;
+    let scopeKey = null;
+    if (url) {
+      scopeKey = getUrlIndexKey(url);
+    } else if (host) {
+      scopeKey = getHostIndexKey(host);
+    }
+    if (url && !scopeKey) {
+      // Unparseable URLs are never indexed
+      return { jobs: [], next_cursor: null };
+    }
+    if (scopeKey) {
+      indexKey = scopeKey;
+      memberOfKey = status ? getStatusIndexKey(status) : null;
+    } else if (status) {
+      indexKey = getStatusIndexKey(status);
+    }
+
+    const min = from ? `[${from}` : "-";
+    let max = to ? `[${to}` : "+";
+    if (cursor && (!to || cursor <= to)) {
+      max = `(${cursor}`;
+    }
+
+    const jobs = [];
+    const expired = [];
+    let scanned = 0;
+    let position = null;
+    let exhausted = false;
+
+    while (
+      !exhausted &&
+      jobs.length < limit &&
+      scanned < config.api.jobsScanLimit
+    ) {
+      const count = Math.min(
+        LIST_CHUNK_SIZE,
+        config.api.jobsScanLimit - scanned
+      );
+
+      const ids = await retryOperation(
+        () => redis.zrevrangebylex(indexKey, max, min, "LIMIT", 0, count),
+        3,
+        "list job index"
+      );
 
-    return updated;
+      if (ids.length === 0) {
+        exhausted = true;
+        break;
+      }
+
+      let members = null;
+      if (memberOfKey) {
+        const pipeline = redis.pipeline();
+        ids.forEach((id) => pipeline.zscore(memberOfKey, id));
+        members = await execPipeline(pipeline);
+      }
+
+      const records = await getJobs(ids);
+
+      for (const [i, id] of ids.entries()) {
+        scanned++;
+        position = id;
+
+        const job = records[i];
+        if (!job) {
+          expired.push(id);
+        } else if (
+          (!members || members[i] !== null) &&
+          (!filter || filter(job))
+        ) {
+          jobs.push(job);
+          if (jobs.length === limit) {
+            break;
+          }
+        }
+      }
+
+      exhausted = ids.length < count && position === ids[ids.length - 1];
+      max = `(${position}`;
+    }
+
+    if (expired.length > 0) {
+      await removeFromIndexes(expired, scopeKey ? [indexKey] : []);
+    }
+
+    return {
+      jobs,
+      next_cursor: exhausted ? null : position,
+    };
   } catch (error) {
     if (error instanceof StorageError) {
       throw error;
     }
-    logger.error("Failed to update job in Redis", {
-      job_id,
+    logger.error("Failed to list jobs from Redis", {
       error: error.message,
     });
     throw new StorageError(
-      "Failed to update job",
+      "Failed to list jobs",
       ERROR_TYPES.STORAGE_ERROR,
       error
     );
   }
 }
 
-async function updateJobIfPending(job_id, updateData) {
+/**
+ * Find the newest job for a URL, compared after normalization
+ * @param {string} url - URL as submitted
+ * @param {function} [filter] - Only consider jobs matching this predicate
+ * @returns {Promise<object|null>} Newest matching job, null if none
+ */
+async function findLatestJobForUrl(url, filter) {
+  const { jobs } = await listJobs({ url, limit: 1, filter });
+  return jobs[0] || null;
+}
+
+/**
+ * Find PENDING or PROCESSING jobs created before an age threshold
+ * @param {number} ageMinutes - Minimum job age
+ * @param {number} [limit] - Maximum jobs per status
+ * @returns {Promise<Array>} Jobs, oldest first, with created_at set
+ */
+async function findOldPendingJobs(
+  ageMinutes,
+  limit = config.cleanup.batchSize
+) {
   try {
-    if (!job_id) {
+    const redis = getRedisClient();
+    const cutoff = getJobIdBoundary(Date.now() - ageMinutes * 60 * 1000);
+    const statuses = [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING];
+
+    const ids = [];
+    for (const status of statuses) {
+      const statusIds = await retryOperation(
+        () =>
+          redis.zrangebylex(
+            getStatusIndexKey(status),
+            "-",
+            `(${cutoff}`,
+            "LIMIT",
+            0,
+            limit
+          ),
+        3,
+        "find old jobs"
+      );
+      ids.push(...statusIds);
+    }
+
+    ids.sort();
+    const records = await getJobs(ids);
+
+    const expired = ids.filter((id, i) => !records[i]);
+    if (expired.length > 0) {
+      await removeFromIndexes(expired);
+    }
+
+    // The index can briefly lag a status change, so check the record too
+    return records
+      .filter((job) => job && statuses.includes(job.status))
+      .map((job) => ({
+        ...job,
+        created_at:
+          job.created_at ||
+          new Date(getTimestampFromJobId(job.job_id)).toISOString(),
+      }));
+  } catch (error) {
+    if (error instanceof StorageError) {
+      throw error;
+    }
+    logger.error("Failed to find old pending jobs", {
+      error: error.message,
+    });
+    throw new StorageError(
+      "Failed to find old pending jobs",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
+
+async function createBatch(batchData) {
+  try {
+    if (!batchData.batch_id) {
       throw new StorageError(
-        "job_id is required",
+        "batch_id is required",
         ERROR_TYPES.VALIDATION_ERROR
       );
     }
 
-    const job = await getJob(job_id);
+    const redis = getRedisClient();
+    const key = getBatchKey(batchData.batch_id);
 
-    if (!job) {
-      logger.warn("Job not found for idempotent update", { job_id });
-      return false;
+    await retryOperation(
+      () => redis.setex(key, TTL, JSON.stringify(batchData)),
+      1,
+      "create batch"
+    );
+
+    return batchData;
+  } catch (error) {
+    if (error instanceof StorageError) {
+      throw error;
     }
+    logger.error("Failed to create batch in Redis", {
+      batch_id: batchData.batch_id,
+      error: error.message,
+    });
+    throw new StorageError(
+      "Failed to create batch",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
+  }
+}
 
-    if (job.status !== JOB_STATUS.PENDING) {
-      logger.info("Job not in PENDING status, skipping update", {
-        job_id,
-        current_status: job.status,
-      });
-      return false;
+async function getBatch(batch_id) {
+  try {
+    if (!batch_id) {
+      throw new StorageError(
+        "batch_id is required",
+        ERROR_TYPES.VALIDATION_ERROR
+      );
     }
 
-    await updateJob(job_id, updateData);
-    return true;
+    const redis = getRedisClient();
+    const value = await retryOperation(
+      () => redis.get(getBatchKey(batch_id)),
+      3,
+      "get batch"
+    );
+
+    return value ? JSON.parse(value) : null;
   } catch (error) {
-    logger.error("Failed idempotent update", {
-      job_id,
+    if (error instanceof StorageError) {
+      throw error;
+    }
+    logger.error("Failed to get batch from Redis", {
+      batch_id,
       error: error.message,
     });
-    return false;
+    throw new StorageError(
+      "Failed to retrieve batch",
+      ERROR_TYPES.STORAGE_ERROR,
+      error
+    );
   }
 }
 
@@ -262,6 +815,14 @@ module.exports = {
   getJob,
   updateJob,
   updateJobIfPending,
+  updateJobIfStatus,
+  appendToJob,
+  getJobs,
+  listJobs,
+  findLatestJobForUrl,
+  findOldPendingJobs,
+  createBatch,
+  getBatch,
   ping,
   StorageError,
 };
@@ -0,0 +1,316 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const Queue = require("bull");
+const storageService = require("./storage.service");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+const { checkSSRFWithDNS } = require("../utils/urlValidator");
+const {
+  JOB_STATUS,
+  ERROR_TYPES,
+  CALLBACK_STATUS,
+} = require("../utils/constants");
+
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+const TIMESTAMP_HEADER = "X-Webhook-Timestamp";
+
+let webhookQueue = null;
+
+class WebhookError extends Error {
+  constructor(message, statusCode = 0, isRetryable = true) {
+    super(message);
+    this.name = "WebhookError";
+    this.statusCode = statusCode;
+    this.isRetryable = isRetryable;
+    this.type = ERROR_TYPES.NETWORK_ERROR;
+  }
+}
+
+function initializeWebhookQueue() {
+  if (webhookQueue) {
+    return webhookQueue;
+  }
+
+  const { maxRetriesPerRequest, enableReadyCheck, ...bullRedisConfig } =
+    config.redis;
+
+  webhookQueue = new Queue(config.webhooks.queueName, {
+    redis: {
+      ...bullRedisConfig,
+      maxRetriesPerRequest: null, // Required for Bull
+      enableReadyCheck: false, // Required for Bull
+    },
+    defaultJobOptions: {
+      attempts: config.webhooks.maxAttempts,
+      backoff: {
+        type: "exponential",
+        delay: config.webhooks.backoffDelay,
+      },
+      removeOnComplete: true,
+      removeOnFail: {
+        age: 604800, // Keep failed deliveries for 7 days
+      },
+    },
+  });
+
+  webhookQueue.on("error", (error) => {
+    logger.error("Webhook queue error", { error: error.message });
+  });
+
+  logger.info("Webhook queue initialized", {
+    queueName: config.webhooks.queueName,
+  });
+
+  return webhookQueue;
+}
+
+function getWebhookQueue() {
+  if (!webhookQueue) {
+    return initializeWebhookQueue();
+  }
+  return webhookQueue;
+}
+
+async function closeWebhookQueue() {
+  if (webhookQueue) {
+    try {
+      await webhookQueue.close();
+      webhookQueue = null;
+      logger.info("Webhook queue closed gracefully");
+    } catch (error) {
+      logger.error("Error closing webhook queue", { error: error.message });
+    }
+  }
+}
+
+/**
+ * Build the callback body for a job in a terminal state
+ * @param {object} job - Stored job record
+ * @returns {object} Payload
+ */
+function buildPayload(job) {
+  const payload = {
+    event: job.status === JOB_STATUS.COMPLETED ? "job.completed" : "job.failed",
+    job_id: job.job_id,
+    status: job.status,
+    url: job.url,
+    timestamp: new Date().toISOString(),
+  };
+
+  if (job.status === JOB_STATUS.COMPLETED) {
+    payload.results = job.results;
+  } else {
+    payload.error = job.error || "Job processing failed";
+    payload.error_type = job.error_type;
+  }
+
+  return payload;
+}
+
+/**
+ * Sign a serialized payload
+ *
+ * The signature is an HMAC-SHA256 over "<timestamp>.<body>" so receivers can
+ * reject replayed deliveries by checking the timestamp header.
+ *
+ * @param {string} body - Serialized payload
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value
+ */
+function signPayload(body, timestamp, secret = config.webhooks.secret) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Queue a callback delivery for a finished job
+ * @param {object} job - Stored job record with callback_url
+ * @returns {Promise<boolean>} True if a delivery was queued
+ */
+async function enqueueDelivery(job) {
+  if (!job || !job.callback_url) {
+    return false;
+  }
+
+  try {
+    // Before queueing, so a fast delivery's outcome is never overwritten
+    await storageService.updateJob(job.job_id, {
+      callback_status: CALLBACK_STATUS.PENDING,
+    });
+  } catch (error) {
+    logger.error("Failed to queue webhook delivery", {
+      job_id: job.job_id,
+      error: error.message,
+    });
+    return false;
+  }
+
+  try {
+    const queue = getWebhookQueue();
+    await queue.add({
+      job_id: job.job_id,
+      callback_url: job.callback_url,
+      payload: buildPayload(job),
+    });
+
+    logger.info("Webhook delivery queued", {
+      job_id: job.job_id,
+      callback_url: job.callback_url,
+    });
+
+    return true;
+  } catch (error) {
+    logger.error("Failed to queue webhook delivery", {
+      job_id: job.job_id,
+      error: error.message,
+    });
+    await storageService
+      .updateJob(job.job_id, { callback_status: CALLBACK_STATUS.FAILED })
+      .catch(() => {});
+    return false;
+  }
+}
+
+async function postCallback(callback_url, payload) {
+  if (await checkSSRFWithDNS(callback_url)) {
+    throw new WebhookError(
+      "Callback URL resolves to a private network",
+      0,
+      false
+    );
+  }
+
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": config.fetcher.userAgent,
+    [TIMESTAMP_HEADER]: timestamp,
+  };
+
+  if (config.webhooks.secret) {
+    headers[SIGNATURE_HEADER] = signPayload(body, timestamp);
+  } else {
+    logger.warn("WEBHOOK_SECRET not set, sending unsigned callback", {
+      job_id: payload.job_id,
+    });
+  }
+
+  let response;
+  try {
+    response = await axios.post(callback_url, body, {
+      headers,
+      timeout: config.webhooks.timeout,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    throw new WebhookError(error.message || "Callback request failed");
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new WebhookError(
+      `Callback endpoint returned HTTP ${response.status}`,
+      response.status,
+      response.status === 429 || response.status >= 500
+    );
+  }
+
+  return response.status;
+}
+
+/**
+ * Bull processor for the webhook queue
+ *
+ * Every attempt is recorded on the job so callers can see delivery history.
+ * Failed attempts are rethrown so Bull retries them with backoff.
+ *
+ * @param {object} bullJob - Bull job with { job_id, callback_url, payload }
+ * @returns {Promise<object>} Delivery result
+ */
+async function deliverWebhook(bullJob) {
+  const { job_id, callback_url, payload } = bullJob.data;
+  const attempt = bullJob.attemptsMade + 1;
+  const maxAttempts = bullJob.opts.attempts || 1;
+
+  let statusCode;
+  try {
+    statusCode = await postCallback(callback_url, payload);
+  } catch (error) {
+    const isFinalAttempt = !error.isRetryable || attempt >= maxAttempts;
+
+    logger.warn("Webhook delivery failed", {
+      job_id,
+      callback_url,
+      attempt,
+      isFinalAttempt,
+      error: error.message,
+    });
+
+    await recordAttempt(
+      job_id,
+      {
+        attempt,
+        success: false,
+        status_code: error.statusCode || null,
+        error: error.message,
+        attempted_at: new Date().toISOString(),
+      },
+      isFinalAttempt ? { callback_status: CALLBACK_STATUS.FAILED } : {}
+    );
+
+    if (!error.isRetryable) {
+      await bullJob.discard();
+    }
+
+    throw error;
+  }
+
+  await recordAttempt(
+    job_id,
+    {
+      attempt,
+      success: true,
+      status_code: statusCode,
+      attempted_at: new Date().toISOString(),
+    },
+    { callback_status: CALLBACK_STATUS.DELIVERED }
+  );
+
+  logger.info("Webhook delivered", { job_id, callback_url, attempt });
+  return { delivered: true, statusCode };
+}
+
+async function recordAttempt(job_id, entry, updateData) {
+  try {
+    await storageService.appendToJob(
+      job_id,
+      "callback_attempts",
+      entry,
+      updateData
+    );
+  } catch (error) {
+    // Delivery history is informational, never fail the delivery over it
+    logger.error("Failed to record webhook attempt", {
+      job_id,
+      error: error.message,
+    });
+  }
+}
+
+module.exports = {
+  initializeWebhookQueue,
+  getWebhookQueue,
+  closeWebhookQueue,
+  buildPayload,
+  signPayload,
+  enqueueDelivery,
+  deliverWebhook,
+  WebhookError,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+};
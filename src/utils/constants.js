@@ -4,14 +4,61 @@ const JOB_STATUS = {
   PROCESSING: "PROCESSING",
   COMPLETED: "COMPLETED",
   FAILED: "FAILED",
+  CANCELLED: "CANCELLED",
+};
+
+// Statuses a job never leaves
+const TERMINAL_STATUSES = [
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+];
+
+// Webhook Callback Delivery Status
+const CALLBACK_STATUS = {
+  PENDING: "PENDING",
+  DELIVERED: "DELIVERED",
+  FAILED: "FAILED",
+};
+
+// Outcome of checking one link (check_links)
+const LINK_CHECK_RESULT = {
+  OK: "ok",
+  BROKEN: "broken",
+  SKIPPED: "skipped",
+};
+
+// Severity of a finding of the SEO analyzer
+const SEO_SEVERITY = {
+  ERROR: "error",
+  WARNING: "warning",
+  INFO: "info",
+};
+
+// Recurring analysis schedule status
+const SCHEDULE_STATUS = {
+  ACTIVE: "ACTIVE",
+  PAUSED: "PAUSED",
+};
+
+// Readiness verdicts, from best to worst
+const HEALTH_STATUS = {
+  OK: "ok",
+  DEGRADED: "degraded",
+  UNAVAILABLE: "unavailable",
 };
 
 // HTTP Status Codes
 const HTTP_STATUS = {
   OK: 200,
+  CREATED: 201,
   ACCEPTED: 202,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503,
 };
@@ -25,6 +72,7 @@ const ERROR_TYPES = {
   STORAGE_ERROR: "STORAGE_ERROR",
   QUEUE_ERROR: "QUEUE_ERROR",
   NOT_FOUND_ERROR: "NOT_FOUND_ERROR",
+  CANCELLED_ERROR: "CANCELLED_ERROR",
 };
 
 // Error Messages
@@ -36,6 +84,19 @@ const ERROR_MESSAGES = {
   STORAGE_UNAVAILABLE: "Storage system is unavailable",
   INTERNAL_ERROR: "An internal error occurred",
   INVALID_JOB_ID: "Invalid job ID format",
+  JOB_ALREADY_FINISHED: "Job has already finished",
+  JOB_NOT_RETRYABLE: "Only failed jobs can be retried",
+  DOMAIN_NOT_ALLOWED: "Domain not allowed for this API key",
+  QUOTA_EXCEEDED: "API key quota exceeded",
+  INVALID_IDEMPOTENCY_KEY: "Invalid Idempotency-Key",
+  IDEMPOTENCY_KEY_REUSED:
+    "Idempotency-Key was already used for a different request",
+  IDEMPOTENCY_KEY_IN_PROGRESS:
+    "A request with this Idempotency-Key is still being processed",
+  RUN_NOT_FOUND: "Run not found in history",
+  SCHEDULE_NOT_FOUND: "Schedule not found",
+  INVALID_SCHEDULE: "Invalid schedule",
+  LINKS_NOT_AVAILABLE: "Link inventory not available",
 };
 
 // Validation Constants
@@ -63,6 +124,12 @@ const REDIS_KEYS = {
 
 module.exports = {
   JOB_STATUS,
+  TERMINAL_STATUSES,
+  CALLBACK_STATUS,
+  LINK_CHECK_RESULT,
+  SEO_SEVERITY,
+  SCHEDULE_STATUS,
+  HEALTH_STATUS,
   HTTP_STATUS,
   ERROR_TYPES,
   ERROR_MESSAGES,
@@ -47,6 +47,21 @@ function getTimestampFromJobId(jobId) {
   return timestamp;
 }
 
+/**
+ * Smallest or largest job ID that can be generated at a given time
+ *
+ * IDs are fixed-width, so comparing them as strings orders them by time and
+ * these bounds can be used for range queries over stored IDs.
+ *
+ * @param {number} timestamp - Time in milliseconds
+ * @param {boolean} [upper=false] - Return the last ID of that millisecond
+ * @returns {string} 19-digit job ID
+ */
+function getJobIdBoundary(timestamp, upper = false) {
+  const sequence = upper ? "999999" : "000000";
+  return `${Math.floor(timestamp).toString().padStart(13, "0")}${sequence}`;
+}
+
 function isValidJobId(jobId) {
   if (typeof jobId !== "string") {
     return false;
@@ -69,5 +84,6 @@ function isValidJobId(jobId) {
 module.exports = {
   generateNumericJobId,
   getTimestampFromJobId,
+  getJobIdBoundary,
   isValidJobId,
 };
@@ -1,3 +1,4 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const winston = require("winston");
 const config = require("../config/app.config");
 
@@ -19,6 +20,21 @@ const consoleFormat = printf(({ level, message, timestamp, ...metadata }) => {
   return msg;
 });
 
+// Fields such as requestId that every log line inside withContext() carries
+const logContext = new AsyncLocalStorage();
+
+const contextFormat = winston.format((info) => {
+  const context = logContext.getStore();
+  if (context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (info[key] === undefined && value !== undefined) {
+        info[key] = value;
+      }
+    }
+  }
+  return info;
+});
+
 // Create transports array
 const transports = [
   new winston.transports.Console({
@@ -65,6 +81,7 @@ const logger = winston.createLogger({
   level: config.logging.level,
   silent: config.logging.silent,
   format: combine(
+    contextFormat(),
     errors({ stack: true }),
     timestamp({ format: "YYYY-MM-DD HH:mm:ss" })
   ),
@@ -108,4 +125,13 @@ logger.logError = (error, context = {}) => {
   });
 };
 
+/**
+ * Run a function with fields added to every log call made inside it,
+ * including calls in async continuations
+ * @param {object} context - Log fields, e.g. { requestId }
+ * @param {function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+logger.withContext = (context, fn) => logContext.run(context, fn);
+
 module.exports = logger;
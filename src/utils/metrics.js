@@ -0,0 +1,141 @@
+const client = require("prom-client");
+const config = require("../config/app.config");
+const logger = require("./logger");
+const { JOB_STATUS } = require("./constants");
+
+/**
+ * Prometheus metrics shared by the API and the worker
+ *
+ * Each process exposes its own registry: the API on GET /metrics, the worker
+ * through its metrics server. Metrics a process never touches stay at zero.
+ */
+
+const PREFIX = config.metrics.prefix;
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const httpRequestsTotal = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: "HTTP requests handled by the API",
+  labelNames: ["method", "route", "status_code"],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: "HTTP request latency",
+  labelNames: ["method", "route", "status_code"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const jobsCreatedTotal = new client.Counter({
+  name: `${PREFIX}jobs_created_total`,
+  help: "Analysis jobs created",
+  registers: [register],
+});
+
+const jobsReusedTotal = new client.Counter({
+  name: `${PREFIX}jobs_reused_total`,
+  help: "Submissions answered with an existing job of the same URL",
+  labelNames: ["reason"],
+  registers: [register],
+});
+
+const jobsCompletedTotal = new client.Counter({
+  name: `${PREFIX}jobs_completed_total`,
+  help: "Analysis jobs completed",
+  registers: [register],
+});
+
+const jobsFailedTotal = new client.Counter({
+  name: `${PREFIX}jobs_failed_total`,
+  help: "Analysis jobs failed",
+  labelNames: ["error_type"],
+  registers: [register],
+});
+
+const fetchDuration = new client.Histogram({
+  name: `${PREFIX}fetch_duration_seconds`,
+  help: "Time to fetch a page, per attempt",
+  labelNames: ["outcome"],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30],
+  registers: [register],
+});
+
+const fetchResponseSize = new client.Histogram({
+  name: `${PREFIX}fetch_response_size_bytes`,
+  help: "Size of fetched HTML documents",
+  buckets: [1e3, 1e4, 5e4, 1e5, 5e5, 1e6, 5e6, 1e7],
+  registers: [register],
+});
+
+const fetchRetriesTotal = new client.Counter({
+  name: `${PREFIX}fetch_retries_total`,
+  help: "Fetch attempts retried after a retryable error",
+  registers: [register],
+});
+
+const parseDuration = new client.Histogram({
+  name: `${PREFIX}parse_duration_seconds`,
+  help: "Time to parse a page and run its analyzers",
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register],
+});
+
+/**
+ * Count a job that reached a terminal state
+ * @param {object} job - Job record with status and error_type
+ */
+function recordJobFinished(job) {
+  if (job.status === JOB_STATUS.COMPLETED) {
+    jobsCompletedTotal.inc();
+  } else if (job.status === JOB_STATUS.FAILED) {
+    jobsFailedTotal.inc({ error_type: job.error_type || "UNKNOWN_ERROR" });
+  }
+}
+
+/**
+ * Report Bull queue depth on every scrape
+ * @param {function} getQueue - Returns the Bull queue
+ */
+function registerQueueDepth(getQueue) {
+  if (register.getSingleMetric(`${PREFIX}queue_jobs`)) {
+    return;
+  }
+
+  new client.Gauge({
+    name: `${PREFIX}queue_jobs`,
+    help: "Jobs in the analysis queue by state",
+    labelNames: ["state"],
+    registers: [register],
+    async collect() {
+      try {
+        const counts = await getQueue().getJobCounts();
+        for (const state of ["waiting", "active", "delayed", "failed"]) {
+          this.set({ state }, counts[state] || 0);
+        }
+      } catch (error) {
+        // Keep the last values rather than failing the whole scrape
+        logger.warn("Failed to read queue depth", { error: error.message });
+      }
+    },
+  });
+}
+
+module.exports = {
+  register,
+  httpRequestsTotal,
+  httpRequestDuration,
+  jobsCreatedTotal,
+  jobsReusedTotal,
+  jobsCompletedTotal,
+  jobsFailedTotal,
+  fetchDuration,
+  fetchResponseSize,
+  fetchRetriesTotal,
+  parseDuration,
+  recordJobFinished,
+  registerQueueDepth,
+};
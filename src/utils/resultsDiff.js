@@ -0,0 +1,88 @@
+/**
+ * Structured comparison of two analysis results
+ *
+ * Only fields present in both results are compared; fields produced by an
+ * analyzer that ran in just one of them are listed in `not_compared`.
+ */
+
+const HEADING_LEVELS = ["h1", "h2", "h3", "h4", "h5", "h6"];
+
+const LINK_FIELDS = {
+  internal: "internal_links_count",
+  external: "external_links_count",
+};
+
+function countChange(from, to) {
+  return { from, to, delta: to - from };
+}
+
+/**
+ * Diff the results of two runs
+ * @param {object} from - Earlier results
+ * @param {object} to - Later results
+ * @returns {object} { changed, changes, not_compared }
+ */
+function diffResults(from = {}, to = {}) {
+  const changes = {};
+  const notCompared = [];
+
+  const comparable = (field) => {
+    const inFrom = from[field] !== undefined;
+    const inTo = to[field] !== undefined;
+    if (inFrom !== inTo) {
+      notCompared.push(field);
+    }
+    return inFrom && inTo;
+  };
+
+  for (const field of ["page_title", "html_version"]) {
+    if (comparable(field) && from[field] !== to[field]) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  }
+
+  if (comparable("headings_count")) {
+    const headings = {};
+    for (const level of HEADING_LEVELS) {
+      const before = from.headings_count[level] || 0;
+      const after = to.headings_count[level] || 0;
+      if (before !== after) {
+        headings[level] = countChange(before, after);
+      }
+    }
+    if (Object.keys(headings).length > 0) {
+      changes.headings_count = headings;
+    }
+  }
+
+  const links = {};
+  for (const [kind, field] of Object.entries(LINK_FIELDS)) {
+    if (comparable(field) && from[field] !== to[field]) {
+      links[kind] = countChange(from[field], to[field]);
+    }
+  }
+  if (Object.keys(links).length > 0) {
+    changes.links = links;
+  }
+
+  if (
+    comparable("has_login_form") &&
+    from.has_login_form !== to.has_login_form
+  ) {
+    changes.login_form = {
+      from: from.has_login_form,
+      to: to.has_login_form,
+      change: to.has_login_form ? "appeared" : "disappeared",
+    };
+  }
+
+  return {
+    changed: Object.keys(changes).length > 0,
+    changes,
+    not_compared: notCompared,
+  };
+}
+
+module.exports = {
+  diffResults,
+};
@@ -0,0 +1,33 @@
+const { URL } = require("url");
+
+/**
+ * Canonical form of a URL, used to recognise repeat submissions of a page
+ *
+ * The scheme and host are lowercased, default ports dropped, query
+ * parameters sorted by name then value and the fragment removed. The path
+ * is kept as is since servers may treat it case-sensitively.
+ *
+ * @param {string} urlString - Absolute http(s) URL
+ * @returns {string} Normalized URL
+ * @throws {TypeError} If the URL can't be parsed
+ */
+function normalizeUrl(urlString) {
+  // The WHATWG parser already lowercases the scheme and host and drops the
+  // default port of the scheme
+  const url = new URL(urlString);
+
+  // Code unit order, so the result doesn't depend on the server's locale
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const params = [...url.searchParams].sort(
+    ([nameA, valueA], [nameB, valueB]) =>
+      compare(nameA, nameB) || compare(valueA, valueB)
+  );
+  url.search = new URLSearchParams(params).toString();
+  url.hash = "";
+
+  return url.toString();
+}
+
+module.exports = {
+  normalizeUrl,
+};
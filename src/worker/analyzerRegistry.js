@@ -0,0 +1,108 @@
+const Joi = require("joi");
+
+/**
+ * Registry of HTML analyzers run by parseHtml
+ *
+ * Each analyzer declares:
+ * - name: unique identifier used for selection and logging
+ * - schema: Joi keys describing the fields it writes into the results
+ * - fallback: values used for those fields when parsing fails
+ * - analyze($, context): returns the fields, context is
+ *   { html, baseUrl, finalUrl }, finalUrl being where redirects ended
+ **/
+
+const analyzers = new Map();
+
+function registerAnalyzer(analyzer) {
+  if (!analyzer || typeof analyzer.name !== "string" || !analyzer.name) {
+    throw new Error("Analyzer name is required");
+  }
+
+  if (analyzers.has(analyzer.name)) {
+    throw new Error(`Analyzer already registered: ${analyzer.name}`);
+  }
+
+  if (typeof analyzer.analyze !== "function") {
+    throw new Error(`Analyzer ${analyzer.name} must define analyze()`);
+  }
+
+  if (!analyzer.schema || typeof analyzer.schema !== "object") {
+    throw new Error(`Analyzer ${analyzer.name} must define a schema`);
+  }
+
+  for (const [field, owner] of getFieldOwners()) {
+    if (field in analyzer.schema) {
+      throw new Error(
+        `Field ${field} of analyzer ${analyzer.name} is already produced by ${owner}`
+      );
+    }
+  }
+
+  analyzers.set(analyzer.name, {
+    fallback: {},
+    ...analyzer,
+  });
+}
+
+function unregisterAnalyzer(name) {
+  return analyzers.delete(name);
+}
+
+function getFieldOwners() {
+  const owners = new Map();
+  for (const analyzer of analyzers.values()) {
+    for (const field of Object.keys(analyzer.schema)) {
+      owners.set(field, analyzer.name);
+    }
+  }
+  return owners;
+}
+
+/**
+ * Get registered analyzers, optionally restricted to a selection
+ * @param {string[]} [names] - Analyzer names to include (all when omitted)
+ * @returns {object[]} Analyzers in registration order
+ */
+function getAnalyzers(names) {
+  const all = Array.from(analyzers.values());
+  if (!names) {
+    return all;
+  }
+  return all.filter((analyzer) => names.includes(analyzer.name));
+}
+
+function getAnalyzerNames() {
+  return Array.from(analyzers.keys());
+}
+
+function getUnknownAnalyzers(names) {
+  return names.filter((name) => !analyzers.has(name));
+}
+
+function getCombinedSchema(names) {
+  const keys = {};
+  for (const analyzer of getAnalyzers(names)) {
+    Object.assign(keys, analyzer.schema);
+  }
+
+  // Extra fields such as parse_error are allowed alongside analyzer output
+  return Joi.object(keys).unknown(true).required();
+}
+
+function getFallbackResults(names) {
+  const fallback = {};
+  for (const analyzer of getAnalyzers(names)) {
+    Object.assign(fallback, analyzer.fallback);
+  }
+  return fallback;
+}
+
+module.exports = {
+  registerAnalyzer,
+  unregisterAnalyzer,
+  getAnalyzers,
+  getAnalyzerNames,
+  getUnknownAnalyzers,
+  getCombinedSchema,
+  getFallbackResults,
+};
@@ -2,6 +2,11 @@ const axios = require("axios");
 const config = require("../config/app.config");
 const logger = require("../utils/logger");
 const { ERROR_TYPES } = require("../utils/constants");
+const {
+  fetchDuration,
+  fetchResponseSize,
+  fetchRetriesTotal,
+} = require("../utils/metrics");
 
 class FetchError extends Error {
   constructor(
@@ -18,7 +23,29 @@ class FetchError extends Error {
   }
 }
 
+/**
+ * Fetch a URL once, recording duration and response size
+ * @param {string} url - URL to fetch
+ * @param {object} [options] - Request options (timeout, headers, signal)
+ * @returns {Promise<object>} { html, statusCode, headers, finalUrl }
+ */
 async function fetchUrl(url, options = {}) {
+  const endTimer = fetchDuration.startTimer();
+
+  try {
+    const result = await requestUrl(url, options);
+    endTimer({ outcome: "success" });
+    if (typeof result.html === "string") {
+      fetchResponseSize.observe(Buffer.byteLength(result.html));
+    }
+    return result;
+  } catch (error) {
+    endTimer({ outcome: error.type || ERROR_TYPES.NETWORK_ERROR });
+    throw error;
+  }
+}
+
+async function requestUrl(url, options) {
   try {
     const response = await axios.get(url, {
       timeout: options.timeout || config.fetcher.timeout,
@@ -48,6 +75,12 @@ async function fetchUrl(url, options = {}) {
         html: response.data,
         statusCode,
         headers: response.headers,
+        // Where redirects ended, as recorded by follow-redirects
+        finalUrl:
+          (response.request &&
+            response.request.res &&
+            response.request.res.responseUrl) ||
+          url,
       };
     }
 
@@ -100,106 +133,183 @@ async function fetchUrl(url, options = {}) {
       false
     );
   } catch (error) {
-    // Handle axios-specific errors
-    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
-      logger.warn("Request timeout", { url, error: error.message });
-      throw new FetchError(
-        "Request timeout - server took too long to respond",
-        0,
-        true,
-        ERROR_TYPES.TIMEOUT_ERROR
-      );
-    }
+    throw toFetchError(error, url);
+  }
+}
 
-    if (error.code === "ENOTFOUND") {
-      logger.warn("Domain not found", { url, error: error.message });
-      throw new FetchError(
-        "Domain not found (DNS error)",
-        0,
-        false,
-        ERROR_TYPES.NETWORK_ERROR
-      );
-    }
+/**
+ * Translate an axios or network error into a FetchError
+ * @param {Error} error - Error thrown by axios
+ * @param {string} url - Requested URL, for logs
+ * @returns {FetchError} Error with message, retryability and type
+ */
+function toFetchError(error, url) {
+  // Aborted through options.signal (job cancelled)
+  if (axios.isCancel(error) || error.code === "ERR_CANCELED") {
+    logger.info("Request cancelled", { url });
+    return new FetchError(
+      "Request cancelled",
+      0,
+      false,
+      ERROR_TYPES.CANCELLED_ERROR
+    );
+  }
 
-    if (error.code === "ECONNREFUSED") {
-      logger.warn("Connection refused", { url, error: error.message });
-      throw new FetchError(
-        "Connection refused - server is not accepting connections",
-        0,
-        true,
-        ERROR_TYPES.NETWORK_ERROR
-      );
-    }
+  // Handle axios-specific errors
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    logger.warn("Request timeout", { url, error: error.message });
+    return new FetchError(
+      "Request timeout - server took too long to respond",
+      0,
+      true,
+      ERROR_TYPES.TIMEOUT_ERROR
+    );
+  }
 
-    if (error.code === "ECONNRESET") {
-      logger.warn("Connection reset", { url, error: error.message });
-      throw new FetchError(
-        "Connection reset by server",
-        0,
-        true,
-        ERROR_TYPES.NETWORK_ERROR
-      );
-    }
+  if (error.code === "ENOTFOUND") {
+    logger.warn("Domain not found", { url, error: error.message });
+    return new FetchError(
+      "Domain not found (DNS error)",
+      0,
+      false,
+      ERROR_TYPES.NETWORK_ERROR
+    );
+  }
 
-    if (
-      error.code === "ERR_TLS_CERT_ALTNAME_INVALID" ||
-      error.code === "CERT_HAS_EXPIRED"
-    ) {
-      logger.warn("SSL certificate error", { url, error: error.message });
-      throw new FetchError(
-        "SSL certificate error - certificate is invalid or expired",
-        0,
-        false,
-        ERROR_TYPES.NETWORK_ERROR
-      );
-    }
+  if (error.code === "ECONNREFUSED") {
+    logger.warn("Connection refused", { url, error: error.message });
+    return new FetchError(
+      "Connection refused - server is not accepting connections",
+      0,
+      true,
+      ERROR_TYPES.NETWORK_ERROR
+    );
+  }
 
-    if (error.code === "ERR_TOO_MANY_REDIRECTS") {
-      logger.warn("Too many redirects", { url, error: error.message });
-      throw new FetchError(
-        "Too many redirects",
-        0,
-        false,
-        ERROR_TYPES.NETWORK_ERROR
-      );
-    }
+  if (error.code === "ECONNRESET") {
+    logger.warn("Connection reset", { url, error: error.message });
+    return new FetchError(
+      "Connection reset by server",
+      0,
+      true,
+      ERROR_TYPES.NETWORK_ERROR
+    );
+  }
 
-    // Handle content too large
-    if (error.code === "ERR_FR_MAX_CONTENT_LENGTH_EXCEEDED") {
-      logger.warn("Content too large", { url, error: error.message });
-      throw new FetchError(
-        "Content too large - exceeds 10MB limit",
-        0,
-        false,
-        ERROR_TYPES.NETWORK_ERROR
-      );
-    }
+  if (
+    error.code === "ERR_TLS_CERT_ALTNAME_INVALID" ||
+    error.code === "CERT_HAS_EXPIRED"
+  ) {
+    logger.warn("SSL certificate error", { url, error: error.message });
+    return new FetchError(
+      "SSL certificate error - certificate is invalid or expired",
+      0,
+      false,
+      ERROR_TYPES.NETWORK_ERROR
+    );
+  }
 
-    // If it's already a FetchError, rethrow
-    if (error instanceof FetchError) {
-      throw error;
-    }
+  if (error.code === "ERR_TOO_MANY_REDIRECTS") {
+    logger.warn("Too many redirects", { url, error: error.message });
+    return new FetchError(
+      "Too many redirects",
+      0,
+      false,
+      ERROR_TYPES.NETWORK_ERROR
+    );
+  }
 
-    logger.error("Unknown fetch error", {
-      url,
-      error: error.message,
-      code: error.code,
-    });
-    throw new FetchError(
-      error.message || "Unknown fetch error",
+  // Handle content too large
+  if (error.code === "ERR_FR_MAX_CONTENT_LENGTH_EXCEEDED") {
+    logger.warn("Content too large", { url, error: error.message });
+    return new FetchError(
+      "Content too large - exceeds 10MB limit",
       0,
       false,
       ERROR_TYPES.NETWORK_ERROR
     );
   }
+
+  // If it's already a FetchError, pass it on
+  if (error instanceof FetchError) {
+    return error;
+  }
+
+  logger.error("Unknown fetch error", {
+    url,
+    error: error.message,
+    code: error.code,
+  });
+  return new FetchError(
+    error.message || "Unknown fetch error",
+    0,
+    false,
+    ERROR_TYPES.NETWORK_ERROR
+  );
+}
+
+/**
+ * Request a URL without reading its body, to check that it resolves
+ *
+ * Redirects are not followed, so the caller can vet every hop before
+ * requesting it.
+ *
+ * @param {string} url - URL to request
+ * @param {object} [options] - Request options
+ * @param {string} [options.method="head"] - "head", or "get" for servers
+ *   that don't answer HEAD properly
+ * @param {number} [options.timeout] - Timeout in milliseconds
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<object>} { statusCode, location }, location null unless
+ *   the response is a redirect
+ */
+async function probeUrl(url, options = {}) {
+  try {
+    const response = await axios.request({
+      url,
+      method: options.method || "head",
+      timeout: options.timeout || config.fetcher.timeout,
+      maxRedirects: 0,
+      headers: {
+        "User-Agent": config.fetcher.userAgent,
+        ...config.fetcher.headers,
+      },
+      validateStatus: () => true,
+      responseType: "stream",
+      signal: options.signal,
+    });
+
+    // Only the status line matters, don't download GET bodies
+    if (response.data && typeof response.data.destroy === "function") {
+      response.data.destroy();
+    }
+
+    const isRedirect = response.status >= 300 && response.status < 400;
+    return {
+      statusCode: response.status,
+      location: (isRedirect && response.headers["location"]) || null,
+    };
+  } catch (error) {
+    throw toFetchError(error, url);
+  }
 }
 
-async function fetchUrlWithRetry(url, maxRetries = 3) {
+/**
+ * Fetch a URL, retrying retryable errors with exponential backoff
+ * @param {string} url - URL to fetch
+ * @param {number} maxRetries - Maximum attempts
+ * @param {object} [options] - Options
+ * @param {function} [options.onRetry] - Called before each retry with
+ *   { attempt, maxRetries, delay, error }
+ * @param {AbortSignal} [options.signal] - Aborts the request and any retries
+ * @returns {Promise<object>} Fetch result
+ */
+async function fetchUrlWithRetry(url, maxRetries = 3, options = {}) {
   let lastError;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const result = await fetchUrl(url);
+      const result = await fetchUrl(url, { signal: options.signal });
       return result;
     } catch (error) {
       lastError = error;
@@ -216,14 +326,24 @@ async function fetchUrlWithRetry(url, maxRetries = 3) {
         throw error;
       }
 
-      // Don't retry on last attempt
-      if (attempt === maxRetries) {
+      // Don't retry on last attempt or once cancelled
+      if (
+        attempt === maxRetries ||
+        (options.signal && options.signal.aborted)
+      ) {
         break;
       }
 
       // Exponential backoff: 1s, 2s, 4s
       const delay = Math.min(1000 * Math.pow(2, attempt - 1), 4000);
       logger.debug(`Retrying after ${delay}ms`, { url, attempt });
+
+      fetchRetriesTotal.inc();
+
+      if (options.onRetry) {
+        await options.onRetry({ attempt, maxRetries, delay, error });
+      }
+
       await new Promise((resolve) => setTimeout(resolve, delay));
     }
   }
@@ -256,6 +376,7 @@ function validateHtmlContent(html) {
 module.exports = {
   fetchUrl,
   fetchUrlWithRetry,
+  probeUrl,
   validateHtmlContent,
   FetchError,
 };
@@ -0,0 +1,251 @@
+const { URL } = require("url");
+const { probeUrl } = require("./fetcher");
+const { checkSSRFWithDNS } = require("../utils/urlValidator");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+const { ERROR_TYPES, LINK_CHECK_RESULT } = require("../utils/constants");
+
+/**
+ * Limit how many tasks run at once
+ * @param {number} max - Concurrent tasks
+ * @returns {function} Runs `task()` once a slot is free
+ */
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  return async (task) => {
+    if (active < max) {
+      active++;
+    } else {
+      // The slot is handed over by release(), active stays the same
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+function skipped(error) {
+  return {
+    result: LINK_CHECK_RESULT.SKIPPED,
+    status_code: null,
+    redirected_to: null,
+    error,
+  };
+}
+
+/**
+ * Request a link with HEAD, falling back to GET, following redirects
+ *
+ * Every hop goes through the SSRF check, so a public page can't make the
+ * worker probe private addresses directly or through a redirect.
+ *
+ * @param {string} url - Absolute http(s) URL
+ * @param {AbortSignal} [signal] - Aborts the check
+ * @returns {Promise<object>} { result, status_code, redirected_to, error }
+ */
+async function checkLink(url, signal) {
+  let current = url;
+
+  for (let hops = 0; hops <= config.linkCheck.maxRedirects; hops++) {
+    if (await checkSSRFWithDNS(current)) {
+      return skipped("Points to a private network");
+    }
+
+    const options = { timeout: config.linkCheck.timeout, signal };
+    let response;
+    try {
+      response = await probeUrl(current, { ...options, method: "head" });
+
+      // Plenty of servers reject or mishandle HEAD, GET has the last word
+      if (response.statusCode >= 400) {
+        response = await probeUrl(current, { ...options, method: "get" });
+      }
+    } catch (error) {
+      if (error.type === ERROR_TYPES.CANCELLED_ERROR) {
+        return skipped("Cancelled");
+      }
+      return {
+        result: LINK_CHECK_RESULT.BROKEN,
+        status_code: null,
+        redirected_to: current === url ? null : current,
+        error: error.message,
+      };
+    }
+
+    if (response.location) {
+      try {
+        current = new URL(response.location, current).href;
+      } catch (error) {
+        return {
+          result: LINK_CHECK_RESULT.BROKEN,
+          status_code: response.statusCode,
+          redirected_to: null,
+          error: "Invalid redirect location",
+        };
+      }
+      continue;
+    }
+
+    const broken = response.statusCode >= 400;
+    return {
+      result: broken ? LINK_CHECK_RESULT.BROKEN : LINK_CHECK_RESULT.OK,
+      status_code: response.statusCode,
+      redirected_to: current === url ? null : current,
+      error: broken ? `HTTP ${response.statusCode}` : null,
+    };
+  }
+
+  return {
+    result: LINK_CHECK_RESULT.BROKEN,
+    status_code: null,
+    redirected_to: current,
+    error: "Too many redirects",
+  };
+}
+
+/**
+ * @param {AbortSignal} [signal] - Optional signal
+ * @returns {boolean} Whether the signal has been aborted
+ */
+function isAborted(signal) {
+  return Boolean(signal && signal.aborted);
+}
+
+/**
+ * Check the links of a page's link inventory
+ *
+ * Requests are limited to `config.linkCheck.concurrency` per job and
+ * `perHostConcurrency` per host. Links left when a host has used up
+ * `hostBudgetMs`, or the whole stage `totalBudgetMs`, are skipped rather
+ * than checked, and checks still running at the end of `totalBudgetMs` are
+ * aborted.
+ *
+ * @param {object[]} items - Link inventory items ({ url, ... })
+ * @param {object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Aborts outstanding checks
+ * @returns {Promise<object>} { items, summary }, items with a `check` added
+ */
+async function checkLinks(items, options = {}) {
+  const startTime = Date.now();
+  const totalDeadline = startTime + config.linkCheck.totalBudgetMs;
+  const limit = createLimiter(config.linkCheck.concurrency);
+  const checks = new Map();
+
+  // Aborted by the caller's signal or when the stage budget runs out, so
+  // checks already in flight don't outlast totalBudgetMs
+  const budget = new AbortController();
+  const abortBudget = () => budget.abort();
+  const budgetTimer = setTimeout(abortBudget, config.linkCheck.totalBudgetMs);
+  if (options.signal) {
+    options.signal.addEventListener("abort", abortBudget, { once: true });
+  }
+
+  const byHost = new Map();
+  for (const item of items) {
+    const { protocol, host } = new URL(item.url);
+    if (protocol !== "http:" && protocol !== "https:") {
+      checks.set(item.url, skipped("Unsupported scheme"));
+      continue;
+    }
+    if (!byHost.has(host)) {
+      byHost.set(host, []);
+    }
+    byHost.get(host).push(item.url);
+  }
+
+  const checkHost = async (urls) => {
+    let next = 0;
+    let hostDeadline = null;
+
+    const lane = async () => {
+      while (next < urls.length) {
+        const url = urls[next++];
+
+        const check = await limit(async () => {
+          const now = Date.now();
+          if (isAborted(options.signal)) {
+            return skipped("Cancelled");
+          }
+          if (now >= totalDeadline) {
+            return skipped("Link check time budget exceeded");
+          }
+          // The host's budget starts with its first request
+          hostDeadline = hostDeadline || now + config.linkCheck.hostBudgetMs;
+          if (now >= hostDeadline) {
+            return skipped("Host time budget exceeded");
+          }
+
+          const check = await checkLink(url, budget.signal);
+          if (check.error === "Cancelled" && !isAborted(options.signal)) {
+            return skipped("Link check time budget exceeded");
+          }
+          return check;
+        });
+
+        checks.set(url, check);
+      }
+    };
+
+    const lanes = Math.min(config.linkCheck.perHostConcurrency, urls.length);
+    await Promise.all(Array.from({ length: lanes }, lane));
+  };
+
+  try {
+    await Promise.all(Array.from(byHost.values()).map(checkHost));
+  } finally {
+    clearTimeout(budgetTimer);
+    if (options.signal) {
+      options.signal.removeEventListener("abort", abortBudget);
+    }
+  }
+
+  const summary = {
+    total: items.length,
+    checked: 0,
+    ok: 0,
+    broken: 0,
+    redirected: 0,
+    skipped: 0,
+    duration_ms: Date.now() - startTime,
+  };
+
+  const checkedItems = items.map((item) => {
+    const check = checks.get(item.url);
+    summary[check.result]++;
+    if (check.result !== LINK_CHECK_RESULT.SKIPPED) {
+      summary.checked++;
+    }
+    if (check.redirected_to) {
+      summary.redirected++;
+    }
+    return { ...item, check };
+  });
+
+  logger.info("Links checked", {
+    hosts: byHost.size,
+    ...summary,
+  });
+
+  return { items: checkedItems, summary };
+}
+
+module.exports = {
+  checkLinks,
+  checkLink,
+  createLimiter,
+};
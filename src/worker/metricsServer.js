@@ -0,0 +1,59 @@
+const http = require("http");
+const config = require("../config/app.config");
+const logger = require("../utils/logger");
+const { register } = require("../utils/metrics");
+
+let server = null;
+
+/**
+ * Start the worker's metrics listener
+ *
+ * The worker has no other HTTP surface, so a bare http server serving
+ * GET /metrics is enough for Prometheus to scrape it.
+ *
+ * @param {number} [port] - Port to listen on
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startMetricsServer(port = config.metrics.workerPort) {
+  server = http.createServer(async (req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found");
+      return;
+    }
+
+    try {
+      const body = await register.metrics();
+      res.writeHead(200, { "Content-Type": register.contentType });
+      res.end(body);
+    } catch (error) {
+      logger.error("Failed to collect metrics", { error: error.message });
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end("Failed to collect metrics");
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => {
+      logger.info("Worker metrics server started", {
+        port: server.address().port,
+      });
+      resolve(server);
+    });
+  });
+}
+
+async function stopMetricsServer() {
+  if (server) {
+    const closing = server;
+    server = null;
+    await new Promise((resolve) => closing.close(resolve));
+    logger.info("Worker metrics server stopped");
+  }
+}
+
+module.exports = {
+  startMetricsServer,
+  stopMetricsServer,
+};
@@ -1,8 +1,35 @@
 const cheerio = require("cheerio");
+const Joi = require("joi");
 const { URL } = require("url");
 const logger = require("../utils/logger");
+const {
+  registerAnalyzer,
+  getAnalyzers,
+  getAnalyzerNames,
+  getUnknownAnalyzers,
+  getCombinedSchema,
+  getFallbackResults,
+} = require("./analyzerRegistry");
+const { parseDuration } = require("../utils/metrics");
+const { normalizeUrl } = require("../utils/urlNormalizer");
+const { SEO_SEVERITY } = require("../utils/constants");
+const config = require("../config/app.config");
+
+// page_title is cut to this many characters
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Run the selected analyzers over a page
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Requested URL
+ * @param {string[]} [analyzerNames] - Analyzers to run, all when omitted
+ * @param {string} [finalUrl] - URL the redirects ended at, baseUrl if none.
+ *   Relative URLs of the page resolve against it
+ * @returns {object} Results of the analyzers
+ */
+function parseHtml(html, baseUrl, analyzerNames, finalUrl = baseUrl) {
+  const endTimer = parseDuration.startTimer();
 
-function parseHtml(html, baseUrl) {
   try {
     const $ = cheerio.load(html, {
       decodeEntities: false,
@@ -10,14 +37,12 @@ function parseHtml(html, baseUrl) {
       xmlMode: false,
     });
 
-    const results = {
-      html_version: extractHtmlVersion(html),
-      page_title: extractTitle($),
-      headings_count: countHeadings($),
-      internal_links_count: countLinks($, baseUrl, "internal"),
-      external_links_count: countLinks($, baseUrl, "external"),
-      has_login_form: hasLoginForm($),
-    };
+    const context = { html, baseUrl, finalUrl };
+    const results = {};
+
+    for (const analyzer of getAnalyzers(analyzerNames)) {
+      Object.assign(results, analyzer.analyze($, context));
+    }
 
     logger.debug("HTML parsed successfully", {
       url: baseUrl,
@@ -34,14 +59,11 @@ function parseHtml(html, baseUrl) {
 
     // Return partial results on error
     return {
-      html_version: "Unknown",
-      page_title: "Parse Error",
-      headings_count: { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 },
-      internal_links_count: 0,
-      external_links_count: 0,
-      has_login_form: false,
+      ...getFallbackResults(analyzerNames),
       parse_error: error.message,
     };
+  } finally {
+    endTimer();
   }
 }
 
@@ -98,22 +120,22 @@ function extractTitle($) {
   try {
     const title = $("title").first().text().trim();
     if (title) {
-      return title.substring(0, 200);
+      return title.substring(0, MAX_TITLE_LENGTH);
     }
 
     const ogTitle = $('meta[property="og:title"]').attr("content");
     if (ogTitle) {
-      return ogTitle.trim().substring(0, 200);
+      return ogTitle.trim().substring(0, MAX_TITLE_LENGTH);
     }
 
     const twitterTitle = $('meta[name="twitter:title"]').attr("content");
     if (twitterTitle) {
-      return twitterTitle.trim().substring(0, 200);
+      return twitterTitle.trim().substring(0, MAX_TITLE_LENGTH);
     }
 
     const h1 = $("h1").first().text().trim();
     if (h1) {
-      return h1.substring(0, 200);
+      return h1.substring(0, MAX_TITLE_LENGTH);
     }
 
     return "No title found";
@@ -139,54 +161,813 @@ function countHeadings($) {
   }
 }
 
-function countLinks($, baseUrl, type) {
+// Hrefs that don't lead to another page are counted by scheme, not listed
+const SKIPPED_SCHEMES = ["mailto", "tel", "javascript", "data"];
+
+function emptySkippedCounts() {
+  return {
+    fragment: 0,
+    mailto: 0,
+    tel: 0,
+    javascript: 0,
+    data: 0,
+    invalid: 0,
+  };
+}
+
+function getSkippedScheme(href) {
+  // An empty href points back at the page itself, like a bare fragment
+  if (href === "" || href.startsWith("#")) {
+    return "fragment";
+  }
+
+  const match = href.match(/^([a-z][a-z0-9+.-]*):/i);
+  const scheme = match && match[1].toLowerCase();
+  return SKIPPED_SCHEMES.includes(scheme) ? scheme : null;
+}
+
+function getLinkText($link) {
+  const text =
+    $link.text().replace(/\s+/g, " ").trim() ||
+    ($link.find("img[alt]").first().attr("alt") || "").trim();
+  return text.substring(0, config.parser.maxLinkTextLength);
+}
+
+/**
+ * Inventory of the page's links, in a single pass over a[href]
+ *
+ * Links are listed once per resolved URL, in document order, with the
+ * text, rel and target of their first occurrence. Only the first
+ * `config.parser.maxLinks` are listed; the counts cover every link.
+ *
+ * @param {object} $ - Cheerio root
+ * @param {string} baseUrl - URL of the page, used to resolve and classify hrefs
+ * @returns {object} { internal, external, total, unique, truncated, skipped, items }
+ */
+function extractLinks($, baseUrl) {
+  const inventory = {
+    internal: 0,
+    external: 0,
+    total: 0,
+    unique: 0,
+    truncated: false,
+    skipped: emptySkippedCounts(),
+    items: [],
+  };
+
   try {
-    const baseUrlObj = new URL(baseUrl);
-    const baseDomain = baseUrlObj.hostname.toLowerCase();
-    let count = 0;
+    // www.example.com and example.com count as the same site
+    const baseDomain = new URL(baseUrl).hostname
+      .toLowerCase()
+      .replace(/^www\./, "");
+    const byUrl = new Map();
 
     $("a[href]").each((_, element) => {
-      const href = $(element).attr("href");
-
-      // Skip invalid or special hrefs
-      if (
-        !href ||
-        href.startsWith("#") ||
-        href.startsWith("javascript:") ||
-        href.startsWith("mailto:") ||
-        href.startsWith("tel:") ||
-        href.startsWith("data:")
-      ) {
+      const $link = $(element);
+      const href = $link.attr("href").trim();
+
+      const scheme = getSkippedScheme(href);
+      if (scheme) {
+        inventory.skipped[scheme]++;
         return;
       }
 
+      let absoluteUrl;
       try {
-        const absoluteUrl = new URL(href, baseUrl);
-        const linkDomain = absoluteUrl.hostname.toLowerCase();
+        absoluteUrl = new URL(href, baseUrl);
+      } catch (urlError) {
+        logger.debug("Invalid link URL", { href, error: urlError.message });
+        inventory.skipped.invalid++;
+        return;
+      }
+
+      const linkDomain = absoluteUrl.hostname
+        .toLowerCase()
+        .replace(/^www\./, "");
+      const type = linkDomain === baseDomain ? "internal" : "external";
+      inventory[type]++;
 
-        const normalizedBase = baseDomain.replace(/^www\./, "");
-        const normalizedLink = linkDomain.replace(/^www\./, "");
+      const existing = byUrl.get(absoluteUrl.href);
+      if (existing) {
+        existing.occurrences++;
+        return;
+      }
 
-        const isInternal = normalizedBase === normalizedLink;
+      byUrl.set(absoluteUrl.href, {
+        url: absoluteUrl.href,
+        text: getLinkText($link),
+        rel: Array.from(
+          new Set(
+            ($link.attr("rel") || "").toLowerCase().split(/\s+/).filter(Boolean)
+          )
+        ),
+        target: $link.attr("target") || null,
+        type,
+        occurrences: 1,
+      });
+    });
 
-        if (type === "internal" && isInternal) {
-          count++;
-        } else if (type === "external" && !isInternal) {
-          count++;
+    const items = Array.from(byUrl.values());
+    inventory.total = inventory.internal + inventory.external;
+    inventory.unique = items.length;
+    inventory.truncated = items.length > config.parser.maxLinks;
+    inventory.items = items.slice(0, config.parser.maxLinks);
+  } catch (error) {
+    logger.warn("Failed to extract links", {
+      baseUrl,
+      error: error.message,
+    });
+  }
+
+  return inventory;
+}
+
+// Finding codes of the SEO analyzer and their severity
+const SEO_FINDINGS = {
+  TITLE_MISSING: SEO_SEVERITY.ERROR,
+  MULTIPLE_TITLES: SEO_SEVERITY.WARNING,
+  TITLE_TOO_SHORT: SEO_SEVERITY.WARNING,
+  TITLE_TOO_LONG: SEO_SEVERITY.WARNING,
+  TITLE_TRUNCATED: SEO_SEVERITY.WARNING,
+  META_DESCRIPTION_MISSING: SEO_SEVERITY.WARNING,
+  MULTIPLE_META_DESCRIPTIONS: SEO_SEVERITY.WARNING,
+  META_DESCRIPTION_TOO_SHORT: SEO_SEVERITY.INFO,
+  META_DESCRIPTION_TOO_LONG: SEO_SEVERITY.WARNING,
+  ROBOTS_NOINDEX: SEO_SEVERITY.WARNING,
+  ROBOTS_NOFOLLOW: SEO_SEVERITY.INFO,
+  CANONICAL_MISSING: SEO_SEVERITY.INFO,
+  MULTIPLE_CANONICALS: SEO_SEVERITY.ERROR,
+  CANONICAL_INVALID: SEO_SEVERITY.ERROR,
+  CANONICAL_MISMATCH: SEO_SEVERITY.WARNING,
+  HREFLANG_INVALID: SEO_SEVERITY.WARNING,
+  HREFLANG_DUPLICATE: SEO_SEVERITY.WARNING,
+  H1_MISSING: SEO_SEVERITY.WARNING,
+  MULTIPLE_H1: SEO_SEVERITY.WARNING,
+  LANG_MISSING: SEO_SEVERITY.WARNING,
+  VIEWPORT_MISSING: SEO_SEVERITY.WARNING,
+};
+
+// BCP 47 language tag, roughly, or x-default
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z0-9]{1,8})*)$/i;
+
+function emptySeo() {
+  return {
+    title_length: 0,
+    meta_description: null,
+    meta_description_length: 0,
+    robots: [],
+    canonical: null,
+    canonical_matches_final_url: null,
+    hreflang: [],
+    h1_count: 0,
+    lang: null,
+    viewport: null,
+    findings: [],
+  };
+}
+
+function resolveHttpUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.href
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Inspect the head of a page for search engine metadata
+ * @param {object} $ - Cheerio root
+ * @param {string} finalUrl - URL the page was served from, relative canonical
+ *   and hreflang URLs resolve against it
+ * @returns {object} Extracted values and `findings` ({ code, severity, message })
+ */
+function extractSeo($, finalUrl) {
+  const seo = emptySeo();
+  const { titleMinLength, titleMaxLength } = config.parser.seo;
+  const { descriptionMinLength, descriptionMaxLength } = config.parser.seo;
+
+  const addFinding = (code, message) => {
+    seo.findings.push({ code, severity: SEO_FINDINGS[code], message });
+  };
+
+  try {
+    // Search engines read <title> only, not the fallbacks of extractTitle
+    const titles = $("title");
+    const title = titles.first().text().trim();
+    seo.title_length = title.length;
+    if (!title) {
+      addFinding("TITLE_MISSING", "Page has no <title>");
+    } else {
+      if (titles.length > 1) {
+        addFinding(
+          "MULTIPLE_TITLES",
+          `Page has ${titles.length} <title> elements, the first one is used`
+        );
+      }
+      if (title.length < titleMinLength) {
+        addFinding(
+          "TITLE_TOO_SHORT",
+          `Title is ${title.length} characters, aim for at least ${titleMinLength}`
+        );
+      }
+      if (title.length > titleMaxLength) {
+        addFinding(
+          "TITLE_TOO_LONG",
+          `Title is ${title.length} characters, search results show about ${titleMaxLength}`
+        );
+      }
+      if (title.length > MAX_TITLE_LENGTH) {
+        addFinding(
+          "TITLE_TRUNCATED",
+          `Title is over ${MAX_TITLE_LENGTH} characters, page_title only keeps the first ${MAX_TITLE_LENGTH}`
+        );
+      }
+    }
+
+    const descriptions = $('meta[name="description" i]');
+    const description = (descriptions.first().attr("content") || "").trim();
+    if (!description) {
+      addFinding("META_DESCRIPTION_MISSING", "Page has no meta description");
+    } else {
+      seo.meta_description = description;
+      seo.meta_description_length = description.length;
+      if (descriptions.length > 1) {
+        addFinding(
+          "MULTIPLE_META_DESCRIPTIONS",
+          `Page has ${descriptions.length} meta descriptions`
+        );
+      }
+      if (description.length < descriptionMinLength) {
+        addFinding(
+          "META_DESCRIPTION_TOO_SHORT",
+          `Meta description is ${description.length} characters, aim for at least ${descriptionMinLength}`
+        );
+      }
+      if (description.length > descriptionMaxLength) {
+        addFinding(
+          "META_DESCRIPTION_TOO_LONG",
+          `Meta description is ${description.length} characters, search results show about ${descriptionMaxLength}`
+        );
+      }
+    }
+
+    $('meta[name="robots" i]').each((_, meta) => {
+      for (const directive of ($(meta).attr("content") || "").split(",")) {
+        const value = directive.trim().toLowerCase();
+        if (value && !seo.robots.includes(value)) {
+          seo.robots.push(value);
         }
-      } catch (urlError) {
-        logger.debug("Invalid link URL", { href, error: urlError.message });
       }
     });
+    if (seo.robots.includes("noindex") || seo.robots.includes("none")) {
+      addFinding(
+        "ROBOTS_NOINDEX",
+        "Meta robots keeps the page out of the index"
+      );
+    }
+    if (seo.robots.includes("nofollow") || seo.robots.includes("none")) {
+      addFinding(
+        "ROBOTS_NOFOLLOW",
+        "Meta robots tells crawlers not to follow the page's links"
+      );
+    }
+
+    const canonicals = $('link[rel~="canonical" i]');
+    if (canonicals.length === 0) {
+      addFinding("CANONICAL_MISSING", "Page declares no canonical URL");
+    } else {
+      if (canonicals.length > 1) {
+        addFinding(
+          "MULTIPLE_CANONICALS",
+          `Page declares ${canonicals.length} canonical URLs, search engines may ignore them all`
+        );
+      }
+      const href = (canonicals.first().attr("href") || "").trim();
+      seo.canonical = href ? resolveHttpUrl(href, finalUrl) : null;
+      if (!seo.canonical) {
+        addFinding(
+          "CANONICAL_INVALID",
+          `Canonical URL "${href}" is not a valid http(s) URL`
+        );
+      } else {
+        seo.canonical_matches_final_url =
+          normalizeUrl(seo.canonical) === normalizeUrl(finalUrl);
+        if (!seo.canonical_matches_final_url) {
+          addFinding(
+            "CANONICAL_MISMATCH",
+            `Canonical URL ${seo.canonical} differs from the fetched URL ${finalUrl}`
+          );
+        }
+      }
+    }
+
+    const hreflangs = new Set();
+    $('link[rel~="alternate" i][hreflang]').each((_, link) => {
+      const hreflang = ($(link).attr("hreflang") || "").trim();
+      const url = resolveHttpUrl(($(link).attr("href") || "").trim(), finalUrl);
+      if (!HREFLANG_PATTERN.test(hreflang) || !url) {
+        addFinding(
+          "HREFLANG_INVALID",
+          `Alternate "${hreflang}" needs a language code and an http(s) URL`
+        );
+        return;
+      }
+      if (hreflangs.has(hreflang.toLowerCase())) {
+        addFinding(
+          "HREFLANG_DUPLICATE",
+          `Alternate "${hreflang}" is declared more than once`
+        );
+        return;
+      }
+      hreflangs.add(hreflang.toLowerCase());
+      seo.hreflang.push({ hreflang, url });
+    });
 
-    return count;
+    seo.h1_count = $("h1").length;
+    if (seo.h1_count === 0) {
+      addFinding("H1_MISSING", "Page has no <h1>");
+    } else if (seo.h1_count > 1) {
+      addFinding("MULTIPLE_H1", `Page has ${seo.h1_count} <h1> elements`);
+    }
+
+    seo.lang = ($("html").attr("lang") || "").trim() || null;
+    if (!seo.lang) {
+      addFinding("LANG_MISSING", "The <html> element has no lang attribute");
+    }
+
+    seo.viewport =
+      ($('meta[name="viewport" i]').attr("content") || "").trim() || null;
+    if (!seo.viewport) {
+      addFinding(
+        "VIEWPORT_MISSING",
+        "Page has no viewport meta, mobile browsers render it zoomed out"
+      );
+    }
+
+    return seo;
   } catch (error) {
-    logger.warn("Failed to count links", {
-      type,
-      baseUrl,
+    logger.warn("Failed to extract SEO metadata", { error: error.message });
+    return emptySeo();
+  }
+}
+
+// Open Graph properties that start a new item of a media array
+const OG_MEDIA = {
+  "og:image": "images",
+  "og:video": "videos",
+  "og:audio": "audio",
+};
+
+// Properties the Open Graph protocol allows more than once
+const OG_ARRAY_PROPERTIES = ["locale:alternate", "author", "tag"];
+
+const OG_REQUIRED = ["og:title", "og:type", "og:image", "og:url"];
+
+// Required Twitter Card properties by card type, "*" matching any suffix.
+// title, description and image fall back to their Open Graph counterparts
+const TWITTER_CARD_REQUIRED = {
+  summary: ["title"],
+  summary_large_image: ["title", "image"],
+  app: ["site", "app:id:*"],
+  player: ["title", "site", "image", "player", "player:width", "player:height"],
+};
+
+const TWITTER_OG_FALLBACKS = ["title", "description", "image"];
+
+function emptySocial() {
+  return {
+    open_graph: {
+      properties: {},
+      article: {},
+      images: [],
+      videos: [],
+      audio: [],
+      missing: [...OG_REQUIRED],
+    },
+    twitter: { card: null, properties: {}, missing: ["twitter:card"] },
+  };
+}
+
+function setProperty(properties, name, value) {
+  if (OG_ARRAY_PROPERTIES.includes(name)) {
+    properties[name] = [...(properties[name] || []), value];
+  } else if (!(name in properties)) {
+    properties[name] = value;
+  }
+}
+
+function toDimension(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Extract the Open Graph and Twitter Card properties of a page
+ *
+ * Structured media properties (og:image:width, ...) describe the og:image,
+ * og:video or og:audio they follow, so each of those starts a new item.
+ * Media and twitter:image URLs are resolved against the page URL.
+ *
+ * @param {object} $ - Cheerio root
+ * @param {string} baseUrl - URL relative media URLs resolve against
+ * @returns {object} { open_graph, twitter }, each listing its `missing` properties
+ */
+function extractSocial($, baseUrl) {
+  const social = emptySocial();
+  const og = social.open_graph;
+  const twitter = social.twitter;
+
+  try {
+    // Media item structured properties apply to, by root property
+    const current = {};
+
+    $("meta[property], meta[name]").each((_, element) => {
+      const $meta = $(element);
+      const key = ($meta.attr("property") || $meta.attr("name") || "")
+        .trim()
+        .toLowerCase();
+      const value = ($meta.attr("content") || "").trim();
+      if (!value) {
+        return;
+      }
+
+      if (key.startsWith("twitter:")) {
+        const name = key.slice("twitter:".length);
+        if (!(name in twitter.properties)) {
+          twitter.properties[name] =
+            name === "image" ? resolveHttpUrl(value, baseUrl) || value : value;
+        }
+        return;
+      }
+
+      if (key.startsWith("article:")) {
+        setProperty(og.article, key.slice("article:".length), value);
+        return;
+      }
+
+      if (!key.startsWith("og:")) {
+        return;
+      }
+
+      const root = Object.keys(OG_MEDIA).find(
+        (prefix) => key === prefix || key.startsWith(`${prefix}:`)
+      );
+      if (!root) {
+        setProperty(og.properties, key.slice("og:".length), value);
+        return;
+      }
+
+      // og:image:url repeats og:image, and can stand in for it
+      const field = key === root ? "url" : key.slice(root.length + 1);
+      if (key === root || (field === "url" && !current[root])) {
+        current[root] = {
+          url: null,
+          secure_url: null,
+          type: null,
+          width: null,
+          height: null,
+          alt: null,
+        };
+        og[OG_MEDIA[root]].push(current[root]);
+      } else if (!current[root] || (field === "url" && current[root].url)) {
+        return;
+      }
+
+      const media = current[root];
+      if (field === "url" || field === "secure_url") {
+        media[field] = resolveHttpUrl(value, baseUrl) || value;
+      } else if (field === "width" || field === "height") {
+        media[field] = toDimension(value);
+      } else if (field === "type" || field === "alt") {
+        media[field] = value;
+      }
+    });
+
+    og.missing = OG_REQUIRED.filter((property) =>
+      property === "og:image"
+        ? og.images.length === 0
+        : !(property.slice("og:".length) in og.properties)
+    );
+
+    twitter.card = twitter.properties.card || null;
+    delete twitter.properties.card;
+    const required = Object.prototype.hasOwnProperty.call(
+      TWITTER_CARD_REQUIRED,
+      twitter.card
+    )
+      ? TWITTER_CARD_REQUIRED[twitter.card]
+      : null;
+    if (!required) {
+      // No card or an unknown type, X then renders no card at all
+      twitter.missing = ["twitter:card"];
+    } else {
+      const has = (name) => {
+        if (name.endsWith("*")) {
+          const prefix = name.slice(0, -1);
+          return Object.keys(twitter.properties).some((key) =>
+            key.startsWith(prefix)
+          );
+        }
+        if (name in twitter.properties) {
+          return true;
+        }
+        if (!TWITTER_OG_FALLBACKS.includes(name)) {
+          return false;
+        }
+        return name === "image" ? og.images.length > 0 : name in og.properties;
+      };
+      twitter.missing = required
+        .filter((name) => !has(name))
+        .map((name) => `twitter:${name}`);
+    }
+
+    return social;
+  } catch (error) {
+    logger.warn("Failed to extract social metadata", { error: error.message });
+    return emptySocial();
+  }
+}
+
+// Properties schema.org types need for rich results. An array lists
+// alternatives, one of which is enough
+const ARTICLE_REQUIRED = ["headline", "author", "datePublished"];
+const STRUCTURED_DATA_REQUIRED = {
+  Product: ["name", ["offers", "review", "aggregateRating"]],
+  Article: ARTICLE_REQUIRED,
+  NewsArticle: ARTICLE_REQUIRED,
+  BlogPosting: ARTICLE_REQUIRED,
+  Organization: ["name", "url"],
+  BreadcrumbList: ["itemListElement"],
+  FAQPage: ["mainEntity"],
+};
+
+// Properties of each entry of a list property, e.g. every breadcrumb
+const STRUCTURED_DATA_ENTRY_REQUIRED = {
+  BreadcrumbList: { itemListElement: ["position", ["name", "item"]] },
+  FAQPage: { mainEntity: ["name", "acceptedAnswer"] },
+};
+
+const SCHEMA_ORG_PREFIX = /^(https?:\/\/schema\.org\/|schema:)/i;
+
+function emptyStructuredData() {
+  return { count: 0, truncated: false, types: {}, errors: [] };
+}
+
+// "https://schema.org/Product" and "schema:Product" both name Product
+function toTypeName(type) {
+  return String(type).trim().replace(SCHEMA_ORG_PREFIX, "");
+}
+
+function getTypeNames(item) {
+  const types = [].concat(item["@type"] || []);
+  return [...new Set(types.map(toTypeName).filter(Boolean))];
+}
+
+function hasValue(value) {
+  return (
+    value !== undefined &&
+    value !== null &&
+    value !== "" &&
+    !(Array.isArray(value) && value.length === 0)
+  );
+}
+
+function getMissingProperties(item, required, path = "") {
+  return required
+    .filter((names) => ![].concat(names).some((name) => hasValue(item[name])))
+    .map((names) => path + [].concat(names).join("|"));
+}
+
+/**
+ * Required properties an item lacks for each of its checked types
+ * @param {object} item - Item in JSON-LD form
+ * @returns {string[]} Missing properties, alternatives joined with "|"
+ */
+function checkStructuredDataItem(item) {
+  const missing = [];
+
+  // Type names come from the page, so only own keys count
+  const checked = getTypeNames(item).filter((type) =>
+    Object.prototype.hasOwnProperty.call(STRUCTURED_DATA_REQUIRED, type)
+  );
+
+  for (const type of checked) {
+    missing.push(...getMissingProperties(item, STRUCTURED_DATA_REQUIRED[type]));
+
+    const entries = STRUCTURED_DATA_ENTRY_REQUIRED[type] || {};
+    for (const [property, required] of Object.entries(entries)) {
+      [].concat(item[property] || []).forEach((entry, index) => {
+        missing.push(
+          ...getMissingProperties(
+            entry && typeof entry === "object" ? entry : {},
+            required,
+            `${property}[${index}].`
+          )
+        );
+      });
+    }
+  }
+
+  return [...new Set(missing)];
+}
+
+function addPropertyValue(item, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(item, name)) {
+    item[name] = value;
+  } else {
+    item[name] = [].concat(item[name], value);
+  }
+}
+
+function getElementText($element) {
+  return $element.text().replace(/\s+/g, " ").trim();
+}
+
+// Value of an itemprop element, following the Microdata spec
+function getMicrodataValue($element) {
+  const tag = ($element.prop("tagName") || "").toLowerCase();
+
+  if (tag === "meta") {
+    return $element.attr("content") || "";
+  }
+  if (
+    ["audio", "embed", "iframe", "img", "source", "track", "video"].includes(
+      tag
+    )
+  ) {
+    return $element.attr("src") || "";
+  }
+  if (["a", "area", "link"].includes(tag)) {
+    return $element.attr("href") || "";
+  }
+  if (tag === "object") {
+    return $element.attr("data") || "";
+  }
+  if (["data", "meter"].includes(tag)) {
+    return $element.attr("value") || "";
+  }
+  if (tag === "time" && $element.attr("datetime")) {
+    return $element.attr("datetime");
+  }
+  return getElementText($element);
+}
+
+/**
+ * Read a Microdata or RDFa item into JSON-LD form
+ *
+ * Properties belong to the closest enclosing item, so nested items are read
+ * recursively rather than flattened into their parent.
+ *
+ * @param {object} $ - Cheerio root
+ * @param {object} element - Element carrying itemscope, or typeof for RDFa
+ * @param {object} syntax - Attribute names and value reader of the format
+ * @returns {object} Item with @type and its properties, without a prototype
+ */
+function readEmbeddedItem($, element, syntax) {
+  // Property names come from the page, so "__proto__" must stay a plain key
+  const item = Object.create(null);
+  const types = ($(element).attr(syntax.typeAttribute) || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(toTypeName);
+  if (types.length > 0) {
+    item["@type"] = types.length === 1 ? types[0] : types;
+  }
+
+  $(element)
+    .find(`[${syntax.propertyAttribute}]`)
+    .each((_, property) => {
+      const $property = $(property);
+      if ($property.parent().closest(syntax.scopeSelector)[0] !== element) {
+        return;
+      }
+
+      const value = $property.is(syntax.scopeSelector)
+        ? readEmbeddedItem($, property, syntax)
+        : syntax.getValue($property);
+      for (const name of $property
+        .attr(syntax.propertyAttribute)
+        .split(/\s+/)
+        .filter(Boolean)) {
+        addPropertyValue(item, toTypeName(name), value);
+      }
+    });
+
+  return item;
+}
+
+const MICRODATA_SYNTAX = {
+  format: "microdata",
+  scopeSelector: "[itemscope]",
+  typeAttribute: "itemtype",
+  propertyAttribute: "itemprop",
+  getValue: getMicrodataValue,
+};
+
+const RDFA_SYNTAX = {
+  format: "rdfa",
+  scopeSelector: "[typeof]",
+  typeAttribute: "typeof",
+  propertyAttribute: "property",
+  getValue: ($element) =>
+    $element.attr("content") ||
+    $element.attr("href") ||
+    $element.attr("src") ||
+    $element.attr("resource") ||
+    getElementText($element),
+};
+
+// Top-level JSON-LD items of a parsed block, expanding @graph
+function getJsonLdItems(data) {
+  return [].concat(data).flatMap((node) => {
+    if (!node || typeof node !== "object") {
+      return [];
+    }
+    if (Array.isArray(node["@graph"])) {
+      return getJsonLdItems(node["@graph"]);
+    }
+    return [node];
+  });
+}
+
+/**
+ * Extract JSON-LD, Microdata and RDFa items, grouped by schema.org type
+ *
+ * Malformed JSON-LD blocks and items without a type are reported in
+ * `errors`. Each item lists the required properties its type lacks in
+ * `missing`; an item with several types is listed under each of them.
+ *
+ * @param {object} $ - Cheerio root
+ * @returns {object} { count, truncated, types, errors }
+ */
+function extractStructuredData($) {
+  const structuredData = emptyStructuredData();
+  const { maxStructuredDataItems } = config.parser;
+  const itemsByType = new Map();
+
+  const addItem = (format, data, source) => {
+    const types = getTypeNames(data);
+    if (types.length === 0) {
+      structuredData.errors.push({
+        format,
+        message: `Item without @type in ${source}`,
+      });
+      return;
+    }
+
+    structuredData.count++;
+    if (structuredData.count > maxStructuredDataItems) {
+      structuredData.truncated = true;
+      return;
+    }
+
+    const item = { format, data, missing: checkStructuredDataItem(data) };
+    for (const type of types) {
+      itemsByType.set(type, [...(itemsByType.get(type) || []), item]);
+    }
+  };
+
+  try {
+    $('script[type="application/ld+json" i]').each((index, script) => {
+      const source = `JSON-LD block ${index + 1}`;
+      let data;
+      try {
+        data = JSON.parse($(script).html());
+      } catch (error) {
+        structuredData.errors.push({
+          format: "json-ld",
+          message: `Invalid JSON in ${source}: ${error.message}`,
+        });
+        return;
+      }
+
+      for (const item of getJsonLdItems(data)) {
+        addItem("json-ld", item, source);
+      }
+    });
+
+    for (const syntax of [MICRODATA_SYNTAX, RDFA_SYNTAX]) {
+      $(syntax.scopeSelector)
+        .not(`[${syntax.propertyAttribute}]`)
+        .each((_, element) => {
+          const tag = $(element).prop("tagName").toLowerCase();
+          addItem(
+            syntax.format,
+            readEmbeddedItem($, element, syntax),
+            `<${tag}> ${syntax.scopeSelector}`
+          );
+        });
+    }
+
+    structuredData.types = Object.fromEntries(itemsByType);
+    return structuredData;
+  } catch (error) {
+    logger.warn("Failed to extract structured data", {
       error: error.message,
     });
-    return 0;
+    return emptyStructuredData();
   }
 }
 
@@ -211,38 +992,20 @@ function hasLoginForm($) {
   }
 }
 
-function validateResults(results) {
+function validateResults(results, analyzerNames) {
   try {
-    const requiredFields = [
-      "html_version",
-      "page_title",
-      "headings_count",
-      "internal_links_count",
-      "external_links_count",
-      "has_login_form",
-    ];
-
-    for (const field of requiredFields) {
-      if (!(field in results)) {
-        logger.error("Missing required field in results", { field });
-        return false;
-      }
-    }
+    const { error } = getCombinedSchema(analyzerNames).validate(results, {
+      convert: false,
+    });
 
-    // Validate headings_count structure
-    const headingLevels = ["h1", "h2", "h3", "h4", "h5", "h6"];
-    for (const level of headingLevels) {
-      if (typeof results.headings_count[level] !== "number") {
-        logger.error("Invalid headings_count structure", { level });
-        return false;
-      }
+    if (error) {
+      logger.error("Invalid results structure", {
+        field: error.details[0].path.join("."),
+        error: error.message,
+      });
+      return false;
     }
 
-    // Validate types
-    if (typeof results.internal_links_count !== "number") return false;
-    if (typeof results.external_links_count !== "number") return false;
-    if (typeof results.has_login_form !== "boolean") return false;
-
     return true;
   } catch (error) {
     logger.error("Results validation failed", { error: error.message });
@@ -250,12 +1013,220 @@ function validateResults(results) {
   }
 }
 
+const headingCountSchema = Joi.object({
+  h1: Joi.number().integer().min(0).required(),
+  h2: Joi.number().integer().min(0).required(),
+  h3: Joi.number().integer().min(0).required(),
+  h4: Joi.number().integer().min(0).required(),
+  h5: Joi.number().integer().min(0).required(),
+  h6: Joi.number().integer().min(0).required(),
+}).required();
+
+// Built-in analyzers
+registerAnalyzer({
+  name: "html_version",
+  schema: { html_version: Joi.string().required() },
+  fallback: { html_version: "Unknown" },
+  analyze: ($, { html }) => ({ html_version: extractHtmlVersion(html) }),
+});
+
+registerAnalyzer({
+  name: "title",
+  schema: { page_title: Joi.string().required() },
+  fallback: { page_title: "Parse Error" },
+  analyze: ($) => ({ page_title: extractTitle($) }),
+});
+
+registerAnalyzer({
+  name: "headings",
+  schema: { headings_count: headingCountSchema },
+  fallback: {
+    headings_count: { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 },
+  },
+  analyze: ($) => ({ headings_count: countHeadings($) }),
+});
+
+const linkSchema = Joi.object({
+  url: Joi.string().required(),
+  text: Joi.string().allow("").required(),
+  rel: Joi.array().items(Joi.string()).required(),
+  target: Joi.string().allow(null).required(),
+  type: Joi.string().valid("internal", "external").required(),
+  occurrences: Joi.number().integer().min(1).required(),
+});
+
+const linkInventorySchema = Joi.object({
+  total: Joi.number().integer().min(0).required(),
+  unique: Joi.number().integer().min(0).required(),
+  truncated: Joi.boolean().required(),
+  skipped: Joi.object(
+    Object.fromEntries(
+      Object.keys(emptySkippedCounts()).map((scheme) => [
+        scheme,
+        Joi.number().integer().min(0).required(),
+      ])
+    )
+  ).required(),
+  items: Joi.array().items(linkSchema).required(),
+}).required();
+
+registerAnalyzer({
+  name: "links",
+  schema: {
+    internal_links_count: Joi.number().integer().min(0).required(),
+    external_links_count: Joi.number().integer().min(0).required(),
+    links: linkInventorySchema,
+  },
+  fallback: {
+    internal_links_count: 0,
+    external_links_count: 0,
+    links: {
+      total: 0,
+      unique: 0,
+      truncated: false,
+      skipped: emptySkippedCounts(),
+      items: [],
+    },
+  },
+  analyze: ($, { finalUrl }) => {
+    const { internal, external, ...links } = extractLinks($, finalUrl);
+    return {
+      internal_links_count: internal,
+      external_links_count: external,
+      links,
+    };
+  },
+});
+
+const seoSchema = Joi.object({
+  title_length: Joi.number().integer().min(0).required(),
+  meta_description: Joi.string().allow(null).required(),
+  meta_description_length: Joi.number().integer().min(0).required(),
+  robots: Joi.array().items(Joi.string()).required(),
+  canonical: Joi.string().allow(null).required(),
+  canonical_matches_final_url: Joi.boolean().allow(null).required(),
+  hreflang: Joi.array()
+    .items(
+      Joi.object({
+        hreflang: Joi.string().required(),
+        url: Joi.string().required(),
+      })
+    )
+    .required(),
+  h1_count: Joi.number().integer().min(0).required(),
+  lang: Joi.string().allow(null).required(),
+  viewport: Joi.string().allow(null).required(),
+  findings: Joi.array()
+    .items(
+      Joi.object({
+        code: Joi.string()
+          .valid(...Object.keys(SEO_FINDINGS))
+          .required(),
+        severity: Joi.string()
+          .valid(...Object.values(SEO_SEVERITY))
+          .required(),
+        message: Joi.string().required(),
+      })
+    )
+    .required(),
+}).required();
+
+registerAnalyzer({
+  name: "login_form",
+  schema: { has_login_form: Joi.boolean().required() },
+  fallback: { has_login_form: false },
+  analyze: ($) => ({ has_login_form: hasLoginForm($) }),
+});
+
+registerAnalyzer({
+  name: "seo",
+  schema: { seo: seoSchema },
+  fallback: { seo: emptySeo() },
+  analyze: ($, { finalUrl }) => ({ seo: extractSeo($, finalUrl) }),
+});
+
+const stringMap = Joi.object().pattern(Joi.string(), Joi.string());
+const propertyMap = Joi.object().pattern(
+  Joi.string(),
+  Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()))
+);
+
+const mediaSchema = Joi.object({
+  url: Joi.string().allow(null).required(),
+  secure_url: Joi.string().allow(null).required(),
+  type: Joi.string().allow(null).required(),
+  width: Joi.number().integer().min(0).allow(null).required(),
+  height: Joi.number().integer().min(0).allow(null).required(),
+  alt: Joi.string().allow(null).required(),
+});
+
+const socialSchema = Joi.object({
+  open_graph: Joi.object({
+    properties: propertyMap.required(),
+    article: propertyMap.required(),
+    images: Joi.array().items(mediaSchema).required(),
+    videos: Joi.array().items(mediaSchema).required(),
+    audio: Joi.array().items(mediaSchema).required(),
+    missing: Joi.array().items(Joi.string()).required(),
+  }).required(),
+  twitter: Joi.object({
+    card: Joi.string().allow(null).required(),
+    properties: stringMap.required(),
+    missing: Joi.array().items(Joi.string()).required(),
+  }).required(),
+}).required();
+
+registerAnalyzer({
+  name: "social",
+  schema: { social: socialSchema },
+  fallback: { social: emptySocial() },
+  analyze: ($, { finalUrl }) => ({ social: extractSocial($, finalUrl) }),
+});
+
+const structuredDataItemSchema = Joi.object({
+  format: Joi.string().valid("json-ld", "microdata", "rdfa").required(),
+  data: Joi.object().unknown(true).required(),
+  missing: Joi.array().items(Joi.string()).required(),
+});
+
+registerAnalyzer({
+  name: "structured_data",
+  schema: {
+    structured_data: Joi.object({
+      count: Joi.number().integer().min(0).required(),
+      truncated: Joi.boolean().required(),
+      types: Joi.object()
+        .pattern(Joi.string(), Joi.array().items(structuredDataItemSchema))
+        .required(),
+      errors: Joi.array()
+        .items(
+          Joi.object({
+            format: Joi.string()
+              .valid("json-ld", "microdata", "rdfa")
+              .required(),
+            message: Joi.string().required(),
+          })
+        )
+        .required(),
+    }).required(),
+  },
+  fallback: { structured_data: emptyStructuredData() },
+  analyze: ($) => ({ structured_data: extractStructuredData($) }),
+});
+
 module.exports = {
   parseHtml,
   extractHtmlVersion,
   extractTitle,
   countHeadings,
-  countLinks,
+  extractLinks,
+  extractSeo,
+  extractSocial,
+  extractStructuredData,
   hasLoginForm,
   validateResults,
+  registerAnalyzer,
+  getAnalyzerNames,
+  getUnknownAnalyzers,
+  SEO_FINDINGS,
 };
@@ -1,15 +1,127 @@
 const storageService = require("../services/storage.service");
+const completionService = require("../services/completion.service");
+const {
+  publishJobEvent,
+  subscribeToJob,
+} = require("../services/events.service");
 const { fetchUrlWithRetry } = require("./fetcher");
 const { parseHtml, validateResults } = require("./parser");
+const { checkLinks } = require("./linkChecker");
 const logger = require("../utils/logger");
-const { JOB_STATUS } = require("../utils/constants");
+const { JOB_STATUS, ERROR_TYPES } = require("../utils/constants");
 
-async function processJob(job_id, url) {
+/**
+ * Move a PROCESSING job to a terminal state
+ *
+ * A job cancelled mid-flight is no longer PROCESSING, so it is never
+ * overwritten with COMPLETED or FAILED.
+ *
+ * @param {string} job_id - Job ID
+ * @param {object} updateData - Terminal status and outcome fields
+ * @returns {Promise<object|null>} Updated job, or null if it was not PROCESSING
+ */
+async function finishJob(job_id, updateData) {
+  const job = await completionService.finishJob(
+    job_id,
+    JOB_STATUS.PROCESSING,
+    updateData
+  );
+
+  if (!job) {
+    logger.info("Job no longer PROCESSING, result discarded", {
+      job_id,
+      status: updateData.status,
+    });
+  }
+  return job;
+}
+
+/**
+ * Abort the job's in-flight work when it is cancelled from the API
+ * @param {string} job_id - Job ID
+ * @param {AbortController} abortController - Controller to abort
+ * @returns {Promise<function>} Stops listening
+ */
+async function listenForCancellation(job_id, abortController) {
+  try {
+    return await subscribeToJob(job_id, (event) => {
+      if (event.type === "status" && event.status === JOB_STATUS.CANCELLED) {
+        logger.info("Cancellation received, aborting job", { job_id });
+        abortController.abort();
+      }
+    });
+  } catch (error) {
+    // The status check between stages still catches cancellation
+    logger.warn("Failed to listen for cancellation", {
+      job_id,
+      error: error.message,
+    });
+    return async () => {};
+  }
+}
+
+async function isCancelled(job_id, signal) {
+  if (signal.aborted) {
+    return true;
+  }
+
+  const job = await storageService.getJob(job_id);
+  return Boolean(job && job.status === JOB_STATUS.CANCELLED);
+}
+
+function cancelledResult(job_id) {
+  logger.info("Job cancelled, stopping processing", { job_id });
+  return {
+    success: false,
+    cancelled: true,
+    reason: "Job was cancelled",
+  };
+}
+
+/**
+ * Publish stage progress for live listeners and forward it to the caller
+ * @param {string} job_id - Job ID
+ * @param {string} stage - Stage name (fetching, parsing, checking_links,
+ *   saving)
+ * @param {number} progress - Percentage complete
+ * @param {function} [onProgress] - Optional progress callback
+ */
+async function reportProgress(job_id, stage, progress, onProgress) {
+  await publishJobEvent(job_id, "progress", { stage, progress });
+
+  if (onProgress) {
+    try {
+      await onProgress(progress, stage);
+    } catch (error) {
+      logger.warn("Progress callback failed", {
+        job_id,
+        stage,
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Process a single analysis job
+ * @param {string} job_id - Job ID
+ * @param {string} url - URL to analyse
+ * @param {object} [options] - Job options
+ * @param {string[]} [options.analyzers] - Analyzers to run (all when omitted)
+ * @param {boolean} [options.checkLinks] - Check every listed link after parsing
+ * @param {function} [options.onProgress] - Called with (progress, stage)
+ * @returns {Promise<object>} Processing result
+ */
+async function processJob(job_id, url, options = {}) {
+  const analyzers = options.analyzers || undefined;
   const startTime = Date.now();
+  const abortController = new AbortController();
+  let stopListening = null;
 
   try {
     const updated = await storageService.updateJobIfPending(job_id, {
       status: JOB_STATUS.PROCESSING,
+      started_at: new Date(startTime).toISOString(),
     });
 
     if (!updated) {
@@ -21,13 +133,28 @@ async function processJob(job_id, url) {
 
     logger.info("Job status updated to PROCESSING", { job_id });
 
+    stopListening = await listenForCancellation(job_id, abortController);
+
     // 2. Fetch HTML content
-    let html, statusCode, headers;
+    await reportProgress(job_id, "fetching", 10, options.onProgress);
+
+    let html, statusCode, headers, finalUrl;
     try {
-      const fetchResult = await fetchUrlWithRetry(url, 3);
+      const fetchResult = await fetchUrlWithRetry(url, 3, {
+        signal: abortController.signal,
+        onRetry: ({ attempt, maxRetries, delay, error }) =>
+          publishJobEvent(job_id, "retry", {
+            stage: "fetching",
+            attempt,
+            max_attempts: maxRetries,
+            delay,
+            error: error.message,
+          }),
+      });
       html = fetchResult.html;
       statusCode = fetchResult.statusCode;
       headers = fetchResult.headers;
+      finalUrl = fetchResult.finalUrl;
 
       logger.info("URL fetched successfully", {
         job_id,
@@ -35,6 +162,10 @@ async function processJob(job_id, url) {
         statusCode,
       });
     } catch (fetchError) {
+      if (fetchError.type === ERROR_TYPES.CANCELLED_ERROR) {
+        return cancelledResult(job_id);
+      }
+
       logger.error("Failed to fetch URL", {
         job_id,
         url,
@@ -49,7 +180,7 @@ async function processJob(job_id, url) {
         throw fetchError;
       } else {
         // Non-retryable error - mark as failed
-        await storageService.updateJob(job_id, {
+        await finishJob(job_id, {
           status: JOB_STATUS.FAILED,
           error: fetchError.message,
           error_type: fetchError.type,
@@ -68,13 +199,19 @@ async function processJob(job_id, url) {
       }
     }
 
+    if (await isCancelled(job_id, abortController.signal)) {
+      return cancelledResult(job_id);
+    }
+
     // 3. Parse HTML
+    await reportProgress(job_id, "parsing", 50, options.onProgress);
+
     let results;
     try {
-      results = parseHtml(html, url);
+      results = parseHtml(html, url, analyzers, finalUrl);
 
       // Validate results structure
-      if (!validateResults(results)) {
+      if (!validateResults(results, analyzers)) {
         throw new Error("Invalid parsing results structure");
       }
 
@@ -85,7 +222,7 @@ async function processJob(job_id, url) {
       });
     } catch (parseError) {
       // Parsing errors are non-retryable
-      await storageService.updateJob(job_id, {
+      await finishJob(job_id, {
         status: JOB_STATUS.FAILED,
         error: `Failed to parse HTML: ${parseError.message}`,
         error_type: "PARSE_ERROR",
@@ -103,16 +240,44 @@ async function processJob(job_id, url) {
       };
     }
 
+    if (await isCancelled(job_id, abortController.signal)) {
+      return cancelledResult(job_id);
+    }
+
+    // Broken links don't fail the job, they are reported per link
+    if (options.checkLinks && results.links) {
+      await reportProgress(job_id, "checking_links", 60, options.onProgress);
+
+      const { items, summary } = await checkLinks(results.links.items, {
+        signal: abortController.signal,
+      });
+      results = {
+        ...results,
+        links: { ...results.links, items },
+        link_check: summary,
+      };
+
+      if (await isCancelled(job_id, abortController.signal)) {
+        return cancelledResult(job_id);
+      }
+    }
+
     // 4. Save results to Redis
+    await reportProgress(job_id, "saving", 80, options.onProgress);
+
     try {
       const processingTime = Date.now() - startTime;
 
-      await storageService.updateJob(job_id, {
+      const finished = await finishJob(job_id, {
         status: JOB_STATUS.COMPLETED,
         results,
         http_status_code: statusCode,
       });
 
+      if (!finished) {
+        return cancelledResult(job_id);
+      }
+
       logger.info("Job completed successfully", {
         job_id,
         url,
@@ -134,6 +299,10 @@ async function processJob(job_id, url) {
       throw storageError;
     }
   } catch (error) {
+    if (abortController.signal.aborted) {
+      return cancelledResult(job_id);
+    }
+
     logger.error("Job processing failed with unexpected error", {
       job_id,
       url,
@@ -143,7 +312,7 @@ async function processJob(job_id, url) {
 
     // Try to update job status to failed
     try {
-      await storageService.updateJob(job_id, {
+      await finishJob(job_id, {
         status: JOB_STATUS.FAILED,
         error: error.message || "Unknown processing error",
         error_type: error.type || "UNKNOWN_ERROR",
@@ -157,6 +326,10 @@ async function processJob(job_id, url) {
 
     // Rethrow to let Bull handle
     throw error;
+  } finally {
+    if (stopListening) {
+      await stopListening();
+    }
   }
 }
 
@@ -175,7 +348,9 @@ async function batchProcessJobs(jobs) {
 
   for (const job of jobs) {
     try {
-      const result = await processJob(job.job_id, job.url);
+      const result = await processJob(job.job_id, job.url, {
+        analyzers: job.analyzers,
+      });
       if (result.success) {
         results.successful++;
       } else {
@@ -0,0 +1,154 @@
+const scheduleService = require("../services/schedule.service");
+const storageService = require("../services/storage.service");
+const queueService = require("../services/queue.service");
+const apiKeyService = require("../services/apiKey.service");
+const { generateNumericJobId } = require("../utils/jobIdGenerator");
+const logger = require("../utils/logger");
+const { jobsCreatedTotal } = require("../utils/metrics");
+const { JOB_STATUS, SCHEDULE_STATUS } = require("../utils/constants");
+
+const IN_FLIGHT_STATUSES = [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING];
+
+/**
+ * Why a schedule should not start a run now
+ * @param {object} schedule - Schedule record
+ * @returns {Promise<string|null>} Skip reason, null if the run may start
+ */
+async function getSkipReason(schedule) {
+  // Runs of one schedule never overlap, a slow site just misses a beat
+  if (schedule.last_job_id) {
+    const previous = await storageService.getJob(schedule.last_job_id);
+    if (previous && IN_FLIGHT_STATUSES.includes(previous.status)) {
+      return "previous_run_in_progress";
+    }
+  }
+
+  if (!schedule.api_key_id) {
+    return null;
+  }
+
+  // The key is checked on every run as it is on every API request
+  const apiKey = await apiKeyService.getApiKey(schedule.api_key_id);
+  if (!apiKey || apiKey.revoked_at) {
+    return "api_key_revoked";
+  }
+
+  if (!apiKeyService.isDomainAllowed(apiKey, schedule.url)) {
+    return "domain_not_allowed";
+  }
+
+  const quota = await apiKeyService.consumeQuota(apiKey);
+  if (!quota.allowed) {
+    return "quota_exceeded";
+  }
+
+  return null;
+}
+
+/**
+ * Give back the quota getSkipReason() spent for a run that did not start
+ * @param {object} schedule - Schedule record
+ */
+async function refundQuota(schedule) {
+  if (!schedule.api_key_id) {
+    return;
+  }
+
+  try {
+    const apiKey = await apiKeyService.getApiKey(schedule.api_key_id);
+    if (apiKey) {
+      await apiKeyService.refundQuota(apiKey);
+    }
+  } catch (error) {
+    logger.error("Failed to refund API key quota", {
+      schedule_id: schedule.schedule_id,
+      key_id: schedule.api_key_id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Store and queue the job of a scheduled run
+ * @param {object} schedule - Schedule record
+ * @param {string} job_id - ID of the new job
+ */
+async function startJob(schedule, job_id) {
+  const { schedule_id, url, analyzers } = schedule;
+
+  await storageService.createJob({
+    job_id,
+    url,
+    status: JOB_STATUS.PENDING,
+    analyzers,
+    schedule_id,
+    ...(schedule.api_key_id && { api_key_id: schedule.api_key_id }),
+  });
+  jobsCreatedTotal.inc();
+
+  try {
+    await queueService.enqueue({ job_id, url, analyzers });
+  } catch (queueError) {
+    await storageService
+      .updateJob(job_id, {
+        status: JOB_STATUS.FAILED,
+        error: "Failed to queue job",
+      })
+      .catch((updateError) =>
+        logger.error("Failed to update job status after queue error", {
+          job_id,
+          error: updateError.message,
+        })
+      );
+    throw queueError;
+  }
+}
+
+/**
+ * Bull processor for schedule triggers: start one analysis job
+ * @param {object} bullJob - Repeatable Bull job with { schedule_id }
+ * @returns {Promise<object>} { job_id } of the new job, or { skipped }
+ */
+async function runSchedule(bullJob) {
+  const { schedule_id } = bullJob.data;
+  const schedule = await scheduleService.getSchedule(schedule_id);
+
+  // Left over from a schedule deleted or paused while its repeatable job
+  // could not be removed
+  if (!schedule || schedule.status !== SCHEDULE_STATUS.ACTIVE) {
+    logger.warn("Dropping trigger of inactive schedule", { schedule_id });
+    if (bullJob.opts.repeat && bullJob.opts.repeat.key) {
+      await scheduleService.removeRepeatByKey(bullJob.opts.repeat.key);
+    }
+    return { skipped: "schedule_inactive" };
+  }
+
+  const reason = await getSkipReason(schedule);
+  if (reason) {
+    logger.info("Scheduled run skipped", { schedule_id, reason });
+    await scheduleService.recordSkip(schedule_id, reason);
+    return { skipped: reason };
+  }
+
+  const job_id = generateNumericJobId();
+  try {
+    await startJob(schedule, job_id);
+  } catch (error) {
+    // Nothing runs, so the run must not use up the owner's quota
+    await refundQuota(schedule);
+    throw error;
+  }
+
+  await scheduleService.recordRun(schedule_id, job_id);
+
+  logger.info("Scheduled run started", {
+    schedule_id,
+    job_id,
+    url: schedule.url,
+  });
+  return { job_id };
+}
+
+module.exports = {
+  runSchedule,
+};
@@ -3,7 +3,23 @@ const {
   closeRedisClient,
 } = require("../config/redis.config");
 const { getQueue, closeQueue } = require("../services/queue.service");
+const {
+  getWebhookQueue,
+  closeWebhookQueue,
+  deliverWebhook,
+} = require("../services/webhook.service");
+const {
+  getScheduleQueue,
+  closeScheduleQueue,
+} = require("../services/schedule.service");
 const { processJob } = require("./processor");
+const { runSchedule } = require("./scheduler");
+const { startMetricsServer, stopMetricsServer } = require("./metricsServer");
+const {
+  startHeartbeat,
+  stopHeartbeat,
+} = require("../services/heartbeat.service");
+const { publishJobEvent, closeEvents } = require("../services/events.service");
 const config = require("../config/app.config");
 const logger = require("../utils/logger");
 
@@ -17,43 +33,21 @@ async function initializeWorker() {
     logger.info("Queue initialized successfully");
 
     // Set up job processor
-    queue.process(config.worker.concurrency, async (job) => {
-      const { job_id, url } = job.data;
-
-      logger.info("Processing job from queue", {
-        bullJobId: job.id,
-        job_id,
-        url,
-      });
-
-      try {
-        // Process the job
-        const result = await processJob(job_id, url);
-
-        // Update job progress
-        await job.progress(100);
-
-        logger.info("Job processing completed", {
-          bullJobId: job.id,
-          job_id,
-          success: result.success,
-        });
-
-        return result;
-      } catch (error) {
-        logger.error("Job processing threw error", {
-          bullJobId: job.id,
-          job_id,
-          url,
-          error: error.message,
-          attempt: job.attemptsMade + 1,
-          stack: error.stack,
-        });
-
-        // Let Bull handle retries
-        throw error;
-      }
-    });
+    queue.process(config.worker.concurrency, (job) =>
+      // Every log line of this job, down to the fetcher and parser, carries
+      // the ID of the API request that queued it
+      logger.withContext({ requestId: job.data.request_id }, () =>
+        handleJob(job)
+      )
+    );
+
+    // Webhook callbacks are delivered from their own queue so slow or
+    // failing receivers never hold up analysis jobs
+    const webhookQueue = getWebhookQueue();
+    webhookQueue.process(config.webhooks.concurrency, deliverWebhook);
+
+    // Schedule triggers only create jobs, the analysis itself runs above
+    getScheduleQueue().process(runSchedule);
 
     logger.info("Worker started successfully", {
       concurrency: config.worker.concurrency,
@@ -63,6 +57,13 @@ async function initializeWorker() {
     // Set up event handlers
     setupEventHandlers(queue);
 
+    // API readiness fails while no worker has sent a heartbeat recently
+    await startHeartbeat({ concurrency: config.worker.concurrency });
+
+    if (config.metrics.enabled) {
+      await startMetricsServer();
+    }
+
     return queue;
   } catch (error) {
     logger.error("Failed to initialize worker", {
@@ -73,6 +74,54 @@ async function initializeWorker() {
   }
 }
 
+/**
+ * Bull processor for analysis jobs
+ * @param {object} job - Bull job with { job_id, url, analyzers, check_links,
+ *   request_id }
+ * @returns {Promise<object>} Processing result
+ */
+async function handleJob(job) {
+  const { job_id, url, analyzers, check_links } = job.data;
+
+  logger.info("Processing job from queue", {
+    bullJobId: job.id,
+    job_id,
+    url,
+  });
+
+  try {
+    // Process the job
+    const result = await processJob(job_id, url, {
+      analyzers,
+      checkLinks: check_links,
+      onProgress: (progress) => job.progress(progress),
+    });
+
+    // Update job progress
+    await job.progress(100);
+
+    logger.info("Job processing completed", {
+      bullJobId: job.id,
+      job_id,
+      success: result.success,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error("Job processing threw error", {
+      bullJobId: job.id,
+      job_id,
+      url,
+      error: error.message,
+      attempt: job.attemptsMade + 1,
+      stack: error.stack,
+    });
+
+    // Let Bull handle retries
+    throw error;
+  }
+}
+
 /**
  * Set up queue event handlers
  * @param {Queue} queue - Bull queue instance
@@ -83,6 +132,7 @@ function setupEventHandlers(queue) {
     logger.info("Job completed successfully", {
       bullJobId: job.id,
       job_id: job.data.job_id,
+      requestId: job.data.request_id,
       processingTime: Date.now() - job.timestamp,
       success: result.success,
     });
@@ -95,6 +145,7 @@ function setupEventHandlers(queue) {
     logger.error("Job failed", {
       bullJobId: job.id,
       job_id: job.data.job_id,
+      requestId: job.data.request_id,
       url: job.data.url,
       attemptsMade: job.attemptsMade,
       maxAttempts: job.opts.attempts,
@@ -106,8 +157,16 @@ function setupEventHandlers(queue) {
       logger.error("Job permanently failed after all retries", {
         bullJobId: job.id,
         job_id: job.data.job_id,
+        requestId: job.data.request_id,
         url: job.data.url,
       });
+    } else {
+      await publishJobEvent(job.data.job_id, "retry", {
+        stage: "job",
+        attempt: job.attemptsMade + 1,
+        max_attempts: job.opts.attempts,
+        error: error.message,
+      });
     }
   });
 
@@ -116,6 +175,7 @@ function setupEventHandlers(queue) {
     logger.warn("Job stalled (worker crashed or timed out)", {
       bullJobId: job.id,
       job_id: job.data.job_id,
+      requestId: job.data.request_id,
       url: job.data.url,
       attemptsMade: job.attemptsMade,
     });
@@ -166,6 +226,8 @@ async function shutdown(signal) {
     await queue.pause(true, true); // Local pause, don't wait for active jobs
     logger.info("Queue paused, no new jobs will be accepted");
 
+    await stopHeartbeat();
+
     // Wait for active jobs to complete (with timeout)
     const waitForJobs = async () => {
       const activeCount = await queue.getActiveCount();
@@ -181,10 +243,17 @@ async function shutdown(signal) {
       new Promise((resolve) => setTimeout(resolve, 25000)), // 25 second timeout
     ]);
 
-    // Close queue
+    // Close queues
     await closeQueue();
+    await closeWebhookQueue();
+    await closeScheduleQueue();
     logger.info("Queue closed successfully");
 
+    await stopMetricsServer();
+
+    // Cancellation listeners of the jobs that ran
+    await closeEvents();
+
     // Close Redis
     await closeRedisClient();
     logger.info("Redis connection closed");
@@ -0,0 +1,303 @@
+/**
+ * In-memory stand-in for the ioredis client used by the service tests
+ *
+ * Covers the string, set, sorted set and hash commands the services send,
+ * directly or queued on multi() / pipeline(). Every direct command is a
+ * jest.fn, so a test can assert on it or make it fail once. Lua scripts
+ * are service specific: a test that needs `eval` assigns its own.
+ *
+ * Sorted sets keep real scores for the score range commands. The lex range
+ * commands order members by value, as Redis does for the equal scores the
+ * services use with them.
+ */
+
+function parseScoreBound(value) {
+  const text = String(value);
+  const exclusive = text.startsWith("(");
+  const raw = exclusive ? text.slice(1) : text;
+  const number =
+    raw === "-inf" ? -Infinity : raw === "+inf" ? Infinity : Number(raw);
+
+  return { number, exclusive };
+}
+
+function isAboveMin(score, min) {
+  const bound = parseScoreBound(min);
+  return bound.exclusive ? score > bound.number : score >= bound.number;
+}
+
+function isBelowMax(score, max) {
+  const bound = parseScoreBound(max);
+  return bound.exclusive ? score < bound.number : score <= bound.number;
+}
+
+function isAboveLexMin(member, min) {
+  if (min === "-") {
+    return true;
+  }
+  return min[0] === "[" ? member >= min.slice(1) : member > min.slice(1);
+}
+
+function isBelowLexMax(member, max) {
+  if (max === "+") {
+    return true;
+  }
+  return max[0] === "[" ? member <= max.slice(1) : member < max.slice(1);
+}
+
+// Trailing "LIMIT offset count" of a range command
+function applyLimit(members, options) {
+  const index = options.findIndex(
+    (option) => String(option).toUpperCase() === "LIMIT"
+  );
+  if (index === -1) {
+    return members;
+  }
+
+  const offset = Number(options[index + 1]);
+  const count = Number(options[index + 2]);
+  return members.slice(offset, count < 0 ? undefined : offset + count);
+}
+
+// WITHSCORES replies alternate members and scores
+function formatScored(members, options) {
+  const limited = applyLimit(members, options);
+  const withScores = options.some(
+    (option) => String(option).toUpperCase() === "WITHSCORES"
+  );
+
+  return withScores
+    ? limited.flatMap(([member, score]) => [member, String(score)])
+    : limited.map(([member]) => member);
+}
+
+function createFakeRedis() {
+  const strings = new Map();
+  const ttls = new Map();
+  const sets = new Map();
+  const zsets = new Map();
+  const hashes = new Map();
+
+  // Get a set, sorted set or hash, creating it empty
+  const set = (key) => {
+    if (!sets.has(key)) {
+      sets.set(key, new Set());
+    }
+    return sets.get(key);
+  };
+  const zset = (key) => {
+    if (!zsets.has(key)) {
+      zsets.set(key, new Map());
+    }
+    return zsets.get(key);
+  };
+  const hash = (key) => {
+    if (!hashes.has(key)) {
+      hashes.set(key, new Map());
+    }
+    return hashes.get(key);
+  };
+
+  const exists = (key) =>
+    strings.has(key) || sets.has(key) || zsets.has(key) || hashes.has(key);
+
+  // Members by score, then by value
+  const byScore = (key) =>
+    [...zset(key)].sort(
+      ([a, scoreA], [b, scoreB]) =>
+        scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0)
+    );
+  const byValue = (key) => [...zset(key).keys()].sort();
+
+  const commands = {
+    ping: () => "PONG",
+
+    get: (key) => (strings.has(key) ? strings.get(key) : null),
+    mget: (...keys) => keys.map((key) => commands.get(key)),
+    set: (key, value, ...options) => {
+      const flags = options.map((option) => String(option).toUpperCase());
+      if (flags.includes("NX") && strings.has(key)) {
+        return null;
+      }
+      if (flags.includes("XX") && !strings.has(key)) {
+        return null;
+      }
+
+      strings.set(key, String(value));
+      ttls.delete(key);
+      const ex = flags.indexOf("EX");
+      if (ex !== -1) {
+        ttls.set(key, Number(options[ex + 1]));
+      }
+      return "OK";
+    },
+    setex: (key, seconds, value) => {
+      strings.set(key, String(value));
+      ttls.set(key, Number(seconds));
+      return "OK";
+    },
+    incrby: (key, count) => {
+      const value = parseInt(strings.get(key) || "0", 10) + Number(count);
+      strings.set(key, String(value));
+      return value;
+    },
+    decrby: (key, count) => commands.incrby(key, -count),
+    exists: (...keys) => keys.filter(exists).length,
+    expire: (key, seconds) => {
+      if (!exists(key)) {
+        return 0;
+      }
+      ttls.set(key, Number(seconds));
+      return 1;
+    },
+    del: (...keys) =>
+      keys.filter((key) => {
+        const found = exists(key);
+        [strings, ttls, sets, zsets, hashes].forEach((store) =>
+          store.delete(key)
+        );
+        return found;
+      }).length,
+
+    sadd: (key, ...members) =>
+      members.filter((member) => {
+        const added = !set(key).has(member);
+        set(key).add(member);
+        return added;
+      }).length,
+    srem: (key, ...members) =>
+      members.filter((member) => set(key).delete(member)).length,
+    smembers: (key) => [...(sets.get(key) || [])],
+
+    zadd: (key, ...pairs) => {
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!zset(key).has(pairs[i + 1])) {
+          added++;
+        }
+        zset(key).set(pairs[i + 1], Number(pairs[i]));
+      }
+      return added;
+    },
+    zrem: (key, ...members) =>
+      members.filter((member) => zset(key).delete(member)).length,
+    zscore: (key, member) =>
+      zset(key).has(member) ? String(zset(key).get(member)) : null,
+    zcard: (key) => zset(key).size,
+    zrangebyscore: (key, min, max, ...options) => {
+      const members = byScore(key).filter(
+        ([, score]) => isAboveMin(score, min) && isBelowMax(score, max)
+      );
+      return formatScored(members, options);
+    },
+    zrevrangebyscore: (key, max, min, ...options) => {
+      const members = byScore(key)
+        .reverse()
+        .filter(
+          ([, score]) => isAboveMin(score, min) && isBelowMax(score, max)
+        );
+      return formatScored(members, options);
+    },
+    zrangebylex: (key, min, max, ...options) =>
+      applyLimit(
+        byValue(key).filter(
+          (member) => isAboveLexMin(member, min) && isBelowLexMax(member, max)
+        ),
+        options
+      ),
+    zrevrangebylex: (key, max, min, ...options) =>
+      applyLimit(
+        byValue(key)
+          .reverse()
+          .filter(
+            (member) => isAboveLexMin(member, min) && isBelowLexMax(member, max)
+          ),
+        options
+      ),
+    zremrangebylex: (key, min, max) =>
+      commands.zrem(key, ...commands.zrangebylex(key, min, max)),
+    zremrangebyrank: (key, start, stop) => {
+      const members = byScore(key).map(([member]) => member);
+      const end = stop < 0 ? members.length + stop + 1 : stop + 1;
+      const from = start < 0 ? members.length + start : start;
+      return commands.zrem(key, ...members.slice(from, end));
+    },
+
+    hset: (key, ...args) => {
+      // hset(key, { field: value }) or hset(key, field, value, ...)
+      let entries = [];
+      if (args.length === 1 && typeof args[0] === "object") {
+        entries = Object.entries(args[0]);
+      } else {
+        for (let i = 0; i < args.length; i += 2) {
+          entries.push([args[i], args[i + 1]]);
+        }
+      }
+
+      let added = 0;
+      for (const [field, value] of entries) {
+        if (!hash(key).has(field)) {
+          added++;
+        }
+        hash(key).set(field, String(value));
+      }
+      return added;
+    },
+    hget: (key, field) =>
+      hashes.has(key) && hash(key).has(field) ? hash(key).get(field) : null,
+    hmget: (key, ...fields) => fields.map((field) => commands.hget(key, field)),
+    hgetall: (key) => Object.fromEntries(hashes.get(key) || []),
+    hdel: (key, ...fields) =>
+      fields.filter((field) => hashes.has(key) && hash(key).delete(field))
+        .length,
+    hincrby: (key, field, increment) => {
+      const value =
+        parseInt(commands.hget(key, field) || "0", 10) + Number(increment);
+      hash(key).set(field, String(value));
+      return value;
+    },
+  };
+
+  // multi() and pipeline() queue the same commands and run them on exec()
+  const batch = () => {
+    const queued = [];
+    const chain = {
+      exec: async () =>
+        queued.map((run) => {
+          try {
+            return [null, run()];
+          } catch (error) {
+            return [error, null];
+          }
+        }),
+    };
+    for (const [name, command] of Object.entries(commands)) {
+      chain[name] = (...args) => {
+        queued.push(() => command(...args));
+        return chain;
+      };
+    }
+    return chain;
+  };
+
+  const redis = {
+    strings,
+    ttls,
+    sets,
+    zsets,
+    hashes,
+    zset,
+    hash,
+    multi: jest.fn(batch),
+    pipeline: jest.fn(batch),
+  };
+  for (const [name, command] of Object.entries(commands)) {
+    redis[name] = jest.fn(async (...args) => command(...args));
+  }
+
+  return redis;
+}
+
+module.exports = {
+  createFakeRedis,
+};
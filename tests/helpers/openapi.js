@@ -0,0 +1,69 @@
+const Ajv2020 = require("ajv/dist/2020");
+const { getOpenApiSpec } = require("../../src/api/docs/openapi");
+
+const SPEC_ID = "openapi.json";
+
+let ajv = null;
+
+function getAjv() {
+  if (!ajv) {
+    // Non-schema OpenAPI keywords (paths, info, ...) are ignored
+    ajv = new Ajv2020({ strict: false, allErrors: true });
+    ajv.addFormat("date-time", (value) => !Number.isNaN(Date.parse(value)));
+    ajv.addSchema(getOpenApiSpec(), SPEC_ID);
+  }
+  return ajv;
+}
+
+function escapePointer(segment) {
+  return encodeURIComponent(
+    String(segment).replace(/~/g, "~0").replace(/\//g, "~1")
+  );
+}
+
+/**
+ * Validate a response body against the documented response schema
+ * @param {string} method - HTTP method, lower case
+ * @param {string} path - Path as written in the spec, e.g. /api/results/{job_id}
+ * @param {number} status - Response status code
+ * @param {*} body - Response body
+ * @returns {string[]} Validation errors, empty when the body matches
+ */
+function validateResponse(method, path, status, body) {
+  const spec = getOpenApiSpec();
+  const operation = spec.paths[path] && spec.paths[path][method];
+  if (!operation || !operation.responses[status]) {
+    return [`${method.toUpperCase()} ${path} does not document ${status}`];
+  }
+
+  const pointer = ["paths", path, method, "responses", status, "content"]
+    .concat(["application/json", "schema"])
+    .map(escapePointer)
+    .join("/");
+  const validate = getAjv().getSchema(`${SPEC_ID}#/${pointer}`);
+
+  if (validate(body)) {
+    return [];
+  }
+  return validate.errors.map(
+    (error) => `${error.instancePath || "/"} ${error.message}`
+  );
+}
+
+/**
+ * Assert that a mocked Express response matches the spec
+ * @param {object} res - Response mock with jest.fn() status and json
+ * @param {string} method - HTTP method, lower case
+ * @param {string} path - Path as written in the spec
+ */
+function expectResponseToMatchSpec(res, method, path) {
+  const [status] = res.status.mock.calls[res.status.mock.calls.length - 1];
+  const [body] = res.json.mock.calls[res.json.mock.calls.length - 1];
+
+  expect(validateResponse(method, path, status, body)).toEqual([]);
+}
+
+module.exports = {
+  validateResponse,
+  expectResponseToMatchSpec,
+};
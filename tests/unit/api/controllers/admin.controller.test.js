@@ -0,0 +1,148 @@
+const {
+  getCleanupStats,
+  createKey,
+  listKeys,
+  revokeKey,
+} = require("../../../../src/api/controllers/admin.controller");
+const { requireAdmin } = require("../../../../src/api/middleware/adminAuth");
+const cleanupService = require("../../../../src/services/cleanup.service");
+const apiKeyService = require("../../../../src/services/apiKey.service");
+const config = require("../../../../src/config/app.config");
+const { HTTP_STATUS } = require("../../../../src/utils/constants");
+
+jest.mock("../../../../src/services/cleanup.service");
+jest.mock("../../../../src/services/apiKey.service");
+jest.mock("../../../../src/utils/logger");
+
+describe("Admin API", () => {
+  let req, res, next;
+  const originalToken = config.admin.token;
+
+  beforeEach(() => {
+    config.admin.token = "secret-token";
+    req = { headers: {}, id: "test-request-id" };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  afterAll(() => {
+    config.admin.token = originalToken;
+  });
+
+  describe("requireAdmin", () => {
+    test("should accept the admin bearer token", () => {
+      req.headers.authorization = "Bearer secret-token";
+
+      requireAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test("should reject a missing or wrong token", () => {
+      req.headers.authorization = "Bearer wrong";
+
+      requireAdmin(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED);
+    });
+
+    test("should disable the admin API without ADMIN_TOKEN", () => {
+      config.admin.token = "";
+      req.headers.authorization = "Bearer ";
+
+      requireAdmin(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN);
+    });
+  });
+
+  test("getCleanupStats should return the cleanup service stats", async () => {
+    cleanupService.getStats.mockResolvedValue({
+      totalRunsCompleted: 3,
+      isLeader: true,
+    });
+
+    await getCleanupStats(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    expect(res.json).toHaveBeenCalledWith({
+      totalRunsCompleted: 3,
+      isLeader: true,
+    });
+  });
+
+  describe("API keys", () => {
+    test("createKey should return the new key with 201", async () => {
+      req.body = {
+        name: "ci",
+        daily_quota: 50,
+        allowed_domains: ["example.com"],
+      };
+      apiKeyService.createApiKey.mockResolvedValue({
+        key_id: "aaaaaaaaaaaaaaaa",
+        key: "wpa_aaaaaaaaaaaaaaaa_secret",
+      });
+
+      await createKey(req, res, next);
+
+      expect(apiKeyService.createApiKey).toHaveBeenCalledWith({
+        name: "ci",
+        daily_quota: 50,
+        monthly_quota: undefined,
+        allowed_domains: ["example.com"],
+      });
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+    });
+
+    test.each([
+      [{}],
+      [{ name: "ci", daily_quota: 0 }],
+      [{ name: "ci", monthly_quota: "10" }],
+      [{ name: "ci", allowed_domains: "example.com" }],
+      [{ name: "ci", allowed_domains: ["https://example.com"] }],
+    ])("createKey should reject %j", async (body) => {
+      req.body = body;
+
+      await createKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(apiKeyService.createApiKey).not.toHaveBeenCalled();
+    });
+
+    test("listKeys should return every key", async () => {
+      apiKeyService.listApiKeys.mockResolvedValue([{ key_id: "a" }]);
+
+      await listKeys(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        keys: [{ key_id: "a" }],
+        count: 1,
+      });
+    });
+
+    test("revokeKey should return 404 for unknown keys", async () => {
+      req.params = { key_id: "aaaaaaaaaaaaaaaa" };
+      apiKeyService.revokeApiKey.mockResolvedValue(null);
+
+      await revokeKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    });
+
+    test("revokeKey should return the revoked key", async () => {
+      req.params = { key_id: "aaaaaaaaaaaaaaaa" };
+      apiKeyService.revokeApiKey.mockResolvedValue({
+        key_id: "aaaaaaaaaaaaaaaa",
+        revoked_at: "2024-01-01T00:00:00.000Z",
+      });
+
+      await revokeKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    });
+  });
+});
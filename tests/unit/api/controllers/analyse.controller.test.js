@@ -4,11 +4,17 @@ const {
 } = require("../../../../src/api/controllers/analyse.controller");
 const storageService = require("../../../../src/services/storage.service");
 const queueService = require("../../../../src/services/queue.service");
+const apiKeyService = require("../../../../src/services/apiKey.service");
+const idempotencyService = require("../../../../src/services/idempotency.service");
 const { HTTP_STATUS, JOB_STATUS } = require("../../../../src/utils/constants");
 const jobIdGenerator = require("../../../../src/utils/jobIdGenerator");
+const config = require("../../../../src/config/app.config");
+const { expectResponseToMatchSpec } = require("../../../helpers/openapi");
 
 jest.mock("../../../../src/services/storage.service");
 jest.mock("../../../../src/services/queue.service");
+jest.mock("../../../../src/services/apiKey.service");
+jest.mock("../../../../src/services/idempotency.service");
 jest.mock("../../../../src/utils/logger");
 jest.mock("../../../../src/utils/jobIdGenerator");
 
@@ -20,7 +26,9 @@ describe("analyseUrl Controller", () => {
     jobIdGenerator.generateNumericJobId.mockReturnValue("1234567890123456789");
     req = {
       body: {},
+      headers: {},
       id: "test-request-id",
+      ip: "203.0.113.7",
     };
     res = {
       status: jest.fn().mockReturnThis(),
@@ -100,6 +108,38 @@ describe("analyseUrl Controller", () => {
       );
     });
 
+    test("should give check_links jobs time for the link check stage", async () => {
+      req.body.url = "https://example.com";
+      req.body.check_links = true;
+
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+
+      await analyseUrl(req, res, next);
+
+      const { timeout } = queueService.enqueue.mock.calls[0][1];
+      expect(timeout).toBeGreaterThan(
+        config.fetcher.timeout + config.linkCheck.totalBudgetMs
+      );
+    });
+
+    test("should store and enqueue check_links when requested", async () => {
+      req.body.url = "https://example.com";
+      req.body.check_links = true;
+
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+
+      await analyseUrl(req, res, next);
+
+      expect(storageService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ check_links: true })
+      );
+      expect(queueService.enqueue.mock.calls[0][0]).toEqual(
+        expect.objectContaining({ check_links: true })
+      );
+    });
+
     test("should not include HATEOAS links in response", async () => {
       req.body.url = "https://example.com";
 
@@ -114,6 +154,562 @@ describe("analyseUrl Controller", () => {
     });
   });
 
+  describe("Analyzer Selection", () => {
+    test("should store and enqueue the selected analyzers", async () => {
+      req.body.url = "https://example.com";
+      req.body.analyzers = ["links", "headings", "links"];
+
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+
+      await analyseUrl(req, res, next);
+
+      expect(storageService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ analyzers: ["links", "headings"] })
+      );
+      expect(queueService.enqueue).toHaveBeenCalledWith(
+        expect.objectContaining({ analyzers: ["links", "headings"] }),
+        expect.any(Object)
+      );
+    });
+
+    test("should pass the request ID to the job and the worker", async () => {
+      req.body.url = "https://example.com";
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+
+      await analyseUrl(req, res, next);
+
+      expect(storageService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ request_id: "test-request-id" })
+      );
+      expect(queueService.enqueue).toHaveBeenCalledWith(
+        expect.objectContaining({ request_id: "test-request-id" }),
+        expect.any(Object)
+      );
+    });
+
+    test("should default to all analyzers when none are selected", async () => {
+      req.body.url = "https://example.com";
+
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+
+      await analyseUrl(req, res, next);
+
+      expect(queueService.enqueue).toHaveBeenCalledWith(
+        expect.objectContaining({ analyzers: null }),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe("Webhook Callbacks", () => {
+    test("should store the callback_url on the job", async () => {
+      req.body.url = "https://example.com";
+      req.body.callback_url = "https://hooks.example.com/done";
+
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+      expect(storageService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({
+          callback_url: "https://hooks.example.com/done",
+        })
+      );
+    });
+
+    test("should reject callback URLs pointing to private networks", async () => {
+      req.body.url = "https://example.com";
+      req.body.callback_url = "http://169.254.169.254/latest";
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: "Invalid callback_url" })
+      );
+      expect(storageService.createJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Result Reuse", () => {
+    const completedJob = {
+      job_id: "1111111111111111111",
+      url: "https://example.com",
+      status: JOB_STATUS.COMPLETED,
+      analyzers: null,
+      finished_at: "2026-10-18T10:00:00.000Z",
+      results: { page_title: "Example Domain" },
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date("2026-10-18T10:10:00.000Z") });
+      req.body.url = "https://example.com";
+      req.body.max_age = 3600;
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+      storageService.findLatestJobForUrl.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    // The predicate the controller hands to the URL index lookup
+    async function getReuseFilter() {
+      await analyseUrl(req, res, next);
+      return storageService.findLatestJobForUrl.mock.calls[0][1];
+    }
+
+    test("should not look for earlier jobs without max_age", async () => {
+      delete req.body.max_age;
+
+      await analyseUrl(req, res, next);
+
+      expect(storageService.findLatestJobForUrl).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+    });
+
+    test("should not reuse jobs for submissions with a callback_url", async () => {
+      req.body.callback_url = "https://hooks.example.com/done";
+
+      await analyseUrl(req, res, next);
+
+      expect(storageService.findLatestJobForUrl).not.toHaveBeenCalled();
+      expect(storageService.createJob).toHaveBeenCalled();
+    });
+
+    test("should return a completed job within max_age", async () => {
+      storageService.findLatestJobForUrl.mockResolvedValue(completedJob);
+
+      await analyseUrl(req, res, next);
+
+      expect(storageService.findLatestJobForUrl).toHaveBeenCalledWith(
+        "https://example.com",
+        expect.any(Function)
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          job_id: "1111111111111111111",
+          status: JOB_STATUS.COMPLETED,
+          cached: true,
+          results: { page_title: "Example Domain" },
+        })
+      );
+      expect(storageService.createJob).not.toHaveBeenCalled();
+      expect(queueService.enqueue).not.toHaveBeenCalled();
+      expectResponseToMatchSpec(res, "post", "/api/analyse");
+    });
+
+    test("should attach to an in-flight job", async () => {
+      storageService.findLatestJobForUrl.mockResolvedValue({
+        job_id: "1111111111111111111",
+        url: "https://example.com",
+        status: JOB_STATUS.PROCESSING,
+      });
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          job_id: "1111111111111111111",
+          status: JOB_STATUS.PROCESSING,
+          deduplicated: true,
+        })
+      );
+      expect(storageService.createJob).not.toHaveBeenCalled();
+      expectResponseToMatchSpec(res, "post", "/api/analyse");
+    });
+
+    test("should not spend API key quota on a reused job", async () => {
+      req.apiKey = { key_id: "aaaaaaaaaaaaaaaa", allowed_domains: [] };
+      apiKeyService.isDomainAllowed.mockReturnValue(true);
+      storageService.findLatestJobForUrl.mockResolvedValue({
+        ...completedJob,
+        api_key_id: "aaaaaaaaaaaaaaaa",
+      });
+
+      await analyseUrl(req, res, next);
+
+      expect(apiKeyService.consumeQuota).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    });
+
+    test("should create a new job when nothing can be reused", async () => {
+      await analyseUrl(req, res, next);
+
+      expect(storageService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ job_id: "1234567890123456789" })
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+    });
+
+    test("should only reuse fresh or in-flight jobs", async () => {
+      const isReusable = await getReuseFilter();
+
+      expect(isReusable(completedJob)).toBe(true);
+      expect(
+        isReusable({ ...completedJob, finished_at: "2026-10-18T09:00:00.000Z" })
+      ).toBe(false);
+      expect(isReusable({ ...completedJob, status: JOB_STATUS.PENDING })).toBe(
+        true
+      );
+      expect(isReusable({ ...completedJob, status: JOB_STATUS.FAILED })).toBe(
+        false
+      );
+    });
+
+    test("should only reuse jobs that ran the requested analyzers", async () => {
+      req.body.analyzers = ["title", "headings"];
+      const isReusable = await getReuseFilter();
+
+      expect(isReusable(completedJob)).toBe(true);
+      expect(
+        isReusable({ ...completedJob, analyzers: ["headings", "title", "links"] })
+      ).toBe(true);
+      expect(isReusable({ ...completedJob, analyzers: ["title"] })).toBe(false);
+    });
+
+    test("should only reuse jobs that checked links when asked to", async () => {
+      req.body.check_links = true;
+      const isReusable = await getReuseFilter();
+
+      expect(isReusable(completedJob)).toBe(false);
+      expect(isReusable({ ...completedJob, check_links: true })).toBe(true);
+    });
+
+    test("should only reuse the caller's own jobs", async () => {
+      req.apiKey = { key_id: "aaaaaaaaaaaaaaaa", allowed_domains: [] };
+      apiKeyService.isDomainAllowed.mockReturnValue(true);
+      apiKeyService.consumeQuota.mockResolvedValue({ allowed: true });
+      const isReusable = await getReuseFilter();
+
+      expect(
+        isReusable({ ...completedJob, api_key_id: "aaaaaaaaaaaaaaaa" })
+      ).toBe(true);
+      expect(
+        isReusable({ ...completedJob, api_key_id: "bbbbbbbbbbbbbbbb" })
+      ).toBe(false);
+      expect(isReusable(completedJob)).toBe(false);
+    });
+
+    test("should give an Idempotency-Key the reused job's ID", async () => {
+      req.headers["idempotency-key"] = "retry-1";
+      idempotencyService.isValidIdempotencyKey.mockReturnValue(true);
+      idempotencyService.reserveKey.mockResolvedValue({ reserved: true });
+      storageService.findLatestJobForUrl.mockResolvedValue(completedJob);
+
+      await analyseUrl(req, res, next);
+
+      expect(idempotencyService.reserveKey).toHaveBeenCalledWith(
+        "ip:203.0.113.7",
+        "retry-1",
+        undefined,
+        "1111111111111111111"
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    });
+
+    test("should return 503 when the lookup fails", async () => {
+      storageService.findLatestJobForUrl.mockRejectedValue(
+        new Error("Redis down")
+      );
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expect(storageService.createJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("API Keys", () => {
+    const apiKey = {
+      key_id: "aaaaaaaaaaaaaaaa",
+      allowed_domains: ["example.com"],
+    };
+
+    beforeEach(() => {
+      req.apiKey = apiKey;
+      req.body.url = "https://example.com";
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+      apiKeyService.isDomainAllowed.mockReturnValue(true);
+      apiKeyService.consumeQuota.mockResolvedValue({ allowed: true });
+    });
+
+    test("should record the owning key on the job", async () => {
+      await analyseUrl(req, res, next);
+
+      expect(apiKeyService.consumeQuota).toHaveBeenCalledWith(apiKey, 1);
+      expect(storageService.createJob).toHaveBeenCalledWith(
+        expect.objectContaining({ api_key_id: "aaaaaaaaaaaaaaaa" })
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+    });
+
+    test("should reject URLs outside the key's allowed domains", async () => {
+      apiKeyService.isDomainAllowed.mockReturnValue(false);
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN);
+      expect(apiKeyService.consumeQuota).not.toHaveBeenCalled();
+      expect(storageService.createJob).not.toHaveBeenCalled();
+    });
+
+    test("should return 429 when the quota is used up", async () => {
+      apiKeyService.consumeQuota.mockResolvedValue({
+        allowed: false,
+        period: "daily",
+        limit: 100,
+        used: 100,
+      });
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ period: "daily", limit: 100 })
+      );
+      expect(storageService.createJob).not.toHaveBeenCalled();
+    });
+
+    test("should return 503 when the quota can't be checked", async () => {
+      apiKeyService.consumeQuota.mockRejectedValue(new Error("Redis down"));
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+    });
+
+    test("should refund the quota when the job can't be queued", async () => {
+      queueService.enqueue.mockRejectedValue(new Error("Queue unavailable"));
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expect(apiKeyService.refundQuota).toHaveBeenCalledWith(apiKey, 1);
+    });
+
+    test("should refund the quota when the job can't be stored", async () => {
+      storageService.createJob.mockRejectedValue(new Error("Redis down"));
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expect(apiKeyService.refundQuota).toHaveBeenCalledWith(apiKey, 1);
+    });
+  });
+
+  describe("Idempotency", () => {
+    const key = "8e03978e-40d5-43e8-bc93-6894a57f9324";
+
+    beforeEach(() => {
+      req.body.url = "https://example.com";
+      req.headers["idempotency-key"] = key;
+      res.set = jest.fn().mockReturnThis();
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+      idempotencyService.isValidIdempotencyKey.mockReturnValue(true);
+      idempotencyService.fingerprintRequest.mockReturnValue("fp");
+      idempotencyService.reserveKey.mockResolvedValue({ reserved: true });
+    });
+
+    test("should create the job when the key is new", async () => {
+      await analyseUrl(req, res, next);
+
+      expect(idempotencyService.reserveKey).toHaveBeenCalledWith(
+        "ip:203.0.113.7",
+        key,
+        "fp",
+        "1234567890123456789"
+      );
+      expect(storageService.createJob).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+      expect(res.set).not.toHaveBeenCalled();
+    });
+
+    test("should fingerprint the url, analyzers and callback", async () => {
+      req.body.analyzers = ["title"];
+      req.body.callback_url = "https://hooks.example.com/done";
+
+      await analyseUrl(req, res, next);
+
+      expect(idempotencyService.fingerprintRequest).toHaveBeenCalledWith({
+        url: "https://example.com",
+        analyzers: ["title"],
+        callback_url: "https://hooks.example.com/done",
+      });
+    });
+
+    test("should replay the original job for a repeated request", async () => {
+      idempotencyService.reserveKey.mockResolvedValue({
+        reserved: false,
+        record: { fingerprint: "fp", job_id: "1111111111111111111" },
+      });
+      storageService.getJob.mockResolvedValue({
+        job_id: "1111111111111111111",
+        status: JOB_STATUS.COMPLETED,
+      });
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          job_id: "1111111111111111111",
+          status: JOB_STATUS.COMPLETED,
+        })
+      );
+      expect(res.set).toHaveBeenCalledWith("Idempotent-Replayed", "true");
+      expect(storageService.createJob).not.toHaveBeenCalled();
+      expect(queueService.enqueue).not.toHaveBeenCalled();
+      expectResponseToMatchSpec(res, "post", "/api/analyse");
+    });
+
+    test("should return 409 when the key was used for another body", async () => {
+      idempotencyService.reserveKey.mockResolvedValue({
+        reserved: false,
+        record: { fingerprint: "other", job_id: "1111111111111111111" },
+      });
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: "Idempotency-Key was already used for a different request",
+        })
+      );
+      expect(storageService.createJob).not.toHaveBeenCalled();
+      expectResponseToMatchSpec(res, "post", "/api/analyse");
+    });
+
+    test("should return 409 while the first request is still storing its job", async () => {
+      idempotencyService.reserveKey.mockResolvedValue({
+        reserved: false,
+        record: { fingerprint: "fp", job_id: "1111111111111111111" },
+      });
+      storageService.getJob.mockResolvedValue(null);
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+      expect(storageService.createJob).not.toHaveBeenCalled();
+    });
+
+    test("should reject malformed keys", async () => {
+      idempotencyService.isValidIdempotencyKey.mockReturnValue(false);
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(idempotencyService.reserveKey).not.toHaveBeenCalled();
+      expectResponseToMatchSpec(res, "post", "/api/analyse");
+    });
+
+    test("should return 503 when the key can't be checked", async () => {
+      idempotencyService.reserveKey.mockRejectedValue(new Error("Redis down"));
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expect(storageService.createJob).not.toHaveBeenCalled();
+    });
+
+    test("should scope the key to the API key and skip its quota on replay", async () => {
+      req.apiKey = { key_id: "aaaaaaaaaaaaaaaa", allowed_domains: [] };
+      apiKeyService.isDomainAllowed.mockReturnValue(true);
+      idempotencyService.reserveKey.mockResolvedValue({
+        reserved: false,
+        record: { fingerprint: "fp", job_id: "1111111111111111111" },
+      });
+      storageService.getJob.mockResolvedValue({
+        job_id: "1111111111111111111",
+        status: JOB_STATUS.PENDING,
+      });
+
+      await analyseUrl(req, res, next);
+
+      expect(idempotencyService.reserveKey).toHaveBeenCalledWith(
+        "aaaaaaaaaaaaaaaa",
+        key,
+        "fp",
+        "1234567890123456789"
+      );
+      expect(apiKeyService.consumeQuota).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    });
+
+    test("should release the key when the job can't be stored", async () => {
+      storageService.createJob.mockRejectedValue(new Error("Redis down"));
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expect(idempotencyService.releaseKey).toHaveBeenCalledWith(
+        "ip:203.0.113.7",
+        key
+      );
+    });
+
+    test("should release the key when the quota is used up", async () => {
+      req.apiKey = { key_id: "aaaaaaaaaaaaaaaa", allowed_domains: [] };
+      apiKeyService.isDomainAllowed.mockReturnValue(true);
+      apiKeyService.consumeQuota.mockResolvedValue({
+        allowed: false,
+        period: "daily",
+        limit: 100,
+        used: 100,
+      });
+
+      await analyseUrl(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS);
+      expect(idempotencyService.releaseKey).toHaveBeenCalledWith(
+        "aaaaaaaaaaaaaaaa",
+        key
+      );
+    });
+  });
+
+  describe("OpenAPI Contract", () => {
+    beforeEach(() => {
+      req.body.url = "https://example.com";
+    });
+
+    test("should match the documented 202 response", async () => {
+      storageService.createJob.mockResolvedValue(true);
+      queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+
+      await analyseUrl(req, res, next);
+
+      expectResponseToMatchSpec(res, "post", "/api/analyse");
+    });
+
+    test("should match the documented 400 response", async () => {
+      req.body.url = "not-a-url";
+
+      await analyseUrl(req, res, next);
+
+      expectResponseToMatchSpec(res, "post", "/api/analyse");
+    });
+
+    test("should match the documented 503 response", async () => {
+      storageService.createJob.mockRejectedValue(new Error("Redis down"));
+
+      await analyseUrl(req, res, next);
+
+      expectResponseToMatchSpec(res, "post", "/api/analyse");
+    });
+  });
+
   describe("URL Validation", () => {
     test("should reject invalid URLs", async () => {
       req.body.url = "not-a-valid-url";
@@ -336,6 +932,109 @@ describe("validateRequest Middleware", () => {
     expect(res.status).not.toHaveBeenCalled();
   });
 
+  test("should accept known analyzer names", () => {
+    req.body.url = "https://example.com";
+    req.body.analyzers = ["title", "links"];
+
+    validateRequest(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should reject unknown analyzer names", () => {
+    req.body.url = "https://example.com";
+    req.body.analyzers = ["links", "nope"];
+
+    validateRequest(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        error: "Unknown analyzers",
+        message: expect.stringContaining("nope"),
+      })
+    );
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should reject analyzers that are not a non-empty array", () => {
+    req.body.url = "https://example.com";
+
+    for (const analyzers of ["links", [], [1], null]) {
+      req.body.analyzers = analyzers;
+      validateRequest(req, res, next);
+    }
+
+    expect(res.status).toHaveBeenCalledTimes(4);
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should reject non-string callback URLs", () => {
+    req.body.url = "https://example.com";
+    req.body.callback_url = 42;
+
+    validateRequest(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should accept a non-negative integer max_age", () => {
+    req.body.url = "https://example.com";
+    req.body.max_age = 0;
+
+    validateRequest(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should reject a non-boolean check_links", () => {
+    req.body.url = "https://example.com";
+    req.body.check_links = "true";
+
+    validateRequest(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: "Invalid check_links" })
+    );
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should require the links analyzer for check_links", () => {
+    req.body.url = "https://example.com";
+    req.body.check_links = true;
+    req.body.analyzers = ["title"];
+
+    validateRequest(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith({
+      error: "Invalid check_links",
+      message: 'check_links requires the "links" analyzer',
+    });
+
+    req.body.analyzers = ["title", "links"];
+    validateRequest(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test("should reject negative, fractional and non-numeric max_age", () => {
+    req.body.url = "https://example.com";
+
+    for (const max_age of [-1, 1.5, "3600"]) {
+      req.body.max_age = max_age;
+      validateRequest(req, res, next);
+    }
+
+    expect(res.status).toHaveBeenCalledTimes(3);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: "Invalid max_age" })
+    );
+    expect(next).not.toHaveBeenCalled();
+  });
+
   test("should allow empty strings to pass (validation happens in controller)", () => {
     req.body.url = "";
 
@@ -0,0 +1,370 @@
+const {
+  analyseBatch,
+  getBatch,
+  validateBatchRequest,
+} = require("../../../../src/api/controllers/batch.controller");
+const storageService = require("../../../../src/services/storage.service");
+const queueService = require("../../../../src/services/queue.service");
+const apiKeyService = require("../../../../src/services/apiKey.service");
+const config = require("../../../../src/config/app.config");
+const { HTTP_STATUS, JOB_STATUS } = require("../../../../src/utils/constants");
+
+jest.mock("../../../../src/services/storage.service");
+jest.mock("../../../../src/services/queue.service");
+jest.mock("../../../../src/utils/logger");
+
+const BATCH_ID = "1729799000000123456";
+
+describe("analyseBatch Controller", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { body: {}, id: "test-request-id" };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+
+    storageService.createJob.mockResolvedValue(true);
+    storageService.createBatch.mockResolvedValue(true);
+    queueService.enqueue.mockResolvedValue({ id: "bull-job-123" });
+  });
+
+  test("should create one child job per valid URL and report invalid ones", async () => {
+    req.body.urls = ["https://example.com", "not-a-url", "https://example.org"];
+
+    await analyseBatch(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+    const body = res.json.mock.calls[0][0];
+    expect(body.batch_id).toMatch(/^\d{19}$/);
+    expect(body.accepted).toBe(2);
+    expect(body.rejected).toBe(1);
+    expect(body.jobs.map((j) => j.url)).toEqual([
+      "https://example.com",
+      "https://example.org",
+    ]);
+    expect(body.errors[0]).toEqual(
+      expect.objectContaining({ index: 1, url: "not-a-url" })
+    );
+
+    expect(storageService.createJob).toHaveBeenCalledTimes(2);
+    expect(storageService.createJob).toHaveBeenCalledWith(
+      expect.objectContaining({ batch_id: body.batch_id })
+    );
+    expect(storageService.createBatch).toHaveBeenCalledWith(
+      expect.objectContaining({
+        batch_id: body.batch_id,
+        job_ids: body.jobs.map((j) => j.job_id),
+      })
+    );
+  });
+
+  test("should pass the analyzer selection to every child job", async () => {
+    req.body.urls = ["https://example.com"];
+    req.body.analyzers = ["links"];
+
+    await analyseBatch(req, res, next);
+
+    expect(queueService.enqueue).toHaveBeenCalledWith(
+      expect.objectContaining({ analyzers: ["links"] }),
+      expect.any(Object)
+    );
+  });
+
+  test("should return 400 when no URL is valid", async () => {
+    req.body.urls = ["not-a-url", "http://localhost"];
+
+    await analyseBatch(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(storageService.createBatch).not.toHaveBeenCalled();
+  });
+
+  test("should report per-URL queue failures", async () => {
+    req.body.urls = ["https://example.com", "https://example.org"];
+    storageService.updateJob.mockResolvedValue(true);
+    queueService.enqueue
+      .mockResolvedValueOnce({ id: "bull-job-123" })
+      .mockRejectedValueOnce(new Error("Queue down"));
+
+    await analyseBatch(req, res, next);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.accepted).toBe(1);
+    expect(body.errors[0]).toEqual(
+      expect.objectContaining({
+        index: 1,
+        error: "Queue system is down, please try again later",
+      })
+    );
+  });
+
+  test("should return 503 when storage is unavailable for every URL", async () => {
+    req.body.urls = ["https://example.com"];
+    storageService.createJob.mockRejectedValue(new Error("Redis down"));
+
+    await analyseBatch(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+
+  test("should return 503 when the batch record cannot be stored", async () => {
+    req.body.urls = ["https://example.com"];
+    storageService.createBatch.mockRejectedValue(new Error("Redis down"));
+
+    await analyseBatch(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+    expect(storageService.createJob).not.toHaveBeenCalled();
+    expect(queueService.enqueue).not.toHaveBeenCalled();
+  });
+
+  test("should store the batch record before queueing child jobs", async () => {
+    req.body.urls = ["https://example.com"];
+
+    await analyseBatch(req, res, next);
+
+    expect(storageService.createBatch.mock.invocationCallOrder[0]).toBeLessThan(
+      storageService.createJob.mock.invocationCallOrder[0]
+    );
+  });
+
+  test("should drop jobs that could not be queued from the batch record", async () => {
+    req.body.urls = ["https://example.com", "https://example.org"];
+    storageService.updateJob.mockResolvedValue(true);
+    queueService.enqueue
+      .mockResolvedValueOnce({ id: "bull-job-123" })
+      .mockRejectedValueOnce(new Error("Queue down"));
+
+    await analyseBatch(req, res, next);
+
+    const body = res.json.mock.calls[0][0];
+    expect(storageService.createBatch).toHaveBeenCalledTimes(2);
+    expect(storageService.createBatch).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        job_ids: [body.jobs[0].job_id],
+        total: 1,
+      })
+    );
+  });
+
+  describe("API Keys", () => {
+    const apiKey = { key_id: "aaaaaaaaaaaaaaaa", allowed_domains: [] };
+
+    beforeEach(() => {
+      req.apiKey = apiKey;
+      req.body.urls = ["https://example.com", "https://example.org"];
+      jest.spyOn(apiKeyService, "consumeQuota").mockResolvedValue({
+        allowed: true,
+      });
+      jest.spyOn(apiKeyService, "refundQuota").mockResolvedValue();
+    });
+
+    test("should spend one quota unit per valid URL", async () => {
+      await analyseBatch(req, res, next);
+
+      expect(apiKeyService.consumeQuota).toHaveBeenCalledWith(apiKey, 2);
+      expect(apiKeyService.refundQuota).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+    });
+
+    test("should not store the batch when the quota is used up", async () => {
+      apiKeyService.consumeQuota.mockResolvedValue({
+        allowed: false,
+        period: "daily",
+        limit: 100,
+        used: 99,
+      });
+
+      await analyseBatch(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS);
+      expect(storageService.createBatch).not.toHaveBeenCalled();
+      expect(storageService.createJob).not.toHaveBeenCalled();
+    });
+
+    test("should refund the quota when the batch record cannot be stored", async () => {
+      storageService.createBatch.mockRejectedValue(new Error("Redis down"));
+
+      await analyseBatch(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expect(apiKeyService.refundQuota).toHaveBeenCalledWith(apiKey, 2);
+    });
+
+    test("should refund the quota of jobs that could not be queued", async () => {
+      storageService.updateJob.mockResolvedValue(true);
+      queueService.enqueue
+        .mockResolvedValueOnce({ id: "bull-job-123" })
+        .mockRejectedValueOnce(new Error("Queue down"));
+
+      await analyseBatch(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+      expect(apiKeyService.refundQuota).toHaveBeenCalledWith(apiKey, 1);
+    });
+  });
+});
+
+describe("getBatch Controller", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { params: { batch_id: BATCH_ID }, id: "test-request-id" };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  test("should reject invalid batch IDs", async () => {
+    req.params.batch_id = "abc";
+
+    await getBatch(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+  });
+
+  test("should return 404 for unknown batches", async () => {
+    storageService.getBatch.mockResolvedValue(null);
+
+    await getBatch(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+  });
+
+  test("should return 503 on storage errors", async () => {
+    storageService.getBatch.mockRejectedValue(new Error("Redis down"));
+
+    await getBatch(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+
+  test("should report counts per status while jobs are running", async () => {
+    storageService.getBatch.mockResolvedValue({
+      batch_id: BATCH_ID,
+      job_ids: ["1", "2", "3"],
+    });
+    storageService.getJobs.mockResolvedValue([
+      { job_id: "1", status: JOB_STATUS.COMPLETED, results: {} },
+      { job_id: "2", status: JOB_STATUS.PROCESSING },
+      { job_id: "3", status: JOB_STATUS.PENDING },
+    ]);
+
+    await getBatch(req, res, next);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.status).toBe(JOB_STATUS.PROCESSING);
+    expect(body.counts).toEqual({
+      PENDING: 1,
+      PROCESSING: 1,
+      COMPLETED: 1,
+      FAILED: 0,
+      CANCELLED: 0,
+    });
+    expect(body.results).toBeUndefined();
+  });
+
+  test("should report PENDING when no child job has started", async () => {
+    storageService.getBatch.mockResolvedValue({
+      batch_id: BATCH_ID,
+      job_ids: ["1"],
+    });
+    storageService.getJobs.mockResolvedValue([
+      { job_id: "1", status: JOB_STATUS.PENDING },
+    ]);
+
+    await getBatch(req, res, next);
+
+    expect(res.json.mock.calls[0][0].status).toBe(JOB_STATUS.PENDING);
+  });
+
+  test("should include combined results once every job is done", async () => {
+    storageService.getBatch.mockResolvedValue({
+      batch_id: BATCH_ID,
+      job_ids: ["1", "2", "3"],
+    });
+    storageService.getJobs.mockResolvedValue([
+      {
+        job_id: "1",
+        url: "https://example.com",
+        status: JOB_STATUS.COMPLETED,
+        results: { page_title: "Example" },
+      },
+      {
+        job_id: "2",
+        url: "https://example.org",
+        status: JOB_STATUS.FAILED,
+        error: "URL not found (HTTP 404)",
+      },
+      null,
+    ]);
+
+    await getBatch(req, res, next);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.status).toBe(JOB_STATUS.COMPLETED);
+    expect(body.missing).toBe(1);
+    expect(body.results).toEqual([
+      expect.objectContaining({ job_id: "1", results: { page_title: "Example" } }),
+      expect.objectContaining({ job_id: "2", error: "URL not found (HTTP 404)" }),
+      expect.objectContaining({ job_id: "3", status: null }),
+    ]);
+  });
+});
+
+describe("validateBatchRequest Middleware", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { body: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  test("should reject a missing or empty urls array", () => {
+    validateBatchRequest(req, res, next);
+    req.body.urls = [];
+    validateBatchRequest(req, res, next);
+
+    expect(res.status).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should reject batches larger than the configured maximum", () => {
+    req.body.urls = new Array(config.api.maxBatchSize + 1).fill(
+      "https://example.com"
+    );
+
+    validateBatchRequest(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: "Batch too large" })
+    );
+  });
+
+  test("should reject unknown analyzers", () => {
+    req.body.urls = ["https://example.com"];
+    req.body.analyzers = ["nope"];
+
+    validateBatchRequest(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+  });
+
+  test("should call next() for valid batches", () => {
+    req.body.urls = ["https://example.com"];
+
+    validateBatchRequest(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,164 @@
+const {
+  listJobs,
+  parseListQuery,
+} = require("../../../../src/api/controllers/jobs.controller");
+const storageService = require("../../../../src/services/storage.service");
+const { HTTP_STATUS, JOB_STATUS } = require("../../../../src/utils/constants");
+
+jest.mock("../../../../src/services/storage.service");
+jest.mock("../../../../src/utils/logger");
+
+describe("listJobs Controller", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { query: {}, id: "test-request-id" };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  test("should return job summaries with the next cursor", async () => {
+    storageService.listJobs.mockResolvedValue({
+      jobs: [
+        {
+          job_id: "1729799000000123456",
+          url: "https://example.com",
+          status: JOB_STATUS.FAILED,
+          error: "URL not found (HTTP 404)",
+          error_type: "NETWORK_ERROR",
+          results: { page_title: "ignored" },
+        },
+      ],
+      next_cursor: "1729799000000123456",
+    });
+
+    await listJobs(req, res, next);
+
+    expect(storageService.listJobs).toHaveBeenCalledWith(
+      expect.objectContaining({ limit: 20 })
+    );
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    expect(res.json).toHaveBeenCalledWith({
+      jobs: [
+        {
+          job_id: "1729799000000123456",
+          url: "https://example.com",
+          status: JOB_STATUS.FAILED,
+          created_at: new Date(1729799000000).toISOString(),
+          error: "URL not found (HTTP 404)",
+          error_type: "NETWORK_ERROR",
+        },
+      ],
+      count: 1,
+      next_cursor: "1729799000000123456",
+    });
+  });
+
+  test("should only list jobs the caller's API key can access", async () => {
+    req.apiKey = { key_id: "aaaaaaaaaaaaaaaa" };
+    storageService.listJobs.mockResolvedValue({ jobs: [], next_cursor: null });
+
+    await listJobs(req, res, next);
+
+    const { filter } = storageService.listJobs.mock.calls[0][0];
+    expect(filter({ api_key_id: "aaaaaaaaaaaaaaaa" })).toBe(true);
+    expect(filter({ api_key_id: "bbbbbbbbbbbbbbbb" })).toBe(false);
+    expect(filter({})).toBe(true);
+  });
+
+  test("should return 400 for an invalid query", async () => {
+    req.query = { status: "unknown" };
+
+    await listJobs(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(storageService.listJobs).not.toHaveBeenCalled();
+  });
+
+  test("should return 503 on storage failure", async () => {
+    storageService.listJobs.mockRejectedValue(new Error("Redis down"));
+
+    await listJobs(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+});
+
+describe("parseListQuery", () => {
+  test("should map filters to index options", () => {
+    const { options } = parseListQuery({
+      status: "failed",
+      created_from: "2024-10-24T20:00:00.000Z",
+      created_to: "1729800000000",
+      cursor: "1729799000000123456",
+      limit: "50",
+    });
+
+    expect(options).toEqual({
+      status: JOB_STATUS.FAILED,
+      from: `${Date.parse("2024-10-24T20:00:00.000Z")}000000`,
+      to: "1729800000000999999",
+      cursor: "1729799000000123456",
+      limit: 50,
+    });
+  });
+
+  test("should build a record filter for url and error_type", () => {
+    const { options } = parseListQuery({
+      url: "Blog",
+      error_type: "NETWORK_ERROR",
+    });
+
+    expect(
+      options.filter({
+        url: "https://example.com/blog",
+        error_type: "NETWORK_ERROR",
+      })
+    ).toBe(true);
+    expect(
+      options.filter({
+        url: "https://example.com/shop",
+        error_type: "NETWORK_ERROR",
+      })
+    ).toBe(false);
+    expect(
+      options.filter({ url: "https://example.com/blog", error_type: undefined })
+    ).toBe(false);
+  });
+
+  test("should build a record filter for a host substring", () => {
+    const { options } = parseListQuery({ host: "Example" });
+
+    expect(options.host).toBeUndefined();
+    expect(options.filter({ url: "https://www.example.com/a" })).toBe(true);
+    expect(options.filter({ url: "https://shop.example.org" })).toBe(true);
+    expect(options.filter({ url: "https://other.com/example" })).toBe(false);
+  });
+
+  test("should build a record filter for schedule_id", () => {
+    const { options } = parseListQuery({ schedule_id: "1729799000000123456" });
+
+    expect(
+      options.filter({
+        url: "https://example.com",
+        schedule_id: "1729799000000123456",
+      })
+    ).toBe(true);
+    expect(options.filter({ url: "https://example.com" })).toBe(false);
+  });
+
+  test.each([
+    [{ limit: "0" }],
+    [{ limit: "1000" }],
+    [{ limit: "abc" }],
+    [{ cursor: "123" }],
+    [{ schedule_id: "abc" }],
+    [{ created_from: "not-a-date" }],
+    [{ created_from: "2024-10-25", created_to: "2024-10-24" }],
+  ])("should reject %j", (query) => {
+    expect(parseListQuery(query).error).toEqual(expect.any(String));
+  });
+});
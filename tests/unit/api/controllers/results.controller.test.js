@@ -1,10 +1,22 @@
-const { getResults } = require('../../../../src/api/controllers/results.controller');
+const { EventEmitter } = require('events');
+const {
+  getResults,
+  getResultLinks,
+  parseLinksQuery,
+  cancelJob,
+  retryJob,
+  streamJobEvents,
+} = require('../../../../src/api/controllers/results.controller');
 const storageService = require('../../../../src/services/storage.service');
 const queueService = require('../../../../src/services/queue.service');
+const eventsService = require('../../../../src/services/events.service');
+const apiKeyService = require('../../../../src/services/apiKey.service');
 const { HTTP_STATUS, JOB_STATUS } = require('../../../../src/utils/constants');
+const { expectResponseToMatchSpec } = require('../../../helpers/openapi');
 
 jest.mock('../../../../src/services/storage.service');
 jest.mock('../../../../src/services/queue.service');
+jest.mock('../../../../src/services/events.service');
 jest.mock('../../../../src/utils/logger');
 
 describe('getResults Controller', () => {
@@ -237,6 +249,347 @@ describe('getResults Controller', () => {
     });
   });
 
+  describe('Job Ownership', () => {
+    test("should hide another API key's job as not found", async () => {
+      req.params.job_id = '1234567890123456789';
+      req.apiKey = { key_id: 'bbbbbbbbbbbbbbbb' };
+
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.COMPLETED,
+        url: 'https://example.com',
+        api_key_id: 'aaaaaaaaaaaaaaaa',
+      });
+
+      await getResults(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    });
+
+    test('should return the job to its owner', async () => {
+      req.params.job_id = '1234567890123456789';
+      req.apiKey = { key_id: 'aaaaaaaaaaaaaaaa' };
+
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.COMPLETED,
+        url: 'https://example.com',
+        api_key_id: 'aaaaaaaaaaaaaaaa',
+        results: {},
+      });
+
+      await getResults(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    });
+  });
+
+  describe('CANCELLED Jobs', () => {
+    test('should return cancelled status with cancellation time', async () => {
+      req.params.job_id = '1234567890123456789';
+
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.CANCELLED,
+        url: 'https://example.com',
+        cancelled_at: '2024-01-01T00:00:00.000Z',
+      });
+
+      await getResults(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.json).toHaveBeenCalledWith({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.CANCELLED,
+        url: 'https://example.com',
+        cancelled_at: '2024-01-01T00:00:00.000Z',
+      });
+    });
+  });
+
+  describe('Attempts History', () => {
+    test('should include earlier runs of a retried job', async () => {
+      req.params.job_id = '1234567890123456789';
+      const attempts = [
+        {
+          status: JOB_STATUS.FAILED,
+          error: 'HTTP 503',
+          error_type: 'HTTP_ERROR',
+          started_at: '2024-01-01T00:00:00.000Z',
+          finished_at: '2024-01-01T00:00:01.000Z',
+        },
+      ];
+
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.PROCESSING,
+        url: 'https://example.com',
+        attempts,
+      });
+
+      await getResults(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ attempts })
+      );
+    });
+  });
+
+  describe('Long Polling', () => {
+    let waiter;
+
+    beforeEach(() => {
+      req.params.job_id = '1234567890123456789';
+      waiter = {
+        wait: jest.fn().mockResolvedValue(null),
+        cancel: jest.fn().mockResolvedValue(),
+      };
+      eventsService.createJobWaiter.mockResolvedValue(waiter);
+    });
+
+    test('should reject invalid wait values', async () => {
+      for (const wait of ['abc', '-1', '3.5', '61']) {
+        req.query = { wait };
+        await getResults(req, res, next);
+      }
+
+      expect(res.status).toHaveBeenCalledTimes(4);
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(storageService.getJob).not.toHaveBeenCalled();
+    });
+
+    test('should not subscribe when wait is 0', async () => {
+      req.query = { wait: '0' };
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.PROCESSING,
+        url: 'https://example.com',
+      });
+
+      await getResults(req, res, next);
+
+      expect(eventsService.createJobWaiter).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    });
+
+    test('should return immediately for jobs already finished', async () => {
+      req.query = { wait: '30' };
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.COMPLETED,
+        url: 'https://example.com',
+        results: {},
+      });
+
+      await getResults(req, res, next);
+
+      expect(waiter.wait).not.toHaveBeenCalled();
+      expect(waiter.cancel).toHaveBeenCalled();
+      expect(storageService.getJob).toHaveBeenCalledTimes(1);
+    });
+
+    test('should hold until a terminal status event and re-read the job', async () => {
+      req.query = { wait: '30' };
+      storageService.getJob
+        .mockResolvedValueOnce({
+          job_id: '1234567890123456789',
+          status: JOB_STATUS.PROCESSING,
+          url: 'https://example.com',
+        })
+        .mockResolvedValueOnce({
+          job_id: '1234567890123456789',
+          status: JOB_STATUS.COMPLETED,
+          url: 'https://example.com',
+          results: { page_title: 'Example' },
+        });
+      waiter.wait.mockResolvedValue({ type: 'status', status: JOB_STATUS.COMPLETED });
+
+      await getResults(req, res, next);
+
+      expect(waiter.wait).toHaveBeenCalledWith(30000);
+      expect(storageService.getJob).toHaveBeenCalledTimes(2);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: JOB_STATUS.COMPLETED,
+          results: { page_title: 'Example' },
+        })
+      );
+      expect(waiter.cancel).toHaveBeenCalled();
+    });
+
+    test('should return the current state when the wait times out', async () => {
+      req.query = { wait: '5' };
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.PROCESSING,
+        url: 'https://example.com',
+      });
+
+      await getResults(req, res, next);
+
+      expect(storageService.getJob).toHaveBeenCalledTimes(1);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ status: JOB_STATUS.PROCESSING })
+      );
+    });
+
+    test('should fall back to an immediate response if subscribing fails', async () => {
+      req.query = { wait: '30' };
+      eventsService.createJobWaiter.mockRejectedValue(new Error('Redis down'));
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.PROCESSING,
+        url: 'https://example.com',
+      });
+
+      await getResults(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    });
+  });
+
+  describe('Webhook Callbacks', () => {
+    test('should expose callback delivery attempts', async () => {
+      req.params.job_id = '1234567890123456789';
+
+      const attempts = [
+        { attempt: 1, success: false, status_code: 500, error: 'Callback endpoint returned HTTP 500' },
+        { attempt: 2, success: true, status_code: 200 },
+      ];
+
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.FAILED,
+        url: 'https://example.com',
+        error: 'URL not found (HTTP 404)',
+        callback_url: 'https://hooks.example.com/done',
+        callback_status: 'DELIVERED',
+        callback_attempts: attempts,
+      });
+
+      await getResults(req, res, next);
+
+      expect(res.json.mock.calls[0][0].callback).toEqual({
+        url: 'https://hooks.example.com/done',
+        status: 'DELIVERED',
+        attempts,
+      });
+    });
+
+    test('should omit callback details for jobs without a callback_url', async () => {
+      req.params.job_id = '1234567890123456789';
+
+      storageService.getJob.mockResolvedValue({
+        job_id: '1234567890123456789',
+        status: JOB_STATUS.PROCESSING,
+        url: 'https://example.com',
+      });
+
+      await getResults(req, res, next);
+
+      expect(res.json.mock.calls[0][0].callback).toBeUndefined();
+    });
+  });
+
+  describe('OpenAPI Contract', () => {
+    const job_id = '1234567890123456789';
+    const path = '/api/results/{job_id}';
+
+    beforeEach(() => {
+      req.params.job_id = job_id;
+      queueService.getJobInfo.mockResolvedValue({ found: true, position: 0 });
+    });
+
+    test('should match the spec for a completed job with history', async () => {
+      storageService.getJob.mockResolvedValue({
+        job_id,
+        url: 'https://example.com',
+        status: JOB_STATUS.COMPLETED,
+        analyzers: null,
+        request_id: 'test-request-id',
+        created_at: '2024-10-24T12:00:00.000Z',
+        results: {
+          html_version: 'HTML5',
+          page_title: 'Example Domain',
+          headings_count: { h1: 1, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 },
+          internal_links_count: 0,
+          external_links_count: 1,
+          has_login_form: false,
+        },
+        attempts: [
+          {
+            status: JOB_STATUS.FAILED,
+            started_at: '2024-10-24T12:00:01.000Z',
+            finished_at: '2024-10-24T12:00:02.000Z',
+            error: 'Request timeout',
+            error_type: 'TIMEOUT_ERROR',
+          },
+        ],
+        callback_url: 'https://hooks.example.com/done',
+        callback_status: 'DELIVERED',
+        callback_attempts: [
+          {
+            attempt: 1,
+            success: true,
+            status_code: 200,
+            attempted_at: '2024-10-24T12:00:03.000Z',
+          },
+        ],
+      });
+
+      await getResults(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expectResponseToMatchSpec(res, 'get', path);
+    });
+
+    test.each([
+      [JOB_STATUS.PENDING, {}],
+      [JOB_STATUS.PROCESSING, {}],
+      [JOB_STATUS.FAILED, { error: 'URL not found (HTTP 404)' }],
+      [JOB_STATUS.CANCELLED, { cancelled_at: '2024-10-24T12:00:00.000Z' }],
+    ])('should match the spec for a %s job', async (status, fields) => {
+      storageService.getJob.mockResolvedValue({
+        job_id,
+        url: 'https://example.com',
+        status,
+        ...fields,
+      });
+
+      await getResults(req, res, next);
+
+      expectResponseToMatchSpec(res, 'get', path);
+    });
+
+    test('should match the spec for errors', async () => {
+      storageService.getJob.mockResolvedValue(null);
+      await getResults(req, res, next);
+      expectResponseToMatchSpec(res, 'get', path);
+
+      req.params.job_id = 'invalid';
+      await getResults(req, res, next);
+      expectResponseToMatchSpec(res, 'get', path);
+    });
+
+    test('should match the spec for a cancellation', async () => {
+      storageService.getJob.mockResolvedValue({
+        job_id,
+        url: 'https://example.com',
+        status: JOB_STATUS.PENDING,
+      });
+      storageService.updateJobIfStatus.mockResolvedValue({
+        job_id,
+        status: JOB_STATUS.CANCELLED,
+        cancelled_at: '2024-10-24T12:00:00.000Z',
+      });
+
+      await cancelJob(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expectResponseToMatchSpec(res, 'delete', path);
+    });
+  });
+
   describe('Job Not Found', () => {
     test('should return 404 if job does not exist', async () => {
       req.params.job_id = '1234567890123456789';
@@ -319,3 +672,594 @@ describe('getResults Controller', () => {
     });
   });
 });
+
+describe('cancelJob Controller', () => {
+  let req, res, next;
+  const job_id = '1234567890123456789';
+
+  beforeEach(() => {
+    req = { params: { job_id }, id: 'test-request-id' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  test('should reject invalid job ID format', async () => {
+    req.params.job_id = 'invalid-id';
+
+    await cancelJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(storageService.getJob).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 when job does not exist', async () => {
+    storageService.getJob.mockResolvedValue(null);
+
+    await cancelJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+  });
+
+  test('should cancel a pending job and remove it from the queue', async () => {
+    storageService.getJob.mockResolvedValue({
+      job_id,
+      status: JOB_STATUS.PENDING,
+    });
+    storageService.updateJobIfStatus.mockResolvedValue({
+      job_id,
+      status: JOB_STATUS.CANCELLED,
+      cancelled_at: '2024-01-01T00:00:00.000Z',
+    });
+
+    await cancelJob(req, res, next);
+
+    expect(storageService.updateJobIfStatus).toHaveBeenCalledWith(
+      job_id,
+      JOB_STATUS.PENDING,
+      expect.objectContaining({ status: JOB_STATUS.CANCELLED })
+    );
+    expect(queueService.removeJob).toHaveBeenCalledWith(job_id);
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        job_id,
+        status: JOB_STATUS.CANCELLED,
+        cancelled_at: '2024-01-01T00:00:00.000Z',
+      })
+    );
+  });
+
+  test('should cancel a processing job without touching the queue', async () => {
+    storageService.getJob.mockResolvedValue({
+      job_id,
+      status: JOB_STATUS.PROCESSING,
+    });
+    storageService.updateJobIfStatus
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ job_id, status: JOB_STATUS.CANCELLED });
+
+    await cancelJob(req, res, next);
+
+    expect(storageService.updateJobIfStatus).toHaveBeenLastCalledWith(
+      job_id,
+      JOB_STATUS.PROCESSING,
+      expect.objectContaining({ status: JOB_STATUS.CANCELLED })
+    );
+    expect(queueService.removeJob).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+  });
+
+  test.each([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED])(
+    'should return 409 for a %s job',
+    async (status) => {
+      storageService.getJob.mockResolvedValue({ job_id, status });
+
+      await cancelJob(req, res, next);
+
+      expect(storageService.updateJobIfStatus).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ status })
+      );
+    }
+  );
+
+  test('should return 409 when the job finishes while cancelling', async () => {
+    storageService.getJob
+      .mockResolvedValueOnce({ job_id, status: JOB_STATUS.PROCESSING })
+      .mockResolvedValueOnce({ job_id, status: JOB_STATUS.COMPLETED });
+    storageService.updateJobIfStatus.mockResolvedValue(null);
+
+    await cancelJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+  });
+
+  test('should return 503 on storage failure', async () => {
+    storageService.getJob.mockRejectedValue(new Error('Redis down'));
+
+    await cancelJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+});
+
+describe('retryJob Controller', () => {
+  let req, res, next;
+  const job_id = '1234567890123456789';
+  const failedJob = {
+    job_id,
+    url: 'https://example.com',
+    status: JOB_STATUS.FAILED,
+    analyzers: ['title'],
+    error: 'HTTP 404',
+    attempts: [{ status: JOB_STATUS.FAILED, error: 'HTTP 404' }],
+  };
+
+  beforeEach(() => {
+    req = { params: { job_id }, id: 'test-request-id' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  test('should reject invalid job ID format', async () => {
+    req.params.job_id = 'invalid-id';
+
+    await retryJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+  });
+
+  test('should return 404 when job does not exist', async () => {
+    storageService.getJob.mockResolvedValue(null);
+
+    await retryJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+  });
+
+  test('should re-enqueue a failed job with the same URL and analyzers', async () => {
+    storageService.getJob.mockResolvedValue(failedJob);
+    storageService.updateJobIfStatus.mockResolvedValue({
+      ...failedJob,
+      status: JOB_STATUS.PENDING,
+      error: undefined,
+    });
+    queueService.enqueue.mockResolvedValue({ id: job_id });
+
+    await retryJob(req, res, next);
+
+    expect(storageService.updateJobIfStatus).toHaveBeenCalledWith(
+      job_id,
+      JOB_STATUS.FAILED,
+      expect.objectContaining({
+        status: JOB_STATUS.PENDING,
+        error: undefined,
+        retried_at: expect.any(String),
+      })
+    );
+    expect(queueService.removeJob).toHaveBeenCalledWith(job_id);
+    expect(queueService.enqueue).toHaveBeenCalledWith(
+      {
+        job_id,
+        url: 'https://example.com',
+        analyzers: ['title'],
+        request_id: 'test-request-id',
+      },
+      expect.any(Object)
+    );
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        job_id,
+        status: JOB_STATUS.PENDING,
+        attempt: 2,
+      })
+    );
+  });
+
+  test.each([JOB_STATUS.PENDING, JOB_STATUS.PROCESSING, JOB_STATUS.COMPLETED])(
+    'should return 409 for a %s job',
+    async (status) => {
+      storageService.getJob.mockResolvedValue({ ...failedJob, status });
+
+      await retryJob(req, res, next);
+
+      expect(storageService.updateJobIfStatus).not.toHaveBeenCalled();
+      expect(queueService.enqueue).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+    }
+  );
+
+  test('should return 409 when another request retried the job first', async () => {
+    storageService.getJob.mockResolvedValue(failedJob);
+    storageService.updateJobIfStatus.mockResolvedValue(null);
+
+    await retryJob(req, res, next);
+
+    expect(queueService.enqueue).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+  });
+
+  test('should refund the quota when the job is no longer FAILED', async () => {
+    req.apiKey = { key_id: 'aaaaaaaaaaaaaaaa' };
+    storageService.getJob.mockResolvedValue(failedJob);
+    storageService.updateJobIfStatus.mockResolvedValue(null);
+    jest
+      .spyOn(apiKeyService, 'consumeQuota')
+      .mockResolvedValue({ allowed: true });
+    jest.spyOn(apiKeyService, 'refundQuota').mockResolvedValue();
+
+    await retryJob(req, res, next);
+
+    expect(apiKeyService.consumeQuota).toHaveBeenCalledWith(req.apiKey, 1);
+    expect(apiKeyService.refundQuota).toHaveBeenCalledWith(req.apiKey, 1);
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+  });
+
+  test('should keep the quota spent when the retry is queued', async () => {
+    req.apiKey = { key_id: 'aaaaaaaaaaaaaaaa' };
+    storageService.getJob.mockResolvedValue(failedJob);
+    storageService.updateJobIfStatus.mockResolvedValue({
+      ...failedJob,
+      status: JOB_STATUS.PENDING,
+    });
+    queueService.enqueue.mockResolvedValue({ id: job_id });
+    jest
+      .spyOn(apiKeyService, 'consumeQuota')
+      .mockResolvedValue({ allowed: true });
+    jest.spyOn(apiKeyService, 'refundQuota').mockResolvedValue();
+
+    await retryJob(req, res, next);
+
+    expect(apiKeyService.refundQuota).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+  });
+
+  test('should return 503 when the queue is unavailable', async () => {
+    storageService.getJob.mockResolvedValue(failedJob);
+    storageService.updateJobIfStatus.mockResolvedValue({
+      ...failedJob,
+      status: JOB_STATUS.PENDING,
+    });
+    queueService.enqueue.mockRejectedValue(new Error('Queue down'));
+
+    await retryJob(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+
+  test('should refund the quota when the retry is not queued', async () => {
+    req.apiKey = { key_id: 'aaaaaaaaaaaaaaaa' };
+    storageService.getJob.mockResolvedValue(failedJob);
+    storageService.updateJobIfStatus.mockResolvedValue({
+      ...failedJob,
+      status: JOB_STATUS.PENDING,
+    });
+    queueService.enqueue.mockRejectedValue(new Error('Queue down'));
+    jest
+      .spyOn(apiKeyService, 'consumeQuota')
+      .mockResolvedValue({ allowed: true });
+    jest.spyOn(apiKeyService, 'refundQuota').mockResolvedValue();
+
+    await retryJob(req, res, next);
+
+    expect(apiKeyService.refundQuota).toHaveBeenCalledWith(req.apiKey, 1);
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+});
+
+describe('streamJobEvents Controller', () => {
+  let req, res, next, unsubscribe, publish;
+
+  beforeEach(() => {
+    req = new EventEmitter();
+    req.params = { job_id: '1234567890123456789' };
+    req.id = 'test-request-id';
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      flushHeaders: jest.fn(),
+      write: jest.fn(),
+      end: jest.fn(),
+    };
+    next = jest.fn();
+
+    unsubscribe = jest.fn().mockResolvedValue();
+    eventsService.subscribeToJob.mockImplementation(async (jobId, handler) => {
+      publish = handler;
+      return unsubscribe;
+    });
+  });
+
+  function writtenEvents() {
+    return res.write.mock.calls
+      .map(([chunk]) => chunk)
+      .filter((chunk) => chunk.startsWith('event:'))
+      .map((chunk) => JSON.parse(chunk.split('data: ')[1]));
+  }
+
+  test('should reject invalid job IDs', async () => {
+    req.params.job_id = 'invalid';
+
+    await streamJobEvents(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(eventsService.subscribeToJob).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 and unsubscribe for unknown jobs', async () => {
+    storageService.getJob.mockResolvedValue(null);
+
+    await streamJobEvents(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  test('should return 503 when the subscription fails', async () => {
+    eventsService.subscribeToJob.mockRejectedValue(new Error('Redis down'));
+
+    await streamJobEvents(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+
+  test('should stream the current status then live events until a terminal status', async () => {
+    storageService.getJob.mockResolvedValue({
+      job_id: '1234567890123456789',
+      status: JOB_STATUS.PENDING,
+    });
+
+    await streamJobEvents(req, res, next);
+
+    expect(res.set).toHaveBeenCalledWith(
+      expect.objectContaining({ 'Content-Type': 'text/event-stream' })
+    );
+
+    publish({ type: 'status', status: JOB_STATUS.PROCESSING });
+    publish({ type: 'progress', stage: 'fetching', progress: 10 });
+    publish({ type: 'status', status: JOB_STATUS.COMPLETED });
+    publish({ type: 'progress', stage: 'late', progress: 100 });
+
+    expect(writtenEvents().map((e) => e.status || e.stage)).toEqual([
+      JOB_STATUS.PENDING,
+      JOB_STATUS.PROCESSING,
+      'fetching',
+      JOB_STATUS.COMPLETED,
+    ]);
+    expect(res.write.mock.calls[2][0]).toMatch(/^event: progress\n/);
+    expect(res.end).toHaveBeenCalled();
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  test('should close immediately for jobs already finished', async () => {
+    storageService.getJob.mockResolvedValue({
+      job_id: '1234567890123456789',
+      status: JOB_STATUS.FAILED,
+    });
+
+    await streamJobEvents(req, res, next);
+
+    expect(writtenEvents()).toEqual([
+      expect.objectContaining({ type: 'status', status: JOB_STATUS.FAILED }),
+    ]);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  test('should replay events published while the job was being read', async () => {
+    storageService.getJob.mockImplementation(async () => {
+      publish({ type: 'status', status: JOB_STATUS.PROCESSING });
+      return { job_id: '1234567890123456789', status: JOB_STATUS.PENDING };
+    });
+
+    await streamJobEvents(req, res, next);
+
+    expect(writtenEvents().map((e) => e.status)).toEqual([
+      JOB_STATUS.PENDING,
+      JOB_STATUS.PROCESSING,
+    ]);
+
+    req.emit('close');
+  });
+
+  test('should unsubscribe when the client disconnects', async () => {
+    storageService.getJob.mockResolvedValue({
+      job_id: '1234567890123456789',
+      status: JOB_STATUS.PROCESSING,
+    });
+
+    await streamJobEvents(req, res, next);
+    req.emit('close');
+
+    expect(unsubscribe).toHaveBeenCalled();
+    expect(res.end).toHaveBeenCalled();
+  });
+});
+
+describe('getResultLinks Controller', () => {
+  const job_id = '1729799000000123456';
+  const path = '/api/results/{job_id}/links';
+  let req, res, next;
+
+  function createLink(url, type, rel = []) {
+    return { url, text: url, rel, target: null, type, occurrences: 1 };
+  }
+
+  const inventory = {
+    total: 4,
+    unique: 3,
+    truncated: false,
+    skipped: {
+      fragment: 1,
+      mailto: 0,
+      tel: 0,
+      javascript: 0,
+      data: 0,
+      invalid: 0,
+    },
+    items: [
+      createLink('https://example.com/a', 'internal'),
+      createLink('https://other.org/', 'external', ['nofollow']),
+      createLink('https://example.com/b', 'internal'),
+    ],
+  };
+
+  beforeEach(() => {
+    req = { params: { job_id }, query: {}, id: 'test-request-id' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+
+    storageService.getJob.mockResolvedValue({
+      job_id,
+      url: 'https://example.com',
+      status: JOB_STATUS.COMPLETED,
+      results: { links: inventory },
+    });
+  });
+
+  test('should return a page of links with the next offset', async () => {
+    req.query = { limit: '2' };
+
+    await getResultLinks(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        total: 4,
+        unique: 3,
+        matching: 3,
+        links: inventory.items.slice(0, 2),
+        count: 2,
+        next_offset: 2,
+      })
+    );
+    expectResponseToMatchSpec(res, 'get', path);
+  });
+
+  test('should continue from an offset', async () => {
+    req.query = { limit: '2', offset: '2' };
+
+    await getResultLinks(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        links: [inventory.items[2]],
+        next_offset: null,
+      })
+    );
+  });
+
+  test('should filter by type and rel', async () => {
+    req.query = { type: 'internal' };
+    await getResultLinks(req, res, next);
+    expect(res.json.mock.calls[0][0].matching).toBe(2);
+
+    req.query = { rel: 'NoFollow' };
+    await getResultLinks(req, res, next);
+    expect(res.json.mock.calls[1][0].links).toEqual([inventory.items[1]]);
+  });
+
+  test('should filter by link check result', async () => {
+    const broken = {
+      ...createLink('https://example.com/gone', 'internal'),
+      check: {
+        result: 'broken',
+        status_code: 404,
+        redirected_to: null,
+        error: 'HTTP 404',
+      },
+    };
+    storageService.getJob.mockResolvedValue({
+      job_id,
+      url: 'https://example.com',
+      status: JOB_STATUS.COMPLETED,
+      results: {
+        links: { ...inventory, items: [...inventory.items, broken] },
+      },
+    });
+    req.query = { check: 'broken' };
+
+    await getResultLinks(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ matching: 1, links: [broken] })
+    );
+    expectResponseToMatchSpec(res, 'get', path);
+  });
+
+  test('should answer 409 until the job has completed', async () => {
+    storageService.getJob.mockResolvedValue({
+      job_id,
+      url: 'https://example.com',
+      status: JOB_STATUS.PROCESSING,
+    });
+
+    await getResultLinks(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+    expectResponseToMatchSpec(res, 'get', path);
+  });
+
+  test('should answer 409 when the links analyzer did not run', async () => {
+    storageService.getJob.mockResolvedValue({
+      job_id,
+      url: 'https://example.com',
+      status: JOB_STATUS.COMPLETED,
+      results: { page_title: 'Example' },
+    });
+
+    await getResultLinks(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: expect.stringContaining('links analyzer'),
+      })
+    );
+  });
+
+  test('should hide jobs of other API keys', async () => {
+    req.apiKey = { key_id: 'key-2' };
+    storageService.getJob.mockResolvedValue({
+      job_id,
+      url: 'https://example.com',
+      status: JOB_STATUS.COMPLETED,
+      api_key_id: 'key-1',
+      results: { links: inventory },
+    });
+
+    await getResultLinks(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+  });
+
+  test('should return 503 on storage errors', async () => {
+    storageService.getJob.mockRejectedValue(new Error('Redis down'));
+
+    await getResultLinks(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+
+  test.each([
+    [{ limit: '0' }],
+    [{ limit: '100000' }],
+    [{ offset: '-1' }],
+    [{ type: 'sideways' }],
+    [{ check: 'maybe' }],
+  ])('should reject %j', (query) => {
+    expect(parseLinksQuery(query).error).toEqual(expect.any(String));
+  });
+});
@@ -0,0 +1,334 @@
+const {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+} = require("../../../../src/api/controllers/schedules.controller");
+const scheduleService = require("../../../../src/services/schedule.service");
+const config = require("../../../../src/config/app.config");
+const { expectResponseToMatchSpec } = require("../../../helpers/openapi");
+const {
+  HTTP_STATUS,
+  SCHEDULE_STATUS,
+  ERROR_MESSAGES,
+} = require("../../../../src/utils/constants");
+
+jest.mock("../../../../src/services/schedule.service");
+jest.mock("../../../../src/utils/logger");
+
+const SCHEDULE_ID = "1729799000000123456";
+const NEXT_RUN_AT = "2024-10-25T07:00:00.000Z";
+
+function createRecord(overrides = {}) {
+  return {
+    schedule_id: SCHEDULE_ID,
+    url: "https://example.com",
+    cron: "0 9 * * *",
+    every: null,
+    timezone: "Europe/Berlin",
+    analyzers: null,
+    status: SCHEDULE_STATUS.ACTIVE,
+    created_at: "2024-10-24T20:00:00.000Z",
+    run_count: 0,
+    skipped_count: 0,
+    last_run_at: null,
+    last_job_id: null,
+    api_key_id: "key-1",
+    ...overrides,
+  };
+}
+
+describe("schedules Controller", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      body: {},
+      params: {},
+      id: "test-request-id",
+      apiKey: { key_id: "key-1", allowed_domains: [] },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+    scheduleService.validateRepeat.mockReturnValue(null);
+    scheduleService.getNextRunAt.mockReturnValue(NEXT_RUN_AT);
+  });
+
+  describe("createSchedule", () => {
+    beforeEach(() => {
+      req.body = {
+        url: "https://example.com",
+        cron: "0 9 * * *",
+        timezone: "Europe/Berlin",
+      };
+    });
+
+    test("should create a schedule owned by the API key", async () => {
+      scheduleService.createSchedule.mockResolvedValue(createRecord());
+
+      await createSchedule(req, res, next);
+
+      expect(scheduleService.createSchedule).toHaveBeenCalledWith({
+        url: "https://example.com",
+        cron: "0 9 * * *",
+        every: undefined,
+        timezone: "Europe/Berlin",
+        analyzers: null,
+        api_key_id: "key-1",
+      });
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.schedule_id).toBe(SCHEDULE_ID);
+      expect(body.next_run_at).toBe(NEXT_RUN_AT);
+      expect(body.api_key_id).toBeUndefined();
+      expectResponseToMatchSpec(res, "post", "/api/schedules");
+    });
+
+    test("should reject an invalid URL", async () => {
+      req.body.url = "ftp://example.com";
+
+      await createSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(scheduleService.createSchedule).not.toHaveBeenCalled();
+    });
+
+    test("should reject unknown analyzers", async () => {
+      req.body.analyzers = ["not_an_analyzer"];
+
+      await createSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: "Unknown analyzers" })
+      );
+    });
+
+    test("should reject an invalid repeat", async () => {
+      scheduleService.validateRepeat.mockReturnValue(
+        "Exactly one of cron or every is required"
+      );
+
+      await createSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.INVALID_SCHEDULE,
+        message: "Exactly one of cron or every is required",
+      });
+    });
+
+    test("should reject URLs outside the key's allowed domains", async () => {
+      req.apiKey.allowed_domains = ["example.org"];
+
+      await createSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN);
+    });
+
+    test("should return 503 when the schedule can't be stored", async () => {
+      scheduleService.createSchedule.mockRejectedValue(new Error("Redis down"));
+
+      await createSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+    });
+  });
+
+  describe("listSchedules", () => {
+    test("should only list schedules the caller can access", async () => {
+      scheduleService.listSchedules.mockResolvedValue({
+        schedules: [createRecord()],
+        next_cursor: null,
+      });
+
+      await listSchedules(req, res, next);
+
+      const { filter } = scheduleService.listSchedules.mock.calls[0][0];
+      expect(filter(createRecord())).toBe(true);
+      expect(filter(createRecord({ api_key_id: "key-2" }))).toBe(false);
+      expect(filter(createRecord({ api_key_id: undefined }))).toBe(true);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.json).toHaveBeenCalledWith({
+        schedules: [
+          expect.objectContaining({
+            schedule_id: SCHEDULE_ID,
+            next_run_at: NEXT_RUN_AT,
+          }),
+        ],
+        count: 1,
+        next_cursor: null,
+      });
+      expectResponseToMatchSpec(res, "get", "/api/schedules");
+    });
+
+    test("should pass the cursor and page size on", async () => {
+      req.query = { cursor: SCHEDULE_ID, limit: "5" };
+      scheduleService.listSchedules.mockResolvedValue({
+        schedules: [],
+        next_cursor: null,
+      });
+
+      await listSchedules(req, res, next);
+
+      expect(scheduleService.listSchedules).toHaveBeenCalledWith(
+        expect.objectContaining({ cursor: SCHEDULE_ID, limit: 5 })
+      );
+    });
+
+    test("should default to the configured page size", async () => {
+      scheduleService.listSchedules.mockResolvedValue({
+        schedules: [],
+        next_cursor: null,
+      });
+
+      await listSchedules(req, res, next);
+
+      expect(scheduleService.listSchedules).toHaveBeenCalledWith(
+        expect.objectContaining({ limit: config.schedules.pageSize })
+      );
+    });
+
+    test.each([
+      [{ limit: "0" }],
+      [{ limit: String(config.schedules.maxPageSize + 1) }],
+      [{ cursor: "abc" }],
+    ])("should reject invalid query %j", async (query) => {
+      req.query = query;
+
+      await listSchedules(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(scheduleService.listSchedules).not.toHaveBeenCalled();
+      expectResponseToMatchSpec(res, "get", "/api/schedules");
+    });
+
+    test("should return 503 on storage errors", async () => {
+      scheduleService.listSchedules.mockRejectedValue(new Error("Redis down"));
+
+      await listSchedules(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expectResponseToMatchSpec(res, "get", "/api/schedules");
+    });
+  });
+
+  describe("getSchedule", () => {
+    test("should return the schedule", async () => {
+      req.params.schedule_id = SCHEDULE_ID;
+      scheduleService.getSchedule.mockResolvedValue(createRecord());
+
+      await getSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expectResponseToMatchSpec(res, "get", "/api/schedules/{schedule_id}");
+    });
+
+    test("should reject an invalid schedule ID", async () => {
+      req.params.schedule_id = "abc";
+
+      await getSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(scheduleService.getSchedule).not.toHaveBeenCalled();
+    });
+
+    test("should hide another key's schedule", async () => {
+      req.params.schedule_id = SCHEDULE_ID;
+      scheduleService.getSchedule.mockResolvedValue(
+        createRecord({ api_key_id: "key-2" })
+      );
+
+      await getSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: ERROR_MESSAGES.SCHEDULE_NOT_FOUND })
+      );
+    });
+
+    test("should return 404 for a missing schedule", async () => {
+      req.params.schedule_id = SCHEDULE_ID;
+      scheduleService.getSchedule.mockResolvedValue(null);
+
+      await getSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    });
+  });
+
+  describe("pause, resume and delete", () => {
+    beforeEach(() => {
+      req.params.schedule_id = SCHEDULE_ID;
+      scheduleService.getSchedule.mockResolvedValue(createRecord());
+    });
+
+    test("should pause a schedule", async () => {
+      scheduleService.pauseSchedule.mockResolvedValue(
+        createRecord({ status: SCHEDULE_STATUS.PAUSED })
+      );
+
+      await pauseSchedule(req, res, next);
+
+      expect(scheduleService.pauseSchedule).toHaveBeenCalledWith(
+        createRecord()
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ status: SCHEDULE_STATUS.PAUSED })
+      );
+      expectResponseToMatchSpec(
+        res,
+        "post",
+        "/api/schedules/{schedule_id}/pause"
+      );
+    });
+
+    test("should resume a schedule", async () => {
+      scheduleService.resumeSchedule.mockResolvedValue(createRecord());
+
+      await resumeSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+    });
+
+    test("should return 503 when a pause fails", async () => {
+      scheduleService.pauseSchedule.mockRejectedValue(new Error("Redis down"));
+
+      await pauseSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+    });
+
+    test("should delete a schedule", async () => {
+      scheduleService.deleteSchedule.mockResolvedValue();
+
+      await deleteSchedule(req, res, next);
+
+      expect(scheduleService.deleteSchedule).toHaveBeenCalledWith(
+        createRecord()
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ schedule_id: SCHEDULE_ID, deleted: true })
+      );
+      expectResponseToMatchSpec(res, "delete", "/api/schedules/{schedule_id}");
+    });
+
+    test("should not delete another key's schedule", async () => {
+      req.apiKey = { key_id: "key-2", allowed_domains: [] };
+
+      await deleteSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(scheduleService.deleteSchedule).not.toHaveBeenCalled();
+    });
+  });
+});
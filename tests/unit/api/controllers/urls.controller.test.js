@@ -0,0 +1,210 @@
+const {
+  getUrlHistory,
+  getUrlDiff,
+  parseHistoryQuery,
+} = require("../../../../src/api/controllers/urls.controller");
+const historyService = require("../../../../src/services/history.service");
+const { HTTP_STATUS } = require("../../../../src/utils/constants");
+
+jest.mock("../../../../src/services/history.service");
+jest.mock("../../../../src/utils/logger");
+
+const FROM = "1729799000000123456";
+const TO = "1729885400000654321";
+
+function createRun(job_id, results, extra = {}) {
+  return {
+    job_id,
+    url: "https://example.com/pricing",
+    finished_at: "2024-10-24T20:00:05.000Z",
+    analyzers: null,
+    results,
+    ...extra,
+  };
+}
+
+describe("urls Controller", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { query: {}, id: "test-request-id" };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  describe("getUrlHistory", () => {
+    test("should list runs of the normalized URL", async () => {
+      req.query.url = "https://Example.com/pricing#plans";
+      historyService.listRuns.mockResolvedValue({
+        runs: [
+          createRun(TO, { page_title: "New" }, { request_id: "not-listed" }),
+        ],
+        next_cursor: null,
+      });
+
+      await getUrlHistory(req, res, next);
+
+      expect(historyService.listRuns).toHaveBeenCalledWith(
+        "https://Example.com/pricing#plans",
+        expect.objectContaining({ limit: 20 })
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.json).toHaveBeenCalledWith({
+        url: "https://example.com/pricing",
+        runs: [
+          {
+            job_id: TO,
+            url: "https://example.com/pricing",
+            finished_at: "2024-10-24T20:00:05.000Z",
+            analyzers: null,
+            results: { page_title: "New" },
+          },
+        ],
+        count: 1,
+        next_cursor: null,
+      });
+    });
+
+    test("should only list runs the caller's API key can access", async () => {
+      req.query.url = "https://example.com";
+      req.apiKey = { key_id: "aaaaaaaaaaaaaaaa" };
+      historyService.listRuns.mockResolvedValue({
+        runs: [],
+        next_cursor: null,
+      });
+
+      await getUrlHistory(req, res, next);
+
+      const { filter } = historyService.listRuns.mock.calls[0][1];
+      expect(filter({ api_key_id: "aaaaaaaaaaaaaaaa" })).toBe(true);
+      expect(filter({ api_key_id: "bbbbbbbbbbbbbbbb" })).toBe(false);
+      expect(filter({})).toBe(true);
+    });
+
+    test("should reject invalid query parameters", async () => {
+      req.query.url = "not-a-url";
+
+      await getUrlHistory(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(historyService.listRuns).not.toHaveBeenCalled();
+    });
+
+    test("should return 503 when storage fails", async () => {
+      req.query.url = "https://example.com";
+      historyService.listRuns.mockRejectedValue(new Error("Redis down"));
+
+      await getUrlHistory(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+    });
+  });
+
+  describe("parseHistoryQuery", () => {
+    test("should validate limit and cursor", () => {
+      const url = "https://example.com";
+
+      expect(parseHistoryQuery({}).error).toBeDefined();
+      expect(parseHistoryQuery({ url, limit: "0" }).error).toBeDefined();
+      expect(parseHistoryQuery({ url, limit: "101" }).error).toBeDefined();
+      expect(parseHistoryQuery({ url, cursor: "abc" }).error).toBeDefined();
+      expect(parseHistoryQuery({ url, limit: "5", cursor: FROM })).toEqual({
+        url,
+        options: { limit: 5, cursor: FROM },
+      });
+    });
+  });
+
+  describe("getUrlDiff", () => {
+    beforeEach(() => {
+      req.query = { from: FROM, to: TO };
+    });
+
+    test("should diff the results of two runs", async () => {
+      historyService.getRuns.mockResolvedValue([
+        createRun(FROM, { page_title: "Pricing", has_login_form: false }),
+        createRun(TO, { page_title: "Plans", has_login_form: true }),
+      ]);
+
+      await getUrlDiff(req, res, next);
+
+      expect(historyService.getRuns).toHaveBeenCalledWith([FROM, TO]);
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+      expect(res.json).toHaveBeenCalledWith({
+        from: {
+          job_id: FROM,
+          url: "https://example.com/pricing",
+          finished_at: "2024-10-24T20:00:05.000Z",
+        },
+        to: {
+          job_id: TO,
+          url: "https://example.com/pricing",
+          finished_at: "2024-10-24T20:00:05.000Z",
+        },
+        same_url: true,
+        changed: true,
+        changes: {
+          page_title: { from: "Pricing", to: "Plans" },
+          login_form: { from: false, to: true, change: "appeared" },
+        },
+        not_compared: [],
+      });
+    });
+
+    test("should flag runs of different URLs", async () => {
+      historyService.getRuns.mockResolvedValue([
+        createRun(FROM, {}),
+        createRun(TO, {}, { url: "https://competitor.com/pricing" }),
+      ]);
+
+      await getUrlDiff(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ same_url: false, changed: false })
+      );
+    });
+
+    test("should reject missing or malformed job IDs", async () => {
+      req.query = { from: FROM, to: "abc" };
+
+      await getUrlDiff(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(historyService.getRuns).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 for unknown runs", async () => {
+      historyService.getRuns.mockResolvedValue([createRun(FROM, {}), null]);
+
+      await getUrlDiff(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining(TO) })
+      );
+    });
+
+    test("should return 404 for another API key's runs", async () => {
+      req.apiKey = { key_id: "aaaaaaaaaaaaaaaa" };
+      historyService.getRuns.mockResolvedValue([
+        createRun(FROM, {}, { api_key_id: "aaaaaaaaaaaaaaaa" }),
+        createRun(TO, {}, { api_key_id: "bbbbbbbbbbbbbbbb" }),
+      ]);
+
+      await getUrlDiff(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    });
+
+    test("should return 503 when storage fails", async () => {
+      historyService.getRuns.mockRejectedValue(new Error("Redis down"));
+
+      await getUrlDiff(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const express = require("express");
+const request = require("supertest");
+const { getOpenApiSpec } = require("../../../../src/api/docs/openapi");
+const docsRoutes = require("../../../../src/api/routes/docs.route");
+const healthRoutes = require("../../../../src/api/routes/health.route");
+const storageService = require("../../../../src/services/storage.service");
+const queueService = require("../../../../src/services/queue.service");
+const heartbeatService = require("../../../../src/services/heartbeat.service");
+const {
+  parseHtml,
+  getAnalyzerNames,
+} = require("../../../../src/worker/parser");
+const {
+  getFallbackResults,
+} = require("../../../../src/worker/analyzerRegistry");
+const { validateResponse } = require("../../../helpers/openapi");
+
+jest.mock("../../../../src/services/storage.service");
+jest.mock("../../../../src/services/queue.service");
+jest.mock("../../../../src/services/heartbeat.service");
+jest.mock("../../../../src/utils/logger");
+
+const RESULTS_PATH = "/api/results/{job_id}";
+
+function completedJob(results) {
+  return {
+    job_id: "1729799000000123456",
+    status: "COMPLETED",
+    url: "https://example.com",
+    results,
+  };
+}
+
+describe("OpenAPI spec", () => {
+  const spec = getOpenApiSpec();
+
+  test("should document the public endpoints", () => {
+    expect(spec.openapi).toMatch(/^3\.1\./);
+    expect(Object.keys(spec.paths)).toEqual(
+      expect.arrayContaining([
+        "/api/analyse",
+        RESULTS_PATH,
+        "/api/schedules",
+        "/api/schedules/{schedule_id}",
+        "/health/live",
+        "/health/ready",
+      ])
+    );
+  });
+
+  test("should list every registered analyzer", () => {
+    const { analyzers } = spec.components.schemas.AnalyseRequest.properties;
+
+    expect(analyzers.items.enum).toEqual(getAnalyzerNames());
+  });
+
+  test("should describe the results produced by parseHtml", () => {
+    const html = `<!DOCTYPE html>
+      <html><head><title>Docs</title></head><body>
+        <h1>Title</h1><h2>Sub</h2>
+        <a href="/about">About</a><a href="https://other.example">Out</a>
+        <form><input type="password" name="password"></form>
+      </body></html>`;
+
+    const results = parseHtml(html, "https://example.com");
+
+    expect(
+      validateResponse("get", RESULTS_PATH, 200, completedJob(results))
+    ).toEqual([]);
+  });
+
+  test("should describe the fallback results of a failed parse", () => {
+    const results = {
+      ...getFallbackResults(),
+      parse_error: "Unexpected input",
+    };
+
+    expect(
+      validateResponse("get", RESULTS_PATH, 200, completedJob(results))
+    ).toEqual([]);
+  });
+
+  test("should reject undocumented result fields", () => {
+    const errors = validateResponse(
+      "get",
+      RESULTS_PATH,
+      200,
+      completedJob({ page_title: "Docs", undocumented: true })
+    );
+
+    expect(errors).toEqual([
+      expect.stringContaining("must NOT have additional properties"),
+    ]);
+  });
+});
+
+describe("docs and health routes", () => {
+  const app = express();
+  app.use("/health", healthRoutes);
+  app.use("/api", docsRoutes);
+
+  test("should serve the spec as JSON", async () => {
+    const res = await request(app).get("/api/openapi.json");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(getOpenApiSpec());
+  });
+
+  test("should serve the docs page with self-hosted assets", async () => {
+    const page = await request(app).get("/api/docs");
+
+    expect(page.status).toBe(200);
+    expect(page.headers["content-type"]).toMatch(/html/);
+    expect(page.text).toContain("/api/docs/assets/swagger-ui-bundle.js");
+
+    const init = await request(app).get("/api/docs/init.js");
+    expect(init.text).toContain("/api/openapi.json");
+
+    const bundle = await request(app).get(
+      "/api/docs/assets/swagger-ui-bundle.js"
+    );
+    expect(bundle.status).toBe(200);
+  });
+
+  test("should match the spec for the liveness probe", async () => {
+    const res = await request(app).get("/health/live");
+
+    expect(
+      validateResponse("get", "/health/live", res.status, res.body)
+    ).toEqual([]);
+  });
+
+  test("should match the spec for both readiness outcomes", async () => {
+    storageService.ping.mockResolvedValue(true);
+    queueService.checkQueueHealth.mockResolvedValue({
+      healthy: true,
+      isPaused: false,
+      stats: { waiting: 0, active: 1, delayed: 0, failed: 0 },
+    });
+    heartbeatService.getLiveWorkers.mockResolvedValue([
+      {
+        worker_id: "worker-1:42:abcd",
+        hostname: "worker-1",
+        pid: 42,
+        concurrency: 2,
+        started_at: "2024-10-24T12:00:00.000Z",
+        last_seen: "2024-10-24T12:00:10.000Z",
+      },
+    ]);
+
+    let res = await request(app).get("/health/ready");
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ok");
+    expect(validateResponse("get", "/health/ready", 200, res.body)).toEqual([]);
+
+    storageService.ping.mockRejectedValue(new Error("Connection refused"));
+    heartbeatService.getLiveWorkers.mockResolvedValue([]);
+    res = await request(app).get("/health/ready");
+    expect(res.status).toBe(503);
+    expect(validateResponse("get", "/health/ready", 503, res.body)).toEqual([]);
+  });
+
+  test("should keep taking traffic while degraded", async () => {
+    storageService.ping.mockResolvedValue(true);
+    queueService.checkQueueHealth.mockResolvedValue({
+      healthy: true,
+      isPaused: true,
+      stats: { waiting: 0, active: 0, delayed: 0, failed: 0 },
+    });
+    heartbeatService.getLiveWorkers.mockResolvedValue([
+      { worker_id: "worker-1:42:abcd", last_seen: "2024-10-24T12:00:10.000Z" },
+    ]);
+
+    const res = await request(app).get("/health/ready");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("degraded");
+    expect(validateResponse("get", "/health/ready", 200, res.body)).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+const {
+  authenticateApiKey,
+} = require("../../../../src/api/middleware/apiKeyAuth");
+const apiKeyService = require("../../../../src/services/apiKey.service");
+const config = require("../../../../src/config/app.config");
+const { HTTP_STATUS } = require("../../../../src/utils/constants");
+
+jest.mock("../../../../src/services/apiKey.service");
+jest.mock("../../../../src/utils/logger");
+
+describe("authenticateApiKey middleware", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    config.auth.required = false;
+    req = { headers: {}, id: "test-request-id" };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  afterAll(() => {
+    config.auth.required = false;
+  });
+
+  test("should let anonymous requests through when keys are optional", async () => {
+    await authenticateApiKey(req, res, next);
+
+    expect(req.apiKey).toBeNull();
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should require a key when API_KEY_REQUIRED is set", async () => {
+    config.auth.required = true;
+
+    await authenticateApiKey(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED);
+  });
+
+  test("should attach the key record for a valid key", async () => {
+    const apiKey = { key_id: "aaaaaaaaaaaaaaaa", name: "ci" };
+    apiKeyService.authenticate.mockResolvedValue(apiKey);
+    req.headers.authorization = "Bearer wpa_key";
+
+    await authenticateApiKey(req, res, next);
+
+    expect(apiKeyService.authenticate).toHaveBeenCalledWith("wpa_key");
+    expect(req.apiKey).toBe(apiKey);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should reuse the key already resolved by the rate limiter", async () => {
+    const apiKey = { key_id: "aaaaaaaaaaaaaaaa", name: "ci" };
+    req.headers.authorization = "Bearer wpa_key";
+    req.apiKey = apiKey;
+
+    await authenticateApiKey(req, res, next);
+
+    expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+    expect(req.apiKey).toBe(apiKey);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should reject unknown or revoked keys", async () => {
+    apiKeyService.authenticate.mockResolvedValue(null);
+    req.headers.authorization = "Bearer wpa_key";
+
+    await authenticateApiKey(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should reject other authorization schemes", async () => {
+    req.headers.authorization = "Basic dXNlcjpwYXNz";
+
+    await authenticateApiKey(req, res, next);
+
+    expect(apiKeyService.authenticate).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED);
+  });
+
+  test("should return 503 when keys can't be checked", async () => {
+    apiKeyService.authenticate.mockRejectedValue(new Error("Redis down"));
+    req.headers.authorization = "Bearer wpa_key";
+
+    await authenticateApiKey(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+  });
+});
@@ -0,0 +1,57 @@
+const express = require("express");
+const request = require("supertest");
+const {
+  trackRequests,
+  metricsHandler,
+} = require("../../../../src/api/middleware/metrics");
+const { register } = require("../../../../src/utils/metrics");
+
+describe("metrics middleware", () => {
+  const app = express();
+  const router = express.Router();
+
+  router.get("/:job_id", (req, res) => res.status(404).json({}));
+
+  app.use(trackRequests);
+  app.get("/metrics", metricsHandler);
+  app.use("/api/results", router);
+
+  beforeEach(() => {
+    register.resetMetrics();
+  });
+
+  test("should label requests with the matched route", async () => {
+    await request(app).get("/api/results/1234567890123456789");
+    await request(app).get("/api/results/9999999999999999999");
+
+    const output = (await request(app).get("/metrics")).text;
+
+    expect(output).toContain(
+      'web_analyzer_http_requests_total{method="GET",route="/api/results/:job_id",status_code="404"} 2'
+    );
+    expect(output).toContain(
+      'web_analyzer_http_request_duration_seconds_count{method="GET",route="/api/results/:job_id",status_code="404"} 2'
+    );
+    expect(output).not.toContain("1234567890123456789");
+  });
+
+  test("should group requests that match no route", async () => {
+    await request(app).get("/nope/123");
+
+    const output = (await request(app).get("/metrics")).text;
+
+    expect(output).toContain(
+      'web_analyzer_http_requests_total{method="GET",route="unmatched",status_code="404"} 1'
+    );
+  });
+
+  test("should serve the Prometheus text format", async () => {
+    const res = await request(app).get("/metrics");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toContain("text/plain");
+    expect(res.text).toContain(
+      "# TYPE web_analyzer_jobs_created_total counter"
+    );
+  });
+});
@@ -0,0 +1,160 @@
+const {
+  createRateLimiter,
+} = require("../../../../src/api/middleware/rateLimiter");
+const { getRedisClient } = require("../../../../src/config/redis.config");
+const apiKeyService = require("../../../../src/services/apiKey.service");
+const { HTTP_STATUS } = require("../../../../src/utils/constants");
+
+jest.mock("../../../../src/config/redis.config");
+jest.mock("../../../../src/services/apiKey.service");
+jest.mock("../../../../src/utils/logger");
+
+describe("Rate limiter middleware", () => {
+  let redis, req, res, next, limiter;
+
+  beforeEach(() => {
+    redis = { eval: jest.fn().mockResolvedValue([1, 1, 60000]) };
+    getRedisClient.mockReturnValue(redis);
+
+    req = { ip: "203.0.113.7", headers: {}, id: "test-request-id" };
+    res = {
+      set: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+
+    limiter = createRateLimiter({ name: "analyse", max: 10, windowMs: 60000 });
+  });
+
+  test("should allow requests within the budget and set RateLimit headers", async () => {
+    redis.eval.mockResolvedValue([1, 4, 42000]);
+
+    await limiter(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(redis.eval).toHaveBeenCalledWith(
+      expect.any(String),
+      1,
+      "ratelimit:analyse:ip:203.0.113.7",
+      60000,
+      10,
+      expect.any(String)
+    );
+    expect(res.set).toHaveBeenCalledWith({
+      "RateLimit-Limit": "10",
+      "RateLimit-Remaining": "6",
+      "RateLimit-Reset": "42",
+      "RateLimit-Policy": "10;w=60",
+    });
+  });
+
+  test("should return 429 with Retry-After when the budget is spent", async () => {
+    redis.eval.mockResolvedValue([0, 10, 12500]);
+
+    await limiter(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", "13");
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: "Too many requests" })
+    );
+  });
+
+  test("should count requests with a valid API key against the IP and the key", async () => {
+    const apiKey = { key_id: "key-1" };
+    req.headers.authorization = "Bearer my-api-key";
+    apiKeyService.authenticate.mockResolvedValue(apiKey);
+    redis.eval
+      .mockResolvedValueOnce([1, 2, 50000])
+      .mockResolvedValueOnce([1, 9, 30000]);
+
+    await limiter(req, res, next);
+
+    expect(apiKeyService.authenticate).toHaveBeenCalledTimes(1);
+    expect(apiKeyService.authenticate).toHaveBeenCalledWith("my-api-key");
+    expect(redis.eval.mock.calls.map((call) => call[2])).toEqual([
+      "ratelimit:analyse:ip:203.0.113.7",
+      "ratelimit:analyse:key:key-1",
+    ]);
+    expect(res.set).toHaveBeenCalledWith(
+      expect.objectContaining({
+        "RateLimit-Remaining": "1",
+        "RateLimit-Reset": "30",
+      })
+    );
+    expect(req.apiKey).toBe(apiKey);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should reject a valid API key once its IP budget is spent", async () => {
+    req.headers.authorization = "Bearer my-api-key";
+    apiKeyService.authenticate.mockResolvedValue({ key_id: "key-1" });
+    redis.eval.mockResolvedValue([0, 10, 30000]);
+
+    await limiter(req, res, next);
+
+    expect(redis.eval).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", "30");
+  });
+
+  test("should reject a valid API key once its own budget is spent", async () => {
+    req.headers.authorization = "Bearer my-api-key";
+    apiKeyService.authenticate.mockResolvedValue({ key_id: "key-1" });
+    redis.eval
+      .mockResolvedValueOnce([1, 3, 50000])
+      .mockResolvedValueOnce([0, 10, 20000]);
+
+    await limiter(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", "20");
+  });
+
+  test("should count requests with an invalid API key against the IP", async () => {
+    req.headers.authorization = "Bearer made-up-key";
+    apiKeyService.authenticate.mockResolvedValue(null);
+
+    await limiter(req, res, next);
+
+    expect(redis.eval).toHaveBeenCalledTimes(1);
+    expect(redis.eval.mock.calls[0][2]).toBe(
+      "ratelimit:analyse:ip:203.0.113.7"
+    );
+    expect(req.apiKey).toBeUndefined();
+  });
+
+  test("should fall back to the IP when the API key can't be verified", async () => {
+    req.headers.authorization = "Bearer my-api-key";
+    apiKeyService.authenticate.mockRejectedValue(new Error("Redis down"));
+
+    await limiter(req, res, next);
+
+    expect(redis.eval.mock.calls[0][2]).toBe(
+      "ratelimit:analyse:ip:203.0.113.7"
+    );
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should keep separate budgets per limiter", async () => {
+    const resultsLimiter = createRateLimiter({ name: "results", max: 100 });
+
+    await resultsLimiter(req, res, next);
+
+    expect(redis.eval.mock.calls[0][2]).toBe(
+      "ratelimit:results:ip:203.0.113.7"
+    );
+  });
+
+  test("should fail open when Redis is unavailable", async () => {
+    redis.eval.mockRejectedValue(new Error("Connection is closed"));
+
+    await limiter(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
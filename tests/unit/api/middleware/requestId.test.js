@@ -0,0 +1,38 @@
+const { requestId } = require("../../../../src/api/middleware/requestId");
+
+describe("requestId middleware", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { headers: {}, get: (name) => req.headers[name.toLowerCase()] };
+    res = { setHeader: jest.fn() };
+    next = jest.fn();
+  });
+
+  test("should generate an ID when none is given", () => {
+    requestId(req, res, next);
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.setHeader).toHaveBeenCalledWith("X-Request-Id", req.id);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("should keep a well-formed client ID", () => {
+    req.headers["x-request-id"] = "lb-7f3a:42";
+
+    requestId(req, res, next);
+
+    expect(req.id).toBe("lb-7f3a:42");
+    expect(res.setHeader).toHaveBeenCalledWith("X-Request-Id", "lb-7f3a:42");
+  });
+
+  test("should replace IDs that are malformed or too long", () => {
+    req.headers["x-request-id"] = "bad id\nwith newline";
+    requestId(req, res, next);
+    expect(req.id).not.toBe("bad id\nwith newline");
+
+    req.headers["x-request-id"] = "a".repeat(129);
+    requestId(req, res, next);
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
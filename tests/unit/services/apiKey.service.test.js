@@ -0,0 +1,145 @@
+const apiKeyService = require("../../../src/services/apiKey.service");
+const { getRedisClient } = require("../../../src/config/redis.config");
+const { createFakeRedis } = require("../../helpers/fakeRedis");
+
+jest.mock("../../../src/config/redis.config");
+jest.mock("../../../src/utils/logger");
+
+describe("apiKey.service", () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  test("should return the plaintext key once and store only its hash", async () => {
+    const created = await apiKeyService.createApiKey({
+      name: "ci",
+      allowed_domains: ["Example.com"],
+    });
+
+    expect(created.key).toMatch(/^wpa_[a-f0-9]{16}_[a-f0-9]{48}$/);
+    expect(created.secret_hash).toBeUndefined();
+    expect(created.allowed_domains).toEqual(["example.com"]);
+
+    const stored = redis.strings.get(`apikey:${created.key_id}`);
+    expect(stored).not.toContain(created.key.split("_")[2]);
+    expect(JSON.parse(stored).secret_hash).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test("should authenticate valid keys and reject revoked or forged ones", async () => {
+    const created = await apiKeyService.createApiKey({ name: "ci" });
+
+    const apiKey = await apiKeyService.authenticate(created.key);
+    expect(apiKey.key_id).toBe(created.key_id);
+
+    const forged = created.key.replace(/.$/, (c) => (c === "0" ? "1" : "0"));
+    await expect(apiKeyService.authenticate(forged)).resolves.toBeNull();
+    await expect(apiKeyService.authenticate("not-a-key")).resolves.toBeNull();
+
+    await apiKeyService.revokeApiKey(created.key_id);
+    await expect(apiKeyService.authenticate(created.key)).resolves.toBeNull();
+  });
+
+  test("should list keys without their hashes", async () => {
+    await apiKeyService.createApiKey({ name: "first" });
+    await apiKeyService.createApiKey({ name: "second" });
+
+    const keys = await apiKeyService.listApiKeys();
+
+    expect(keys.map((key) => key.name).sort()).toEqual(["first", "second"]);
+    keys.forEach((key) => expect(key.secret_hash).toBeUndefined());
+  });
+
+  test("should return null when revoking an unknown key", async () => {
+    await expect(
+      apiKeyService.revokeApiKey("0000000000000000")
+    ).resolves.toBeNull();
+  });
+
+  test("should enforce the daily quota without counting rejected submissions", async () => {
+    const apiKey = {
+      key_id: "aaaaaaaaaaaaaaaa",
+      daily_quota: 2,
+      monthly_quota: 10,
+    };
+
+    await expect(apiKeyService.consumeQuota(apiKey)).resolves.toEqual({
+      allowed: true,
+    });
+    await expect(apiKeyService.consumeQuota(apiKey)).resolves.toEqual({
+      allowed: true,
+    });
+    await expect(apiKeyService.consumeQuota(apiKey)).resolves.toEqual({
+      allowed: false,
+      period: "daily",
+      limit: 2,
+      used: 2,
+    });
+
+    const day = new Date().toISOString().slice(0, 10);
+    expect(redis.strings.get(`apikey:aaaaaaaaaaaaaaaa:usage:${day}`)).toBe("2");
+  });
+
+  test("should give back refunded quota", async () => {
+    const apiKey = {
+      key_id: "aaaaaaaaaaaaaaaa",
+      daily_quota: 1,
+      monthly_quota: 10,
+    };
+
+    await apiKeyService.consumeQuota(apiKey);
+    await apiKeyService.refundQuota(apiKey);
+
+    await expect(apiKeyService.consumeQuota(apiKey)).resolves.toEqual({
+      allowed: true,
+    });
+    const month = new Date().toISOString().slice(0, 7);
+    expect(redis.strings.get(`apikey:aaaaaaaaaaaaaaaa:usage:${month}`)).toBe(
+      "1"
+    );
+  });
+
+  test("should enforce the monthly quota", async () => {
+    const apiKey = {
+      key_id: "aaaaaaaaaaaaaaaa",
+      daily_quota: 100,
+      monthly_quota: 3,
+    };
+
+    const result = await apiKeyService.consumeQuota(apiKey, 5);
+
+    expect(result).toEqual(
+      expect.objectContaining({ allowed: false, period: "monthly" })
+    );
+  });
+
+  test("isDomainAllowed should match hosts and subdomains", () => {
+    const apiKey = { allowed_domains: ["example.com"] };
+
+    expect(apiKeyService.isDomainAllowed(apiKey, "https://example.com/")).toBe(
+      true
+    );
+    expect(
+      apiKeyService.isDomainAllowed(apiKey, "https://www.example.com/")
+    ).toBe(true);
+    expect(
+      apiKeyService.isDomainAllowed(apiKey, "https://badexample.com/")
+    ).toBe(false);
+    expect(
+      apiKeyService.isDomainAllowed({ allowed_domains: [] }, "https://any.org")
+    ).toBe(true);
+  });
+
+  test("canAccessJob should restrict keyed jobs to their owner", () => {
+    const owner = { key_id: "aaaaaaaaaaaaaaaa" };
+    const other = { key_id: "bbbbbbbbbbbbbbbb" };
+    const job = { api_key_id: "aaaaaaaaaaaaaaaa" };
+
+    expect(apiKeyService.canAccessJob(owner, job)).toBe(true);
+    expect(apiKeyService.canAccessJob(other, job)).toBe(false);
+    expect(apiKeyService.canAccessJob(null, job)).toBe(false);
+    expect(apiKeyService.canAccessJob(null, {})).toBe(true);
+  });
+});
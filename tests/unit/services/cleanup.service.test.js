@@ -0,0 +1,227 @@
+const cleanupService = require("../../../src/services/cleanup.service");
+const storageService = require("../../../src/services/storage.service");
+const queueService = require("../../../src/services/queue.service");
+const webhookService = require("../../../src/services/webhook.service");
+const { getRedisClient } = require("../../../src/config/redis.config");
+const { JOB_STATUS } = require("../../../src/utils/constants");
+
+jest.mock("../../../src/services/storage.service");
+jest.mock("../../../src/services/queue.service");
+jest.mock("../../../src/services/webhook.service");
+jest.mock("../../../src/config/redis.config");
+jest.mock("../../../src/utils/logger");
+
+describe("CleanupService", () => {
+  let redis;
+
+  const staleJob = (overrides = {}) => ({
+    job_id: "1729799000000123456",
+    url: "https://example.com",
+    status: JOB_STATUS.PENDING,
+    created_at: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    cleanupService.isLeader = false;
+    cleanupService.isCleaning = false;
+
+    redis = {
+      set: jest.fn().mockResolvedValue("OK"),
+      get: jest.fn().mockResolvedValue(null),
+      eval: jest.fn().mockResolvedValue(0),
+    };
+    getRedisClient.mockReturnValue(redis);
+
+    storageService.findOldPendingJobs.mockResolvedValue([]);
+    storageService.updateJobIfStatus.mockImplementation(
+      async (job_id, status, data) => ({ job_id, ...data })
+    );
+    queueService.cleanOldJobs.mockResolvedValue(0);
+  });
+
+  describe("Leader election", () => {
+    test("should take the lock with NX and a TTL", async () => {
+      await expect(cleanupService.acquireLeadership()).resolves.toBe(true);
+
+      expect(redis.set).toHaveBeenCalledWith(
+        "cleanup:leader",
+        cleanupService.instanceId,
+        "PX",
+        expect.any(Number),
+        "NX"
+      );
+    });
+
+    test("should renew a lock it already holds", async () => {
+      redis.set.mockResolvedValue(null);
+      redis.eval.mockResolvedValue(1);
+
+      await expect(cleanupService.acquireLeadership()).resolves.toBe(true);
+      expect(redis.eval).toHaveBeenCalledWith(
+        expect.stringContaining("pexpire"),
+        1,
+        "cleanup:leader",
+        cleanupService.instanceId,
+        expect.any(Number)
+      );
+    });
+
+    test("should skip the run when another instance holds the lock", async () => {
+      redis.set.mockResolvedValue(null);
+      redis.eval.mockResolvedValue(0);
+
+      await cleanupService.runCleanup();
+
+      expect(cleanupService.isLeader).toBe(false);
+      expect(storageService.findOldPendingJobs).not.toHaveBeenCalled();
+    });
+
+    test("should run and share stats when leader", async () => {
+      await cleanupService.runCleanup();
+
+      expect(storageService.findOldPendingJobs).toHaveBeenCalled();
+      expect(redis.set).toHaveBeenCalledWith(
+        "cleanup:stats",
+        expect.stringContaining(cleanupService.instanceId)
+      );
+    });
+  });
+
+  describe("cleanupJob", () => {
+    test("should fail orphaned jobs missing from Bull", async () => {
+      queueService.getJobInfo.mockResolvedValue({ found: false, position: -1 });
+
+      await expect(cleanupService.cleanupJob(staleJob())).resolves.toBe(true);
+
+      expect(storageService.updateJobIfStatus).toHaveBeenCalledWith(
+        "1729799000000123456",
+        JOB_STATUS.PENDING,
+        expect.objectContaining({
+          status: JOB_STATUS.FAILED,
+          error_type: "TIMEOUT_ERROR",
+        })
+      );
+      expect(storageService.appendToJob).toHaveBeenCalledWith(
+        "1729799000000123456",
+        "attempts",
+        expect.objectContaining({
+          status: JOB_STATUS.FAILED,
+          error_type: "TIMEOUT_ERROR",
+        })
+      );
+      expect(webhookService.enqueueDelivery).toHaveBeenCalled();
+    });
+
+    test("should copy Bull's failure reason", async () => {
+      queueService.getJobInfo.mockResolvedValue({
+        found: true,
+        state: "failed",
+        position: -1,
+        failedReason: "Server error (HTTP 503)",
+      });
+
+      await cleanupService.cleanupJob(
+        staleJob({ status: JOB_STATUS.PROCESSING })
+      );
+
+      expect(storageService.updateJobIfStatus).toHaveBeenCalledWith(
+        "1729799000000123456",
+        JOB_STATUS.PROCESSING,
+        expect.objectContaining({ error: "Server error (HTTP 503)" })
+      );
+    });
+
+    test("should leave recent queued jobs alone", async () => {
+      queueService.getJobInfo.mockResolvedValue({
+        found: true,
+        state: "waiting",
+        position: 3,
+      });
+
+      await expect(cleanupService.cleanupJob(staleJob())).resolves.toBe(false);
+      expect(storageService.updateJobIfStatus).not.toHaveBeenCalled();
+    });
+
+    test("should fail and remove jobs stuck past the maximum age", async () => {
+      queueService.getJobInfo.mockResolvedValue({
+        found: true,
+        state: "active",
+        position: 0,
+      });
+
+      const job = staleJob({
+        created_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      });
+
+      await expect(cleanupService.cleanupJob(job)).resolves.toBe(true);
+      expect(queueService.removeJob).toHaveBeenCalledWith(job.job_id);
+    });
+
+    test("should measure the age of a retried job from its retry", async () => {
+      const job = staleJob({
+        created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+        retried_at: new Date(Date.now() - 20 * 60 * 1000).toISOString(),
+      });
+      queueService.getJobInfo.mockResolvedValue({
+        found: true,
+        state: "waiting",
+        position: 0,
+      });
+
+      await expect(cleanupService.cleanupJob(job)).resolves.toBe(false);
+      expect(storageService.updateJobIfStatus).not.toHaveBeenCalled();
+      expect(queueService.removeJob).not.toHaveBeenCalled();
+    });
+
+    test("should skip a job retried too recently to be queued", async () => {
+      const job = staleJob({
+        created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+        retried_at: new Date().toISOString(),
+      });
+      queueService.getJobInfo.mockResolvedValue({ found: false, position: -1 });
+
+      await expect(cleanupService.cleanupJob(job)).resolves.toBe(false);
+      expect(queueService.getJobInfo).not.toHaveBeenCalled();
+      expect(storageService.updateJobIfStatus).not.toHaveBeenCalled();
+    });
+
+    test("should not touch a job that changed status meanwhile", async () => {
+      queueService.getJobInfo.mockResolvedValue({ found: false, position: -1 });
+      storageService.updateJobIfStatus.mockResolvedValue(null);
+
+      await expect(cleanupService.cleanupJob(staleJob())).resolves.toBe(false);
+      expect(webhookService.enqueueDelivery).not.toHaveBeenCalled();
+    });
+
+    test("should not fail jobs when Bull state is unknown", async () => {
+      queueService.getJobInfo.mockResolvedValue({
+        found: false,
+        position: -1,
+        error: "Connection is closed",
+      });
+
+      await expect(cleanupService.cleanupJob(staleJob())).resolves.toBe(false);
+      expect(storageService.updateJobIfStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  test("getStats should merge the leader's shared stats", async () => {
+    redis.get.mockImplementation(async (key) =>
+      key === "cleanup:stats"
+        ? JSON.stringify({ totalRunsCompleted: 7, lastRunBy: "other" })
+        : "other"
+    );
+
+    const stats = await cleanupService.getStats();
+
+    expect(stats).toEqual(
+      expect.objectContaining({
+        totalRunsCompleted: 7,
+        leader: "other",
+        isLeader: false,
+        instanceId: cleanupService.instanceId,
+      })
+    );
+  });
+});
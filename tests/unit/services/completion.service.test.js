@@ -0,0 +1,118 @@
+const completionService = require("../../../src/services/completion.service");
+const storageService = require("../../../src/services/storage.service");
+const webhookService = require("../../../src/services/webhook.service");
+const historyService = require("../../../src/services/history.service");
+const { register } = require("../../../src/utils/metrics");
+const { JOB_STATUS } = require("../../../src/utils/constants");
+
+jest.mock("../../../src/services/storage.service");
+jest.mock("../../../src/services/webhook.service");
+jest.mock("../../../src/services/history.service");
+jest.mock("../../../src/utils/logger");
+
+const JOB_ID = "1729799000000123456";
+
+describe("completion.service", () => {
+  beforeEach(() => {
+    register.resetMetrics();
+    storageService.updateJobIfStatus.mockImplementation(
+      async (job_id, status, data) => ({
+        job_id,
+        url: "https://example.com",
+        started_at: "2024-10-24T20:00:00.000Z",
+        ...data,
+      })
+    );
+    storageService.appendToJob.mockResolvedValue({});
+  });
+
+  describe("finishJob", () => {
+    test("should only update a job that still has the expected status", async () => {
+      await completionService.finishJob(JOB_ID, JOB_STATUS.PROCESSING, {
+        status: JOB_STATUS.COMPLETED,
+      });
+
+      expect(storageService.updateJobIfStatus).toHaveBeenCalledWith(
+        JOB_ID,
+        JOB_STATUS.PROCESSING,
+        expect.objectContaining({
+          status: JOB_STATUS.COMPLETED,
+          finished_at: expect.any(String),
+        })
+      );
+    });
+
+    test("should record, count and announce a failed job", async () => {
+      const job = await completionService.finishJob(
+        JOB_ID,
+        JOB_STATUS.PENDING,
+        {
+          status: JOB_STATUS.FAILED,
+          error: "Job lost in queue",
+          error_type: "TIMEOUT_ERROR",
+        }
+      );
+
+      expect(job.status).toBe(JOB_STATUS.FAILED);
+      expect(storageService.appendToJob).toHaveBeenCalledWith(
+        JOB_ID,
+        "attempts",
+        {
+          status: JOB_STATUS.FAILED,
+          started_at: "2024-10-24T20:00:00.000Z",
+          finished_at: job.finished_at,
+          error: "Job lost in queue",
+          error_type: "TIMEOUT_ERROR",
+        }
+      );
+      const { values } = await register
+        .getSingleMetric("web_analyzer_jobs_failed_total")
+        .get();
+      expect(values).toEqual([
+        expect.objectContaining({
+          labels: { error_type: "TIMEOUT_ERROR" },
+          value: 1,
+        }),
+      ]);
+      expect(historyService.recordRun).not.toHaveBeenCalled();
+      expect(webhookService.enqueueDelivery).toHaveBeenCalledWith(job);
+    });
+
+    test("should add completed jobs to the URL history", async () => {
+      const job = await completionService.finishJob(
+        JOB_ID,
+        JOB_STATUS.PROCESSING,
+        { status: JOB_STATUS.COMPLETED, results: {} }
+      );
+
+      expect(historyService.recordRun).toHaveBeenCalledWith(job);
+      expect(webhookService.enqueueDelivery).toHaveBeenCalledWith(job);
+    });
+
+    test("should do nothing when the status changed meanwhile", async () => {
+      storageService.updateJobIfStatus.mockResolvedValue(null);
+
+      await expect(
+        completionService.finishJob(JOB_ID, JOB_STATUS.PROCESSING, {
+          status: JOB_STATUS.COMPLETED,
+        })
+      ).resolves.toBeNull();
+
+      expect(storageService.appendToJob).not.toHaveBeenCalled();
+      expect(webhookService.enqueueDelivery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("recordAttempt", () => {
+    test("should not throw when the attempt can't be stored", async () => {
+      storageService.appendToJob.mockRejectedValue(new Error("Redis down"));
+
+      await expect(
+        completionService.recordAttempt({
+          job_id: JOB_ID,
+          status: JOB_STATUS.COMPLETED,
+        })
+      ).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const { EventEmitter } = require("events");
+const { getRedisClient } = require("../../../src/config/redis.config");
+const eventsService = require("../../../src/services/events.service");
+
+jest.mock("../../../src/config/redis.config");
+jest.mock("../../../src/utils/logger");
+
+describe("events.service", () => {
+  let publisher, subscriber;
+
+  beforeEach(async () => {
+    await eventsService.closeEvents();
+
+    subscriber = new EventEmitter();
+    subscriber.subscribe = jest.fn().mockResolvedValue(1);
+    subscriber.unsubscribe = jest.fn().mockResolvedValue(0);
+    subscriber.quit = jest.fn().mockResolvedValue("OK");
+
+    publisher = {
+      publish: jest.fn().mockResolvedValue(1),
+      duplicate: jest.fn(() => subscriber),
+    };
+    getRedisClient.mockReturnValue(publisher);
+  });
+
+  test("should publish events on the job channel", async () => {
+    const published = await eventsService.publishJobEvent(
+      "1729799000000123456",
+      "progress",
+      { stage: "fetching", progress: 10 }
+    );
+
+    expect(published).toBe(true);
+    const [channel, message] = publisher.publish.mock.calls[0];
+    expect(channel).toBe("job-events:1729799000000123456");
+    expect(JSON.parse(message)).toEqual(
+      expect.objectContaining({
+        type: "progress",
+        job_id: "1729799000000123456",
+        stage: "fetching",
+        progress: 10,
+        timestamp: expect.any(String),
+      })
+    );
+  });
+
+  test("should not throw when publishing fails", async () => {
+    publisher.publish.mockRejectedValue(new Error("Redis down"));
+
+    await expect(
+      eventsService.publishJobEvent("1", "status", {})
+    ).resolves.toBe(false);
+  });
+
+  test("should deliver messages to every handler of the channel", async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    await eventsService.subscribeToJob("1", first);
+    await eventsService.subscribeToJob("1", second);
+
+    expect(subscriber.subscribe).toHaveBeenCalledTimes(1);
+
+    subscriber.emit(
+      "message",
+      "job-events:1",
+      JSON.stringify({ type: "status", status: "COMPLETED" })
+    );
+    subscriber.emit("message", "job-events:2", "{}");
+
+    expect(first).toHaveBeenCalledWith({ type: "status", status: "COMPLETED" });
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  test("should run handlers in the subscriber's async context", async () => {
+    const { AsyncLocalStorage } = require("async_hooks");
+    const storage = new AsyncLocalStorage();
+    let seen;
+
+    await storage.run("job-context", () =>
+      eventsService.subscribeToJob("1", () => {
+        seen = storage.getStore();
+      })
+    );
+
+    subscriber.emit("message", "job-events:1", JSON.stringify({}));
+
+    expect(seen).toBe("job-context");
+  });
+
+  test("should ignore malformed messages", async () => {
+    const handler = jest.fn();
+    await eventsService.subscribeToJob("1", handler);
+
+    subscriber.emit("message", "job-events:1", "not json");
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("should unsubscribe from Redis when the last handler leaves", async () => {
+    const unsubscribeFirst = await eventsService.subscribeToJob("1", jest.fn());
+    const unsubscribeSecond = await eventsService.subscribeToJob(
+      "1",
+      jest.fn()
+    );
+
+    await unsubscribeFirst();
+    expect(subscriber.unsubscribe).not.toHaveBeenCalled();
+
+    await unsubscribeSecond();
+    expect(subscriber.unsubscribe).toHaveBeenCalledWith("job-events:1");
+  });
+
+  test("should subscribe again after a failed subscription", async () => {
+    subscriber.subscribe.mockRejectedValueOnce(new Error("Connection lost"));
+
+    const first = eventsService.subscribeToJob("1", jest.fn());
+    const joined = eventsService.subscribeToJob("1", jest.fn());
+
+    await expect(first).rejects.toThrow("Connection lost");
+    await expect(joined).rejects.toThrow("Connection lost");
+
+    const handler = jest.fn();
+    await eventsService.subscribeToJob("1", handler);
+    subscriber.emit(
+      "message",
+      "job-events:1",
+      JSON.stringify({ type: "status" })
+    );
+
+    expect(subscriber.subscribe).toHaveBeenCalledTimes(2);
+    expect(handler).toHaveBeenCalledWith({ type: "status" });
+  });
+
+  describe("createJobWaiter", () => {
+    const isTerminal = (event) => event.status === "COMPLETED";
+
+    test("should resolve with the first matching event", async () => {
+      const waiter = await eventsService.createJobWaiter("1", isTerminal);
+      const waiting = waiter.wait(1000);
+
+      subscriber.emit(
+        "message",
+        "job-events:1",
+        JSON.stringify({ type: "status", status: "PROCESSING" })
+      );
+      subscriber.emit(
+        "message",
+        "job-events:1",
+        JSON.stringify({ type: "status", status: "COMPLETED" })
+      );
+
+      await expect(waiting).resolves.toEqual({
+        type: "status",
+        status: "COMPLETED",
+      });
+      await waiter.cancel();
+    });
+
+    test("should keep events that arrive before wait() is called", async () => {
+      const waiter = await eventsService.createJobWaiter("1", isTerminal);
+
+      subscriber.emit(
+        "message",
+        "job-events:1",
+        JSON.stringify({ type: "status", status: "COMPLETED" })
+      );
+
+      await expect(waiter.wait(1000)).resolves.toEqual(
+        expect.objectContaining({ status: "COMPLETED" })
+      );
+      await waiter.cancel();
+    });
+
+    test("should resolve null on timeout", async () => {
+      const waiter = await eventsService.createJobWaiter("1", isTerminal);
+
+      await expect(waiter.wait(10)).resolves.toBeNull();
+      await waiter.cancel();
+      expect(subscriber.unsubscribe).toHaveBeenCalledWith("job-events:1");
+    });
+
+    test("should resolve null when cancelled", async () => {
+      const waiter = await eventsService.createJobWaiter("1", isTerminal);
+      const waiting = waiter.wait(10000);
+
+      await waiter.cancel();
+
+      await expect(waiting).resolves.toBeNull();
+    });
+  });
+});
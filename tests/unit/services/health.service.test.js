@@ -0,0 +1,121 @@
+const healthService = require("../../../src/services/health.service");
+const storageService = require("../../../src/services/storage.service");
+const queueService = require("../../../src/services/queue.service");
+const heartbeatService = require("../../../src/services/heartbeat.service");
+const config = require("../../../src/config/app.config");
+
+jest.mock("../../../src/services/storage.service");
+jest.mock("../../../src/services/queue.service");
+jest.mock("../../../src/services/heartbeat.service");
+jest.mock("../../../src/utils/logger");
+
+const worker = {
+  worker_id: "worker-1:42:abcd",
+  last_seen: "2024-10-24T12:00:00.000Z",
+};
+
+function queueHealth(overrides = {}) {
+  return {
+    healthy: true,
+    isPaused: false,
+    stats: { waiting: 3, active: 2, delayed: 0, failed: 1, completed: 10 },
+    ...overrides,
+  };
+}
+
+describe("health.service getReadiness", () => {
+  beforeEach(() => {
+    storageService.ping.mockResolvedValue(true);
+    queueService.checkQueueHealth.mockResolvedValue(queueHealth());
+    heartbeatService.getLiveWorkers.mockResolvedValue([worker]);
+  });
+
+  test("should be ok when every check passes", async () => {
+    const readiness = await healthService.getReadiness();
+
+    expect(readiness.status).toBe("ok");
+    expect(readiness.checks.queue).toEqual(
+      expect.objectContaining({
+        status: "ok",
+        paused: false,
+        depth: 3,
+        counts: { waiting: 3, active: 2, delayed: 0, failed: 1 },
+      })
+    );
+    expect(readiness.checks.workers).toEqual({
+      status: "ok",
+      count: 1,
+      workers: [worker],
+    });
+  });
+
+  test("should be unavailable when no worker is alive", async () => {
+    heartbeatService.getLiveWorkers.mockResolvedValue([]);
+
+    const readiness = await healthService.getReadiness();
+
+    expect(readiness.status).toBe("unavailable");
+    expect(readiness.checks.workers.reason).toMatch(/No worker heartbeat/);
+  });
+
+  test("should be degraded while the queue is paused", async () => {
+    queueService.checkQueueHealth.mockResolvedValue(
+      queueHealth({ isPaused: true })
+    );
+
+    const readiness = await healthService.getReadiness();
+
+    expect(readiness.status).toBe("degraded");
+    expect(readiness.checks.queue.reason).toBe("Queue is paused");
+  });
+
+  test("should grade queue depth against the thresholds", async () => {
+    const { queueDepthWarning, queueDepthCritical } = config.health;
+
+    queueService.checkQueueHealth.mockResolvedValue(
+      queueHealth({ stats: { waiting: queueDepthWarning } })
+    );
+    expect((await healthService.getReadiness()).status).toBe("degraded");
+
+    queueService.checkQueueHealth.mockResolvedValue(
+      queueHealth({ stats: { waiting: queueDepthCritical } })
+    );
+    expect((await healthService.getReadiness()).status).toBe("unavailable");
+  });
+
+  test("should be unavailable when Redis or the queue is down", async () => {
+    storageService.ping.mockRejectedValue(new Error("Redis connection failed"));
+    queueService.checkQueueHealth.mockResolvedValue({
+      healthy: false,
+      error: "Connection is closed",
+    });
+
+    const readiness = await healthService.getReadiness();
+
+    expect(readiness.status).toBe("unavailable");
+    expect(readiness.checks.redis).toEqual({
+      status: "unavailable",
+      error: "Redis connection failed",
+    });
+    expect(readiness.checks.queue.error).toBe("Connection is closed");
+  });
+
+  test("should time out checks that hang", async () => {
+    const timeout = config.health.checkTimeoutMs;
+    config.health.checkTimeoutMs = 10;
+    queueService.checkQueueHealth.mockReturnValue(new Promise(() => {}));
+
+    try {
+      const readiness = await healthService.getReadiness();
+
+      expect(readiness.checks.queue).toEqual(
+        expect.objectContaining({
+          status: "unavailable",
+          error: "Queue check timed out",
+        })
+      );
+    } finally {
+      config.health.checkTimeoutMs = timeout;
+    }
+  });
+});
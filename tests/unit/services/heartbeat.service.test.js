@@ -0,0 +1,84 @@
+const heartbeatService = require("../../../src/services/heartbeat.service");
+const { getRedisClient } = require("../../../src/config/redis.config");
+const config = require("../../../src/config/app.config");
+const { createFakeRedis } = require("../../helpers/fakeRedis");
+
+jest.mock("../../../src/config/redis.config");
+jest.mock("../../../src/utils/logger");
+
+describe("heartbeat.service", () => {
+  let redis;
+
+  const heartbeats = () => redis.zset(config.health.heartbeatKey);
+  const workerInfo = () => redis.hash(config.health.workerInfoKey);
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  afterEach(async () => {
+    await heartbeatService.stopHeartbeat();
+  });
+
+  test("should register the worker with its details", async () => {
+    const workerId = await heartbeatService.startHeartbeat({ concurrency: 4 });
+
+    const workers = await heartbeatService.getLiveWorkers();
+
+    expect(workers).toEqual([
+      expect.objectContaining({
+        worker_id: workerId,
+        pid: process.pid,
+        concurrency: 4,
+        last_seen: expect.any(String),
+      }),
+    ]);
+  });
+
+  test("should deregister on stop", async () => {
+    await heartbeatService.startHeartbeat();
+    await heartbeatService.stopHeartbeat();
+
+    expect(await heartbeatService.getLiveWorkers()).toEqual([]);
+    expect(workerInfo().size).toBe(0);
+  });
+
+  test("should drop workers whose heartbeat expired", async () => {
+    const stale = Date.now() - config.health.heartbeatTtlMs - 1000;
+    heartbeats().set("dead-worker", stale);
+    workerInfo().set("dead-worker", JSON.stringify({ pid: 1 }));
+    heartbeats().set("live-worker", Date.now());
+
+    const workers = await heartbeatService.getLiveWorkers();
+
+    expect(workers.map((w) => w.worker_id)).toEqual(["live-worker"]);
+    expect(heartbeats().has("dead-worker")).toBe(false);
+    expect(workerInfo().has("dead-worker")).toBe(false);
+  });
+
+  test("should keep beating on an interval", async () => {
+    jest.useFakeTimers();
+    try {
+      const workerId = await heartbeatService.startHeartbeat();
+      heartbeats().set(workerId, 0);
+
+      jest.advanceTimersByTime(config.health.heartbeatIntervalMs);
+      await Promise.resolve();
+
+      expect(heartbeats().get(workerId)).toBeGreaterThan(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("should not throw when a heartbeat fails", async () => {
+    redis.multi = () => {
+      throw new Error("Redis down");
+    };
+
+    await expect(heartbeatService.startHeartbeat()).resolves.toEqual(
+      expect.any(String)
+    );
+  });
+});
@@ -0,0 +1,129 @@
+const historyService = require("../../../src/services/history.service");
+const { getRedisClient } = require("../../../src/config/redis.config");
+const config = require("../../../src/config/app.config");
+const { generateNumericJobId } = require("../../../src/utils/jobIdGenerator");
+const { createFakeRedis } = require("../../helpers/fakeRedis");
+
+jest.mock("../../../src/config/redis.config");
+jest.mock("../../../src/utils/logger");
+
+describe("history.service", () => {
+  let redis;
+
+  async function recordRuns(urls, extra = {}) {
+    const ids = [];
+    for (const url of urls) {
+      const job_id = generateNumericJobId();
+      await historyService.recordRun({
+        job_id,
+        url,
+        status: "COMPLETED",
+        finished_at: new Date().toISOString(),
+        results: { page_title: url },
+        ...extra,
+      });
+      ids.push(job_id);
+    }
+    return ids;
+  }
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  test("recordRun should store a snapshot of the run", async () => {
+    const [job_id] = await recordRuns(["https://example.com"], {
+      api_key_id: "aaaaaaaaaaaaaaaa",
+      request_id: "not-kept",
+    });
+
+    const [run] = await historyService.getRuns([job_id]);
+
+    expect(run).toEqual({
+      job_id,
+      url: "https://example.com",
+      finished_at: expect.any(String),
+      analyzers: null,
+      results: { page_title: "https://example.com" },
+      api_key_id: "aaaaaaaaaaaaaaaa",
+    });
+  });
+
+  test("listRuns should group runs by normalized URL, newest first", async () => {
+    const ids = await recordRuns([
+      "https://example.com/pricing?b=2&a=1",
+      "https://example.com/blog",
+      "https://EXAMPLE.com/pricing?a=1&b=2#plans",
+    ]);
+
+    const page = await historyService.listRuns(
+      "https://example.com/pricing?a=1&b=2",
+      { limit: 10 }
+    );
+
+    expect(page.runs.map((run) => run.job_id)).toEqual([ids[2], ids[0]]);
+    expect(page.next_cursor).toBeNull();
+  });
+
+  test("listRuns should page with a cursor and apply the filter", async () => {
+    const ids = await recordRuns([
+      "https://example.com",
+      "https://example.com",
+      "https://example.com",
+    ]);
+
+    const first = await historyService.listRuns("https://example.com", {
+      limit: 1,
+    });
+    const second = await historyService.listRuns("https://example.com", {
+      limit: 1,
+      cursor: first.next_cursor,
+      filter: (run) => run.job_id !== ids[1],
+    });
+
+    expect(first.runs[0].job_id).toBe(ids[2]);
+    expect(first.next_cursor).toBe(ids[2]);
+    expect(second.runs[0].job_id).toBe(ids[0]);
+    expect(second.next_cursor).toBeNull();
+  });
+
+  test("recordRun should keep only the newest runs per URL", async () => {
+    const { maxRunsPerUrl } = config.history;
+    config.history.maxRunsPerUrl = 2;
+
+    try {
+      const ids = await recordRuns([
+        "https://example.com",
+        "https://example.com",
+        "https://example.com",
+      ]);
+
+      const page = await historyService.listRuns("https://example.com", {
+        limit: 10,
+      });
+
+      expect(page.runs.map((run) => run.job_id)).toEqual([ids[2], ids[1]]);
+    } finally {
+      config.history.maxRunsPerUrl = maxRunsPerUrl;
+    }
+  });
+
+  test("recordRun should not throw when Redis fails", async () => {
+    redis.pipeline = () => {
+      throw new Error("Connection refused");
+    };
+
+    await expect(recordRuns(["https://example.com"])).resolves.toHaveLength(1);
+  });
+
+  test("getRuns should throw HistoryError when Redis fails", async () => {
+    redis.mget = async () => {
+      throw new Error("Connection refused");
+    };
+
+    await expect(
+      historyService.getRuns(["1729799000000123456"])
+    ).rejects.toThrow(historyService.HistoryError);
+  });
+});
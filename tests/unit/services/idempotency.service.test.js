@@ -0,0 +1,199 @@
+const idempotencyService = require("../../../src/services/idempotency.service");
+const { getRedisClient } = require("../../../src/config/redis.config");
+const config = require("../../../src/config/app.config");
+const { createFakeRedis } = require("../../helpers/fakeRedis");
+
+jest.mock("../../../src/config/redis.config");
+jest.mock("../../../src/utils/logger");
+
+describe("idempotency.service", () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  describe("isValidIdempotencyKey", () => {
+    test("should accept visible ASCII keys up to 255 characters", () => {
+      expect(
+        idempotencyService.isValidIdempotencyKey(
+          "8e03978e-40d5-43e8-bc93-6894a57f9324"
+        )
+      ).toBe(true);
+      expect(idempotencyService.isValidIdempotencyKey("a".repeat(255))).toBe(
+        true
+      );
+    });
+
+    test("should reject empty, long, non-ASCII and non-string keys", () => {
+      expect(idempotencyService.isValidIdempotencyKey("")).toBe(false);
+      expect(idempotencyService.isValidIdempotencyKey("a".repeat(256))).toBe(
+        false
+      );
+      expect(idempotencyService.isValidIdempotencyKey("has space")).toBe(false);
+      expect(idempotencyService.isValidIdempotencyKey("clé")).toBe(false);
+      expect(idempotencyService.isValidIdempotencyKey(["a"])).toBe(false);
+    });
+  });
+
+  describe("fingerprintRequest", () => {
+    test("should ignore analyzer order", () => {
+      const a = idempotencyService.fingerprintRequest({
+        url: "https://example.com",
+        analyzers: ["title", "links"],
+      });
+      const b = idempotencyService.fingerprintRequest({
+        url: "https://example.com",
+        analyzers: ["links", "title"],
+      });
+
+      expect(a).toBe(b);
+    });
+
+    test("should differ when the url, analyzers or callback differ", () => {
+      const base = { url: "https://example.com", analyzers: ["title"] };
+      const fingerprint = idempotencyService.fingerprintRequest(base);
+
+      expect(
+        idempotencyService.fingerprintRequest({
+          ...base,
+          url: "https://example.org",
+        })
+      ).not.toBe(fingerprint);
+      expect(
+        idempotencyService.fingerprintRequest({ ...base, analyzers: null })
+      ).not.toBe(fingerprint);
+      expect(
+        idempotencyService.fingerprintRequest({
+          ...base,
+          callback_url: "https://hooks.example.com",
+        })
+      ).not.toBe(fingerprint);
+      expect(
+        idempotencyService.fingerprintRequest({ ...base, check_links: true })
+      ).not.toBe(fingerprint);
+    });
+
+    test("should not change without check_links", () => {
+      const base = { url: "https://example.com", analyzers: ["title"] };
+
+      expect(
+        idempotencyService.fingerprintRequest({ ...base, check_links: false })
+      ).toBe(idempotencyService.fingerprintRequest(base));
+    });
+  });
+
+  describe("reserveKey", () => {
+    test("should reserve an unused key for the configured window", async () => {
+      const result = await idempotencyService.reserveKey(
+        "key-1",
+        "retry-1",
+        "fp",
+        "1234567890123456789"
+      );
+
+      expect(result).toEqual({ reserved: true });
+      const [recordKey] = [...redis.strings.keys()];
+      expect(recordKey).toMatch(/^idempotency:key-1:[0-9a-f]{64}$/);
+      expect(recordKey).not.toContain("retry-1");
+      expect(redis.ttls.get(recordKey)).toBe(config.idempotency.windowSeconds);
+      expect(JSON.parse(redis.strings.get(recordKey))).toEqual(
+        expect.objectContaining({
+          fingerprint: "fp",
+          job_id: "1234567890123456789",
+        })
+      );
+    });
+
+    test("should return the existing record on a repeat", async () => {
+      await idempotencyService.reserveKey("key-1", "retry-1", "fp", "111");
+
+      const result = await idempotencyService.reserveKey(
+        "key-1",
+        "retry-1",
+        "fp",
+        "222"
+      );
+
+      expect(result.reserved).toBe(false);
+      expect(result.record).toEqual(
+        expect.objectContaining({ fingerprint: "fp", job_id: "111" })
+      );
+    });
+
+    test("should scope keys per API key or client IP", async () => {
+      await idempotencyService.reserveKey("key-1", "retry-1", "fp", "111");
+
+      const other = await idempotencyService.reserveKey(
+        "key-2",
+        "retry-1",
+        "fp",
+        "222"
+      );
+      const anonymous = await idempotencyService.reserveKey(
+        "ip:203.0.113.7",
+        "retry-1",
+        "fp",
+        "333"
+      );
+      const otherClient = await idempotencyService.reserveKey(
+        "ip:198.51.100.4",
+        "retry-1",
+        "fp",
+        "444"
+      );
+
+      expect(other).toEqual({ reserved: true });
+      expect(anonymous).toEqual({ reserved: true });
+      expect(otherClient).toEqual({ reserved: true });
+    });
+
+    test("should claim the key again if it vanished after SET NX", async () => {
+      redis.set.mockResolvedValueOnce(null);
+
+      const result = await idempotencyService.reserveKey(
+        "key-1",
+        "retry-1",
+        "fp",
+        "111"
+      );
+
+      expect(result).toEqual({ reserved: true });
+      expect(redis.set).toHaveBeenCalledTimes(2);
+    });
+
+    test("should throw IdempotencyError when Redis fails", async () => {
+      redis.set.mockRejectedValue(new Error("Connection refused"));
+
+      await expect(
+        idempotencyService.reserveKey("key-1", "retry-1", "fp", "111")
+      ).rejects.toThrow(idempotencyService.IdempotencyError);
+    });
+  });
+
+  describe("releaseKey", () => {
+    test("should free a reserved key", async () => {
+      await idempotencyService.reserveKey("key-1", "retry-1", "fp", "111");
+
+      await idempotencyService.releaseKey("key-1", "retry-1");
+
+      expect(redis.strings.size).toBe(0);
+      const again = await idempotencyService.reserveKey(
+        "key-1",
+        "retry-1",
+        "fp",
+        "222"
+      );
+      expect(again).toEqual({ reserved: true });
+    });
+
+    test("should not throw when Redis fails", async () => {
+      redis.del.mockRejectedValue(new Error("Connection refused"));
+
+      await expect(
+        idempotencyService.releaseKey("key-1", "retry-1")
+      ).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,388 @@
+const scheduleService = require("../../../src/services/schedule.service");
+const { getRedisClient } = require("../../../src/config/redis.config");
+const config = require("../../../src/config/app.config");
+const { SCHEDULE_STATUS } = require("../../../src/utils/constants");
+const { createFakeRedis } = require("../../helpers/fakeRedis");
+
+jest.mock("bull");
+jest.mock("../../../src/config/redis.config");
+jest.mock("../../../src/utils/logger");
+
+describe("schedule.service", () => {
+  let redis;
+  let queue;
+
+  const scheduleSet = () => redis.zset(`${config.schedules.keyPrefix}all`);
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    // The update script: field count, field/value pairs, then increments
+    redis.eval = async (script, numKeys, key, fieldCount, ...args) => {
+      if (!redis.hashes.has(key)) {
+        return 0;
+      }
+      for (let i = 0; i < args.length; i += 2) {
+        if (i < fieldCount * 2) {
+          await redis.hset(key, args[i], args[i + 1]);
+        } else {
+          await redis.hincrby(key, args[i], args[i + 1]);
+        }
+      }
+      return 1;
+    };
+    getRedisClient.mockReturnValue(redis);
+    queue = scheduleService.getScheduleQueue();
+    queue.add.mockResolvedValue({});
+    queue.removeRepeatable.mockResolvedValue();
+  });
+
+  describe("validateRepeat", () => {
+    const minSeconds = config.schedules.minIntervalSeconds;
+
+    test("should accept an interval or a cron expression", () => {
+      expect(scheduleService.validateRepeat({ every: minSeconds })).toBeNull();
+      expect(
+        scheduleService.validateRepeat({
+          cron: "0 9 * * 1-5",
+          timezone: "Europe/Berlin",
+        })
+      ).toBeNull();
+    });
+
+    test("should require exactly one of cron and every", () => {
+      expect(scheduleService.validateRepeat({})).toMatch(/Exactly one/);
+      expect(
+        scheduleService.validateRepeat({ cron: "0 * * * *", every: 3600 })
+      ).toMatch(/Exactly one/);
+    });
+
+    test("should reject intervals below the minimum", () => {
+      expect(scheduleService.validateRepeat({ every: minSeconds - 1 })).toMatch(
+        /at least/
+      );
+      expect(scheduleService.validateRepeat({ every: "3600" })).toMatch(
+        /whole number/
+      );
+    });
+
+    test("should reject cron expressions firing too often", () => {
+      expect(scheduleService.validateRepeat({ cron: "* * * * *" })).toMatch(
+        /more than once/
+      );
+    });
+
+    test("should reject invalid cron expressions and time zones", () => {
+      expect(scheduleService.validateRepeat({ cron: "every day" })).toMatch(
+        /Invalid cron expression/
+      );
+      expect(
+        scheduleService.validateRepeat({
+          cron: "0 9 * * *",
+          timezone: "Mars/Olympus",
+        })
+      ).toMatch(/timezone/);
+      expect(
+        scheduleService.validateRepeat({ every: 3600, timezone: "UTC" })
+      ).toMatch(/only applies to cron/);
+    });
+  });
+
+  describe("getNextRunAt", () => {
+    const now = Date.parse("2024-10-24T10:15:00.000Z");
+
+    test("should follow the cron expression in its time zone", () => {
+      expect(
+        scheduleService.getNextRunAt(
+          {
+            status: SCHEDULE_STATUS.ACTIVE,
+            cron: "0 9 * * *",
+            timezone: "Europe/Berlin",
+          },
+          now
+        )
+      ).toBe("2024-10-25T07:00:00.000Z");
+    });
+
+    test("should align intervals like Bull does", () => {
+      expect(
+        scheduleService.getNextRunAt(
+          { status: SCHEDULE_STATUS.ACTIVE, every: 3600 },
+          now
+        )
+      ).toBe("2024-10-24T11:00:00.000Z");
+    });
+
+    test("should be null while paused", () => {
+      expect(
+        scheduleService.getNextRunAt(
+          { status: SCHEDULE_STATUS.PAUSED, every: 3600 },
+          now
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe("createSchedule", () => {
+    test("should store the schedule and register a repeatable job", async () => {
+      const schedule = await scheduleService.createSchedule({
+        url: "https://example.com",
+        cron: "0 9 * * *",
+        timezone: "Europe/Berlin",
+        api_key_id: "key-1",
+      });
+
+      expect(schedule).toEqual(
+        expect.objectContaining({
+          url: "https://example.com",
+          cron: "0 9 * * *",
+          every: null,
+          analyzers: null,
+          status: SCHEDULE_STATUS.ACTIVE,
+          run_count: 0,
+          api_key_id: "key-1",
+        })
+      );
+      expect(queue.add).toHaveBeenCalledWith(
+        { schedule_id: schedule.schedule_id },
+        {
+          repeat: { cron: "0 9 * * *", tz: "Europe/Berlin" },
+          jobId: schedule.schedule_id,
+        }
+      );
+      await expect(
+        scheduleService.getSchedule(schedule.schedule_id)
+      ).resolves.toEqual(schedule);
+    });
+
+    test("should register intervals in milliseconds", async () => {
+      const schedule = await scheduleService.createSchedule({
+        url: "https://example.com",
+        every: 3600,
+      });
+
+      expect(queue.add).toHaveBeenCalledWith(expect.any(Object), {
+        repeat: { every: 3600000 },
+        jobId: schedule.schedule_id,
+      });
+    });
+
+    test("should not keep the schedule if the queue rejects it", async () => {
+      queue.add.mockRejectedValue(new Error("Redis down"));
+
+      await expect(
+        scheduleService.createSchedule({
+          url: "https://example.com",
+          every: 3600,
+        })
+      ).rejects.toThrow(scheduleService.ScheduleError);
+      expect(redis.hashes.size).toBe(0);
+      expect(scheduleSet().size).toBe(0);
+    });
+  });
+
+  describe("listSchedules", () => {
+    async function createSchedules(count, extra = {}) {
+      const schedules = [];
+      for (let i = 0; i < count; i++) {
+        schedules.push(
+          await scheduleService.createSchedule({
+            url: `https://${i}.example.com`,
+            every: 3600,
+            ...extra,
+          })
+        );
+      }
+      return schedules;
+    }
+
+    test("should list newest first and apply the filter", async () => {
+      const first = await scheduleService.createSchedule({
+        url: "https://a.example.com",
+        every: 3600,
+        api_key_id: "key-1",
+      });
+      const second = await scheduleService.createSchedule({
+        url: "https://b.example.com",
+        every: 3600,
+      });
+      const third = await scheduleService.createSchedule({
+        url: "https://c.example.com",
+        every: 3600,
+        api_key_id: "key-2",
+      });
+
+      const all = await scheduleService.listSchedules();
+      expect(all.schedules.map((s) => s.schedule_id)).toEqual([
+        third.schedule_id,
+        second.schedule_id,
+        first.schedule_id,
+      ]);
+      expect(all.next_cursor).toBeNull();
+
+      const own = await scheduleService.listSchedules({
+        filter: (schedule) => schedule.api_key_id === "key-1",
+      });
+      expect(own.schedules.map((s) => s.schedule_id)).toEqual([
+        first.schedule_id,
+      ]);
+    });
+
+    test("should page through schedules with a cursor", async () => {
+      const created = await createSchedules(5);
+      const newestFirst = created.map((s) => s.schedule_id).reverse();
+
+      const page1 = await scheduleService.listSchedules({ limit: 2 });
+      const page2 = await scheduleService.listSchedules({
+        limit: 2,
+        cursor: page1.next_cursor,
+      });
+      const page3 = await scheduleService.listSchedules({
+        limit: 2,
+        cursor: page2.next_cursor,
+      });
+
+      expect(
+        [page1, page2, page3].flatMap((page) =>
+          page.schedules.map((s) => s.schedule_id)
+        )
+      ).toEqual(newestFirst);
+      expect(page1.next_cursor).toBe(newestFirst[1]);
+      expect(page3.next_cursor).toBeNull();
+    });
+
+    test("should stop after the scan limit and return a cursor", async () => {
+      const scanLimit = config.schedules.scanLimit;
+      config.schedules.scanLimit = 2;
+      try {
+        await createSchedules(3);
+
+        const page = await scheduleService.listSchedules({
+          filter: () => false,
+        });
+
+        expect(page.schedules).toEqual([]);
+        expect(page.next_cursor).toMatch(/^\d{19}$/);
+      } finally {
+        config.schedules.scanLimit = scanLimit;
+      }
+    });
+
+    test("should return an empty list without schedules", async () => {
+      await expect(scheduleService.listSchedules()).resolves.toEqual({
+        schedules: [],
+        next_cursor: null,
+      });
+    });
+  });
+
+  describe("pause, resume and delete", () => {
+    let schedule;
+
+    beforeEach(async () => {
+      schedule = await scheduleService.createSchedule({
+        url: "https://example.com",
+        every: 3600,
+      });
+      queue.add.mockClear();
+    });
+
+    test("should remove the repeatable job while paused", async () => {
+      const paused = await scheduleService.pauseSchedule(schedule);
+
+      expect(paused.status).toBe(SCHEDULE_STATUS.PAUSED);
+      expect(paused.paused_at).toEqual(expect.any(String));
+      expect(queue.removeRepeatable).toHaveBeenCalledWith({
+        every: 3600000,
+        jobId: schedule.schedule_id,
+      });
+
+      const stored = await scheduleService.getSchedule(schedule.schedule_id);
+      expect(stored.status).toBe(SCHEDULE_STATUS.PAUSED);
+    });
+
+    test("should register the repeatable job again on resume", async () => {
+      const paused = await scheduleService.pauseSchedule(schedule);
+      const resumed = await scheduleService.resumeSchedule(paused);
+
+      expect(resumed.status).toBe(SCHEDULE_STATUS.ACTIVE);
+      expect(resumed.paused_at).toBeNull();
+      expect(queue.add).toHaveBeenCalledTimes(1);
+    });
+
+    test("should leave an active schedule alone on resume", async () => {
+      await scheduleService.resumeSchedule(schedule);
+
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    test("should still pause if the repeatable job can't be removed", async () => {
+      queue.removeRepeatable.mockRejectedValue(new Error("Redis down"));
+
+      const paused = await scheduleService.pauseSchedule(schedule);
+
+      expect(paused.status).toBe(SCHEDULE_STATUS.PAUSED);
+    });
+
+    test("should delete the record and the repeatable job", async () => {
+      await scheduleService.deleteSchedule(schedule);
+
+      await expect(
+        scheduleService.getSchedule(schedule.schedule_id)
+      ).resolves.toBeNull();
+      expect(scheduleSet().size).toBe(0);
+      expect(queue.removeRepeatable).toHaveBeenCalled();
+    });
+  });
+
+  describe("recordRun and recordSkip", () => {
+    test("should count runs and skips", async () => {
+      const { schedule_id } = await scheduleService.createSchedule({
+        url: "https://example.com",
+        every: 3600,
+      });
+
+      await scheduleService.recordRun(schedule_id, "1729799000000123456");
+      await scheduleService.recordRun(schedule_id, "1729799000000123457");
+      await scheduleService.recordSkip(schedule_id, "quota_exceeded");
+
+      const schedule = await scheduleService.getSchedule(schedule_id);
+      expect(schedule).toEqual(
+        expect.objectContaining({
+          run_count: 2,
+          skipped_count: 1,
+          last_job_id: "1729799000000123457",
+          last_skip_reason: "quota_exceeded",
+        })
+      );
+    });
+
+    test("should not bring back a deleted schedule", async () => {
+      const schedule = await scheduleService.createSchedule({
+        url: "https://example.com",
+        every: 3600,
+      });
+      await scheduleService.deleteSchedule(schedule);
+
+      await scheduleService.recordRun(
+        schedule.schedule_id,
+        "1729799000000123456"
+      );
+      await scheduleService.recordSkip(schedule.schedule_id, "quota_exceeded");
+
+      expect(redis.hashes.size).toBe(0);
+      await expect(
+        scheduleService.getSchedule(schedule.schedule_id)
+      ).resolves.toBeNull();
+    });
+
+    test("should wrap storage errors", async () => {
+      redis.eval = async () => {
+        throw new Error("Redis down");
+      };
+
+      await expect(
+        scheduleService.recordRun("1729799000000123456", "1")
+      ).rejects.toThrow("Failed to update schedule");
+    });
+  });
+});
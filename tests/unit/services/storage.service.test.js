@@ -0,0 +1,260 @@
+const { getRedisClient } = require("../../../src/config/redis.config");
+const storageService = require("../../../src/services/storage.service");
+const { generateNumericJobId } = require("../../../src/utils/jobIdGenerator");
+const { JOB_STATUS } = require("../../../src/utils/constants");
+const { createFakeRedis } = require("../../helpers/fakeRedis");
+
+jest.mock("../../../src/config/redis.config");
+jest.mock("../../../src/services/events.service");
+jest.mock("../../../src/utils/logger");
+
+describe("storage.service job indexes", () => {
+  let redis;
+
+  async function createJobs(urls) {
+    const ids = [];
+    for (const url of urls) {
+      const job_id = generateNumericJobId();
+      await storageService.createJob({
+        job_id,
+        url,
+        status: JOB_STATUS.PENDING,
+      });
+      ids.push(job_id);
+    }
+    return ids;
+  }
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    // The compare-and-set script of modifyJob
+    redis.eval = async (script, numKeys, key, expected, ttl, value) => {
+      if (redis.strings.get(key) !== expected) {
+        return 0;
+      }
+      redis.strings.set(key, value);
+      return 1;
+    };
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  test("createJob should index the job by time, status and host", async () => {
+    const [job_id] = await createJobs(["https://Example.com/page"]);
+
+    expect(redis.zsets.get("jobs:index:time").has(job_id)).toBe(true);
+    expect(redis.zsets.get("jobs:index:status:PENDING").has(job_id)).toBe(
+      true
+    );
+    expect(redis.zsets.get("jobs:index:host:example.com").has(job_id)).toBe(
+      true
+    );
+  });
+
+  test("updateJob should move the job between status indexes", async () => {
+    const [job_id] = await createJobs(["https://example.com"]);
+
+    await storageService.updateJob(job_id, { status: JOB_STATUS.FAILED });
+
+    expect(redis.zsets.get("jobs:index:status:PENDING").has(job_id)).toBe(
+      false
+    );
+    expect(redis.zsets.get("jobs:index:status:FAILED").has(job_id)).toBe(true);
+  });
+
+  test("listJobs should page newest first with a cursor", async () => {
+    const ids = await createJobs([
+      "https://a.com",
+      "https://b.com",
+      "https://c.com",
+      "https://d.com",
+      "https://e.com",
+    ]);
+
+    const first = await storageService.listJobs({ limit: 2 });
+    expect(first.jobs.map((job) => job.job_id)).toEqual([ids[4], ids[3]]);
+    expect(first.next_cursor).toBe(ids[3]);
+
+    const second = await storageService.listJobs({
+      limit: 2,
+      cursor: first.next_cursor,
+    });
+    expect(second.jobs.map((job) => job.job_id)).toEqual([ids[2], ids[1]]);
+
+    const last = await storageService.listJobs({
+      limit: 2,
+      cursor: second.next_cursor,
+    });
+    expect(last.jobs.map((job) => job.job_id)).toEqual([ids[0]]);
+    expect(last.next_cursor).toBeNull();
+  });
+
+  test("listJobs should combine status and host indexes", async () => {
+    const ids = await createJobs([
+      "https://example.com/1",
+      "https://other.com",
+      "https://example.com/2",
+    ]);
+    await storageService.updateJob(ids[0], { status: JOB_STATUS.FAILED });
+    await storageService.updateJob(ids[1], { status: JOB_STATUS.FAILED });
+
+    const page = await storageService.listJobs({
+      status: JOB_STATUS.FAILED,
+      host: "example.com",
+      limit: 10,
+    });
+
+    expect(page.jobs.map((job) => job.job_id)).toEqual([ids[0]]);
+    expect(page.next_cursor).toBeNull();
+  });
+
+  test("listJobs should restrict results to the job ID range", async () => {
+    const ids = await createJobs([
+      "https://a.com",
+      "https://b.com",
+      "https://c.com",
+    ]);
+
+    const page = await storageService.listJobs({
+      from: ids[1],
+      to: ids[1],
+      limit: 10,
+    });
+
+    expect(page.jobs.map((job) => job.job_id)).toEqual([ids[1]]);
+  });
+
+  test("listJobs should apply the record filter", async () => {
+    await createJobs(["https://a.com/shop", "https://b.com/blog"]);
+
+    const page = await storageService.listJobs({
+      limit: 10,
+      filter: (job) => job.url.includes("blog"),
+    });
+
+    expect(page.jobs.map((job) => job.url)).toEqual(["https://b.com/blog"]);
+  });
+
+  test("listJobs should skip and unindex expired jobs", async () => {
+    const ids = await createJobs(["https://a.com", "https://b.com"]);
+    redis.strings.delete(`job:${ids[0]}`);
+
+    const page = await storageService.listJobs({ limit: 10 });
+
+    expect(page.jobs.map((job) => job.job_id)).toEqual([ids[1]]);
+    expect(redis.zsets.get("jobs:index:time").has(ids[0])).toBe(false);
+    expect(redis.zsets.get("jobs:index:status:PENDING").has(ids[0])).toBe(
+      false
+    );
+  });
+
+  test("listJobs should find jobs by normalized URL", async () => {
+    const ids = await createJobs([
+      "https://example.com/page?b=2&a=1",
+      "https://example.com/other",
+      "HTTPS://Example.com:443/page?a=1&b=2#top",
+    ]);
+
+    const page = await storageService.listJobs({
+      url: "https://example.com/page?a=1&b=2",
+      limit: 10,
+    });
+
+    expect(page.jobs.map((job) => job.job_id)).toEqual([ids[2], ids[0]]);
+  });
+
+  test("findLatestJobForUrl should return the newest matching job", async () => {
+    const ids = await createJobs([
+      "https://example.com/page",
+      "https://example.com/page",
+      "https://example.com/page",
+    ]);
+    await storageService.updateJob(ids[1], { status: JOB_STATUS.COMPLETED });
+
+    const latest = await storageService.findLatestJobForUrl(
+      "https://example.com/page"
+    );
+    const completed = await storageService.findLatestJobForUrl(
+      "https://example.com/page",
+      (job) => job.status === JOB_STATUS.COMPLETED
+    );
+    const missing = await storageService.findLatestJobForUrl(
+      "https://example.com/elsewhere"
+    );
+
+    expect(latest.job_id).toBe(ids[2]);
+    expect(completed.job_id).toBe(ids[1]);
+    expect(missing).toBeNull();
+  });
+
+  test("findOldPendingJobs should return stale PENDING and PROCESSING jobs", async () => {
+    const old = Date.now() - 60 * 60 * 1000;
+    const ids = [`${old}000001`, `${old}000002`, `${old}000003`];
+    for (const [i, status] of [
+      JOB_STATUS.PENDING,
+      JOB_STATUS.PROCESSING,
+      JOB_STATUS.COMPLETED,
+    ].entries()) {
+      await storageService.createJob({
+        job_id: ids[i],
+        url: "https://example.com",
+        status,
+      });
+    }
+    await createJobs(["https://recent.com"]);
+
+    const jobs = await storageService.findOldPendingJobs(10);
+
+    expect(jobs.map((job) => job.job_id)).toEqual([ids[0], ids[1]]);
+    expect(jobs[0].created_at).toBe(new Date(old).toISOString());
+  });
+
+  describe("concurrent updates", () => {
+    test("only one of a cancel and a finish should win", async () => {
+      const [job_id] = await createJobs(["https://example.com"]);
+      await storageService.updateJob(job_id, {
+        status: JOB_STATUS.PROCESSING,
+      });
+
+      const [cancelled, completed] = await Promise.all([
+        storageService.updateJobIfStatus(job_id, JOB_STATUS.PROCESSING, {
+          status: JOB_STATUS.CANCELLED,
+        }),
+        storageService.updateJobIfStatus(job_id, JOB_STATUS.PROCESSING, {
+          status: JOB_STATUS.COMPLETED,
+          results: { page_title: "Example" },
+        }),
+      ]);
+
+      expect(cancelled).not.toBeNull();
+      expect(completed).toBeNull();
+      const job = await storageService.getJob(job_id);
+      expect(job.status).toBe(JOB_STATUS.CANCELLED);
+      expect(job.results).toBeUndefined();
+    });
+
+    test("appendToJob should keep concurrent entries", async () => {
+      const [job_id] = await createJobs(["https://example.com"]);
+
+      await Promise.all([
+        storageService.appendToJob(job_id, "attempts", { n: 1 }),
+        storageService.appendToJob(job_id, "attempts", { n: 2 }),
+        storageService.appendToJob(job_id, "attempts", { n: 3 }),
+      ]);
+
+      const job = await storageService.getJob(job_id);
+      expect(job.attempts).toHaveLength(3);
+      expect(job.attempts).toEqual(
+        expect.arrayContaining([{ n: 1 }, { n: 2 }, { n: 3 }])
+      );
+    });
+
+    test("should give up when the job keeps changing", async () => {
+      const [job_id] = await createJobs(["https://example.com"]);
+      redis.eval = async () => 0;
+
+      await expect(
+        storageService.updateJob(job_id, { status: JOB_STATUS.FAILED })
+      ).rejects.toThrow("Job kept changing while updating");
+    });
+  });
+});
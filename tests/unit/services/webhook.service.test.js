@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const Queue = require("bull");
+const storageService = require("../../../src/services/storage.service");
+const urlValidator = require("../../../src/utils/urlValidator");
+const config = require("../../../src/config/app.config");
+const webhookService = require("../../../src/services/webhook.service");
+const {
+  JOB_STATUS,
+  CALLBACK_STATUS,
+} = require("../../../src/utils/constants");
+
+jest.mock("axios");
+jest.mock("bull");
+jest.mock("../../../src/services/storage.service");
+jest.mock("../../../src/utils/urlValidator");
+jest.mock("../../../src/utils/logger");
+
+const completedJob = {
+  job_id: "1729799000000123456",
+  url: "https://example.com",
+  status: JOB_STATUS.COMPLETED,
+  results: { page_title: "Example" },
+  callback_url: "https://hooks.example.com/done",
+};
+
+function makeBullJob(overrides = {}) {
+  return {
+    data: {
+      job_id: completedJob.job_id,
+      callback_url: completedJob.callback_url,
+      payload: webhookService.buildPayload(completedJob),
+    },
+    attemptsMade: 0,
+    opts: { attempts: 3 },
+    discard: jest.fn(),
+    ...overrides,
+  };
+}
+
+describe("webhook.service", () => {
+  const originalSecret = config.webhooks.secret;
+
+  beforeEach(() => {
+    config.webhooks.secret = "test-secret";
+    urlValidator.checkSSRFWithDNS.mockResolvedValue(false);
+    storageService.appendToJob.mockResolvedValue({});
+    storageService.updateJob.mockResolvedValue({});
+  });
+
+  afterAll(() => {
+    config.webhooks.secret = originalSecret;
+  });
+
+  describe("buildPayload", () => {
+    test("should include results for completed jobs", () => {
+      const payload = webhookService.buildPayload(completedJob);
+
+      expect(payload).toEqual(
+        expect.objectContaining({
+          event: "job.completed",
+          job_id: completedJob.job_id,
+          results: completedJob.results,
+        })
+      );
+      expect(payload.error).toBeUndefined();
+    });
+
+    test("should include the error for failed jobs", () => {
+      const payload = webhookService.buildPayload({
+        ...completedJob,
+        status: JOB_STATUS.FAILED,
+        error: "URL not found (HTTP 404)",
+        error_type: "NETWORK_ERROR",
+      });
+
+      expect(payload.event).toBe("job.failed");
+      expect(payload.error).toBe("URL not found (HTTP 404)");
+      expect(payload.results).toBeUndefined();
+    });
+  });
+
+  describe("signPayload", () => {
+    test("should produce an HMAC-SHA256 over timestamp and body", () => {
+      const expected = crypto
+        .createHmac("sha256", "s3cret")
+        .update('1700000000.{"a":1}')
+        .digest("hex");
+
+      expect(
+        webhookService.signPayload('{"a":1}', "1700000000", "s3cret")
+      ).toBe(`sha256=${expected}`);
+    });
+  });
+
+  describe("enqueueDelivery", () => {
+    test("should skip jobs without a callback_url", async () => {
+      const queued = await webhookService.enqueueDelivery({
+        ...completedJob,
+        callback_url: undefined,
+      });
+
+      expect(queued).toBe(false);
+      expect(Queue).not.toHaveBeenCalled();
+    });
+
+    test("should add a delivery to the webhook queue", async () => {
+      const queued = await webhookService.enqueueDelivery(completedJob);
+
+      expect(queued).toBe(true);
+      const queue = Queue.mock.instances[0];
+      expect(queue.add).toHaveBeenCalledWith(
+        expect.objectContaining({
+          job_id: completedJob.job_id,
+          callback_url: completedJob.callback_url,
+        })
+      );
+      expect(storageService.updateJob).toHaveBeenCalledWith(
+        completedJob.job_id,
+        { callback_status: CALLBACK_STATUS.PENDING }
+      );
+    });
+
+    test("should mark the callback PENDING before queueing it", async () => {
+      const queue = webhookService.getWebhookQueue();
+      const order = [];
+      storageService.updateJob.mockImplementation(async () => {
+        order.push("status");
+      });
+      queue.add.mockImplementation(async () => {
+        order.push("queued");
+      });
+
+      await webhookService.enqueueDelivery(completedJob);
+
+      expect(order).toEqual(["status", "queued"]);
+    });
+
+    test("should mark the callback FAILED when it can't be queued", async () => {
+      const queue = webhookService.getWebhookQueue();
+      queue.add.mockRejectedValue(new Error("Redis down"));
+
+      const queued = await webhookService.enqueueDelivery(completedJob);
+
+      expect(queued).toBe(false);
+      expect(storageService.updateJob).toHaveBeenLastCalledWith(
+        completedJob.job_id,
+        { callback_status: CALLBACK_STATUS.FAILED }
+      );
+    });
+  });
+
+  describe("deliverWebhook", () => {
+    test("should POST a signed payload and record the attempt", async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+
+      const result = await webhookService.deliverWebhook(makeBullJob());
+
+      expect(result).toEqual({ delivered: true, statusCode: 200 });
+
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe(completedJob.callback_url);
+      const timestamp = options.headers[webhookService.TIMESTAMP_HEADER];
+      expect(options.headers[webhookService.SIGNATURE_HEADER]).toBe(
+        webhookService.signPayload(body, timestamp, "test-secret")
+      );
+
+      expect(storageService.appendToJob).toHaveBeenCalledWith(
+        completedJob.job_id,
+        "callback_attempts",
+        expect.objectContaining({ attempt: 1, success: true }),
+        { callback_status: CALLBACK_STATUS.DELIVERED }
+      );
+    });
+
+    test("should throw on 5xx so Bull retries", async () => {
+      axios.post.mockResolvedValue({ status: 503 });
+
+      await expect(
+        webhookService.deliverWebhook(makeBullJob())
+      ).rejects.toThrow("HTTP 503");
+
+      expect(storageService.appendToJob).toHaveBeenCalledWith(
+        completedJob.job_id,
+        "callback_attempts",
+        expect.objectContaining({ success: false, status_code: 503 }),
+        {}
+      );
+    });
+
+    test("should mark the callback FAILED on the final attempt", async () => {
+      axios.post.mockRejectedValue(new Error("socket hang up"));
+
+      await expect(
+        webhookService.deliverWebhook(makeBullJob({ attemptsMade: 2 }))
+      ).rejects.toThrow("socket hang up");
+
+      expect(storageService.appendToJob).toHaveBeenCalledWith(
+        completedJob.job_id,
+        "callback_attempts",
+        expect.objectContaining({ attempt: 3, success: false }),
+        { callback_status: CALLBACK_STATUS.FAILED }
+      );
+    });
+
+    test("should not retry 4xx responses", async () => {
+      axios.post.mockResolvedValue({ status: 410 });
+      const bullJob = makeBullJob();
+
+      await expect(webhookService.deliverWebhook(bullJob)).rejects.toThrow();
+
+      expect(bullJob.discard).toHaveBeenCalled();
+    });
+
+    test("should refuse callbacks that resolve to private networks", async () => {
+      urlValidator.checkSSRFWithDNS.mockResolvedValue(true);
+      const bullJob = makeBullJob();
+
+      await expect(webhookService.deliverWebhook(bullJob)).rejects.toThrow(
+        "private network"
+      );
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(bullJob.discard).toHaveBeenCalled();
+    });
+  });
+});
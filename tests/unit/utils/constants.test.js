@@ -18,6 +18,7 @@ describe("Constants", () => {
       expect(constants.JOB_STATUS.PROCESSING).toBe("PROCESSING");
       expect(constants.JOB_STATUS.COMPLETED).toBe("COMPLETED");
       expect(constants.JOB_STATUS.FAILED).toBe("FAILED");
+      expect(constants.JOB_STATUS.CANCELLED).toBe("CANCELLED");
     });
 
     test("should have string values", () => {
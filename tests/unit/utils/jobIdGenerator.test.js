@@ -2,6 +2,7 @@ const {
   generateNumericJobId,
   isValidJobId,
   getTimestampFromJobId,
+  getJobIdBoundary,
 } = require("../../../src/utils/jobIdGenerator");
 
 describe("generateNumericJobId", () => {
@@ -195,3 +196,19 @@ describe("getTimestampFromJobId", () => {
     });
   });
 });
+
+describe("getJobIdBoundary", () => {
+  test("should return the first and last ID of a millisecond", () => {
+    expect(getJobIdBoundary(1729799000000)).toBe("1729799000000000000");
+    expect(getJobIdBoundary(1729799000000, true)).toBe("1729799000000999999");
+  });
+
+  test("should bound generated IDs in string order", () => {
+    const before = getJobIdBoundary(Date.now());
+    const jobId = generateNumericJobId();
+    const after = getJobIdBoundary(Date.now(), true);
+
+    expect(jobId >= before).toBe(true);
+    expect(jobId <= after).toBe(true);
+  });
+});
@@ -0,0 +1,38 @@
+const logger = require("../../../src/utils/logger");
+
+describe("logger context", () => {
+  const transform = (info) => logger.format.transform({ ...info });
+
+  test("should add context fields to log entries", () => {
+    const info = logger.withContext({ requestId: "req-1" }, () =>
+      transform({ level: "info", message: "hello", job_id: "1" })
+    );
+
+    expect(info).toEqual(
+      expect.objectContaining({ requestId: "req-1", job_id: "1" })
+    );
+  });
+
+  test("should keep context across async continuations", async () => {
+    const info = await logger.withContext({ requestId: "req-2" }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      return transform({ level: "info", message: "later" });
+    });
+
+    expect(info.requestId).toBe("req-2");
+  });
+
+  test("should not override fields passed explicitly", () => {
+    const info = logger.withContext({ requestId: "req-3" }, () =>
+      transform({ level: "info", message: "hello", requestId: "explicit" })
+    );
+
+    expect(info.requestId).toBe("explicit");
+  });
+
+  test("should leave entries outside a context untouched", () => {
+    const info = transform({ level: "info", message: "hello" });
+
+    expect(info.requestId).toBeUndefined();
+  });
+});
@@ -0,0 +1,75 @@
+const metrics = require("../../../src/utils/metrics");
+const { JOB_STATUS } = require("../../../src/utils/constants");
+
+jest.mock("../../../src/utils/logger");
+
+async function valuesOf(name) {
+  const metric = metrics.register.getSingleMetric(name);
+  const { values } = await metric.get();
+  return values;
+}
+
+describe("metrics", () => {
+  const queue = { getJobCounts: jest.fn() };
+
+  beforeEach(() => {
+    metrics.register.resetMetrics();
+  });
+
+  test("should count finished jobs by outcome and error type", async () => {
+    metrics.recordJobFinished({ status: JOB_STATUS.COMPLETED });
+    metrics.recordJobFinished({
+      status: JOB_STATUS.FAILED,
+      error_type: "NETWORK_ERROR",
+    });
+    metrics.recordJobFinished({ status: JOB_STATUS.FAILED });
+    metrics.recordJobFinished({ status: JOB_STATUS.CANCELLED });
+
+    expect(await valuesOf("web_analyzer_jobs_completed_total")).toEqual([
+      expect.objectContaining({ value: 1 }),
+    ]);
+    expect(await valuesOf("web_analyzer_jobs_failed_total")).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          labels: { error_type: "NETWORK_ERROR" },
+          value: 1,
+        }),
+        expect.objectContaining({
+          labels: { error_type: "UNKNOWN_ERROR" },
+          value: 1,
+        }),
+      ])
+    );
+  });
+
+  test("should read queue depth from Bull on every scrape", async () => {
+    queue.getJobCounts.mockResolvedValue({
+      waiting: 4,
+      active: 2,
+      delayed: 1,
+      failed: 3,
+      completed: 50,
+    });
+    metrics.registerQueueDepth(() => queue);
+    metrics.registerQueueDepth(() => queue);
+
+    const output = await metrics.register.metrics();
+
+    expect(queue.getJobCounts).toHaveBeenCalledTimes(1);
+    expect(output).toContain('web_analyzer_queue_jobs{state="waiting"} 4');
+    expect(output).toContain('web_analyzer_queue_jobs{state="active"} 2');
+    expect(output).toContain('web_analyzer_queue_jobs{state="delayed"} 1');
+    expect(output).toContain('web_analyzer_queue_jobs{state="failed"} 3');
+    expect(output).not.toContain('state="completed"');
+  });
+
+  test("should still scrape when the queue is unreachable", async () => {
+    queue.getJobCounts.mockRejectedValue(new Error("Redis down"));
+    metrics.registerQueueDepth(() => queue);
+
+    await expect(metrics.register.metrics()).resolves.toContain(
+      "web_analyzer_jobs_created_total"
+    );
+    expect(queue.getJobCounts).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+const { diffResults } = require("../../../src/utils/resultsDiff");
+
+const baseline = {
+  html_version: "HTML 5",
+  page_title: "Pricing",
+  headings_count: { h1: 1, h2: 4, h3: 0, h4: 0, h5: 0, h6: 0 },
+  internal_links_count: 20,
+  external_links_count: 5,
+  has_login_form: false,
+};
+
+describe("diffResults", () => {
+  test("should report no changes for identical results", () => {
+    expect(diffResults(baseline, { ...baseline })).toEqual({
+      changed: false,
+      changes: {},
+      not_compared: [],
+    });
+  });
+
+  test("should report title and version changes", () => {
+    const diff = diffResults(baseline, {
+      ...baseline,
+      page_title: "Plans & Pricing",
+      html_version: "HTML 4.01 Strict",
+    });
+
+    expect(diff.changed).toBe(true);
+    expect(diff.changes.page_title).toEqual({
+      from: "Pricing",
+      to: "Plans & Pricing",
+    });
+    expect(diff.changes.html_version).toEqual({
+      from: "HTML 5",
+      to: "HTML 4.01 Strict",
+    });
+  });
+
+  test("should report heading count deltas for changed levels only", () => {
+    const diff = diffResults(baseline, {
+      ...baseline,
+      headings_count: { h1: 1, h2: 2, h3: 3, h4: 0, h5: 0, h6: 0 },
+    });
+
+    expect(diff.changes.headings_count).toEqual({
+      h2: { from: 4, to: 2, delta: -2 },
+      h3: { from: 0, to: 3, delta: 3 },
+    });
+  });
+
+  test("should report link count deltas", () => {
+    const diff = diffResults(baseline, {
+      ...baseline,
+      internal_links_count: 25,
+    });
+
+    expect(diff.changes.links).toEqual({
+      internal: { from: 20, to: 25, delta: 5 },
+    });
+  });
+
+  test("should report a login form appearing or disappearing", () => {
+    const appeared = diffResults(baseline, {
+      ...baseline,
+      has_login_form: true,
+    });
+    const disappeared = diffResults(
+      { ...baseline, has_login_form: true },
+      baseline
+    );
+
+    expect(appeared.changes.login_form).toEqual({
+      from: false,
+      to: true,
+      change: "appeared",
+    });
+    expect(disappeared.changes.login_form.change).toBe("disappeared");
+  });
+
+  test("should skip fields only one run produced", () => {
+    const withoutTitle = { ...baseline };
+    delete withoutTitle.page_title;
+
+    const diff = diffResults(withoutTitle, {
+      ...baseline,
+      page_title: "New",
+    });
+
+    expect(diff.changes.page_title).toBeUndefined();
+    expect(diff.not_compared).toEqual(["page_title"]);
+  });
+});
@@ -0,0 +1,41 @@
+const { normalizeUrl } = require("../../../src/utils/urlNormalizer");
+
+describe("normalizeUrl", () => {
+  test("should lowercase the scheme and host but not the path", () => {
+    expect(normalizeUrl("HTTPS://Example.COM/About/Team")).toBe(
+      "https://example.com/About/Team"
+    );
+  });
+
+  test("should drop default ports and keep others", () => {
+    expect(normalizeUrl("http://example.com:80/")).toBe("http://example.com/");
+    expect(normalizeUrl("https://example.com:443/")).toBe(
+      "https://example.com/"
+    );
+    expect(normalizeUrl("https://example.com:8443/")).toBe(
+      "https://example.com:8443/"
+    );
+  });
+
+  test("should sort query parameters by name then value", () => {
+    expect(normalizeUrl("https://example.com/?z=1&a=2&a=1")).toBe(
+      "https://example.com/?a=1&a=2&z=1"
+    );
+  });
+
+  test("should strip the fragment and an empty query", () => {
+    expect(normalizeUrl("https://example.com/page?#section")).toBe(
+      "https://example.com/page"
+    );
+  });
+
+  test("should map equivalent URLs to the same form", () => {
+    expect(normalizeUrl("https://EXAMPLE.com:443?b=2&a=1#top")).toBe(
+      normalizeUrl("https://example.com/?a=1&b=2")
+    );
+  });
+
+  test("should throw on unparseable URLs", () => {
+    expect(() => normalizeUrl("not a url")).toThrow("Invalid URL");
+  });
+});
@@ -0,0 +1,122 @@
+const Joi = require('joi');
+const {
+  registerAnalyzer,
+  unregisterAnalyzer,
+  getAnalyzerNames,
+  getCombinedSchema,
+  getFallbackResults,
+} = require('../../../src/worker/analyzerRegistry');
+const { parseHtml, validateResults } = require('../../../src/worker/parser');
+
+jest.mock('../../../src/utils/logger');
+
+describe('analyzerRegistry', () => {
+  afterEach(() => {
+    unregisterAnalyzer('word_count');
+  });
+
+  test('should register the built-in analyzers', () => {
+    expect(getAnalyzerNames()).toEqual(
+      expect.arrayContaining(['html_version', 'title', 'headings', 'links', 'login_form'])
+    );
+  });
+
+  test('should reject analyzers without a name', () => {
+    expect(() => registerAnalyzer({ schema: {}, analyze: () => ({}) })).toThrow(
+      'Analyzer name is required'
+    );
+  });
+
+  test('should reject analyzers without analyze()', () => {
+    expect(() => registerAnalyzer({ name: 'word_count', schema: {} })).toThrow(
+      'must define analyze()'
+    );
+  });
+
+  test('should reject analyzers without a schema', () => {
+    expect(() => registerAnalyzer({ name: 'word_count', analyze: () => ({}) })).toThrow(
+      'must define a schema'
+    );
+  });
+
+  test('should reject duplicate analyzer names', () => {
+    expect(() =>
+      registerAnalyzer({ name: 'title', schema: {}, analyze: () => ({}) })
+    ).toThrow('already registered');
+  });
+
+  test('should reject fields already produced by another analyzer', () => {
+    expect(() =>
+      registerAnalyzer({
+        name: 'word_count',
+        schema: { page_title: Joi.string() },
+        analyze: () => ({}),
+      })
+    ).toThrow('already produced by title');
+  });
+
+  test('should run registered analyzers in parseHtml', () => {
+    registerAnalyzer({
+      name: 'word_count',
+      schema: { word_count: Joi.number().integer().min(0).required() },
+      fallback: { word_count: 0 },
+      analyze: ($) => ({
+        word_count: $('body').text().trim().split(/\s+/).filter(Boolean).length,
+      }),
+    });
+
+    const html = '<!DOCTYPE html><html><body><p>one two three</p></body></html>';
+    const result = parseHtml(html, 'https://example.com');
+
+    expect(result.word_count).toBe(3);
+    expect(result.page_title).toBe('No title found');
+    expect(validateResults(result)).toBe(true);
+  });
+
+  test('should validate against the combined schema', () => {
+    registerAnalyzer({
+      name: 'word_count',
+      schema: { word_count: Joi.number().required() },
+      fallback: { word_count: 0 },
+      analyze: () => ({ word_count: 'many' }),
+    });
+
+    const result = parseHtml('<html><body></body></html>', 'https://example.com');
+
+    expect(validateResults(result)).toBe(false);
+  });
+
+  test('should include analyzer fallbacks in the fallback results', () => {
+    registerAnalyzer({
+      name: 'word_count',
+      schema: { word_count: Joi.number().required() },
+      fallback: { word_count: 0 },
+      analyze: () => ({ word_count: 0 }),
+    });
+
+    expect(getFallbackResults()).toEqual(
+      expect.objectContaining({ word_count: 0, has_login_form: false })
+    );
+  });
+
+  test('should fall back for every analyzer when one throws', () => {
+    registerAnalyzer({
+      name: 'word_count',
+      schema: { word_count: Joi.number().required() },
+      fallback: { word_count: 0 },
+      analyze: () => {
+        throw new Error('boom');
+      },
+    });
+
+    const result = parseHtml('<html><head><title>T</title></head></html>', 'https://example.com');
+
+    expect(result.parse_error).toBe('boom');
+    expect(result.page_title).toBe('Parse Error');
+    expect(result.word_count).toBe(0);
+  });
+
+  test('should require an object when validating', () => {
+    expect(getCombinedSchema().validate(undefined).error).toBeDefined();
+  });
+});
@@ -0,0 +1,131 @@
+const axios = require("axios");
+const { probeUrl, FetchError } = require("../../../src/worker/fetcher");
+const config = require("../../../src/config/app.config");
+const { ERROR_TYPES } = require("../../../src/utils/constants");
+
+jest.mock("axios");
+jest.mock("../../../src/utils/logger");
+
+function streamResponse(status, headers = {}) {
+  return { status, headers, data: { destroy: jest.fn() } };
+}
+
+describe("fetcher", () => {
+  describe("probeUrl", () => {
+    test("should send a HEAD request without following redirects", async () => {
+      axios.request.mockResolvedValue(streamResponse(200));
+
+      await expect(probeUrl("https://example.com/a")).resolves.toEqual({
+        statusCode: 200,
+        location: null,
+      });
+      expect(axios.request).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: "https://example.com/a",
+          method: "head",
+          maxRedirects: 0,
+          timeout: config.fetcher.timeout,
+        })
+      );
+    });
+
+    test("should send a GET request for the HEAD fallback", async () => {
+      axios.request.mockResolvedValue(streamResponse(200));
+
+      await probeUrl("https://example.com/a", { method: "get", timeout: 500 });
+
+      expect(axios.request).toHaveBeenCalledWith(
+        expect.objectContaining({ method: "get", timeout: 500 })
+      );
+    });
+
+    test("should resolve error statuses instead of throwing", async () => {
+      axios.request.mockResolvedValue(streamResponse(405));
+
+      await expect(probeUrl("https://example.com/a")).resolves.toEqual({
+        statusCode: 405,
+        location: null,
+      });
+    });
+
+    test("should return the location of a redirect", async () => {
+      axios.request.mockResolvedValue(
+        streamResponse(301, { location: "/new" })
+      );
+
+      await expect(probeUrl("https://example.com/old")).resolves.toEqual({
+        statusCode: 301,
+        location: "/new",
+      });
+    });
+
+    test("should ignore the location header outside redirects", async () => {
+      axios.request.mockResolvedValue(
+        streamResponse(201, { location: "/created" })
+      );
+
+      const { location } = await probeUrl("https://example.com/a");
+
+      expect(location).toBeNull();
+    });
+
+    test("should destroy the response body without reading it", async () => {
+      const response = streamResponse(200);
+      axios.request.mockResolvedValue(response);
+
+      await probeUrl("https://example.com/a", { method: "get" });
+
+      expect(axios.request).toHaveBeenCalledWith(
+        expect.objectContaining({ responseType: "stream" })
+      );
+      expect(response.data.destroy).toHaveBeenCalled();
+    });
+
+    test("should pass the abort signal to axios", async () => {
+      const controller = new AbortController();
+      axios.request.mockResolvedValue(streamResponse(200));
+
+      await probeUrl("https://example.com/a", { signal: controller.signal });
+
+      expect(axios.request).toHaveBeenCalledWith(
+        expect.objectContaining({ signal: controller.signal })
+      );
+    });
+
+    test("should map cancelled requests to a cancelled error", async () => {
+      const error = new Error("canceled");
+      error.code = "ERR_CANCELED";
+      axios.request.mockRejectedValue(error);
+
+      const rejection = probeUrl("https://example.com/a");
+
+      await expect(rejection).rejects.toBeInstanceOf(FetchError);
+      await expect(rejection).rejects.toMatchObject({
+        type: ERROR_TYPES.CANCELLED_ERROR,
+        isRetryable: false,
+      });
+    });
+
+    test("should map timeouts to a retryable timeout error", async () => {
+      const error = new Error("timeout of 500ms exceeded");
+      error.code = "ECONNABORTED";
+      axios.request.mockRejectedValue(error);
+
+      await expect(probeUrl("https://example.com/a")).rejects.toMatchObject({
+        type: ERROR_TYPES.TIMEOUT_ERROR,
+        isRetryable: true,
+      });
+    });
+
+    test("should map DNS failures to a network error", async () => {
+      const error = new Error("getaddrinfo ENOTFOUND nope.invalid");
+      error.code = "ENOTFOUND";
+      axios.request.mockRejectedValue(error);
+
+      await expect(probeUrl("https://nope.invalid/")).rejects.toMatchObject({
+        message: "Domain not found (DNS error)",
+        type: ERROR_TYPES.NETWORK_ERROR,
+      });
+    });
+  });
+});
@@ -0,0 +1,259 @@
+const {
+  checkLinks,
+  checkLink,
+  createLimiter,
+} = require("../../../src/worker/linkChecker");
+const fetcher = require("../../../src/worker/fetcher");
+const { checkSSRFWithDNS } = require("../../../src/utils/urlValidator");
+const config = require("../../../src/config/app.config");
+const { ERROR_TYPES } = require("../../../src/utils/constants");
+
+jest.mock("../../../src/worker/fetcher");
+jest.mock("../../../src/utils/urlValidator");
+jest.mock("../../../src/utils/logger");
+
+function link(url) {
+  return { url, text: url, rel: [], target: null, type: "internal" };
+}
+
+describe("linkChecker", () => {
+  beforeEach(() => {
+    checkSSRFWithDNS.mockResolvedValue(false);
+    fetcher.probeUrl.mockResolvedValue({ statusCode: 200, location: null });
+  });
+
+  describe("checkLink", () => {
+    test("should report a reachable link as ok", async () => {
+      await expect(checkLink("https://example.com/a")).resolves.toEqual({
+        result: "ok",
+        status_code: 200,
+        redirected_to: null,
+        error: null,
+      });
+      expect(fetcher.probeUrl).toHaveBeenCalledTimes(1);
+      expect(fetcher.probeUrl).toHaveBeenCalledWith(
+        "https://example.com/a",
+        expect.objectContaining({ method: "head" })
+      );
+    });
+
+    test("should fall back to GET when HEAD fails", async () => {
+      fetcher.probeUrl
+        .mockResolvedValueOnce({ statusCode: 405, location: null })
+        .mockResolvedValueOnce({ statusCode: 200, location: null });
+
+      const check = await checkLink("https://example.com/a");
+
+      expect(check.result).toBe("ok");
+      expect(fetcher.probeUrl).toHaveBeenLastCalledWith(
+        "https://example.com/a",
+        expect.objectContaining({ method: "get" })
+      );
+    });
+
+    test("should report error statuses as broken", async () => {
+      fetcher.probeUrl.mockResolvedValue({ statusCode: 404, location: null });
+
+      await expect(checkLink("https://example.com/gone")).resolves.toEqual({
+        result: "broken",
+        status_code: 404,
+        redirected_to: null,
+        error: "HTTP 404",
+      });
+    });
+
+    test("should follow redirects and report the target", async () => {
+      fetcher.probeUrl
+        .mockResolvedValueOnce({ statusCode: 301, location: "/new" })
+        .mockResolvedValueOnce({ statusCode: 200, location: null });
+
+      await expect(checkLink("https://example.com/old")).resolves.toEqual({
+        result: "ok",
+        status_code: 200,
+        redirected_to: "https://example.com/new",
+        error: null,
+      });
+    });
+
+    test("should skip redirects into private networks", async () => {
+      fetcher.probeUrl.mockResolvedValueOnce({
+        statusCode: 302,
+        location: "http://169.254.169.254/",
+      });
+      checkSSRFWithDNS.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+      const check = await checkLink("https://example.com/a");
+
+      expect(check).toEqual(
+        expect.objectContaining({
+          result: "skipped",
+          error: "Points to a private network",
+        })
+      );
+      expect(fetcher.probeUrl).toHaveBeenCalledTimes(1);
+    });
+
+    test("should give up on redirect loops", async () => {
+      fetcher.probeUrl.mockResolvedValue({ statusCode: 302, location: "/a" });
+
+      const check = await checkLink("https://example.com/a");
+
+      expect(check.result).toBe("broken");
+      expect(check.error).toBe("Too many redirects");
+      expect(fetcher.probeUrl).toHaveBeenCalledTimes(
+        config.linkCheck.maxRedirects + 1
+      );
+    });
+
+    test("should report network errors as broken", async () => {
+      fetcher.probeUrl.mockRejectedValue(new Error("DNS lookup failed"));
+
+      await expect(checkLink("https://example.com/a")).resolves.toEqual({
+        result: "broken",
+        status_code: null,
+        redirected_to: null,
+        error: "DNS lookup failed",
+      });
+    });
+
+    test("should skip cancelled checks", async () => {
+      const error = new Error("Request was cancelled");
+      error.type = ERROR_TYPES.CANCELLED_ERROR;
+      fetcher.probeUrl.mockRejectedValue(error);
+
+      const check = await checkLink("https://example.com/a");
+
+      expect(check.result).toBe("skipped");
+    });
+  });
+
+  describe("checkLinks", () => {
+    test("should add a check to every link and summarize", async () => {
+      fetcher.probeUrl.mockImplementation(async (url) =>
+        url.endsWith("/gone")
+          ? { statusCode: 404, location: null }
+          : { statusCode: 200, location: null }
+      );
+
+      const { items, summary } = await checkLinks([
+        link("https://example.com/a"),
+        link("https://example.com/gone"),
+        link("https://other.org/"),
+      ]);
+
+      expect(items.map((item) => item.check.result)).toEqual([
+        "ok",
+        "broken",
+        "ok",
+      ]);
+      expect(items[0].text).toBe("https://example.com/a");
+      expect(summary).toEqual({
+        total: 3,
+        checked: 3,
+        ok: 2,
+        broken: 1,
+        redirected: 0,
+        skipped: 0,
+        duration_ms: expect.any(Number),
+      });
+    });
+
+    test("should skip links with unsupported schemes", async () => {
+      const { items, summary } = await checkLinks([link("ftp://example.com/")]);
+
+      expect(items[0].check.error).toBe("Unsupported scheme");
+      expect(summary.skipped).toBe(1);
+      expect(fetcher.probeUrl).not.toHaveBeenCalled();
+    });
+
+    test("should limit concurrent requests per host", async () => {
+      let active = 0;
+      let peak = 0;
+      fetcher.probeUrl.mockImplementation(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setImmediate(resolve));
+        active--;
+        return { statusCode: 200, location: null };
+      });
+
+      await checkLinks(
+        Array.from({ length: 6 }, (_, i) => link(`https://example.com/${i}`))
+      );
+
+      expect(peak).toBe(config.linkCheck.perHostConcurrency);
+    });
+
+    test("should skip a host's links once its budget is spent", async () => {
+      let now = 0;
+      jest.spyOn(Date, "now").mockImplementation(() => now);
+      fetcher.probeUrl.mockImplementation(async () => {
+        now += config.linkCheck.hostBudgetMs;
+        return { statusCode: 200, location: null };
+      });
+
+      const { items, summary } = await checkLinks(
+        Array.from({ length: 4 }, (_, i) => link(`https://example.com/${i}`))
+      );
+
+      expect(summary.checked).toBe(config.linkCheck.perHostConcurrency);
+      expect(items[3].check.error).toBe("Host time budget exceeded");
+    });
+
+    test("should abort checks still running when the budget runs out", async () => {
+      const totalBudgetMs = config.linkCheck.totalBudgetMs;
+      config.linkCheck.totalBudgetMs = 10;
+      fetcher.probeUrl.mockImplementation(
+        (url, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => {
+              const error = new Error("Request cancelled");
+              error.type = ERROR_TYPES.CANCELLED_ERROR;
+              reject(error);
+            });
+          })
+      );
+
+      try {
+        const { items, summary } = await checkLinks([
+          link("https://example.com/slow"),
+        ]);
+
+        expect(items[0].check.error).toBe("Link check time budget exceeded");
+        expect(summary.skipped).toBe(1);
+      } finally {
+        config.linkCheck.totalBudgetMs = totalBudgetMs;
+      }
+    });
+
+    test("should skip remaining links after cancellation", async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const { summary } = await checkLinks([link("https://example.com/a")], {
+        signal: controller.signal,
+      });
+
+      expect(summary.skipped).toBe(1);
+      expect(fetcher.probeUrl).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createLimiter", () => {
+    test("should run at most max tasks at once", async () => {
+      const limit = createLimiter(2);
+      let active = 0;
+      let peak = 0;
+      const task = async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setImmediate(resolve));
+        active--;
+      };
+
+      await Promise.all(Array.from({ length: 5 }, () => limit(task)));
+
+      expect(peak).toBe(2);
+    });
+  });
+});
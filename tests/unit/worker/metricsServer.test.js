@@ -0,0 +1,46 @@
+const http = require("http");
+const {
+  startMetricsServer,
+  stopMetricsServer,
+} = require("../../../src/worker/metricsServer");
+
+jest.mock("../../../src/utils/logger");
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ port, path }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      })
+      .on("error", reject);
+  });
+}
+
+describe("worker metrics server", () => {
+  let port;
+
+  beforeAll(async () => {
+    const server = await startMetricsServer(0);
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await stopMetricsServer();
+  });
+
+  test("should serve metrics", async () => {
+    const res = await get(port, "/metrics");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toContain("web_analyzer_fetch_duration_seconds");
+    expect(res.body).toContain("web_analyzer_parse_duration_seconds");
+  });
+
+  test("should answer 404 for other paths", async () => {
+    const res = await get(port, "/");
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -1,4 +1,10 @@
-const { parseHtml, validateResults } = require('../../../src/worker/parser');
+const {
+  parseHtml,
+  validateResults,
+  extractLinks,
+} = require('../../../src/worker/parser');
+const cheerio = require('cheerio');
+const config = require('../../../src/config/app.config');
 
 describe('parseHtml', () => {
   describe('HTML Version Detection', () => {
@@ -200,6 +206,119 @@ describe('parseHtml', () => {
     });
   });
 
+  describe('Link Inventory', () => {
+    const html = `<!DOCTYPE html><html><body>
+      <a href="/pricing" rel="NoFollow sponsored">Our
+        pricing</a>
+      <a href="https://www.example.com/pricing">Pricing again</a>
+      <a href="https://partner.org" target="_blank" rel="noopener"><img alt="Partner"></a>
+      <a href="#top">Top</a>
+      <a href="">Reload</a>
+      <a href="mailto:hi@example.com">Mail</a>
+      <a href="tel:+4912345">Call</a>
+      <a href="JavaScript:void(0)">Menu</a>
+      <a href="http://[broken">Broken</a>
+    </body></html>`;
+
+    test('should list each resolved URL once with its details', () => {
+      const { links } = parseHtml(html, 'https://example.com');
+
+      expect(links.items).toEqual([
+        {
+          url: 'https://example.com/pricing',
+          text: 'Our pricing',
+          rel: ['nofollow', 'sponsored'],
+          target: null,
+          type: 'internal',
+          occurrences: 1,
+        },
+        {
+          url: 'https://www.example.com/pricing',
+          text: 'Pricing again',
+          rel: [],
+          target: null,
+          type: 'internal',
+          occurrences: 1,
+        },
+        {
+          url: 'https://partner.org/',
+          text: 'Partner',
+          rel: ['noopener'],
+          target: '_blank',
+          type: 'external',
+          occurrences: 1,
+        },
+      ]);
+      expect(links.total).toBe(3);
+      expect(links.unique).toBe(3);
+    });
+
+    test('should count skipped hrefs by scheme', () => {
+      const { links } = parseHtml(html, 'https://example.com');
+
+      expect(links.skipped).toEqual({
+        fragment: 2,
+        mailto: 1,
+        tel: 1,
+        javascript: 1,
+        data: 0,
+        invalid: 1,
+      });
+    });
+
+    test('should count duplicates of a URL', () => {
+      const result = parseHtml(
+        `<a href="/a">First</a><a href="https://example.com/a">Second</a>`,
+        'https://example.com'
+      );
+
+      expect(result.internal_links_count).toBe(2);
+      expect(result.links.unique).toBe(1);
+      expect(result.links.items[0]).toEqual(
+        expect.objectContaining({ text: 'First', occurrences: 2 })
+      );
+    });
+
+    test('should resolve and classify links against the final URL', () => {
+      const result = parseHtml(
+        `<a href="docs">Docs</a><a href="https://shop.example/cart">Cart</a><a href="https://example.com/">Old</a>`,
+        'https://example.com/start',
+        ['links'],
+        'https://shop.example/en/'
+      );
+
+      expect(result.links.items.map(({ url, type }) => ({ url, type }))).toEqual([
+        { url: 'https://shop.example/en/docs', type: 'internal' },
+        { url: 'https://shop.example/cart', type: 'internal' },
+        { url: 'https://example.com/', type: 'external' },
+      ]);
+      expect(result.internal_links_count).toBe(2);
+      expect(result.external_links_count).toBe(1);
+    });
+
+    test('should cap the list but not the counts', () => {
+      const originalMax = config.parser.maxLinks;
+      config.parser.maxLinks = 2;
+
+      try {
+        const $ = cheerio.load(
+          ['/a', '/b', '/c'].map((href) => `<a href="${href}">x</a>`).join('')
+        );
+        const inventory = extractLinks($, 'https://example.com');
+
+        expect(inventory.items.map((link) => link.url)).toEqual([
+          'https://example.com/a',
+          'https://example.com/b',
+        ]);
+        expect(inventory.unique).toBe(3);
+        expect(inventory.internal).toBe(3);
+        expect(inventory.truncated).toBe(true);
+      } finally {
+        config.parser.maxLinks = originalMax;
+      }
+    });
+  });
+
   describe('Login Form Detection', () => {
     test('should detect forms with password fields', () => {
       const html = `<!DOCTYPE html><html><body>
@@ -242,6 +361,437 @@ describe('parseHtml', () => {
     });
   });
 
+  describe('SEO Metadata', () => {
+    const head = `<title>Pricing plans for small teams | Example</title>
+      <meta name="description" content="${'Compare plans and prices. '.repeat(3)}">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <link rel="canonical" href="/pricing">`;
+
+    function codes(seo) {
+      return seo.findings.map((finding) => finding.code);
+    }
+
+    test('should extract the head metadata without findings', () => {
+      const html = `<!DOCTYPE html><html lang="en"><head>${head}
+        <meta name="ROBOTS" content="Index, Follow">
+        <link rel="alternate" hreflang="de" href="/de/pricing">
+        <link rel="alternate" hreflang="x-default" href="https://example.com/pricing">
+      </head><body><h1>Pricing</h1></body></html>`;
+
+      const { seo } = parseHtml(html, 'https://example.com/pricing', ['seo']);
+
+      expect(seo).toEqual({
+        title_length: 39,
+        meta_description: 'Compare plans and prices. '.repeat(3).trim(),
+        meta_description_length: 77,
+        robots: ['index', 'follow'],
+        canonical: 'https://example.com/pricing',
+        canonical_matches_final_url: true,
+        hreflang: [
+          { hreflang: 'de', url: 'https://example.com/de/pricing' },
+          { hreflang: 'x-default', url: 'https://example.com/pricing' },
+        ],
+        h1_count: 1,
+        lang: 'en',
+        viewport: 'width=device-width, initial-scale=1',
+        findings: [],
+      });
+    });
+
+    test('should report what a bare page is missing', () => {
+      const { seo } = parseHtml('<html><body></body></html>', 'https://example.com', ['seo']);
+
+      expect(codes(seo)).toEqual([
+        'TITLE_MISSING',
+        'META_DESCRIPTION_MISSING',
+        'CANONICAL_MISSING',
+        'H1_MISSING',
+        'LANG_MISSING',
+        'VIEWPORT_MISSING',
+      ]);
+      expect(seo.findings[0]).toEqual({
+        code: 'TITLE_MISSING',
+        severity: 'error',
+        message: 'Page has no <title>',
+      });
+    });
+
+    test('should flag titles cut by page_title', () => {
+      const title = 'A'.repeat(250);
+      const html = `<html lang="en"><head><title>${title}</title></head><body></body></html>`;
+
+      const result = parseHtml(html, 'https://example.com', ['title', 'seo']);
+
+      expect(result.page_title).toHaveLength(200);
+      expect(result.seo.title_length).toBe(250);
+      expect(codes(result.seo)).toEqual(
+        expect.arrayContaining(['TITLE_TOO_LONG', 'TITLE_TRUNCATED'])
+      );
+    });
+
+    test('should check the canonical URL against the final URL', () => {
+      const html = `<html><head>${head}</head><body></body></html>`;
+
+      const redirected = parseHtml(html, 'https://example.com/old', ['seo'], 'https://example.com/pricing');
+      expect(redirected.seo.canonical_matches_final_url).toBe(true);
+
+      const { seo } = parseHtml(html, 'https://example.com/old', ['seo']);
+      expect(seo.canonical_matches_final_url).toBe(false);
+      expect(seo.findings).toContainEqual({
+        code: 'CANONICAL_MISMATCH',
+        severity: 'warning',
+        message: 'Canonical URL https://example.com/pricing differs from the fetched URL https://example.com/old',
+      });
+    });
+
+    test('should resolve a relative canonical against the final URL', () => {
+      const html = `<html><head>
+        <link rel="canonical" href="/pricing/">
+        <link rel="alternate" hreflang="de" href="/de/pricing/">
+      </head><body></body></html>`;
+
+      const { seo } = parseHtml(html, 'http://example.com/pricing', ['seo'], 'https://www.example.com/pricing/');
+
+      expect(seo.canonical).toBe('https://www.example.com/pricing/');
+      expect(seo.canonical_matches_final_url).toBe(true);
+      expect(codes(seo)).not.toContain('CANONICAL_MISMATCH');
+      expect(seo.hreflang).toEqual([{ hreflang: 'de', url: 'https://www.example.com/de/pricing/' }]);
+    });
+
+    test('should flag duplicated and invalid head elements', () => {
+      const html = `<html lang="en"><head>${head}
+        <link rel="canonical" href="https://example.com/other">
+        <meta name="description" content="Second description">
+        <meta name="robots" content="none">
+        <link rel="alternate" hreflang="fr" href="/fr">
+        <link rel="alternate" hreflang="FR" href="/fr-2">
+        <link rel="alternate" hreflang="french" href="/fr-3">
+      </head><body><h1>One</h1><h1>Two</h1></body></html>`;
+
+      const { seo } = parseHtml(html, 'https://example.com/pricing', ['seo']);
+
+      expect(codes(seo)).toEqual([
+        'MULTIPLE_META_DESCRIPTIONS',
+        'ROBOTS_NOINDEX',
+        'ROBOTS_NOFOLLOW',
+        'MULTIPLE_CANONICALS',
+        'HREFLANG_DUPLICATE',
+        'HREFLANG_INVALID',
+        'MULTIPLE_H1',
+      ]);
+      expect(seo.hreflang).toEqual([{ hreflang: 'fr', url: 'https://example.com/fr' }]);
+    });
+
+    test('should report a canonical that is not an http(s) URL', () => {
+      const html = '<html><head><link rel="canonical" href="javascript:void(0)"></head></html>';
+
+      const { seo } = parseHtml(html, 'https://example.com', ['seo']);
+
+      expect(seo.canonical).toBeNull();
+      expect(codes(seo)).toContain('CANONICAL_INVALID');
+    });
+  });
+
+  describe('Social Metadata', () => {
+    test('should resolve media URLs against the final URL', () => {
+      const html = `<html><head>
+        <meta property="og:image" content="/img/card.png">
+        <meta name="twitter:image" content="img/small.png">
+      </head></html>`;
+
+      const { social } = parseHtml(html, 'http://example.com/post', ['social'], 'https://www.example.com/blog/post');
+
+      expect(social.open_graph.images[0].url).toBe('https://www.example.com/img/card.png');
+      expect(social.twitter.properties.image).toBe('https://www.example.com/blog/img/small.png');
+    });
+
+    test('should group Open Graph media with their structured properties', () => {
+      const html = `<html><head>
+        <meta property="og:title" content="Pricing">
+        <meta property="og:type" content="article">
+        <meta property="og:url" content="https://example.com/pricing">
+        <meta property="og:locale:alternate" content="de_DE">
+        <meta property="og:locale:alternate" content="fr_FR">
+        <meta property="og:image" content="/img/card.png">
+        <meta property="og:image:secure_url" content="https://example.com/img/card.png">
+        <meta property="og:image:width" content="1200">
+        <meta property="og:image:height" content="630">
+        <meta property="og:image:alt" content="Plans side by side">
+        <meta property="og:image" content="https://cdn.example.com/alt.jpg">
+        <meta property="og:image:type" content="image/jpeg">
+        <meta property="article:published_time" content="2024-10-24T08:00:00Z">
+        <meta property="article:tag" content="pricing">
+        <meta property="article:tag" content="plans">
+      </head></html>`;
+
+      const { social } = parseHtml(html, 'https://example.com/blog/post', ['social']);
+
+      expect(social.open_graph).toEqual({
+        properties: {
+          title: 'Pricing',
+          type: 'article',
+          url: 'https://example.com/pricing',
+          'locale:alternate': ['de_DE', 'fr_FR'],
+        },
+        article: {
+          published_time: '2024-10-24T08:00:00Z',
+          tag: ['pricing', 'plans'],
+        },
+        images: [
+          {
+            url: 'https://example.com/img/card.png',
+            secure_url: 'https://example.com/img/card.png',
+            type: null,
+            width: 1200,
+            height: 630,
+            alt: 'Plans side by side',
+          },
+          {
+            url: 'https://cdn.example.com/alt.jpg',
+            secure_url: null,
+            type: 'image/jpeg',
+            width: null,
+            height: null,
+            alt: null,
+          },
+        ],
+        videos: [],
+        audio: [],
+        missing: [],
+      });
+    });
+
+    test('should ignore structured properties without their media', () => {
+      const html = '<html><head><meta property="og:image:width" content="1200"></head></html>';
+
+      const { social } = parseHtml(html, 'https://example.com', ['social']);
+
+      expect(social.open_graph.images).toEqual([]);
+      expect(social.open_graph.missing).toEqual(['og:title', 'og:type', 'og:image', 'og:url']);
+    });
+
+    test('should read Twitter Card properties and resolve the image', () => {
+      const html = `<html><head>
+        <meta name="twitter:card" content="summary_large_image">
+        <meta name="twitter:site" content="@example">
+        <meta name="twitter:title" content="Pricing">
+        <meta name="twitter:image" content="/img/wide.png">
+      </head></html>`;
+
+      const { social } = parseHtml(html, 'https://example.com', ['social']);
+
+      expect(social.twitter).toEqual({
+        card: 'summary_large_image',
+        properties: {
+          site: '@example',
+          title: 'Pricing',
+          image: 'https://example.com/img/wide.png',
+        },
+        missing: [],
+      });
+    });
+
+    test('should fall back to Open Graph for the required card properties', () => {
+      const html = `<html><head>
+        <meta name="twitter:card" content="summary_large_image">
+        <meta property="og:title" content="Pricing">
+      </head></html>`;
+
+      const { social } = parseHtml(html, 'https://example.com', ['social']);
+
+      expect(social.twitter.missing).toEqual(['twitter:image']);
+    });
+
+    test.each([
+      ['player', ['twitter:site', 'twitter:image', 'twitter:player', 'twitter:player:width', 'twitter:player:height']],
+      ['app', ['twitter:site', 'twitter:app:id:*']],
+      ['gallery', ['twitter:card']],
+    ])('should flag what a %s card is missing', (card, missing) => {
+      const html = `<html><head>
+        <meta name="twitter:card" content="${card}">
+        <meta name="twitter:title" content="Pricing">
+      </head></html>`;
+
+      const { social } = parseHtml(html, 'https://example.com', ['social']);
+
+      expect(social.twitter.missing).toEqual(missing);
+    });
+
+    test('should require twitter:card', () => {
+      const { social } = parseHtml('<html></html>', 'https://example.com', ['social']);
+
+      expect(social.twitter).toEqual({ card: null, properties: {}, missing: ['twitter:card'] });
+    });
+  });
+
+  describe('Structured Data', () => {
+    function extract(body, head = '') {
+      const html = `<html><head>${head}</head><body>${body}</body></html>`;
+      return parseHtml(html, 'https://example.com', ['structured_data']).structured_data;
+    }
+
+    function jsonLd(data) {
+      return `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+    }
+
+    test('should group JSON-LD items by @type and expand @graph', () => {
+      const result = extract(
+        '',
+        jsonLd({
+          '@context': 'https://schema.org',
+          '@graph': [
+            { '@type': 'Organization', name: 'Example', url: 'https://example.com' },
+            { '@type': ['Product', 'schema:Thing'], name: 'Widget', offers: { '@type': 'Offer', price: '9.99' } },
+          ],
+        })
+      );
+
+      expect(result.count).toBe(2);
+      expect(Object.keys(result.types)).toEqual(['Organization', 'Product', 'Thing']);
+      expect(result.types.Organization).toEqual([
+        {
+          format: 'json-ld',
+          data: { '@type': 'Organization', name: 'Example', url: 'https://example.com' },
+          missing: [],
+        },
+      ]);
+      expect(result.types.Thing).toEqual(result.types.Product);
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should report malformed JSON-LD and untyped items', () => {
+      const result = extract('', '<script type="application/ld+json">{ "@type": </script>' + jsonLd({ name: 'No type' }));
+
+      expect(result.count).toBe(0);
+      expect(result.errors).toEqual([
+        { format: 'json-ld', message: expect.stringMatching(/^Invalid JSON in JSON-LD block 1: /) },
+        { format: 'json-ld', message: 'Item without @type in JSON-LD block 2' },
+      ]);
+    });
+
+    test('should read nested Microdata items', () => {
+      const result = extract(`
+        <div itemscope itemtype="https://schema.org/Product">
+          <h1 itemprop="name">Widget</h1>
+          <img itemprop="image" src="/widget.png">
+          <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+            <meta itemprop="price" content="9.99">
+            <span itemprop="priceCurrency">EUR</span>
+          </div>
+          <a itemprop="url" href="/widget">Widget</a>
+        </div>`);
+
+      expect(result.types.Product).toEqual([
+        {
+          format: 'microdata',
+          data: {
+            '@type': 'Product',
+            name: 'Widget',
+            image: '/widget.png',
+            offers: { '@type': 'Offer', price: '9.99', priceCurrency: 'EUR' },
+            url: '/widget',
+          },
+          missing: [],
+        },
+      ]);
+      expect(result.types.Offer).toBeUndefined();
+    });
+
+    test('should read RDFa items', () => {
+      const result = extract(`
+        <article vocab="https://schema.org/" typeof="Article">
+          <h1 property="headline">Launch</h1>
+          <time property="datePublished" content="2024-10-24">Oct 24</time>
+          <span property="author" typeof="Person"><span property="name">Sam</span></span>
+          <a property="schema:about" href="https://example.com/widget">Widget</a>
+        </article>`);
+
+      expect(result.types.Article[0]).toEqual({
+        format: 'rdfa',
+        data: {
+          '@type': 'Article',
+          headline: 'Launch',
+          datePublished: '2024-10-24',
+          author: { '@type': 'Person', name: 'Sam' },
+          about: 'https://example.com/widget',
+        },
+        missing: [],
+      });
+    });
+
+    test('should keep page-controlled property names as plain keys', () => {
+      const html = `<html><body>
+        <div itemscope itemtype="https://schema.org/Product">
+          <span itemprop="name">Widget</span>
+          <div itemprop="__proto__" itemscope><meta itemprop="isAdmin" content="true"></div>
+          <span itemprop="constructor prototype hasOwnProperty">x</span>
+          <span itemprop="constructor">y</span>
+        </div>
+        <div vocab="https://schema.org/" typeof="Thing">
+          <span property="__proto__" typeof="Thing"><span property="polluted">yes</span></span>
+        </div></body></html>`;
+
+      const results = parseHtml(html, 'https://example.com', ['structured_data']);
+      const [product] = results.structured_data.types.Product;
+      const [thing] = results.structured_data.types.Thing;
+
+      expect(Object.keys(product.data)).toEqual([
+        '@type',
+        'name',
+        '__proto__',
+        'constructor',
+        'prototype',
+        'hasOwnProperty',
+      ]);
+      expect(product.data.isAdmin).toBeUndefined();
+      expect(product.data.constructor).toEqual(['x', 'y']);
+      expect(thing.data.polluted).toBeUndefined();
+      expect({}.isAdmin).toBeUndefined();
+      expect({}.polluted).toBeUndefined();
+      expect(JSON.parse(JSON.stringify(product.data)).__proto__).toEqual({ isAdmin: 'true' });
+      expect(validateResults(results, ['structured_data'])).toBe(true);
+    });
+
+    test.each([
+      [{ '@type': 'Product', name: 'Widget' }, ['offers|review|aggregateRating']],
+      [{ '@type': 'NewsArticle', headline: 'Launch' }, ['author', 'datePublished']],
+      [{ '@type': 'Organization' }, ['name', 'url']],
+      [
+        {
+          '@type': 'BreadcrumbList',
+          itemListElement: [
+            { '@type': 'ListItem', position: 1, name: 'Home' },
+            { '@type': 'ListItem', item: 'https://example.com/shop' },
+          ],
+        },
+        ['itemListElement[1].position'],
+      ],
+      [
+        { '@type': 'FAQPage', mainEntity: [{ '@type': 'Question', name: 'Why?' }] },
+        ['mainEntity[0].acceptedAnswer'],
+      ],
+      [{ '@type': 'FAQPage' }, ['mainEntity']],
+    ])('should check the required properties of %j', (data, missing) => {
+      const result = extract('', jsonLd(data));
+      const [type] = Object.keys(result.types);
+
+      expect(result.types[type][0].missing).toEqual(missing);
+    });
+
+    test('should stop listing items past the limit', () => {
+      const items = Array.from({ length: config.parser.maxStructuredDataItems + 1 }, (_, i) => ({
+        '@type': 'Thing',
+        name: `Item ${i}`,
+      }));
+
+      const result = extract('', jsonLd(items));
+
+      expect(result.count).toBe(items.length);
+      expect(result.truncated).toBe(true);
+      expect(result.types.Thing).toHaveLength(config.parser.maxStructuredDataItems);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle malformed HTML gracefully', () => {
       const html = '<html><body><div><p>Unclosed tags';
@@ -309,6 +859,31 @@ describe('parseHtml', () => {
   });
 });
 
+describe('Analyzer Selection', () => {
+  const html = `<!DOCTYPE html><html><head><title>Test</title></head><body>
+    <h1>Heading</h1><a href="/about">About</a>
+  </body></html>`;
+
+  test('should only run the selected analyzers', () => {
+    const result = parseHtml(html, 'https://example.com', ['links', 'headings']);
+
+    expect(Object.keys(result).sort()).toEqual([
+      'external_links_count',
+      'headings_count',
+      'internal_links_count',
+      'links',
+    ]);
+    expect(result.internal_links_count).toBe(1);
+  });
+
+  test('should validate only the selected analyzer fields', () => {
+    const result = parseHtml(html, 'https://example.com', ['title']);
+
+    expect(validateResults(result, ['title'])).toBe(true);
+    expect(validateResults(result)).toBe(false);
+  });
+});
+
 describe('validateResults', () => {
   test('should validate correct result structure', () => {
     const validResults = {
@@ -317,7 +892,74 @@ describe('validateResults', () => {
       headings_count: { h1: 1, h2: 2, h3: 0, h4: 0, h5: 0, h6: 0 },
       internal_links_count: 5,
       external_links_count: 3,
+      links: {
+        total: 1,
+        unique: 1,
+        truncated: false,
+        skipped: {
+          fragment: 0,
+          mailto: 0,
+          tel: 0,
+          javascript: 0,
+          data: 0,
+          invalid: 0,
+        },
+        items: [
+          {
+            url: 'https://example.com/about',
+            text: 'About',
+            rel: [],
+            target: null,
+            type: 'internal',
+            occurrences: 1,
+          },
+        ],
+      },
       has_login_form: false,
+      seo: {
+        title_length: 9,
+        meta_description: null,
+        meta_description_length: 0,
+        robots: [],
+        canonical: null,
+        canonical_matches_final_url: null,
+        hreflang: [],
+        h1_count: 1,
+        lang: 'en',
+        viewport: null,
+        findings: [
+          {
+            code: 'VIEWPORT_MISSING',
+            severity: 'warning',
+            message: 'Page has no viewport meta',
+          },
+        ],
+      },
+      social: {
+        open_graph: {
+          properties: { title: 'Test Page' },
+          article: {},
+          images: [],
+          videos: [],
+          audio: [],
+          missing: ['og:type', 'og:image', 'og:url'],
+        },
+        twitter: { card: null, properties: {}, missing: ['twitter:card'] },
+      },
+      structured_data: {
+        count: 1,
+        truncated: false,
+        types: {
+          Organization: [
+            {
+              format: 'json-ld',
+              data: { '@type': 'Organization', name: 'Example' },
+              missing: ['url'],
+            },
+          ],
+        },
+        errors: [],
+      },
     };
 
     expect(validateResults(validResults)).toBe(true);
@@ -0,0 +1,202 @@
+const { runSchedule } = require("../../../src/worker/scheduler");
+const scheduleService = require("../../../src/services/schedule.service");
+const storageService = require("../../../src/services/storage.service");
+const queueService = require("../../../src/services/queue.service");
+const apiKeyService = require("../../../src/services/apiKey.service");
+const { JOB_STATUS, SCHEDULE_STATUS } = require("../../../src/utils/constants");
+
+jest.mock("../../../src/services/schedule.service");
+jest.mock("../../../src/services/storage.service");
+jest.mock("../../../src/services/queue.service");
+jest.mock("../../../src/services/apiKey.service");
+jest.mock("../../../src/utils/logger");
+
+const SCHEDULE_ID = "1729799000000123456";
+
+const apiKey = {
+  key_id: "key-1",
+  allowed_domains: [],
+  revoked_at: null,
+};
+
+function createSchedule(overrides = {}) {
+  return {
+    schedule_id: SCHEDULE_ID,
+    url: "https://example.com",
+    every: 3600,
+    cron: null,
+    analyzers: ["page_title"],
+    status: SCHEDULE_STATUS.ACTIVE,
+    last_job_id: null,
+    api_key_id: "key-1",
+    ...overrides,
+  };
+}
+
+function makeBullJob() {
+  return {
+    data: { schedule_id: SCHEDULE_ID },
+    opts: { repeat: { every: 3600000, key: "repeat-key" } },
+  };
+}
+
+describe("scheduler", () => {
+  beforeEach(() => {
+    scheduleService.getSchedule.mockResolvedValue(createSchedule());
+    apiKeyService.getApiKey.mockResolvedValue(apiKey);
+    apiKeyService.isDomainAllowed.mockReturnValue(true);
+    apiKeyService.consumeQuota.mockResolvedValue({ allowed: true });
+    storageService.createJob.mockResolvedValue({});
+    queueService.enqueue.mockResolvedValue({});
+  });
+
+  test("should create and enqueue a job linked to the schedule", async () => {
+    const result = await runSchedule(makeBullJob());
+
+    expect(storageService.createJob).toHaveBeenCalledWith({
+      job_id: result.job_id,
+      url: "https://example.com",
+      status: JOB_STATUS.PENDING,
+      analyzers: ["page_title"],
+      schedule_id: SCHEDULE_ID,
+      api_key_id: "key-1",
+    });
+    expect(queueService.enqueue).toHaveBeenCalledWith({
+      job_id: result.job_id,
+      url: "https://example.com",
+      analyzers: ["page_title"],
+    });
+    expect(apiKeyService.consumeQuota).toHaveBeenCalledWith(apiKey);
+    expect(scheduleService.recordRun).toHaveBeenCalledWith(
+      SCHEDULE_ID,
+      result.job_id
+    );
+  });
+
+  test("should drop the repeatable job of a paused schedule", async () => {
+    scheduleService.getSchedule.mockResolvedValue(
+      createSchedule({ status: SCHEDULE_STATUS.PAUSED })
+    );
+
+    const result = await runSchedule(makeBullJob());
+
+    expect(result).toEqual({ skipped: "schedule_inactive" });
+    expect(scheduleService.removeRepeatByKey).toHaveBeenCalledWith(
+      "repeat-key"
+    );
+    expect(storageService.createJob).not.toHaveBeenCalled();
+  });
+
+  test("should drop the repeatable job of a deleted schedule", async () => {
+    scheduleService.getSchedule.mockResolvedValue(null);
+
+    await runSchedule(makeBullJob());
+
+    expect(scheduleService.removeRepeatByKey).toHaveBeenCalledWith(
+      "repeat-key"
+    );
+  });
+
+  test("should skip while the previous run is in progress", async () => {
+    scheduleService.getSchedule.mockResolvedValue(
+      createSchedule({ last_job_id: "1729799000000000001" })
+    );
+    storageService.getJob.mockResolvedValue({
+      status: JOB_STATUS.PROCESSING,
+    });
+
+    const result = await runSchedule(makeBullJob());
+
+    expect(result).toEqual({ skipped: "previous_run_in_progress" });
+    expect(scheduleService.recordSkip).toHaveBeenCalledWith(
+      SCHEDULE_ID,
+      "previous_run_in_progress"
+    );
+    expect(apiKeyService.consumeQuota).not.toHaveBeenCalled();
+    expect(storageService.createJob).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [
+      "api_key_revoked",
+      () =>
+        apiKeyService.getApiKey.mockResolvedValue({
+          ...apiKey,
+          revoked_at: "2024-10-24T20:00:00.000Z",
+        }),
+    ],
+    [
+      "domain_not_allowed",
+      () => apiKeyService.isDomainAllowed.mockReturnValue(false),
+    ],
+    [
+      "quota_exceeded",
+      () =>
+        apiKeyService.consumeQuota.mockResolvedValue({
+          allowed: false,
+          period: "daily",
+        }),
+    ],
+  ])("should skip with %s", async (reason, setup) => {
+    setup();
+
+    const result = await runSchedule(makeBullJob());
+
+    expect(result).toEqual({ skipped: reason });
+    expect(scheduleService.recordSkip).toHaveBeenCalledWith(
+      SCHEDULE_ID,
+      reason
+    );
+    expect(storageService.createJob).not.toHaveBeenCalled();
+  });
+
+  test("should not check a key for anonymous schedules", async () => {
+    scheduleService.getSchedule.mockResolvedValue(
+      createSchedule({ api_key_id: undefined })
+    );
+
+    await runSchedule(makeBullJob());
+
+    expect(apiKeyService.getApiKey).not.toHaveBeenCalled();
+    expect(storageService.createJob).toHaveBeenCalledWith(
+      expect.not.objectContaining({ api_key_id: expect.anything() })
+    );
+  });
+
+  test("should mark the job FAILED when it can't be queued", async () => {
+    queueService.enqueue.mockRejectedValue(new Error("Queue down"));
+    storageService.updateJob.mockResolvedValue({});
+
+    await expect(runSchedule(makeBullJob())).rejects.toThrow("Queue down");
+
+    expect(storageService.updateJob).toHaveBeenCalledWith(expect.any(String), {
+      status: JOB_STATUS.FAILED,
+      error: "Failed to queue job",
+    });
+    expect(scheduleService.recordRun).not.toHaveBeenCalled();
+  });
+
+  test("should refund the quota when the job can't be queued", async () => {
+    queueService.enqueue.mockRejectedValue(new Error("Queue down"));
+    storageService.updateJob.mockResolvedValue({});
+
+    await expect(runSchedule(makeBullJob())).rejects.toThrow("Queue down");
+
+    expect(apiKeyService.refundQuota).toHaveBeenCalledWith(apiKey);
+  });
+
+  test("should refund the quota when the job can't be stored", async () => {
+    storageService.createJob.mockRejectedValue(new Error("Redis down"));
+
+    await expect(runSchedule(makeBullJob())).rejects.toThrow("Redis down");
+
+    expect(apiKeyService.refundQuota).toHaveBeenCalledWith(apiKey);
+    expect(queueService.enqueue).not.toHaveBeenCalled();
+  });
+
+  test("should keep the quota spent when the run starts", async () => {
+    await runSchedule(makeBullJob());
+
+    expect(apiKeyService.refundQuota).not.toHaveBeenCalled();
+  });
+});